@@ -1,3 +1,4 @@
+import { creditsForTokens } from '../utils/tokenizers.js';
 import { estimateTokensWithTokenizer } from '../utils/tokenEfficiency.js';
 
 export function calculateCreditsUsed({
@@ -10,7 +11,7 @@ export function calculateCreditsUsed({
   model
 }) {
   if (Number.isFinite(totalTokens)) {
-    return Math.ceil(totalTokens / 250);
+    return creditsForTokens({ totalTokens });
   }
 
   const resolvedInputTokens = Number.isFinite(inputTokens)
@@ -19,8 +20,9 @@ export function calculateCreditsUsed({
   const resolvedOutputTokens = Number.isFinite(outputTokens)
     ? outputTokens
     : estimateTokensWithTokenizer(outputText || '', model);
-  const multiplier = intentType === 'code' ? 1.0 : 0.6;
-  const adjustedTokens = Math.ceil((resolvedInputTokens + resolvedOutputTokens) * multiplier);
-
-  return Math.ceil(adjustedTokens / 250);
+  return creditsForTokens({
+    inputTokens: resolvedInputTokens,
+    outputTokens: resolvedOutputTokens,
+    intentType
+  });
 }
@@ -19,6 +19,27 @@ import {
   migrateLegacyAgentState
 } from './core/persistence.js';
 import { runWithConcurrencyLimit } from './core/concurrency.js';
+import { createSseParser, parseSseData } from './utils/sseParser.js';
+import { promptTemplateRegistry } from './utils/promptTemplates.js';
+import { TOKENS_PER_CREDIT, creditsForTokens, tokenizerRegistry } from './utils/tokenizers.js';
+import { CHAT_IMAGE_LIMITS } from './utils/chatImages.js';
+import {
+  applyEditHunks,
+  applyFileEditHunks,
+  parseEditBlocks,
+  validateEditHunks,
+  validateFileEditHunks
+} from './utils/editPatches.js';
+import { buildCodeFileMap, isValidCodeFilePath } from './utils/codeFiles.js';
+import { scanText } from './utils/secretScanner.js';
+import { buildTurnGlyphState, compileGlyphs, decompileGlyphs } from './utils/glyphs.js';
+import {
+  findLatestLeaf,
+  getActivePath,
+  getMessageSiblings,
+  normalizeMessageTree,
+  selectBranchCodeVersion
+} from './utils/messageTree.js';
 import { createAgentSyncManager } from './agent/syncManager.js';
 import { createAgentRun, compareRunOutputs } from './agent/runModel.js';
 import { executeAgentScenarioRun } from './agent/runHarness.js';
@@ -268,6 +289,7 @@ async function persistSessionStateToServer(payload) {
           messages: payload.session_state.messages?.length || 0,
           code_versions: payload.session_state.code_versions?.length || 0,
           active_version_index: payload.session_state.active_version_index,
+          active_leaf_id: payload.session_state.active_leaf_id || null,
           has_history_summary: Boolean(payload.session_state.history_summary?.text),
           history_summary_updated_at: payload.session_state.history_summary?.updated_at || null
         },
@@ -407,6 +429,8 @@ const chatInput = document.getElementById('chat-input');
 const sendButton = document.getElementById('btn-send');
 const creditPreviewEl = document.getElementById('credit-preview');
 const chatContextMode = document.getElementById('chatContextMode');
+const autoFixToggle = document.getElementById('autoFixToggle');
+const chatToolsToggle = document.getElementById('chatToolsToggle');
 const micButton = document.getElementById('btn-mic');
 const creditBadge = document.getElementById('creditBadge');
 const creditPanel = document.getElementById('credit-panel');
@@ -587,6 +611,9 @@ const paywallCloseButton = document.getElementById('paywall-close');
 const codeEditor = document.getElementById('code-editor');
 const codeEditorWrapper = document.getElementById('code-editor-wrapper');
 const clearChatButton = document.getElementById('clearChatButton');
+const historySummaryButton = document.getElementById('historySummaryButton');
+const contextPinsButton = document.getElementById('contextPinsButton');
+const visualDebugButton = document.getElementById('visualDebugButton');
 const toast = document.getElementById('toast');
 const lineCountEl = document.getElementById('line-count');
 const consoleLog = document.getElementById('console-output-log');
@@ -638,6 +665,8 @@ const forwardButton = document.getElementById('forwardButton');
 const rollbackButton = document.getElementById('rollbackButton');
 const promoteButton = document.getElementById('promoteButton');
 const copyCodeBtn = document.getElementById('copyCodeBtn');
+const addCodeFileBtn = document.getElementById('addCodeFileBtn');
+const codeFileTabs = document.getElementById('codeFileTabs');
 const SANDBOX_TIMEOUT_MS = 4500;
 const PREVIEW_HANDSHAKE_TIMEOUT_MS = 2200;
 const PREVIEW_HANDSHAKE_MAX_RETRIES = 3;
@@ -677,11 +706,22 @@ const AUTH_STORAGE_KEYS = [
 ];
 const CONTEXT_MODE_STORAGE_KEY = 'maya_context_mode';
 const VALID_CONTEXT_MODES = ['balanced', 'aggressive', 'full'];
+const AUTO_FIX_STORAGE_KEY = 'maya_auto_fix';
+const CHAT_TOOLS_STORAGE_KEY = 'maya_chat_tools';
+const GAME_MODE_JOB_STORAGE_KEY = 'maya_game_mode_job';
+const TOOL_ARGUMENT_PREVIEW_CHARS = 40;
+const AUTO_FIX_MAX_ATTEMPTS = 3;
+const AUTO_FIX_SESSION_CREDIT_CAP = 25;
 const runtimeState = {
   status: 'idle',
   started_at: null
 };
 let editorApi = null;
+// The editor always holds the active file; the other files of a multi-file
+// project live here and are merged in by getProjectFiles().
+const DEFAULT_CODE_FILE_PATH = 'index.html';
+let projectFiles = {};
+let activeFilePath = DEFAULT_CODE_FILE_PATH;
 const prTaskMap = {};
 let navigationInProgress = false;
 let revertModalOpen = false;
@@ -855,8 +895,12 @@ function initComposerControls() {
 }
 
 async function openGameModeConfigModal() {
-  const dirsRes = await safeFetchJSON('/api/workspace/list?root=.openclaw/workspace', { credentials: 'include' }, { dirs: [] });
+  const [dirsRes, templatesRes] = await Promise.all([
+    safeFetchJSON('/api/workspace/list?root=.openclaw/workspace', { credentials: 'include' }, { dirs: [] }),
+    safeFetchJSON('/api/game-mode/templates', { credentials: 'include' }, { templates: [] })
+  ]);
   const availableDirs = Array.isArray(dirsRes?.dirs) ? dirsRes.dirs : [];
+  const templates = Array.isArray(templatesRes?.templates) ? templatesRes.templates : [];
 
   return new Promise((resolve) => {
     const root = document.getElementById('modal-root');
@@ -866,6 +910,9 @@ async function openGameModeConfigModal() {
     }
 
     const options = availableDirs.map((dir) => `<option value="${escapeHtml(dir)}">${escapeHtml(dir)}</option>`).join('');
+    const templateOptions = templates
+      .map((template) => `<option value="${escapeHtml(template.id)}">${escapeHtml(template.label)}</option>`)
+      .join('');
 
     root.innerHTML = `
       <div class="modal-panel" style="max-width:640px;width:min(92vw,640px)">
@@ -874,6 +921,10 @@ async function openGameModeConfigModal() {
           <label class="modal-field"><span>Output</span>
             <select id="gm-mode"><option value="single">Single-file HTML</option><option value="multi">Multi-file repository</option></select>
           </label>
+          <label class="modal-field"><span>Template</span>
+            <select id="gm-template"><option value="">None (free concept)</option>${templateOptions}</select>
+            <small id="gm-template-hint" class="modal-helper"></small>
+          </label>
           <label class="modal-field"><span>Prompt (optional)</span><textarea id="gm-prompt" rows="3" placeholder="Arcade roguelite with physics grappling hook"></textarea></label>
           <label class="modal-field" style="flex-direction:row;align-items:center;gap:8px;"><input id="gm-seed" type="checkbox" checked /> Use current editor code as seed</label>
           <label class="modal-field" id="gm-target-wrap" style="display:none;"><span>Target workspace folder</span>
@@ -901,6 +952,19 @@ async function openGameModeConfigModal() {
     modeEl?.addEventListener('change', syncMode);
     syncMode();
 
+    const templateEl = root.querySelector('#gm-template');
+    const templateHint = root.querySelector('#gm-template-hint');
+    const syncTemplate = () => {
+      const selected = templates.find((template) => template.id === templateEl?.value);
+      if (templateHint) {
+        templateHint.textContent = selected
+          ? `${selected.description} Your prompt specializes it.`
+          : '';
+      }
+    };
+    templateEl?.addEventListener('change', syncTemplate);
+    syncTemplate();
+
     root.querySelector('#gm-cancel')?.addEventListener('click', () => {
       root.classList.add('hidden');
       root.innerHTML = '';
@@ -916,6 +980,7 @@ async function openGameModeConfigModal() {
       }
       const payload = {
         mode,
+        template: templateEl?.value || null,
         prompt: String(root.querySelector('#gm-prompt')?.value || ''),
         seed: {
           useEditorCode: Boolean(root.querySelector('#gm-seed')?.checked),
@@ -941,69 +1006,176 @@ async function startGameModeWorkflow() {
     return;
   }
 
-  const createRes = await safeFetchJSON('/api/game-mode/jobs', {
-    method: 'POST',
-    credentials: 'include',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(config)
-  }, null);
+  let response = null;
+  let createRes = null;
+  try {
+    response = await apiFetch('/api/game-mode/jobs', {
+      method: 'POST',
+      body: JSON.stringify(config)
+    });
+    createRes = await response.json().catch(() => null);
+  } catch {
+    response = null;
+  }
 
-  const jobId = createRes?.jobId;
+  if (response?.status === 402) {
+    updateCreditUI();
+    if (!showPaywall({ reason: createRes?.daily_limit !== undefined ? 'daily_limit' : 'monthly' })) {
+      showToast(createRes?.error || 'Not enough credits to start game mode.', { variant: 'warning' });
+    }
+    return;
+  }
+
+  const jobId = response?.ok ? createRes?.jobId : null;
   if (!jobId) {
-    showToast('Unable to start game mode job.', { variant: 'error' });
+    showToast(createRes?.error || 'Unable to start game mode job.', { variant: 'error' });
+    return;
+  }
+
+  const queued = Number(createRes.position) > 0;
+  showToast(
+    queued ? `Game Mode queued (position ${createRes.position}).` : 'Game Mode started. Building playable output…',
+    { variant: 'success', duration: 2200 }
+  );
+  attachGameModeJobStream(jobId);
+}
+
+async function loadGameModeResult(jobId) {
+  const result = await safeFetchJSON(`/api/game-mode/jobs/${encodeURIComponent(jobId)}/result`, { credentials: 'include' }, null);
+  if (!result) {
+    showToast('Game mode finished, but result could not be loaded.', { variant: 'error' });
+    return;
+  }
+
+  if (result.mode === 'single') {
+    const html = typeof result.html === 'string' ? result.html : '';
+    setEditorValue(html);
+    await handleUserRun(html, 'game-mode', 'Game mode output loaded.');
+    setWorkspacePanel('code');
+    showToast('Game mode complete. Single-file game loaded.', { variant: 'success' });
     return;
   }
 
-  showToast('Game Mode started. Building playable output…', { variant: 'success', duration: 2200 });
-  const eventUrl = `${API_BASE}/api/game-mode/jobs/${encodeURIComponent(jobId)}/stream`;
+  const openPath = result.openPath || '';
+  const repoFiles = result.repoPath
+    ? await safeFetchJSON(`/api/workspace/files?root=${encodeURIComponent(result.repoPath)}`, { credentials: 'include' }, null)
+    : null;
+  if (Array.isArray(repoFiles?.files) && repoFiles.files.length) {
+    const files = Object.fromEntries(repoFiles.files.map((entry) => [entry.path, entry.content]));
+    const activePath = openPath.startsWith(`${result.repoPath}/`) ? openPath.slice(result.repoPath.length + 1) : '';
+    ensureCurrentCodeVersion(lastCodeSource === 'llm' ? 'llm' : 'user');
+    setProjectFiles(files, activePath);
+    baselineCode = files[activeFilePath];
+    currentCode = files[activeFilePath];
+    setEditorValue(files[activeFilePath]);
+    updateEditorLanguage(getLanguageForPath(activeFilePath));
+    addCodeVersion({ content: files[activeFilePath], source: 'llm' });
+    setWorkspacePanel('code');
+  } else if (openPath) {
+    const file = await safeFetchJSON(`/api/workspace/file?path=${encodeURIComponent(openPath)}`, { credentials: 'include' }, null);
+    if (typeof file?.content === 'string') {
+      setEditorValue(file.content);
+    }
+    setWorkspacePanel('code');
+  }
+  showToast('Game mode complete. README opened with deploy instructions.', { variant: 'success', duration: 2800 });
+}
+
+let gameModeEventSource = null;
+
+// The active job survives page reloads: its id and the last event seen are
+// kept so the stream resumes where it left off instead of replaying the log.
+function attachGameModeJobStream(jobId, { lastEventId = 0 } = {}) {
+  gameModeEventSource?.close();
+  safeStorageSet(GAME_MODE_JOB_STORAGE_KEY, JSON.stringify({ jobId, lastEventId }));
+  const query = lastEventId ? `?lastEventId=${encodeURIComponent(lastEventId)}` : '';
+  const eventUrl = `${API_BASE}/api/game-mode/jobs/${encodeURIComponent(jobId)}/stream${query}`;
   const source = new EventSource(eventUrl, { withCredentials: true });
+  gameModeEventSource = source;
+  let reconnecting = false;
+
+  const track = (event) => {
+    reconnecting = false;
+    if (event.lastEventId) {
+      safeStorageSet(GAME_MODE_JOB_STORAGE_KEY, JSON.stringify({ jobId, lastEventId: Number(event.lastEventId) }));
+    }
+    return JSON.parse(event.data || '{}');
+  };
 
   source.addEventListener('step', (event) => {
-    const data = JSON.parse(event.data || '{}');
+    const data = track(event);
     appendOutput(`[GameMode] ${data.name}: ${data.status || 'running'}`);
   });
 
   source.addEventListener('log', (event) => {
-    const data = JSON.parse(event.data || '{}');
+    const data = track(event);
     if (data?.text) {
       appendOutput(`[GameMode] ${data.text}`);
     }
   });
 
-  source.addEventListener('done', async () => {
-    source.close();
-    const result = await safeFetchJSON(`/api/game-mode/jobs/${encodeURIComponent(jobId)}/result`, { credentials: 'include' }, null);
-    if (!result) {
-      showToast('Game mode finished, but result could not be loaded.', { variant: 'error' });
-      return;
+  source.addEventListener('artifact', (event) => {
+    const data = track(event);
+    if (data?.path) {
+      appendOutput(`[GameMode] ${data.role === 'support' ? 'Updated' : 'Output'}: ${data.path}`);
     }
+  });
 
-    if (result.mode === 'single') {
-      const html = typeof result.html === 'string' ? result.html : '';
-      setEditorValue(html);
-      await handleUserRun(html, 'game-mode', 'Game mode output loaded.');
-      setWorkspacePanel('code');
-      showToast('Game mode complete. Single-file game loaded.', { variant: 'success' });
-      return;
-    }
+  source.addEventListener('queue', (event) => {
+    const data = track(event);
+    appendOutput(data.position > 0
+      ? `[GameMode] Queued: position ${data.position}`
+      : '[GameMode] Job started.');
+  });
 
-    const openPath = result.openPath || '';
-    if (openPath) {
-      const file = await safeFetchJSON(`/api/workspace/file?path=${encodeURIComponent(openPath)}`, { credentials: 'include' }, null);
-      if (typeof file?.content === 'string') {
-        setEditorValue(file.content);
-      }
-      setWorkspacePanel('code');
-    }
-    showToast('Game mode complete. README opened with deploy instructions.', { variant: 'success', duration: 2800 });
+  source.addEventListener('usage', (event) => {
+    const data = track(event);
+    applyUsageToCredits(data);
+    updateCreditUI();
   });
 
-  source.onerror = () => {
+  source.addEventListener('done', async (event) => {
+    track(event);
     source.close();
-    showToast('Game mode stream interrupted.', { variant: 'error' });
+    safeStorageRemove(GAME_MODE_JOB_STORAGE_KEY);
+    await loadGameModeResult(jobId);
+  });
+
+  // EventSource reconnects on its own and sends Last-Event-ID, so only a
+  // closed source (e.g. the job is gone) ends the workflow. Events named
+  // `error` sent by the job arrive here too, with data.
+  source.onerror = (event) => {
+    if (event?.data) {
+      const data = track(event);
+      appendOutput(`[GameMode] Error: ${data.message || 'Unknown error'}`);
+      return;
+    }
+    if (source.readyState === EventSource.CLOSED) {
+      safeStorageRemove(GAME_MODE_JOB_STORAGE_KEY);
+      showToast('Game mode stream interrupted.', { variant: 'error' });
+      return;
+    }
+    if (!reconnecting) {
+      reconnecting = true;
+      appendOutput('[GameMode] Connection lost; reconnecting…');
+    }
   };
 }
 
+function resumeGameModeJob() {
+  let saved = null;
+  try {
+    saved = JSON.parse(safeStorageGet(GAME_MODE_JOB_STORAGE_KEY) || 'null');
+  } catch {
+    saved = null;
+  }
+  if (!saved?.jobId) {
+    return;
+  }
+  appendOutput('[GameMode] Reattaching to the running job…');
+  attachGameModeJobStream(saved.jobId, { lastEventId: Number(saved.lastEventId) || 0 });
+}
+
 async function prepareAgent() {
   return Promise.resolve();
 }
@@ -1323,6 +1495,124 @@ function setEditorValue(value = '') {
   }
 }
 
+const CODE_FILE_LANGUAGES = {
+  js: 'javascript',
+  mjs: 'javascript',
+  jsx: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  css: 'css',
+  json: 'json',
+  md: 'markdown'
+};
+
+function getLanguageForPath(path) {
+  const extension = String(path || '').split('.').pop().toLowerCase();
+  return CODE_FILE_LANGUAGES[extension] || 'html';
+}
+
+function getProjectFiles(activeContent = getEditorValue()) {
+  return { ...projectFiles, [activeFilePath]: activeContent };
+}
+
+function isMultiFileProject() {
+  return Object.keys(getProjectFiles()).length > 1;
+}
+
+function setProjectFiles(files, activePath = activeFilePath) {
+  const entries = files && typeof files === 'object' ? { ...files } : {};
+  const paths = Object.keys(entries);
+  activeFilePath = paths.includes(activePath) ? activePath : (paths[0] || DEFAULT_CODE_FILE_PATH);
+  projectFiles = entries;
+  renderCodeFileTabs();
+}
+
+// Versions made before a project had several files carry no file map, so
+// restoring one collapses the project back to a single file.
+function restoreProjectFiles(version) {
+  if (version?.files && typeof version.files === 'object') {
+    setProjectFiles(version.files, version.active_path);
+    return;
+  }
+  setProjectFiles({ [activeFilePath]: version?.content ?? getEditorValue() }, activeFilePath);
+}
+
+function switchActiveFile(path) {
+  const files = getProjectFiles();
+  if (path === activeFilePath || !Object.prototype.hasOwnProperty.call(files, path)) {
+    return;
+  }
+  projectFiles = files;
+  activeFilePath = path;
+  baselineCode = files[path];
+  currentCode = files[path];
+  setEditorValue(files[path]);
+  updateEditorLanguage(getLanguageForPath(path));
+  renderCodeFileTabs();
+  refreshEditReview();
+}
+
+function renderCodeFileTabs() {
+  if (!codeFileTabs) {
+    return;
+  }
+  const paths = Object.keys(getProjectFiles());
+  codeFileTabs.hidden = paths.length < 2;
+  codeFileTabs.replaceChildren(...paths.map((path) => {
+    const tab = document.createElement('button');
+    tab.type = 'button';
+    tab.className = `code-file-tab${path === activeFilePath ? ' is-active' : ''}`;
+    tab.textContent = path;
+    tab.title = path;
+    tab.setAttribute('aria-pressed', String(path === activeFilePath));
+    tab.addEventListener('click', () => switchActiveFile(path));
+    return tab;
+  }));
+}
+
+function openAddCodeFileModal() {
+  const html = `
+    <h2>Add a file</h2>
+    <p>Chat requests send every file; the model can edit or create files by path.</p>
+    <div class="modal-body">
+      <label class="modal-field">
+        <span>Path</span>
+        <input id="addCodeFilePath" type="text" placeholder="src/game.js" autocomplete="off" />
+      </label>
+    </div>
+    <div class="modal-actions">
+      <button id="addCodeFileConfirm" type="button">Add</button>
+      <button id="addCodeFileCancel" class="secondary" type="button">Cancel</button>
+    </div>
+  `;
+  ModalManager.open(html, { dismissible: true });
+
+  document.getElementById('addCodeFileConfirm')?.addEventListener('click', () => {
+    const path = String(document.getElementById('addCodeFilePath')?.value || '').trim();
+    const files = getProjectFiles();
+    if (!isValidCodeFilePath(path)) {
+      showToast('Use a relative path such as src/game.js.', { variant: 'error' });
+      return;
+    }
+    if (Object.prototype.hasOwnProperty.call(files, path)) {
+      showToast('That file already exists.', { variant: 'error' });
+      return;
+    }
+    ModalManager.close();
+    setProjectFiles({ ...files, [path]: '' }, activeFilePath);
+    switchActiveFile(path);
+    addCodeVersion({ content: '', source: 'user' });
+  });
+  document.getElementById('addCodeFileCancel')?.addEventListener('click', () => {
+    ModalManager.close();
+  });
+}
+
+function getEditorSelectionContext() {
+  const selection = editorApi?.getSelection?.();
+  return selection ? { path: activeFilePath, ...selection } : null;
+}
+
 function getEditorCursor() {
   if (!editorApi) {
     return null;
@@ -1379,6 +1669,77 @@ function applyEditorDiagnostics(errors = []) {
   editorApi.setMarkers(errors);
 }
 
+const SECRET_MARKER_OWNER = 'secrets';
+const SECRET_SCAN_DEBOUNCE_MS = 600;
+const SECRET_SCAN_ACTION_TEXT = {
+  warn: 'Remove it before sharing this code.',
+  redact: 'It was redacted before sending to the model.',
+  block: 'The server refused to send or save it.'
+};
+let secretScanTimerId = null;
+let serverSecretFindings = [];
+
+function toSecretMarker(finding, action = 'warn') {
+  return {
+    line: finding.line,
+    column: finding.column,
+    endLine: finding.endLine,
+    endColumn: finding.endColumn,
+    message: `Possible ${finding.label} (${finding.preview}). ${SECRET_SCAN_ACTION_TEXT[action] || SECRET_SCAN_ACTION_TEXT.warn}`,
+    severity: action === 'block' ? 'error' : 'warning'
+  };
+}
+
+function renderSecretMarkers(localFindings = []) {
+  if (!editorApi) {
+    return;
+  }
+  const serverKeys = new Set(serverSecretFindings.map((finding) => `${finding.line}:${finding.column}`));
+  const markers = [
+    ...serverSecretFindings.map((finding) => toSecretMarker(finding, finding.action)),
+    ...localFindings
+      .filter((finding) => !serverKeys.has(`${finding.line}:${finding.column}`))
+      .map((finding) => toSecretMarker(finding))
+  ];
+  editorApi.setMarkers(markers, SECRET_MARKER_OWNER);
+}
+
+function scheduleEditorSecretScan() {
+  if (secretScanTimerId) {
+    clearTimeout(secretScanTimerId);
+  }
+  secretScanTimerId = setTimeout(() => {
+    secretScanTimerId = null;
+    // Server findings point at the text the server saw; once the user edits,
+    // the local scan is the accurate one.
+    serverSecretFindings = [];
+    renderSecretMarkers(scanText(getEditorValue(), { path: activeFilePath }));
+  }, SECRET_SCAN_DEBOUNCE_MS);
+}
+
+/**
+ * Shows a `secret_scan` summary from /api/chat or the artifact endpoints as
+ * editor markers (findings in the active file) and a toast.
+ */
+function reportSecretScan(scan, { codePaths = ['currentCode', 'code'] } = {}) {
+  const findings = Array.isArray(scan?.findings) ? scan.findings : [];
+  if (!findings.length) {
+    return;
+  }
+  serverSecretFindings = findings.filter((finding) => (
+    finding.file ? finding.file === activeFilePath : codePaths.includes(finding.path)
+  ));
+  renderSecretMarkers(scanText(getEditorValue(), { path: activeFilePath }));
+  const labels = [...new Set(findings.map((finding) => finding.label))].join(', ');
+  if (scan.action === 'block') {
+    showToast(`Blocked: found ${labels}. Remove it and try again.`);
+  } else if (scan.action === 'redact') {
+    showToast(`Redacted ${findings.length} sensitive value(s) (${labels}) before sending.`, { variant: 'warning', duration: 4000 });
+  } else {
+    showToast(`Possible sensitive data: ${labels}.`, { variant: 'warning', duration: 3000 });
+  }
+}
+
 function revealEditorError(error) {
   if (!editorApi || !error) {
     return;
@@ -1450,6 +1811,12 @@ async function initializeCodeEditor({ value, language }) {
     keybindings: [editorApi.keybindings.gotoLine],
     run: () => editorApi.trigger('', 'editor.action.gotoLine', null)
   });
+  editorApi.addAction({
+    id: 'pin-selection-to-context',
+    label: 'Pin selection to context',
+    contextMenuGroupId: 'navigation',
+    run: () => pinEditorSelectionToContext()
+  });
   editorApi.addCommand(
     editorApi.keybindings.runCode,
     () => {
@@ -1470,58 +1837,46 @@ async function initializeCodeEditor({ value, language }) {
 }
 
 const DEFAULT_MODEL = 'gpt-4.1-mini';
-const SYSTEM_BASE = `You are PDCo Dev Studio.
-
-Generate correct, runnable outputs with minimal verbosity.
-Prefer code over explanation unless asked.
-Avoid narrative, personality, or filler.
-Modify existing code when context implies iteration.
-Ask questions only if required to proceed.
-
-Output must be concise, technical, and executable.`;
-const DEV_PREAMBLE = `Compact glyph headers may describe intent, constraints, or style.
-Treat glyph headers as authoritative.
-Do not restate or explain glyphs unless asked.`;
-const CHAT_PROMPT_CONTENT = `Output rules:
-- Never output JSON, YAML, or code fences.
-- If you return HTML, the FIRST line must be:
-  <!--CHAT: <a short conversational message for the user> -->
-  Then output a complete HTML document.
-- If no HTML is needed, output plain conversational text only.
-- If a visual is requested as part of a technical discussion, prioritize correctness and demonstration over expressiveness or celebration.`;
-const EXECUTION_PROMPT_CONTENT = `Respond with correct, production-quality code.
-Do not explain unless asked.
-Do not use conversational language.
-No metaphors. No encouragement. No emojis. No hedging language.
-Avoid: “Here’s”, “Let’s”, “You can”, “This helps”, “In this example”, “We”.
-
-Output rules:
-- Never output JSON, YAML, or code fences.
-- If you return HTML, the FIRST line must be:
-  <!--CHAT: <a short neutral status message> -->
-  Then output a complete HTML document.
-- If no HTML is needed, output plain text only.`;
-
-function buildPrompt({ role, content }) {
-  const base = SYSTEM_BASE;
-  const promptParts = [base, DEV_PREAMBLE, content].filter(Boolean);
-
-  if (role === 'metadata' || role === 'execution') {
-    return [
-      ...promptParts,
-      'Disable conversational tone.',
-      'Prioritize precision over friendliness.'
-    ].join('\n\n');
-  }
-
-  return promptParts.join('\n\n');
-}
-
-function getSystemPromptForIntent(resolvedIntent) {
-  if (resolvedIntent?.type === 'code') {
-    return buildPrompt({ role: 'execution', content: EXECUTION_PROMPT_CONTENT });
-  }
-  return buildPrompt({ role: 'chat', content: CHAT_PROMPT_CONTENT });
+const CHAT_HISTORY_MESSAGE_LIMIT = 12;
+function getSystemPromptTemplateId(resolvedIntent) {
+  return resolvedIntent?.type === 'code' || resolvedIntent?.type === 'fix'
+    ? 'studio.system.execution'
+    : 'studio.system.chat';
+}
+
+function getSystemPromptForIntent(resolvedIntent, glyphState = null) {
+  const hardConstraints = Array.isArray(glyphState?.constraints?.hard)
+    ? glyphState.constraints.hard
+    : [];
+  const constraintLine = hardConstraints.length
+    ? `\n\nHard constraints for this turn: ${hardConstraints.join(', ')}.`
+    : '';
+  return promptTemplateRegistry.render(getSystemPromptTemplateId(resolvedIntent), {
+    constraint_line: constraintLine
+  }).text;
+}
+
+// Picks up admin rollouts of the studio system prompts; the bundled versions
+// stay in use when the server is unreachable.
+async function loadTokenizerCalibration() {
+  const data = await safeFetchJSON('/api/tokenizers', { credentials: 'include' }, null);
+  if (data?.calibration) {
+    tokenizerRegistry.setCalibration(data.calibration);
+  }
+}
+
+async function loadPromptTemplates() {
+  const data = await safeFetchJSON('/api/prompt-templates', { credentials: 'include' }, null);
+  if (!Array.isArray(data?.templates)) {
+    return;
+  }
+  const { errors } = promptTemplateRegistry.load({
+    versions: data.templates,
+    releases: data.templates.map((template) => ({ template_id: template.id, active_version: template.version }))
+  });
+  if (errors.length) {
+    console.warn('Skipped prompt templates.', errors);
+  }
 }
 
 const SESSION_BRIDGE_MARKER = '<!-- MAYA_SESSION_BRIDGE -->';
@@ -1606,7 +1961,6 @@ function injectSessionBridge(code) {
   return `${code}\n${SESSION_BRIDGE_SCRIPT}`;
 }
 
-const TOKENS_PER_CREDIT = 250;
 const CREDIT_RESERVE_MULTIPLIER = 1.25;
 const CREDIT_WARNING_THRESHOLD = 0.5;
 const MONTHLY_SOFT_USAGE_THRESHOLD = 0.5;
@@ -1894,6 +2248,121 @@ function handleSandboxErrorMessage(event) {
   applyEditorDiagnostics([editorError]);
   revealEditorError(editorError);
   showToast(`Execution failed on line ${editorError.line}`, { variant: 'error', duration: 4000 });
+  maybeRunAutoFix(editorError, event.data.error).catch((error) => {
+    console.warn('Auto-fix attempt failed.', error);
+  });
+}
+
+function isAutoFixEnabled() {
+  return Boolean(autoFixToggle?.checked);
+}
+
+function getAutoFixState() {
+  if (autoFixState?.sessionId !== sessionId) {
+    autoFixState = {
+      sessionId,
+      attempts: 0,
+      creditsUsed: 0,
+      previousErrors: [],
+      running: false,
+      stoppedReason: null
+    };
+  }
+  return autoFixState;
+}
+
+function resetAutoFixAttempts() {
+  const state = getAutoFixState();
+  state.attempts = 0;
+  state.previousErrors = [];
+  state.stoppedReason = null;
+}
+
+function recordAutoFixUsage(usage) {
+  const creditsCharged = Number(
+    usage?.creditsCharged
+    ?? usage?.credits_charged
+    ?? usage?.actualCredits
+    ?? usage?.actual_credits
+  );
+  if (Number.isFinite(creditsCharged) && creditsCharged > 0) {
+    getAutoFixState().creditsUsed += creditsCharged;
+  }
+}
+
+function stopAutoFix(reason, message) {
+  const state = getAutoFixState();
+  if (state.stoppedReason) {
+    return;
+  }
+  state.stoppedReason = reason;
+  showToast(message, { variant: 'error', duration: 5000 });
+}
+
+async function maybeRunAutoFix(editorError, rawError) {
+  if (!isAutoFixEnabled() || !editorError) {
+    return;
+  }
+  const state = getAutoFixState();
+  if (state.running || chatState.locked || pendingEditReview) {
+    return;
+  }
+  if (state.attempts >= AUTO_FIX_MAX_ATTEMPTS) {
+    stopAutoFix('attempts', `Auto-fix stopped after ${AUTO_FIX_MAX_ATTEMPTS} attempts.`);
+    return;
+  }
+  if (state.creditsUsed >= AUTO_FIX_SESSION_CREDIT_CAP) {
+    stopAutoFix('credits', `Auto-fix stopped: ${AUTO_FIX_SESSION_CREDIT_CAP} credit session cap reached.`);
+    return;
+  }
+  const attempt = state.attempts + 1;
+  state.attempts = attempt;
+  state.running = true;
+  try {
+    await sendChat({
+      userPrompt: `Auto-fix ${attempt}/${AUTO_FIX_MAX_ATTEMPTS}: ${editorError.message} (line ${editorError.line})`,
+      fix: {
+        attempt,
+        error: {
+          message: editorError.message,
+          line: editorError.line,
+          column: editorError.column,
+          stack: typeof rawError?.stack === 'string' ? rawError.stack : ''
+        },
+        previousErrors: [...state.previousErrors],
+        parentVersionId: sessionState?.current_editor?.version_id || codeVersionStack.at(-1)?.id || null
+      }
+    });
+  } finally {
+    state.previousErrors.push({ message: editorError.message, line: editorError.line });
+    state.running = false;
+  }
+}
+
+function applyAutoFixResult({ messageId, editPatch, code, fix }) {
+  const fixRecord = {
+    attempt: fix.attempt,
+    error: fix.error.message,
+    line: fix.error.line,
+    parent_version_id: fix.parentVersionId
+  };
+  if (editPatch) {
+    const result = applyEditPatchToProject(editPatch.hunks);
+    if (!result.applied.length) {
+      stopAutoFix('no_match', 'Auto-fix stopped: the suggested edits no longer match the editor.');
+      return null;
+    }
+    currentCode = result.code;
+    setCodeFromLLM(result.code, messageId, {
+      hunks: recordAppliedHunks(editPatch.hunks, result.applied),
+      fix: fixRecord,
+      files: result.files
+    });
+    return result.code;
+  }
+  currentCode = code;
+  setCodeFromLLM(code, messageId, { fix: fixRecord });
+  return code;
 }
 
 function handleSandboxMessage(event) {
@@ -1959,6 +2428,10 @@ function onAuthSuccess({ user, token, provider, credits, deferRender = false })
   }
 
   syncSessionToSandbox();
+  loadContextPins();
+  if (!gameModeEventSource) {
+    resumeGameModeJob();
+  }
 }
 
 function getGoogleAuthFailureMessage({ status, reason, hint }) {
@@ -2383,8 +2856,10 @@ function clearChatState() {
   pendingAssistantProposal = null;
   intentAnchor = null;
   chatState.locked = false;
+  pendingBranch = null;
   if (sessionState) {
     sessionState.messages = [];
+    sessionState.active_leaf_id = null;
     scheduleSessionStatePersist();
   }
   if (chatState.unlockTimerId) {
@@ -2394,9 +2869,9 @@ function clearChatState() {
   updateClearChatButtonState();
 }
 
-const SESSION_STATE_SCHEMA_VERSION = '1.2';
+const SESSION_STATE_SCHEMA_VERSION = '1.3';
 const SESSION_STATE_DB_NAME = 'maya_dev_ui';
-const SESSION_STATE_DB_VERSION = 3;
+const SESSION_STATE_DB_VERSION = 4;
 const SESSION_STATE_STORE_NAME = 'sessions';
 const SESSION_MESSAGES_STORE_NAME = 'messages';
 const SESSION_CODE_STORE_NAME = 'code_versions';
@@ -2461,12 +2936,14 @@ function createInitialSessionState() {
       version_id: ''
     },
     messages: [],
+    active_leaf_id: null,
     code_versions: [],
     active_version_index: -1,
     history_summary: {
       text: '',
       updated_at: null
-    }
+    },
+    glyph_state: null
   };
 }
 
@@ -2492,6 +2969,10 @@ function openSessionStateDb() {
         messages.createIndex('timestamp', 'timestamp');
         messages.createIndex('session_time', ['session_id', 'timestamp']);
       }
+      const messageStore = request.transaction.objectStore(SESSION_MESSAGES_STORE_NAME);
+      if (!messageStore.indexNames.contains('parent_id')) {
+        messageStore.createIndex('parent_id', 'parent_id');
+      }
       if (!db.objectStoreNames.contains(SESSION_CODE_STORE_NAME)) {
         const code = db.createObjectStore(SESSION_CODE_STORE_NAME, { keyPath: 'id' });
         code.createIndex('session_id', 'session_id');
@@ -2639,6 +3120,7 @@ async function loadSessionStateFromIndexedDb(id) {
       version_id: activeVersionId
     },
     messages,
+    active_leaf_id: sessionRecord.active_leaf_id || null,
     code_versions: codeVersions,
     active_version_index: activeIndex
   };
@@ -2660,6 +3142,7 @@ async function saveSessionSnapshotToIndexedDb(state) {
     credits_used_estimate: sessionStats.creditsUsedEstimate,
     token_input_estimate: sessionStats.tokensIn,
     token_output_estimate: sessionStats.tokensOut,
+    active_leaf_id: state.active_leaf_id || null,
     active: true
   };
   const editorState = {
@@ -2740,7 +3223,7 @@ function normalizeSessionState(raw) {
         : getEditorValue(),
       version_id: state.current_editor?.version_id || ''
     },
-    messages: Array.isArray(state.messages) ? state.messages : [],
+    ...normalizeMessageTree(state.messages, state.active_leaf_id),
     code_versions: Array.isArray(state.code_versions) ? state.code_versions : [],
     active_version_index: Number.isFinite(state.active_version_index)
       ? state.active_version_index
@@ -2752,7 +3235,10 @@ function normalizeSessionState(raw) {
           ? state.context_summary
           : '',
       updated_at: state.history_summary?.updated_at || null
-    }
+    },
+    glyph_state: state.glyph_state && typeof state.glyph_state === 'object'
+      ? state.glyph_state
+      : null
   };
 }
 
@@ -2945,18 +3431,24 @@ function upsertMessageEvent({
   role,
   contentText,
   timestamp,
-  producedCodeVersionId = null
+  producedCodeVersionId = null,
+  parentId
 }) {
   if (!sessionState || (role !== 'user' && role !== 'assistant')) {
     return;
   }
   const existing = sessionState.messages.find((entry) => entry.id === messageId);
+  // New messages hang off the active leaf unless the caller is forking.
+  const resolvedParentId = existing
+    ? existing.parent_id ?? null
+    : parentId !== undefined ? parentId : sessionState.active_leaf_id ?? null;
   const content_blocks = role === 'assistant'
     ? extractContentBlocks(contentText)
     : undefined;
   const next = {
     id: messageId,
     session_id: sessionId,
+    parent_id: resolvedParentId,
     role,
     timestamp: timestamp || new Date().toISOString(),
     content_text: contentText || '',
@@ -2968,6 +3460,7 @@ function upsertMessageEvent({
     Object.assign(existing, next);
   } else {
     sessionState.messages.push(next);
+    sessionState.active_leaf_id = messageId;
     appendMessageToIndexedDb(next);
   }
   scheduleSessionStatePersist();
@@ -2988,11 +3481,19 @@ function addCodeVersion({
   content,
   source = 'user',
   messageId = null,
-  language = null
+  language = null,
+  hunks = null,
+  fix = null
 }) {
   const normalizedCode = typeof content === 'string' ? content : '';
+  const files = isMultiFileProject() ? getProjectFiles(normalizedCode) : null;
   const lastVersion = codeVersionStack.at(-1);
-  if (lastVersion?.content === normalizedCode) {
+  // Switching files changes the editor but not the project, so multi-file
+  // versions are compared by their file maps.
+  const unchanged = files
+    ? JSON.stringify(lastVersion?.files || null) === JSON.stringify(files)
+    : (lastVersion?.content === normalizedCode && !lastVersion?.files);
+  if (unchanged) {
     return lastVersion;
   }
   const resolvedLanguage = language || sessionState?.current_editor?.language || 'html';
@@ -3010,7 +3511,10 @@ function addCodeVersion({
       ? simpleLineDiff(lastVersion.content, normalizedCode)
       : null,
     cursor,
-    scroll_top: scrollTop
+    scroll_top: scrollTop,
+    ...(files ? { files, active_path: activeFilePath } : {}),
+    ...(Array.isArray(hunks) && hunks.length ? { hunks } : {}),
+    ...(fix ? { fix } : {})
   };
   codeVersionStack.push(version);
   if (sessionState) {
@@ -3085,6 +3589,8 @@ function resetCodeHistory() {
 }
 
 function clearEditorState() {
+  closeEditReview();
+  setProjectFiles({}, DEFAULT_CODE_FILE_PATH);
   setEditorValue(defaultInterfaceCode);
   baselineCode = defaultInterfaceCode;
   currentCode = defaultInterfaceCode;
@@ -3112,11 +3618,49 @@ function clearPreviewState() {
   }
 }
 
+function requestServerChatCancel(requestId) {
+  if (!requestId) {
+    return;
+  }
+  apiFetch(`${API_BASE}/api/chat/${encodeURIComponent(requestId)}/cancel`, {
+    method: 'POST',
+    keepalive: true
+  }).catch((error) => {
+    console.warn('Chat cancel request failed.', error);
+  });
+}
+
+// A model-routing experiment counts a turn as "kept" when the code version it
+// produced is still on the active branch at the start of the next turn.
+function reportExperimentOutcome() {
+  const outcome = pendingExperimentOutcome;
+  pendingExperimentOutcome = null;
+  if (!outcome) {
+    return;
+  }
+  const versionIndex = codeVersionStack.findIndex((version) => version.message_id === outcome.messageId);
+  const activeIndex = sessionState?.active_version_index ?? codeVersionStack.length - 1;
+  const kept = versionIndex !== -1 && activeIndex >= versionIndex;
+  apiFetch(`${API_BASE}/api/experiments/outcome`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    keepalive: true,
+    body: JSON.stringify({
+      request_id: outcome.requestId,
+      kept,
+      code_version_id: codeVersionStack[versionIndex]?.id || null
+    })
+  }).catch((error) => {
+    console.warn('Experiment outcome report failed.', error);
+  });
+}
+
 function abortActiveChat({ silent = false } = {}) {
   if (!chatAbortController || !isGenerating) {
     return;
   }
   chatAbortSilent = silent;
+  requestServerChatCancel(activeChatRequestId);
   chatAbortController.abort();
 }
 
@@ -3575,6 +4119,7 @@ function startNewSession() {
   updateGenerationIndicator();
   updateSessionAnalyticsPanel();
   activeArtifactId = null;
+  loadContextPins();
   chatInput?.focus();
 }
 
@@ -3633,17 +4178,459 @@ function openClearChatModal() {
     clearChatInProgress = false;
   } });
 
-  document.getElementById('clearChatSave')?.addEventListener('click', () => {
-    handleClearChat('save');
+  document.getElementById('clearChatSave')?.addEventListener('click', () => {
+    handleClearChat('save');
+  });
+  document.getElementById('clearChatDiscard')?.addEventListener('click', () => {
+    handleClearChat('discard');
+  });
+  document.getElementById('clearChatCancel')?.addEventListener('click', () => {
+    if (clearChatInProgress) {
+      return;
+    }
+    ModalManager.close();
+  });
+}
+
+function renderHistorySummaryChunk(chunk, index) {
+  const label = `Chunk ${index + 1} · ${chunk.message_count} messages${chunk.edited ? ' · edited' : ''}`;
+  return `
+    <label class="modal-field history-summary-chunk">
+      <span>${escapeHtml(label)}</span>
+      <textarea rows="4" data-end-message-id="${escapeHtml(chunk.end_message_id)}">${escapeHtml(chunk.summary)}</textarea>
+    </label>
+  `;
+}
+
+// The server keeps one running summary per session plus the chunk summaries
+// it was folded from; users can correct either before the next turn uses it.
+async function openHistorySummaryModal() {
+  const data = await safeFetchJSON(
+    `${API_BASE}/api/session/state/${encodeURIComponent(sessionId)}/history-summary`,
+    { credentials: 'include' },
+    null
+  );
+  if (!data?.ok) {
+    showToast('Could not load the conversation summary.');
+    return;
+  }
+  const summary = data.history_summary || { chunks: [], session_summary: { text: '' } };
+  const chunks = Array.isArray(summary.chunks) ? summary.chunks : [];
+  const html = `
+    <h2>Conversation summary</h2>
+    <p>Older turns are summarized on the server and sent with each request instead of the full history.</p>
+    <div class="modal-body history-summary-body">
+      <label class="modal-field">
+        <span>Session summary${summary.session_summary?.edited ? ' · edited' : ''} · ${summary.session_summary?.message_count || 0} messages</span>
+        <textarea id="historySummaryText" rows="6" placeholder="Nothing summarized yet.">${escapeHtml(summary.session_summary?.text || '')}</textarea>
+      </label>
+      ${chunks.length ? `<details><summary>${chunks.length} chunk summar${chunks.length === 1 ? 'y' : 'ies'}</summary>${chunks.map(renderHistorySummaryChunk).join('')}</details>` : ''}
+    </div>
+    <div class="modal-actions">
+      <button id="historySummarySave" type="button">Save</button>
+      <button id="historySummaryReset" class="danger" type="button">Reset</button>
+      <button id="historySummaryCancel" class="secondary" type="button">Cancel</button>
+    </div>
+  `;
+  ModalManager.open(html, { dismissible: true });
+
+  const endpoint = `${API_BASE}/api/session/state/${encodeURIComponent(sessionId)}/history-summary`;
+  document.getElementById('historySummarySave')?.addEventListener('click', async () => {
+    const sessionText = document.getElementById('historySummaryText')?.value ?? '';
+    const editedChunks = Array.from(document.querySelectorAll('.history-summary-chunk textarea'))
+      .filter((field, index) => field.value.trim() !== chunks[index]?.summary)
+      .map((field) => ({ end_message_id: field.dataset.endMessageId, summary: field.value }));
+    const sessionTextChanged = sessionText.trim() !== (summary.session_summary?.text || '');
+    if (!editedChunks.length && !sessionTextChanged) {
+      ModalManager.close();
+      return;
+    }
+    const res = await apiFetch(endpoint, {
+      method: 'PUT',
+      body: JSON.stringify({
+        chunks: editedChunks,
+        ...(sessionTextChanged ? { session_summary: { text: sessionText } } : {})
+      })
+    }).catch(() => null);
+    const body = await res?.json().catch(() => null);
+    if (!res?.ok || !body?.ok) {
+      showToast(body?.error || 'Could not save the conversation summary.');
+      return;
+    }
+    if (sessionState) {
+      sessionState.history_summary = {
+        text: body.history_summary.session_summary.text,
+        updated_at: new Date().toISOString()
+      };
+    }
+    ModalManager.close();
+    showToast('Conversation summary saved.', { variant: 'success' });
+  });
+  document.getElementById('historySummaryReset')?.addEventListener('click', async () => {
+    const res = await apiFetch(endpoint, { method: 'DELETE' }).catch(() => null);
+    if (!res?.ok) {
+      showToast('Could not reset the conversation summary.');
+      return;
+    }
+    if (sessionState) {
+      sessionState.history_summary = { text: '', updated_at: null };
+    }
+    ModalManager.close();
+  });
+  document.getElementById('historySummaryCancel')?.addEventListener('click', () => {
+    ModalManager.close();
+  });
+}
+
+// Pinned items go out with every chat request ahead of the relevance-selected
+// history and code. Pins made while an artifact is open belong to it; the
+// rest apply to every chat.
+const CONTEXT_PIN_KIND_LABELS = { instruction: 'Instruction', message: 'Message', code: 'Code' };
+let contextPins = [];
+
+function updateContextPinsButtonState() {
+  if (!contextPinsButton) {
+    return;
+  }
+  contextPinsButton.title = contextPins.length ? `Pinned context (${contextPins.length})` : 'Pinned context';
+  contextPinsButton.classList.toggle('has-pins', contextPins.length > 0);
+}
+
+async function loadContextPins() {
+  const query = activeArtifactId ? `?artifactId=${encodeURIComponent(activeArtifactId)}` : '';
+  const data = await safeFetchJSON(`${API_BASE}/api/context-pins${query}`, { credentials: 'include' }, null);
+  contextPins = data?.ok && Array.isArray(data.pins) ? data.pins : [];
+  updateContextPinsButtonState();
+  return data;
+}
+
+async function createContextPin({ kind, content, label = '', source = {}, artifactScoped = Boolean(activeArtifactId) }) {
+  const res = await apiFetch(`${API_BASE}/api/context-pins`, {
+    method: 'POST',
+    body: JSON.stringify({
+      kind,
+      content,
+      label,
+      source,
+      artifactId: artifactScoped && activeArtifactId ? activeArtifactId : null
+    })
+  }).catch(() => null);
+  const body = await res?.json().catch(() => null);
+  if (!res?.ok || !body?.ok) {
+    showToast(body?.error || 'Could not pin to context.');
+    return null;
+  }
+  contextPins = [...contextPins, body.pin];
+  updateContextPinsButtonState();
+  if (body.secret_scan) {
+    reportSecretScan(body.secret_scan, { codePaths: [] });
+  }
+  return body.pin;
+}
+
+async function deleteContextPin(pinId) {
+  const res = await apiFetch(`${API_BASE}/api/context-pins/${encodeURIComponent(pinId)}`, { method: 'DELETE' }).catch(() => null);
+  if (!res?.ok) {
+    showToast('Could not remove the pin.');
+    return false;
+  }
+  contextPins = contextPins.filter((pin) => pin.id !== pinId);
+  updateContextPinsButtonState();
+  return true;
+}
+
+async function pinMessageToContext(messageEl, text) {
+  const content = String(text || '').trim();
+  if (!content) {
+    return;
+  }
+  const role = messageEl?.classList.contains('assistant') ? 'assistant' : 'user';
+  const pin = await createContextPin({
+    kind: 'message',
+    content,
+    label: role === 'assistant' ? 'assistant reply' : 'user message',
+    source: { message_id: messageEl?.dataset.id || '', role }
+  });
+  if (pin) {
+    showToast('Message pinned to context.', { variant: 'success' });
+  }
+}
+
+async function pinEditorSelectionToContext() {
+  const selection = editorApi?.getSelection();
+  if (!selection?.text?.trim()) {
+    showToast('Select some code to pin first.');
+    return;
+  }
+  const path = activeFilePath || 'editor';
+  const lines = selection.startLine === selection.endLine
+    ? `L${selection.startLine}`
+    : `L${selection.startLine}-${selection.endLine}`;
+  const pin = await createContextPin({
+    kind: 'code',
+    content: selection.text,
+    label: `${path} ${lines}`,
+    source: { path, start_line: selection.startLine, end_line: selection.endLine }
+  });
+  if (pin) {
+    showToast('Selection pinned to context.', { variant: 'success' });
+  }
+}
+
+function renderContextPinItem(pin) {
+  const scope = pin.artifact_id ? 'this artifact' : 'all chats';
+  const title = `${CONTEXT_PIN_KIND_LABELS[pin.kind] || pin.kind}${pin.label ? ` · ${pin.label}` : ''} · ${scope}`;
+  return `
+    <li class="context-pin-item" data-pin-id="${escapeHtml(pin.id)}">
+      <div class="context-pin-header">
+        <span>${escapeHtml(title)}</span>
+        <button class="secondary context-pin-remove" type="button" data-pin-id="${escapeHtml(pin.id)}">Remove</button>
+      </div>
+      <pre class="context-pin-content">${escapeHtml(pin.content.length > 400 ? `${pin.content.slice(0, 400)}…` : pin.content)}</pre>
+    </li>
+  `;
+}
+
+async function openContextPinsModal() {
+  const data = await loadContextPins();
+  if (!data?.ok) {
+    showToast(data?.error || 'Could not load pinned context.');
+    return;
+  }
+  const html = `
+    <h2>Pinned context</h2>
+    <p>Pinned items are sent with every message, ahead of recent history and code, and count against your context budget.</p>
+    <div class="modal-body context-pins-body">
+      <label class="modal-field">
+        <span>Project instruction</span>
+        <textarea id="contextPinInstruction" rows="3" placeholder="e.g. Always use vanilla JS, no CDNs."></textarea>
+      </label>
+      ${activeArtifactId ? `
+        <label class="modal-field">
+          <span>Applies to</span>
+          <select id="contextPinScope">
+            <option value="artifact" selected>This artifact</option>
+            <option value="user">All chats</option>
+          </select>
+        </label>
+      ` : ''}
+      <ul class="context-pin-list">
+        ${contextPins.length ? contextPins.map(renderContextPinItem).join('') : '<li class="context-pin-empty">Nothing pinned yet. Use 📌 on a message or “Pin selection to context” in the editor.</li>'}
+      </ul>
+    </div>
+    <div class="modal-actions">
+      <button id="contextPinAdd" type="button">Add instruction</button>
+      <button id="contextPinsClose" class="secondary" type="button">Close</button>
+    </div>
+  `;
+  ModalManager.open(html, { dismissible: true });
+
+  document.getElementById('contextPinAdd')?.addEventListener('click', async () => {
+    const content = document.getElementById('contextPinInstruction')?.value.trim() || '';
+    if (!content) {
+      return;
+    }
+    const scope = document.getElementById('contextPinScope')?.value || 'user';
+    const pin = await createContextPin({ kind: 'instruction', content, artifactScoped: scope === 'artifact' });
+    if (pin) {
+      openContextPinsModal();
+    }
+  });
+  document.querySelectorAll('.context-pin-remove').forEach((button) => {
+    button.addEventListener('click', async () => {
+      if (await deleteContextPin(button.dataset.pinId)) {
+        button.closest('.context-pin-item')?.remove();
+      }
+    });
+  });
+  document.getElementById('contextPinsClose')?.addEventListener('click', () => {
+    ModalManager.close();
+  });
+}
+
+let pendingChatImages = [];
+
+// Largest edge sent upstream; bigger captures only cost more image tokens
+// without helping the model read the layout.
+const VISUAL_DEBUG_MAX_EDGE = 1568;
+const VISUAL_DEBUG_MIN_REGION = 8;
+
+function loadImageElement(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Could not load the screenshot.'));
+    image.src = src;
+  });
+}
+
+function estimateDataUrlBytes(dataUrl) {
+  const base64 = String(dataUrl || '').split(',')[1] || '';
+  return Math.floor((base64.length * 3) / 4);
+}
+
+function drawVisualDebugCanvas(canvas, image, region) {
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    return;
+  }
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  if (region) {
+    ctx.strokeStyle = '#ff3b30';
+    ctx.lineWidth = Math.max(3, Math.round(canvas.width / 320));
+    ctx.strokeRect(region.x, region.y, region.width, region.height);
+  }
+}
+
+function renderMessageAttachments(messageEl, attachments = []) {
+  messageEl?.querySelector('.message-attachments')?.remove();
+  const visible = attachments.filter((attachment) => attachment?.src || attachment?.url);
+  if (!messageEl || !visible.length) {
+    return;
+  }
+  const container = document.createElement('div');
+  container.className = 'message-attachments';
+  visible.forEach((attachment) => {
+    const image = document.createElement('img');
+    image.className = 'message-attachment';
+    image.src = attachment.src || attachment.url;
+    image.alt = attachment.region ? 'Preview screenshot with a marked region' : 'Preview screenshot';
+    image.loading = 'lazy';
+    container.appendChild(image);
+  });
+  messageEl.appendChild(container);
+}
+
+// Session history keeps the stored image reference, never the pixels, so
+// the persisted session stays small.
+function setMessageAttachments(messageId, attachments = []) {
+  const entry = sessionState?.messages.find((message) => message.id === messageId);
+  if (!entry) {
+    return;
+  }
+  entry.attachments = attachments.map((attachment) => ({
+    url: attachment.url || null,
+    width: attachment.width,
+    height: attachment.height,
+    region: attachment.region || null,
+    tokens: attachment.tokens || 0
+  }));
+  scheduleSessionStatePersist();
+}
+
+function takePendingChatImages() {
+  const images = pendingChatImages;
+  pendingChatImages = [];
+  return images;
+}
+
+async function openVisualDebugModal() {
+  if (chatState.locked) {
+    return;
+  }
+  let screenshot = '';
+  try {
+    screenshot = await captureArtifactScreenshot();
+  } catch (error) {
+    console.warn('Preview capture failed.', error);
+  }
+  if (!screenshot) {
+    showToast('Run something in the preview first, then ask about it.');
+    return;
+  }
+  const image = await loadImageElement(screenshot).catch(() => null);
+  if (!image) {
+    showToast('Could not capture the preview.');
+    return;
+  }
+  const html = `
+    <h2>Ask about the preview</h2>
+    <p>The screenshot is sent with your question. Drag on it to outline the part that looks wrong.</p>
+    <div class="modal-body visual-debug-body">
+      <canvas id="visualDebugCanvas" class="visual-debug-canvas"></canvas>
+      <label class="modal-field">
+        <span>Question</span>
+        <textarea id="visualDebugPrompt" rows="3">What's wrong with how this looks?</textarea>
+      </label>
+    </div>
+    <div class="modal-actions">
+      <button id="visualDebugSend" type="button">Send</button>
+      <button id="visualDebugClearRegion" class="secondary" type="button">Clear region</button>
+      <button id="visualDebugCancel" class="secondary" type="button">Cancel</button>
+    </div>
+  `;
+  ModalManager.open(html, { dismissible: true });
+
+  const canvas = document.getElementById('visualDebugCanvas');
+  if (!canvas) {
+    return;
+  }
+  const scale = Math.min(1, VISUAL_DEBUG_MAX_EDGE / Math.max(image.naturalWidth, image.naturalHeight));
+  canvas.width = Math.round(image.naturalWidth * scale);
+  canvas.height = Math.round(image.naturalHeight * scale);
+  let region = null;
+  let dragStart = null;
+  drawVisualDebugCanvas(canvas, image, region);
+
+  const toCanvasPoint = (event) => {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: Math.min(canvas.width, Math.max(0, ((event.clientX - rect.left) * canvas.width) / rect.width)),
+      y: Math.min(canvas.height, Math.max(0, ((event.clientY - rect.top) * canvas.height) / rect.height))
+    };
+  };
+  canvas.addEventListener('pointerdown', (event) => {
+    dragStart = toCanvasPoint(event);
+    canvas.setPointerCapture?.(event.pointerId);
+  });
+  canvas.addEventListener('pointermove', (event) => {
+    if (!dragStart) {
+      return;
+    }
+    const point = toCanvasPoint(event);
+    region = {
+      x: Math.round(Math.min(dragStart.x, point.x)),
+      y: Math.round(Math.min(dragStart.y, point.y)),
+      width: Math.round(Math.abs(point.x - dragStart.x)),
+      height: Math.round(Math.abs(point.y - dragStart.y))
+    };
+    drawVisualDebugCanvas(canvas, image, region);
+  });
+  canvas.addEventListener('pointerup', () => {
+    dragStart = null;
+    if (region && (region.width < VISUAL_DEBUG_MIN_REGION || region.height < VISUAL_DEBUG_MIN_REGION)) {
+      region = null;
+      drawVisualDebugCanvas(canvas, image, region);
+    }
+  });
+
+  document.getElementById('visualDebugClearRegion')?.addEventListener('click', () => {
+    region = null;
+    drawVisualDebugCanvas(canvas, image, region);
   });
-  document.getElementById('clearChatDiscard')?.addEventListener('click', () => {
-    handleClearChat('discard');
+  document.getElementById('visualDebugCancel')?.addEventListener('click', () => {
+    ModalManager.close();
   });
-  document.getElementById('clearChatCancel')?.addEventListener('click', () => {
-    if (clearChatInProgress) {
+  document.getElementById('visualDebugSend')?.addEventListener('click', () => {
+    const question = document.getElementById('visualDebugPrompt')?.value.trim() || '';
+    if (!question) {
+      return;
+    }
+    const dataUrl = canvas.toDataURL('image/png');
+    if (estimateDataUrlBytes(dataUrl) > CHAT_IMAGE_LIMITS.maxBytes) {
+      showToast('The screenshot is too large to send. Try a smaller preview.');
       return;
     }
+    pendingChatImages = [{
+      dataUrl,
+      width: canvas.width,
+      height: canvas.height,
+      region,
+      source: 'preview'
+    }];
     ModalManager.close();
+    chatInput.value = question;
+    sendChat();
   });
 }
 
@@ -4378,6 +5365,8 @@ async function bootApp() {
 
   appMachine.dispatch(EVENTS.START);
 
+  loadPromptTemplates();
+  loadTokenizerCalibration();
   const plans = await safeFetchJSON('/api/plans', { credentials: 'include' }, null);
   appMachine.dispatch(EVENTS.NETWORK_OK);
   if (plans && Array.isArray(plans.plans)) {
@@ -4956,6 +5945,7 @@ function handleEditorContentChange() {
   updateSaveCodeButtonState();
   requestCreditPreviewUpdate();
   updatePlayableButtonState();
+  scheduleEditorSecretScan();
 }
 
 function scheduleFollowEditorRun(code, hasEdits) {
@@ -5292,6 +6282,7 @@ function applyArtifactToEditor(artifact) {
   });
   lastCodeSource = 'artifact';
   activeArtifactId = artifact.artifact_id || null;
+  loadContextPins();
   updateRunButtonVisibility();
   updateRollbackVisibility();
   updatePromoteVisibility();
@@ -5760,6 +6751,15 @@ async function loadArtifactCodeVersions() {
   return Array.isArray(sessionState?.code_versions) ? sessionState.code_versions : [];
 }
 
+function createArtifactSaveError(data, fallbackMessage) {
+  const error = new Error(data?.error || fallbackMessage);
+  error.code = data?.error_code || null;
+  if (error.code === 'SECRET_DETECTED') {
+    reportSecretScan(data.secret_scan, { codePaths: ['code'] });
+  }
+  return error;
+}
+
 async function createArtifact(payload) {
   const res = await apiFetch(`${API_BASE}/api/artifacts`, {
     method: 'POST',
@@ -5769,9 +6769,10 @@ async function createArtifact(payload) {
   });
   if (!res.ok) {
     const data = await res.json().catch(() => ({}));
-    throw new Error(data?.error || 'Artifact save failed');
+    throw createArtifactSaveError(data, 'Artifact save failed');
   }
   const data = await res.json();
+  reportSecretScan(data?.secret_scan, { codePaths: ['code'] });
   return data?.artifact || {
     artifact_id: data?.artifact_id,
     screenshot_url: data?.screenshot_url || '',
@@ -5788,9 +6789,10 @@ async function createArtifactVersion(artifactId, payload) {
   });
   if (!res.ok) {
     const data = await res.json().catch(() => ({}));
-    throw new Error(data?.error || 'Artifact version save failed');
+    throw createArtifactSaveError(data, 'Artifact version save failed');
   }
   const data = await res.json();
+  reportSecretScan(data?.secret_scan, { codePaths: ['code'] });
   return data?.artifact;
 }
 
@@ -6235,7 +7237,11 @@ async function handleSaveCodeArtifact() {
           status: 'pending',
           last_error: error?.message || 'Upload failed'
         });
-        showToast('Saved locally – retry upload', { variant: 'warning', duration: 3000 });
+        // reportSecretScan already explained the block; retrying would fail
+        // the same way until the secret is removed.
+        if (error?.code !== 'SECRET_DETECTED') {
+          showToast('Saved locally – retry upload', { variant: 'warning', duration: 3000 });
+        }
       } finally {
         saveArtifactInProgress = false;
         updateSaveCodeButtonState();
@@ -6471,12 +7477,20 @@ async function handleArtifactVisibilityToggle(artifactId) {
           })
         });
       }
-      await apiFetch(`${API_BASE}/api/artifacts/${artifactId}/visibility`, {
+      const visibilityRes = await apiFetch(`${API_BASE}/api/artifacts/${artifactId}/visibility`, {
         method: 'PATCH',
         credentials: 'include',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ visibility: makePublic ? 'public' : 'private' })
       });
+      if (!visibilityRes.ok) {
+        const data = await visibilityRes.json().catch(() => ({}));
+        if (data?.error_code === 'SECRET_DETECTED') {
+          const labels = [...new Set((data.secret_scan?.findings || []).map((finding) => finding.label))].join(', ');
+          showToast(`Not published: found ${labels || 'secrets'}. Remove them and save a new version first.`);
+          return;
+        }
+      }
       ModalManager.close();
       await loadPrivateGallery();
       await loadAccountArtifactSummary();
@@ -8468,16 +9482,24 @@ function closeUsageModal() {
 }
 
 function estimateTokensForContent(content) {
-  if (!content) {
-    return 0;
-  }
-  const text = typeof content === 'string' ? content : JSON.stringify(content);
-  const tokens = text.match(/[A-Za-z0-9_]+|\s+|[^\sA-Za-z0-9_]/g);
-  return tokens ? tokens.length : 0;
+  return tokenizerRegistry.countTextTokens(content, DEFAULT_MODEL);
 }
 
-function estimateTokensForRequest({ userInput, currentCode }) {
-  return estimateTokensForContent(userInput) + estimateTokensForContent(currentCode);
+// Counts the prompt the way the server meters it: system prompt plus one
+// user turn carrying the code, with the model family's message framing.
+function estimateTokensForRequest({ userInput, currentCode, intentType, images = pendingChatImages }) {
+  if (!userInput && !currentCode) {
+    return 0;
+  }
+  const imageTokens = images.reduce(
+    (sum, image) => sum + tokenizerRegistry.countImageTokens(image, DEFAULT_MODEL),
+    0
+  );
+  return imageTokens + tokenizerRegistry.countMessageTokens([
+    { role: 'system', content: getSystemPromptForIntent({ type: intentType }) },
+    ...contextPins.map((pin) => ({ role: 'system', content: pin.content })),
+    { role: 'user', content: [userInput, currentCode].filter(Boolean).join('\n\n') }
+  ], DEFAULT_MODEL);
 }
 
 function tokensToCredits(tokenCount) {
@@ -8487,9 +9509,9 @@ function tokensToCredits(tokenCount) {
   return Math.ceil(tokenCount / TOKENS_PER_CREDIT);
 }
 
-function estimateCreditsPreview({ userInput, currentCode }) {
-  const totalTokens = estimateTokensForRequest({ userInput, currentCode });
-  const estimatedCredits = tokensToCredits(totalTokens);
+function estimateCreditsPreview({ userInput, currentCode, intentType = resolveIntent(userInput || '').type }) {
+  const inputTokens = estimateTokensForRequest({ userInput, currentCode, intentType });
+  const estimatedCredits = inputTokens ? creditsForTokens({ inputTokens, outputTokens: 0, intentType }) : 0;
   const reservedCredits = estimatedCredits
     ? Math.ceil(estimatedCredits * CREDIT_RESERVE_MULTIPLIER)
     : 0;
@@ -8731,7 +9753,8 @@ function updateCreditPreview({ force = false } = {}) {
   const creditState = getCreditState();
   const { estimated, reserved } = estimateCreditsPreview({
     userInput: userText,
-    currentCode
+    currentCode,
+    intentType: resolvedIntent.type
   });
 
   let previewText = formatCreditPreview({
@@ -9130,6 +10153,8 @@ setEditorValue(defaultInterfaceCode);
 let currentCode = defaultInterfaceCode;
 let baselineCode = defaultInterfaceCode;
 let previousCode = null;
+let pendingEditReview = null;
+let autoFixState = null;
 let loadingStartTime = null;
 let loadingInterval = null;
 let isGenerating = false;
@@ -9151,6 +10176,9 @@ let pendingAssistantProposal = null;
 let intentAnchor = null;
 let chatAbortController = null;
 let chatAbortSilent = false;
+let activeChatRequestId = null;
+let pendingExperimentOutcome = null;
+let pendingBranch = null;
 let pendingPreviewPerf = null;
 let previewHandshakeAttempt = 0;
 let followEditorEnabled = safeStorageGet(FOLLOW_EDITOR_STORAGE_KEY) !== 'false';
@@ -9670,9 +10698,24 @@ function attachCopyButton(messageEl, getTextFn) {
   messageEl.appendChild(btn);
 }
 
+function attachPinButton(messageEl, getTextFn) {
+  if (!messageEl || messageEl.querySelector('.chat-pin-btn')) {
+    return;
+  }
+  const btn = document.createElement('button');
+  btn.className = 'chat-pin-btn';
+  btn.textContent = '📌';
+  btn.title = 'Pin to context';
+  btn.addEventListener('click', (event) => {
+    event.stopPropagation();
+    pinMessageToContext(messageEl, getTextFn());
+  });
+  messageEl.appendChild(btn);
+}
+
 function getMessageCopyText(messageEl) {
   const clone = messageEl.cloneNode(true);
-  clone.querySelectorAll('.assistant-meta, .chat-copy-btn').forEach((el) => el.remove());
+  clone.querySelectorAll('.assistant-meta, .chat-copy-btn, .message-branch-controls').forEach((el) => el.remove());
   return clone.innerText.replace(/✓|📋/g, '').trim();
 }
 
@@ -9719,6 +10762,7 @@ function appendMessage(role, content, options = {}) {
   updateClearChatButtonState();
   if (role === 'user') {
     attachCopyButton(message, () => content);
+    attachPinButton(message, () => content);
   }
   if (role === 'user' || role === 'assistant') {
     upsertMessageEvent({
@@ -9728,9 +10772,153 @@ function appendMessage(role, content, options = {}) {
       timestamp: message.dataset.timestamp
     });
   }
+  if (role === 'user') {
+    attachBranchControls(message);
+  }
   return message;
 }
 
+function createBranchButton(label, title, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'message-branch-btn';
+  button.textContent = label;
+  button.title = title;
+  button.setAttribute('aria-label', title);
+  button.addEventListener('click', (event) => {
+    event.stopPropagation();
+    onClick();
+  });
+  return button;
+}
+
+function attachBranchControls(messageEl) {
+  const messageId = messageEl?.dataset.id;
+  if (!messageId || !sessionState) {
+    return;
+  }
+  messageEl.querySelector('.message-branch-controls')?.remove();
+  const controls = document.createElement('div');
+  controls.className = 'message-branch-controls';
+  const { siblings, index } = getMessageSiblings(sessionState.messages, messageId);
+  if (siblings.length > 1) {
+    const previous = createBranchButton('‹', 'Previous branch', () => switchBranch(siblings[index - 1]?.id));
+    previous.disabled = index <= 0;
+    const position = document.createElement('span');
+    position.className = 'message-branch-position';
+    position.textContent = `${index + 1}/${siblings.length}`;
+    const next = createBranchButton('›', 'Next branch', () => switchBranch(siblings[index + 1]?.id));
+    next.disabled = index >= siblings.length - 1;
+    controls.append(previous, position, next);
+  }
+  controls.append(
+    createBranchButton('✎', 'Edit as a new branch', () => startBranchEdit(messageId)),
+    createBranchButton('↻', 'Regenerate as a new branch', () => regenerateBranch(messageId))
+  );
+  messageEl.appendChild(controls);
+}
+
+function renderStoredMessage(entry) {
+  const message = document.createElement('div');
+  message.className = `message ${entry.role}`;
+  message.dataset.id = entry.id;
+  message.dataset.timestamp = entry.timestamp || '';
+  stampMessage(message, entry.role);
+  if (entry.role === 'assistant') {
+    message.innerHTML = formatAssistantHtml(entry.content_text || '');
+    attachCopyButton(message, () => getMessageCopyText(message));
+    attachPinButton(message, () => getMessageCopyText(message));
+  } else {
+    message.textContent = entry.content_text || '';
+    attachCopyButton(message, () => entry.content_text || '');
+    attachPinButton(message, () => entry.content_text || '');
+    renderMessageAttachments(message, entry.attachments);
+  }
+  chatMessages.appendChild(message);
+  if (entry.role === 'user') {
+    attachBranchControls(message);
+  }
+}
+
+// Rebuilds the transcript from the message tree so only the active branch
+// is visible; the other branches stay in session state.
+function renderActivePath() {
+  if (!chatMessages || !sessionState) {
+    return;
+  }
+  closeEditReview();
+  chatMessages.innerHTML = '';
+  getActivePath(sessionState.messages, sessionState.active_leaf_id).forEach(renderStoredMessage);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+  updateClearChatButtonState();
+}
+
+async function activateBranchCode(leafId) {
+  const timeline = await getVersionTimeline(sessionId);
+  const version = selectBranchCodeVersion(timeline.versions, sessionState?.messages || [], leafId);
+  if (!version || version.id === sessionState?.current_editor?.version_id) {
+    return;
+  }
+  const index = timeline.versions.findIndex((entry) => entry.id === version.id);
+  await activateVersion(sessionId, version, { versions: timeline.versions, index });
+  currentCode = version.content;
+}
+
+// A different branch means a different transcript, so the rolling summary of
+// the old branch no longer applies and is rebuilt from the new path.
+function resetBranchSummary() {
+  if (sessionState) {
+    sessionState.history_summary = { text: '', updated_at: null };
+  }
+}
+
+async function switchBranch(messageId) {
+  if (!messageId || !sessionState || chatState.locked) {
+    return;
+  }
+  sessionState.active_leaf_id = findLatestLeaf(sessionState.messages, messageId);
+  pendingBranch = null;
+  resetBranchSummary();
+  renderActivePath();
+  await activateBranchCode(sessionState.active_leaf_id);
+  scheduleSessionStatePersist();
+}
+
+function startBranchEdit(messageId) {
+  const message = sessionState?.messages.find((entry) => entry.id === messageId);
+  if (!message || chatState.locked || !chatInput) {
+    return;
+  }
+  pendingBranch = { parentId: message.parent_id ?? null };
+  chatInput.value = message.content_text || '';
+  chatInput.focus();
+  showToast('Sending will start a new branch from this message.', { duration: 3000 });
+}
+
+function regenerateBranch(messageId) {
+  const message = sessionState?.messages.find((entry) => entry.id === messageId);
+  if (!message || chatState.locked) {
+    return;
+  }
+  pendingBranch = { parentId: message.parent_id ?? null };
+  sendChat({ userPrompt: message.content_text || '' });
+}
+
+function buildActivePathHistory(leafId, limit = CHAT_HISTORY_MESSAGE_LIMIT) {
+  if (!sessionState || !leafId) {
+    return [];
+  }
+  return getActivePath(sessionState.messages, leafId)
+    .filter((entry) => entry.content_text)
+    .slice(-limit)
+    .map((entry) => ({
+      id: entry.id,
+      parent_id: entry.parent_id ?? null,
+      role: entry.role,
+      content: entry.content_text
+    }));
+}
+
 function createGenerationNarrator({
   addMessage,
   minInterval = 1000,
@@ -9866,12 +11054,19 @@ function createGenerationFeedback({ addMessage, updateMessage }) {
   };
 }
 
-function renderAssistantMessage(messageId, text, metadataParts = []) {
+function renderAssistantMessage(messageId, text, metadataParts = [], { partial = false } = {}) {
   const safeText =
     (typeof text === 'string' && text.trim().length)
       ? text.trim()
       : '';
 
+  if (partial) {
+    if (messageId && safeText) {
+      updateMessage(messageId, formatAssistantHtml(safeText));
+    }
+    return messageId ? document.querySelector(`[data-id="${messageId}"]`) : null;
+  }
+
   let messageEl = null;
   if (messageId) {
     updateMessage(messageId, safeText ? formatAssistantHtml(safeText) : '');
@@ -9896,6 +11091,7 @@ function renderAssistantMessage(messageId, text, metadataParts = []) {
 
   if (messageEl) {
     attachCopyButton(messageEl, () => getMessageCopyText(messageEl));
+    attachPinButton(messageEl, () => getMessageCopyText(messageEl));
   }
   if (messageEl) {
     const messageId = messageEl.dataset.id || messageId;
@@ -9904,7 +11100,8 @@ function renderAssistantMessage(messageId, text, metadataParts = []) {
         messageId,
         role: 'assistant',
         contentText: safeText,
-        timestamp: messageEl.dataset.timestamp
+        timestamp: messageEl.dataset.timestamp,
+        parentId: messageEl.dataset.parentId || undefined
       });
     }
   }
@@ -10371,7 +11568,7 @@ function getAssistantProposal(text) {
   };
 }
 
-function buildWrappedPrompt(userInput, currentCode, resolvedIntent) {
+function buildWrappedPrompt(userInput, currentCode, resolvedIntent, { files = null, activePath = null, selection = null } = {}) {
   const intentHint = resolvedIntent?.type === 'code'
     ? '\nIntent: generate code.'
     : '';
@@ -10409,7 +11606,20 @@ Output Contract:
 
 ${creativeHint}
 
-Current interface (may be reused unchanged):
+Edit Contract:
+- For targeted changes to the current interface, output edit blocks instead of the full document:
+<<<<<<< SEARCH
+(exact lines copied from the current interface)
+=======
+(replacement lines)
+>>>>>>> REPLACE
+- Each SEARCH section must match the current interface exactly once.
+- Output the full document only when most of it changes.
+${files ? buildMultiFileEditContract(files, activePath) : ''}${selection ? `
+Selected lines (${selection.path}, lines ${selection.startLine}-${selection.endLine}):
+${selection.text}
+` : ''}
+${files ? `Active file ${activePath}` : 'Current interface'} (may be reused unchanged):
 ${currentCode}
 
 User message:
@@ -10417,6 +11627,16 @@ ${userInput}${intentHint}
 `;
 }
 
+function buildMultiFileEditContract(files, activePath) {
+  return `- This project has several files. Put the file path on its own line directly above each SEARCH block.
+- To create a file, give its path and use an empty SEARCH section.
+- Never output a full document for a file other than ${activePath}.
+
+${buildCodeFileMap(Object.entries(files).map(([path, content]) => ({ path, content })), activePath)}
+Relevant parts of the other files are included separately.
+`;
+}
+
 function pauseSandbox() {
   if (sandboxMode !== 'animation') {
     return;
@@ -10650,6 +11870,7 @@ async function activateVersion(id, version, timeline = null) {
     saveEditorStateToIndexedDb(sessionState);
     scheduleSessionStatePersist();
   }
+  restoreProjectFiles(version);
   applyEditorSnapshot({
     value: version.content,
     cursor: version.cursor,
@@ -10657,7 +11878,7 @@ async function activateVersion(id, version, timeline = null) {
   });
   userHasEditedCode = getEditorValue() !== baselineCode;
   lastCodeSource = version.source === 'llm' ? 'llm' : 'user';
-  updateEditorLanguage(version.language || 'html');
+  updateEditorLanguage(version.files ? getLanguageForPath(activeFilePath) : (version.language || 'html'));
   updateRunButtonVisibility();
   updateRollbackVisibility();
   updatePromoteVisibility();
@@ -10864,20 +12085,25 @@ function runActiveCodeVersion(source = 'user', statusMessage = 'Applying your ed
   console.debug('Executing code_version:', activeVersion.id);
 }
 
-function applyLLMEdit(newCode, { messageId = null } = {}) {
+function applyLLMEdit(newCode, { messageId = null, hunks = null, fix = null, files = null } = {}) {
   ensureCurrentCodeVersion(lastCodeSource === 'llm' ? 'llm' : 'user');
+  if (files) {
+    setProjectFiles(files, activeFilePath);
+  }
   addCodeVersion({
     content: newCode,
     source: 'llm',
-    messageId
+    messageId,
+    hunks,
+    fix
   });
   setEditorValue(newCode);
   updateUndoRedoState();
 }
 
-function setCodeFromLLM(code, messageId = null) {
+function setCodeFromLLM(code, messageId = null, { hunks = null, fix = null, files = null } = {}) {
   lastLLMCode = code;
-  applyLLMEdit(code, { messageId });
+  applyLLMEdit(code, { messageId, hunks, fix, files });
   baselineCode = code;
   userHasEditedCode = false;
   lastCodeSource = 'llm';
@@ -10889,8 +12115,225 @@ function setCodeFromLLM(code, messageId = null) {
   setPreviewStatus('Preview updated.');
 }
 
+function previewGeneratedCode(code) {
+  runWhenPreviewReady(() => {
+    handleLLMOutput(code, 'generated').catch((error) => {
+      console.error('Auto-run failed after generation.', error);
+      addExecutionWarning('Preview auto-run failed. Try Run Code.');
+      setPreviewExecutionStatus('error', 'PREVIEW ERROR');
+    });
+  });
+}
+
+function describeEditHunk(hunk) {
+  const description = describeEditHunkLocation(hunk);
+  return hunk.path && isMultiFileProject() ? `${hunk.path} · ${description}` : description;
+}
+
+function describeEditHunkLocation(hunk) {
+  if (hunk.status === 'ok') {
+    if (hunk.create) {
+      return 'New file';
+    }
+    return hunk.startLine === hunk.endLine
+      ? `Line ${hunk.startLine}`
+      : `Lines ${hunk.startLine}–${hunk.endLine}`;
+  }
+  if (hunk.status === 'unknown_file') {
+    return 'File is not in the project';
+  }
+  if (hunk.status === 'ambiguous') {
+    return 'Matches more than one place';
+  }
+  if (hunk.status === 'conflict') {
+    return 'Overlaps another edit';
+  }
+  if (hunk.status === 'redacted') {
+    return 'Touches code that was redacted before sending';
+  }
+  return 'No longer matches the editor';
+}
+
+function getEditReviewHunks() {
+  if (!pendingEditReview) {
+    return [];
+  }
+  const { hunks } = isMultiFileProject()
+    ? validateFileEditHunks(getProjectFiles(), pendingEditReview.hunks, { defaultPath: activeFilePath })
+    : validateEditHunks(getEditorValue(), pendingEditReview.hunks);
+  return hunks.map((hunk) => {
+    // The server flags hunks that quote redacted code; they stay rejected
+    // even if they happen to match the editor.
+    const status = hunk.redacted ? 'redacted' : hunk.status;
+    return {
+      ...hunk,
+      status,
+      decision: status === 'ok'
+        ? pendingEditReview.decisions.get(hunk.id) || 'accepted'
+        : 'rejected'
+    };
+  });
+}
+
+function refreshEditReview() {
+  if (!pendingEditReview) {
+    editorApi?.clearHunkDecorations();
+    return;
+  }
+  const hunks = getEditReviewHunks();
+  const activeHunks = hunks.filter((hunk) => !hunk.path || hunk.path === activeFilePath);
+  editorApi?.setHunkDecorations(activeHunks.map((hunk) => ({
+    ...hunk,
+    message: hunk.replace
+      ? `Replace with:\n\n\`\`\`\n${hunk.replace}\n\`\`\``
+      : 'Remove these lines'
+  })));
+
+  const { panel } = pendingEditReview;
+  const list = panel.querySelector('.edit-review-hunks');
+  list.replaceChildren(...hunks.map((hunk) => {
+    const row = document.createElement('div');
+    row.className = `edit-review-hunk is-${hunk.decision}`;
+    row.dataset.hunkId = hunk.id;
+
+    const label = document.createElement('button');
+    label.type = 'button';
+    label.className = 'edit-review-hunk-label';
+    label.textContent = describeEditHunk(hunk);
+    label.disabled = hunk.status !== 'ok';
+    label.addEventListener('click', () => {
+      if (hunk.path && hunk.path !== activeFilePath) {
+        switchActiveFile(hunk.path);
+      }
+      revealEditorError({ line: hunk.startLine, column: 1 });
+    });
+    row.appendChild(label);
+
+    if (hunk.status === 'ok') {
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'ghost-button edit-review-toggle';
+      toggle.textContent = hunk.decision === 'accepted' ? 'Reject' : 'Accept';
+      toggle.addEventListener('click', () => {
+        pendingEditReview.decisions.set(hunk.id, hunk.decision === 'accepted' ? 'rejected' : 'accepted');
+        refreshEditReview();
+      });
+      row.appendChild(toggle);
+    }
+    return row;
+  }));
+  const acceptedCount = hunks.filter((hunk) => hunk.decision === 'accepted').length;
+  const applyButton = panel.querySelector('.edit-review-apply');
+  applyButton.disabled = acceptedCount === 0;
+  applyButton.textContent = `Apply ${acceptedCount} of ${hunks.length}`;
+}
+
+function closeEditReview() {
+  pendingEditReview?.panel.remove();
+  pendingEditReview = null;
+  refreshEditReview();
+}
+
+function recordAppliedHunks(hunks, applied) {
+  return hunks.map((hunk) => {
+    const appliedHunk = applied.find((entry) => entry.id === hunk.id);
+    return {
+      id: hunk.id,
+      ...(hunk.path ? { path: hunk.path } : {}),
+      search: hunk.search,
+      replace: hunk.replace,
+      decision: appliedHunk ? 'accepted' : 'rejected',
+      start_line: appliedHunk?.startLine ?? null,
+      end_line: appliedHunk?.endLine ?? null
+    };
+  });
+}
+
+// Hunks of a multi-file project may target any file; the returned `code` is
+// always the active file's content.
+function applyEditPatchToProject(hunks, { acceptedIds = null } = {}) {
+  if (!isMultiFileProject()) {
+    return { ...applyEditHunks(getEditorValue(), hunks, { acceptedIds }), files: null };
+  }
+  const result = applyFileEditHunks(getProjectFiles(), hunks, { acceptedIds, defaultPath: activeFilePath });
+  return { ...result, code: result.files[activeFilePath] };
+}
+
+function applyEditReview() {
+  if (!pendingEditReview) {
+    return;
+  }
+  const { messageId } = pendingEditReview;
+  const hunks = getEditReviewHunks();
+  const acceptedIds = hunks.filter((hunk) => hunk.decision === 'accepted').map((hunk) => hunk.id);
+  const result = applyEditPatchToProject(hunks, { acceptedIds });
+  closeEditReview();
+  if (!result.applied.length) {
+    setPreviewStatus('No edits applied.');
+    return;
+  }
+  currentCode = result.code;
+  setCodeFromLLM(result.code, messageId, { hunks: recordAppliedHunks(hunks, result.applied), files: result.files });
+  setPreviewStatus(`Applied ${result.applied.length} of ${hunks.length} edits.`);
+  previewGeneratedCode(result.code);
+}
+
+function startEditReview({ messageEl, messageId, editPatch }) {
+  closeEditReview();
+  const panel = document.createElement('div');
+  panel.className = 'edit-review';
+
+  const title = document.createElement('div');
+  title.className = 'edit-review-title';
+  title.textContent = editPatch.valid
+    ? 'Review suggested edits'
+    : 'Review suggested edits (some no longer match the editor)';
+  panel.appendChild(title);
+
+  const list = document.createElement('div');
+  list.className = 'edit-review-hunks';
+  panel.appendChild(list);
+
+  const actions = document.createElement('div');
+  actions.className = 'edit-review-actions';
+  const applyButton = document.createElement('button');
+  applyButton.type = 'button';
+  applyButton.className = 'ghost-button edit-review-apply';
+  applyButton.addEventListener('click', applyEditReview);
+  actions.appendChild(applyButton);
+  const discardButton = document.createElement('button');
+  discardButton.type = 'button';
+  discardButton.className = 'ghost-button edit-review-discard';
+  discardButton.textContent = 'Discard';
+  discardButton.addEventListener('click', () => {
+    closeEditReview();
+    setPreviewStatus('Suggested edits discarded.');
+  });
+  actions.appendChild(discardButton);
+  panel.appendChild(actions);
+
+  if (messageEl) {
+    messageEl.insertAdjacentElement('afterend', panel);
+  } else {
+    chatMessages?.appendChild(panel);
+  }
+
+  pendingEditReview = {
+    messageId,
+    panel,
+    hunks: editPatch.hunks.map(({ id, search, replace, redacted }) => ({ id, search, replace, ...(redacted ? { redacted } : {}) })),
+    decisions: new Map()
+  };
+  refreshEditReview();
+  const firstHunk = getEditReviewHunks().find((hunk) => hunk.status === 'ok');
+  if (firstHunk) {
+    revealEditorError({ line: firstHunk.startLine, column: 1 });
+  }
+}
+
 function handleUserRun(code, source = 'user', statusMessage = 'Applying your edits…') {
   clearEditorDiagnostics();
+  resetAutoFixAttempts();
   addCodeVersion({
     content: code,
     source: source === 'user' ? 'user' : 'system'
@@ -11048,7 +12491,8 @@ function updateRetryButton() {
   retryButton.onclick = () => {
     sendChat({
       playableMode: Boolean(lastRetryContext?.playableMode),
-      retryMode: true
+      retryMode: true,
+      bypassCache: Boolean(lastRetryContext?.cached)
     });
   };
   lastMessage.appendChild(retryButton);
@@ -11078,14 +12522,120 @@ function updatePlayableButtonState() {
   }
 }
 
-async function sendChat({ playableMode = false, retryMode = false, userPrompt = null, code = null } = {}) {
+function isChatToolsEnabled() {
+  return Boolean(chatToolsToggle?.checked);
+}
+
+function describeToolCall(call) {
+  const args = Object.entries(call.arguments || {})
+    .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+    .map(([key, value]) => {
+      const text = typeof value === 'string' ? value : JSON.stringify(value);
+      return `${key}=${text.length > TOOL_ARGUMENT_PREVIEW_CHARS ? `${text.slice(0, TOOL_ARGUMENT_PREVIEW_CHARS)}…` : text}`;
+    });
+  return `${call.name || 'invalid call'}(${args.join(', ')})`;
+}
+
+/**
+ * Shows the server tools a tool-mode reply used, as a collapsible list right
+ * after the assistant message. Re-rendering replaces the previous list, so it
+ * can be called as `tool_call`/`tool_result` events stream in.
+ */
+function renderToolCallPanel(messageEl, toolCalls = []) {
+  if (!messageEl || !toolCalls.length) {
+    return null;
+  }
+  const messageId = messageEl.dataset.id;
+  let panel = chatMessages?.querySelector(`.tool-calls[data-message-id="${messageId}"]`);
+  if (!panel) {
+    panel = document.createElement('details');
+    panel.className = 'tool-calls';
+    panel.dataset.messageId = messageId;
+    messageEl.insertAdjacentElement('afterend', panel);
+  }
+  const failedCount = toolCalls.filter((call) => call.ok === false).length;
+  const summary = document.createElement('summary');
+  summary.textContent = `Used ${toolCalls.length} tool${toolCalls.length === 1 ? '' : 's'}`
+    + (failedCount ? ` · ${failedCount} failed` : '');
+  const list = document.createElement('ol');
+  list.className = 'tool-calls-list';
+  toolCalls.forEach((call) => {
+    const item = document.createElement('li');
+    const state = call.ok === undefined ? 'running' : (call.ok ? 'ok' : 'failed');
+    item.className = `tool-call is-${state}`;
+    const label = document.createElement('div');
+    label.className = 'tool-call-label';
+    label.textContent = describeToolCall(call);
+    item.appendChild(label);
+    const detail = call.ok === false ? `${call.error_code || 'TOOL_FAILED'}: ${call.error || ''}` : call.preview;
+    if (detail) {
+      const result = document.createElement('pre');
+      result.className = 'tool-call-result';
+      result.textContent = detail;
+      item.appendChild(result);
+    }
+    list.appendChild(item);
+  });
+  panel.replaceChildren(summary, list);
+  return panel;
+}
+
+async function readChatEventStream(response, { onDelta, onToolEvent } = {}) {
+  const parser = createSseParser();
+  let content = '';
+  let donePayload = null;
+  let streamError = null;
+  let streamCancelled = false;
+  const handleEvents = (events) => {
+    for (const event of events) {
+      const payload = parseSseData(event.data) || {};
+      if (event.event === 'delta' && typeof payload.content === 'string') {
+        content += payload.content;
+        onDelta?.(payload.content, content);
+      } else if (event.event === 'done') {
+        donePayload = payload;
+      } else if (event.event === 'error') {
+        streamError = payload;
+      } else if (event.event === 'cancelled') {
+        streamCancelled = true;
+      } else if (event.event === 'tool_call' || event.event === 'tool_result' || event.event === 'tool_round') {
+        onToolEvent?.(event.event, payload);
+      }
+    }
+  };
+
+  for await (const chunk of streamTextChunks(response)) {
+    handleEvents(parser.push(chunk));
+  }
+  handleEvents(parser.flush());
+
+  if (streamCancelled) {
+    throw new DOMException('Chat request cancelled', 'AbortError');
+  }
+  if (streamError) {
+    throw new Error(`Chat API failed (${streamError.status || 502}): ${streamError.error || 'Stream error'}`);
+  }
+  if (!donePayload) {
+    throw new Error('Chat stream ended before completion');
+  }
+  return {
+    ...donePayload,
+    choices: [{ message: { role: 'assistant', content }, finish_reason: donePayload.finish_reason || null }]
+  };
+}
+
+async function sendChat({ playableMode = false, retryMode = false, userPrompt = null, code = null, fix = null, bypassCache = false } = {}) {
   if (chatState.locked) {
     return;
   }
+  if (!fix) {
+    resetAutoFixAttempts();
+  }
+  reportExperimentOutcome();
 
   const promptSource = typeof userPrompt === 'string' ? userPrompt : getPromptInput();
   const userInput = promptSource.trim();
-  const resolvedCodeInput = typeof code === 'string' ? code : currentCode;
+  let resolvedCodeInput = typeof code === 'string' ? code : currentCode;
   const effectiveInput = retryMode
     ? (lastRetryContext?.originalPrompt || '').trim()
     : userInput;
@@ -11140,7 +12690,7 @@ async function sendChat({ playableMode = false, retryMode = false, userPrompt =
   }
 
   const startedAt = performance.now();
-  const resolvedIntent = resolveIntent(effectiveInput);
+  const resolvedIntent = fix ? { type: 'fix', inferred: true } : resolveIntent(effectiveInput);
   if (!intentAnchor && !resolvedIntent.inferred) {
     intentAnchor = resolvedIntent.type;
   }
@@ -11162,6 +12712,33 @@ async function sendChat({ playableMode = false, retryMode = false, userPrompt =
     intentAdjustedInput = `Yes — please proceed with ${description}.`;
   }
 
+  // Forking checks out the branch point first: the transcript, the rolling
+  // summary and the editor all rewind to the parent of the edited message.
+  const branch = retryMode ? null : pendingBranch;
+  pendingBranch = null;
+  if (branch && sessionState) {
+    sessionState.active_leaf_id = branch.parentId;
+    resetBranchSummary();
+    renderActivePath();
+    await activateBranchCode(branch.parentId);
+    if (typeof code !== 'string') {
+      resolvedCodeInput = currentCode;
+    }
+  }
+
+  let historyLeafId = sessionState?.active_leaf_id ?? null;
+  let replyParentId = null;
+  if (retryMode && sessionState) {
+    const leaf = sessionState.messages.find((entry) => entry.id === historyLeafId);
+    const userTurn = leaf?.role === 'assistant'
+      ? sessionState.messages.find((entry) => entry.id === leaf.parent_id)
+      : leaf;
+    replyParentId = userTurn?.id || null;
+    historyLeafId = userTurn?.parent_id ?? null;
+  }
+  const history = playableMode ? [] : buildActivePathHistory(historyLeafId);
+  const chatImages = playableMode || retryMode ? [] : takePendingChatImages();
+
   lockChat();
   if (!retryMode) {
     chatInput.value = '';
@@ -11169,10 +12746,19 @@ async function sendChat({ playableMode = false, retryMode = false, userPrompt =
   updateCreditPreview({ force: true });
   updatePlayableButtonState();
   if (!retryMode) {
-    appendMessage('user', userInput || '[Use current editor code]');
+    const userMessageEl = appendMessage('user', userInput || '[Use current editor code]');
+    replyParentId = userMessageEl.dataset.id;
+    if (chatImages.length) {
+      renderMessageAttachments(userMessageEl, chatImages.map((image) => ({ ...image, src: image.dataUrl })));
+      setMessageAttachments(replyParentId, chatImages);
+    }
   }
 
-  const tokenEstimate = estimateTokensForRequest({ userInput: effectiveInput, currentCode: resolvedCodeInput });
+  const tokenEstimate = estimateTokensForRequest({
+    userInput: effectiveInput,
+    currentCode: resolvedCodeInput,
+    images: chatImages
+  });
   recordLargeGeneration(getUserContext().id, tokenEstimate);
 
   const pendingMessageId = addMessage(
@@ -11182,6 +12768,10 @@ async function sendChat({ playableMode = false, retryMode = false, userPrompt =
   );
   currentTurnMessageId = pendingMessageId;
   chatFinalized = false;
+  const pendingMessageEl = document.querySelector(`[data-id="${pendingMessageId}"]`);
+  if (pendingMessageEl && replyParentId) {
+    pendingMessageEl.dataset.parentId = replyParentId;
+  }
 
   setStatusOnline(false);
   startLoading();
@@ -11190,6 +12780,11 @@ async function sendChat({ playableMode = false, retryMode = false, userPrompt =
 
   let generationMetadata = '';
   let rawReply = '';
+  let editPatch = null;
+  let experimentTurn = null;
+  let cacheHit = null;
+  let toolCalls = [];
+  const toolMode = !playableMode && !fix && isChatToolsEnabled();
   let usageMetadata = { usageText: '', warningText: '' };
   let throttleSnapshot = throttle;
   const inputTokensEstimate = tokenEstimate;
@@ -11199,17 +12794,33 @@ async function sendChat({ playableMode = false, retryMode = false, userPrompt =
     chatAbortController?.abort();
     chatAbortController = new AbortController();
     chatAbortSilent = false;
-
-    const systemPromptForIntent = getSystemPromptForIntent(resolvedIntent);
+    activeChatRequestId = crypto.randomUUID();
+
+    // Only the delta from the state the server last confirmed is sent, so
+    // unchanged turns cost nothing.
+    const previousGlyphState = sessionState?.glyph_state || null;
+    const glyphSurface = decompileGlyphs(
+      buildTurnGlyphState(resolvedIntent, Boolean(resolvedCodeInput?.trim())),
+      previousGlyphState || {}
+    );
+    const systemPromptForIntent = getSystemPromptForIntent(
+      resolvedIntent,
+      compileGlyphs(glyphSurface, previousGlyphState || {})
+    );
     systemPrompt = systemPromptForIntent;
+    const codeFileContext = !playableMode && isMultiFileProject()
+      ? { files: getProjectFiles(resolvedCodeInput), activePath: activeFilePath }
+      : {};
+    const selection = playableMode ? null : getEditorSelectionContext();
     const userPromptContent = playableMode
       ? intentAdjustedInput
-      : buildWrappedPrompt(intentAdjustedInput, resolvedCodeInput, resolvedIntent);
+      : buildWrappedPrompt(intentAdjustedInput, resolvedCodeInput, resolvedIntent, { ...codeFileContext, selection });
     const messages = [
       {
         role: 'system',
         content: systemPromptForIntent
       },
+      ...history,
       {
         role: 'user',
         content: userPromptContent
@@ -11225,7 +12836,10 @@ async function sendChat({ playableMode = false, retryMode = false, userPrompt =
       session_id: sessionId,
       intentType: resolvedIntent.type,
       contextMode: getSelectedContextMode(),
-      historySummary: sessionState?.history_summary?.text || '',
+      glyphSurface,
+      glyphState: previousGlyphState,
+      activeLeafId: historyLeafId,
+      artifactId: activeArtifactId || null,
       user: getUserContext(),
       playableMode,
       retryMode,
@@ -11233,28 +12847,89 @@ async function sendChat({ playableMode = false, retryMode = false, userPrompt =
       originalPrompt: lastRetryContext?.originalPrompt || intentAdjustedInput,
       previousResponse: lastRetryContext?.previousResponse || '',
       currentCode: resolvedCodeInput,
-      code: resolvedCodeInput
+      code: resolvedCodeInput,
+      activePath: activeFilePath,
+      ...(codeFileContext.files
+        ? { files: Object.entries(codeFileContext.files).map(([path, content]) => ({ path, content })) }
+        : {}),
+      ...(selection ? { selection } : {}),
+      ...(chatImages.length
+        ? { images: chatImages.map(({ dataUrl, region, source }) => ({ dataUrl, region, source })) }
+        : {}),
+      stream: !playableMode,
+      ...(toolMode ? { toolMode: true } : {}),
+      promptTemplate: promptTemplateRegistry.describe(getSystemPromptTemplateId(resolvedIntent)),
+      ...(bypassCache ? { cacheBypass: true } : {}),
+      ...(fix
+        ? {
+          runtimeError: fix.error,
+          autoFix: { attempt: fix.attempt, previousErrors: fix.previousErrors }
+        }
+        : {})
     };
 
     const endpoint = playableMode ? `${API_BASE}/api/run` : `${API_BASE}/api/chat`;
     const res = await apiFetch(endpoint, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', 'X-Request-Id': activeChatRequestId },
       signal: chatAbortController.signal,
       body: JSON.stringify(requestPayload)
     });
 
-    const responseText = await res.text();
+    const isEventStream = String(res.headers.get('content-type') || '').includes('text/event-stream');
+    let responseText = '';
     let data = null;
-    try {
-      data = responseText ? JSON.parse(responseText) : null;
-    } catch {
-      data = null;
+    if (res.ok && isEventStream) {
+      const streamingAgent = appMachine.getActiveAgent();
+      if (streamingAgent) {
+        appMachine.dispatch({ type: EVENTS.STREAM_TOKEN, agentId: streamingAgent.agentId });
+      }
+      data = await readChatEventStream(res, {
+        onDelta: (_chunk, partialText) => {
+          generationFeedback.stop();
+          if (streamingAgent) {
+            streamingAgent.partialOutput = partialText;
+            streamingAgent.lastEventAt = Date.now();
+            appMachine.dispatch({ type: EVENTS.STREAM_CHUNK, agentId: streamingAgent.agentId });
+          }
+          renderAssistantMessage(pendingMessageId, partialText, [], { partial: true });
+          if (streamingAgent) {
+            appMachine.dispatch({ type: EVENTS.STREAM_RENDER, agentId: streamingAgent.agentId });
+          }
+        },
+        onToolEvent: (type, payload) => {
+          if (type === 'tool_call') {
+            toolCalls.push(payload);
+          } else if (type === 'tool_result') {
+            const call = toolCalls.find((entry) => entry.round === payload.round && entry.id === payload.id);
+            Object.assign(call || {}, payload);
+          } else {
+            return;
+          }
+          renderToolCallPanel(pendingMessageEl, toolCalls);
+        }
+      });
+      if (streamingAgent) {
+        appMachine.dispatch({ type: EVENTS.STREAM_DONE, agentId: streamingAgent.agentId });
+      }
+    } else {
+      responseText = await res.text();
+      try {
+        data = responseText ? JSON.parse(responseText) : null;
+      } catch {
+        data = null;
+      }
     }
     const llmEndTime = performance.now();
     generationMetadata = formatGenerationMetadata(llmEndTime - llmStartTime);
 
+    if (data?.secret_scan) {
+      reportSecretScan(data.secret_scan);
+    }
     if (!res.ok) {
+      if (fix && data?.error_code === 'AUTO_FIX_CREDIT_CAP') {
+        stopAutoFix('credits', `Auto-fix stopped: ${data.credit_cap} credit session cap reached.`);
+      }
       throw new Error(`Chat API failed (${res.status}): ${responseText || data?.message || data?.error || 'Unknown error'}`);
     }
 
@@ -11274,6 +12949,16 @@ async function sendChat({ playableMode = false, retryMode = false, userPrompt =
       console.log('Game mode result:', data);
     }
     rawReply = content;
+    editPatch = !playableMode && data?.edit_patch?.hunks?.length ? data.edit_patch : null;
+    experimentTurn = data?.experiment ? { requestId: activeChatRequestId, messageId: pendingMessageId } : null;
+    cacheHit = data?.cache?.hit ? data.cache : null;
+    if (Array.isArray(data?.images) && data.images.length && replyParentId) {
+      setMessageAttachments(replyParentId, data.images);
+    }
+    if (Array.isArray(data?.tool_calls) && data.tool_calls.length) {
+      toolCalls = data.tool_calls;
+      renderToolCallPanel(pendingMessageEl, toolCalls);
+    }
     if (playableMode) {
       const activeAgent = appMachine.getActiveAgent();
       if (activeAgent) {
@@ -11289,8 +12974,15 @@ async function sendChat({ playableMode = false, retryMode = false, userPrompt =
       };
       scheduleSessionStatePersist();
     }
+    if (sessionState && data?.glyph?.state) {
+      sessionState.glyph_state = data.glyph.state;
+      scheduleSessionStatePersist();
+    }
     outputTokensEstimate = estimateTokensForContent(rawReply);
     applyUsageToCredits(data?.usage);
+    if (fix) {
+      recordAutoFixUsage(data?.usage);
+    }
     updateSessionStatsFromUsage({
       usage: data?.usage,
       inputTokensEstimate,
@@ -11313,6 +13005,7 @@ async function sendChat({ playableMode = false, retryMode = false, userPrompt =
         stopLoading();
         chatAbortController = null;
         chatAbortSilent = false;
+        activeChatRequestId = null;
         return { text: '', code: '' };
       }
     }
@@ -11328,23 +13021,35 @@ async function sendChat({ playableMode = false, retryMode = false, userPrompt =
     stopLoading();
     chatAbortController = null;
     chatAbortSilent = false;
+    activeChatRequestId = null;
     return { text: '', code: '' };
   }
   chatAbortController = null;
   chatAbortSilent = false;
+  activeChatRequestId = null;
 
   let extractedText = '';
   let extractedCode = '';
   try {
-    const { text, code } = extractTextAndCode(rawReply);
-    extractedText = text;
-    extractedCode = code;
+    if (editPatch) {
+      extractedText = parseEditBlocks(rawReply).text;
+    } else {
+      const { text, code } = extractTextAndCode(rawReply);
+      extractedText = text;
+      extractedCode = code;
+    }
   } catch (error) {
     console.error('Post-generation parsing failed.', error);
     extractedText = String(rawReply ?? '');
   }
+  if (editPatch && !extractedText) {
+    extractedText = `Suggested ${editPatch.hunks.length} edit${editPatch.hunks.length === 1 ? '' : 's'} for: “${effectiveInput}”.`;
+  }
 
   const hasCode = Boolean(extractedCode && extractedCode.trim());
+  if (experimentTurn && (editPatch || hasCode)) {
+    pendingExperimentOutcome = experimentTurn;
+  }
   console.assert(
     hasCode || !extractedText.includes('<'),
     'Text-only response attempted to modify UI'
@@ -11368,6 +13073,35 @@ async function sendChat({ playableMode = false, retryMode = false, userPrompt =
   if (usageMetadata.warningText) {
     metadataParts.push({ text: usageMetadata.warningText, className: 'assistant-meta-warning' });
   }
+  if (cacheHit) {
+    metadataParts.push({ text: 'Cached response · 0 credits', className: 'assistant-meta-cache' });
+  }
+  if (fix) {
+    metadataParts.push({ text: `Auto-fix attempt ${fix.attempt}/${AUTO_FIX_MAX_ATTEMPTS}`, className: 'assistant-meta-auto-fix' });
+  }
+  if (fix && (editPatch || hasCode)) {
+    finalizeChatOnce(() => {
+      renderAssistantMessage(pendingMessageId, extractedText, metadataParts);
+    });
+    unlockChat();
+    stopLoading();
+    const fixedCode = applyAutoFixResult({ messageId: pendingMessageId, editPatch, code: extractedCode, fix });
+    if (fixedCode) {
+      previewGeneratedCode(fixedCode);
+    }
+    return { text: extractedText, code: fixedCode || '' };
+  }
+  if (editPatch) {
+    finalizeChatOnce(() => {
+      const messageEl = renderAssistantMessage(pendingMessageId, extractedText, metadataParts);
+      startEditReview({ messageEl, messageId: pendingMessageId, editPatch });
+    });
+    pendingAssistantProposal = null;
+    unlockChat();
+    stopLoading();
+    maybeShowUsagePaywall({ reason: 'usage' });
+    return { text: extractedText, code: '' };
+  }
   if (!hasCode) {
     if (playableMode) {
       { const activeAgent = appMachine.getActiveAgent(); if (activeAgent) appMachine.dispatch({ type: EVENTS.STREAM_RENDER, agentId: activeAgent.agentId }); }
@@ -11397,13 +13131,7 @@ async function sendChat({ playableMode = false, retryMode = false, userPrompt =
       currentCode = extractedCode;
       setCodeFromLLM(extractedCode, pendingMessageId);
       pendingAssistantProposal = null;
-      runWhenPreviewReady(() => {
-        handleLLMOutput(extractedCode, 'generated').catch((error) => {
-          console.error('Auto-run failed after generation.', error);
-          addExecutionWarning('Preview auto-run failed. Try Run Code.');
-          setPreviewExecutionStatus('error', 'PREVIEW ERROR');
-        });
-      });
+      previewGeneratedCode(extractedCode);
     }
     updateGenerationIndicator();
   } catch (error) {
@@ -11417,7 +13145,8 @@ async function sendChat({ playableMode = false, retryMode = false, userPrompt =
     originalPrompt: intentAdjustedInput,
     previousResponse: rawReply,
     playableMode: Boolean(playableMode),
-    intentType: resolvedIntent.type
+    intentType: resolvedIntent.type,
+    cached: Boolean(cacheHit)
   };
   updateRetryButton();
 
@@ -11441,6 +13170,22 @@ if (chatForm && typeof MutationObserver !== 'undefined') {
   composerObserver.observe(chatForm, { childList: true, subtree: true });
 }
 
+historySummaryButton?.addEventListener('click', () => {
+  openHistorySummaryModal();
+});
+
+contextPinsButton?.addEventListener('click', () => {
+  openContextPinsModal();
+});
+
+visualDebugButton?.addEventListener('click', () => {
+  openVisualDebugModal();
+});
+
+addCodeFileBtn?.addEventListener('click', () => {
+  openAddCodeFileModal();
+});
+
 if (clearChatButton) {
   clearChatButton.addEventListener('click', () => {
     openClearChatModal();
@@ -12051,6 +13796,21 @@ if (accountContextMode) {
   });
 }
 
+if (chatToolsToggle) {
+  chatToolsToggle.checked = safeStorageGet(CHAT_TOOLS_STORAGE_KEY) === 'on';
+  chatToolsToggle.addEventListener('change', () => {
+    safeStorageSet(CHAT_TOOLS_STORAGE_KEY, chatToolsToggle.checked ? 'on' : 'off');
+  });
+}
+
+if (autoFixToggle) {
+  autoFixToggle.checked = safeStorageGet(AUTO_FIX_STORAGE_KEY) === 'on';
+  autoFixToggle.addEventListener('change', () => {
+    safeStorageSet(AUTO_FIX_STORAGE_KEY, autoFixToggle.checked ? 'on' : 'off');
+    resetAutoFixAttempts();
+  });
+}
+
 if (chatContextMode) {
   applyContextModeSelection(getSelectedContextMode());
   chatContextMode.addEventListener('change', async () => {
@@ -12385,6 +14145,10 @@ document.addEventListener('DOMContentLoaded', async () => {
   currentCode = initialContent;
   updateLineNumbers();
   initializeVersionStack();
+  restoreProjectFiles(getActiveCodeVersion());
+  if (isMultiFileProject()) {
+    updateEditorLanguage(getLanguageForPath(activeFilePath));
+  }
   updateSaveCodeButtonState();
   console.log('✅ Run Code listener attached');
   runButton.addEventListener('click', () => {
@@ -29,3 +29,77 @@ export async function runWithConcurrencyLimit(items, limit, workerFn) {
   await runNext();
   await Promise.all(active);
 }
+
+/**
+ * A long-lived queue for work that arrives over time, unlike the fixed batch
+ * above. At most `limit` tasks run at once and at most `perKeyLimit` per key
+ * (e.g. per user); a task whose key is at its limit waits without blocking
+ * tasks of other keys behind it. `onPosition` reports the 1-based place of a
+ * waiting task whenever it changes, and 0 when it starts.
+ */
+export function createConcurrencyQueue({ limit = 1, perKeyLimit = Infinity } = {}) {
+  const normalizedLimit = Math.max(1, Number(limit) || 1);
+  const normalizedKeyLimit = Math.max(1, Number(perKeyLimit) || Infinity);
+  const waiting = [];
+  const runningByKey = new Map();
+  let running = 0;
+
+  function reportPositions() {
+    waiting.forEach((entry, index) => {
+      if (entry.position !== index + 1) {
+        entry.position = index + 1;
+        entry.onPosition?.(entry.position);
+      }
+    });
+  }
+
+  function start(entry) {
+    running += 1;
+    runningByKey.set(entry.key, (runningByKey.get(entry.key) || 0) + 1);
+    entry.onPosition?.(0);
+    Promise.resolve()
+      .then(entry.task)
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        running -= 1;
+        const remaining = runningByKey.get(entry.key) - 1;
+        if (remaining > 0) {
+          runningByKey.set(entry.key, remaining);
+        } else {
+          runningByKey.delete(entry.key);
+        }
+        drain();
+      });
+  }
+
+  function drain() {
+    for (let index = 0; index < waiting.length && running < normalizedLimit;) {
+      const entry = waiting[index];
+      if ((runningByKey.get(entry.key) || 0) >= normalizedKeyLimit) {
+        index += 1;
+        continue;
+      }
+      waiting.splice(index, 1);
+      start(entry);
+    }
+    reportPositions();
+  }
+
+  return {
+    enqueue({ id, key = '', task, onPosition } = {}) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ id, key, task, onPosition, position: 0, resolve, reject });
+        drain();
+      });
+    },
+    position(id) {
+      return waiting.findIndex((entry) => entry.id === id) + 1;
+    },
+    countByKey(key) {
+      return (runningByKey.get(key) || 0) + waiting.filter((entry) => entry.key === key).length;
+    },
+    stats() {
+      return { running, waiting: waiting.length };
+    }
+  };
+}
@@ -0,0 +1,13 @@
+CREATE TABLE IF NOT EXISTS embedding_store (
+  content_hash TEXT NOT NULL,
+  model TEXT NOT NULL,
+  dimension INTEGER NOT NULL CHECK (dimension > 0),
+  vector DOUBLE PRECISION[] NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (content_hash, model, dimension),
+  CONSTRAINT embedding_store_vector_dimension_check CHECK (cardinality(vector) = dimension)
+);
+
+CREATE INDEX IF NOT EXISTS embedding_store_last_used_idx
+  ON embedding_store (last_used_at);
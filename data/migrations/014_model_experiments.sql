@@ -0,0 +1,40 @@
+CREATE TABLE IF NOT EXISTS model_experiments (
+  id TEXT PRIMARY KEY,
+  description TEXT,
+  intent TEXT NOT NULL DEFAULT 'any',
+  plans TEXT[] NOT NULL DEFAULT '{}',
+  variants JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'running', 'stopped')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS model_experiments_status_idx
+  ON model_experiments (status);
+
+CREATE TABLE IF NOT EXISTS model_experiment_exposures (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  experiment_id TEXT NOT NULL REFERENCES model_experiments(id) ON DELETE CASCADE,
+  variant_id TEXT NOT NULL,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  session_id TEXT,
+  request_id TEXT NOT NULL,
+  usage_source_hash TEXT,
+  intent TEXT,
+  plan TEXT,
+  model TEXT NOT NULL,
+  is_retry BOOLEAN NOT NULL DEFAULT false,
+  code_version_id TEXT,
+  kept BOOLEAN,
+  outcome_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS model_experiment_exposures_request_unique
+  ON model_experiment_exposures (experiment_id, request_id);
+
+CREATE INDEX IF NOT EXISTS model_experiment_exposures_variant_idx
+  ON model_experiment_exposures (experiment_id, variant_id);
+
+CREATE INDEX IF NOT EXISTS model_experiment_exposures_user_request_idx
+  ON model_experiment_exposures (user_id, request_id);
@@ -0,0 +1,3 @@
+ALTER TABLE sessions
+  ADD COLUMN IF NOT EXISTS history_summary JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS history_summary_updated_at TIMESTAMPTZ;
@@ -0,0 +1,33 @@
+-- Admin-created prompt template versions. Version 1 of each template ships
+-- in code (utils/promptTemplates.js); rows here are later versions.
+CREATE TABLE IF NOT EXISTS prompt_template_versions (
+  template_id TEXT NOT NULL,
+  version INTEGER NOT NULL CHECK (version > 1),
+  owner TEXT NOT NULL,
+  description TEXT,
+  variables TEXT[] NOT NULL DEFAULT '{}',
+  body TEXT NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (template_id, version)
+);
+
+-- Active version per template; absent rows mean the built-in version 1.
+CREATE TABLE IF NOT EXISTS prompt_template_releases (
+  template_id TEXT PRIMARY KEY,
+  active_version INTEGER NOT NULL,
+  previous_version INTEGER,
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE usage_events
+  ADD COLUMN IF NOT EXISTS prompt_template_id TEXT,
+  ADD COLUMN IF NOT EXISTS prompt_template_version INTEGER;
+
+CREATE INDEX IF NOT EXISTS usage_events_prompt_template_idx
+  ON usage_events (prompt_template_id, prompt_template_version);
+
+ALTER TABLE IF EXISTS llm_turn_logs
+  ADD COLUMN IF NOT EXISTS prompt_template_id TEXT,
+  ADD COLUMN IF NOT EXISTS prompt_template_version INTEGER;
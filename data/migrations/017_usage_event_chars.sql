@@ -0,0 +1,12 @@
+-- Character counts next to token counts so the tokenizer registry
+-- (utils/tokenizers.js) can calibrate chars-per-token per model family.
+-- token_source tells provider-reported usage from local estimates; only the
+-- former is used for calibration.
+ALTER TABLE usage_events
+  ADD COLUMN IF NOT EXISTS input_chars INTEGER,
+  ADD COLUMN IF NOT EXISTS output_chars INTEGER,
+  ADD COLUMN IF NOT EXISTS token_source TEXT CHECK (token_source IN ('provider', 'estimate'));
+
+CREATE INDEX IF NOT EXISTS usage_events_token_calibration_idx
+  ON usage_events (model, event_timestamp)
+  WHERE token_source = 'provider';
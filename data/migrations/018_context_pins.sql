@@ -0,0 +1,18 @@
+-- Items the user has pinned into chat context: standing project
+-- instructions, messages and code excerpts. Rows without an artifact apply to
+-- every chat of the user; rows with one only while that artifact is open.
+CREATE TABLE IF NOT EXISTS context_pins (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  artifact_id UUID REFERENCES artifacts(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('instruction', 'message', 'code')),
+  label TEXT NOT NULL DEFAULT '',
+  content TEXT NOT NULL,
+  source JSONB NOT NULL DEFAULT '{}'::jsonb,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS context_pins_user_artifact_idx
+  ON context_pins (user_id, artifact_id, position);
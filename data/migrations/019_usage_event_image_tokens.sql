@@ -0,0 +1,5 @@
+-- Image parts (preview screenshots sent to /api/chat) are billed by the
+-- provider as input tokens. image_tokens records the estimated share so
+-- tokenizer calibration can leave it out of the chars-per-token ratio.
+ALTER TABLE usage_events
+  ADD COLUMN IF NOT EXISTS image_tokens INTEGER NOT NULL DEFAULT 0;
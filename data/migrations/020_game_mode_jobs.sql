@@ -0,0 +1,46 @@
+-- Game-mode jobs outlive the process that runs them: the job row carries the
+-- last completed stage and its checkpoint so another process can resume it,
+-- and every SSE event is kept under a per-job sequence id for Last-Event-ID
+-- replay.
+CREATE TABLE IF NOT EXISTS game_mode_jobs (
+  id TEXT PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  mode TEXT NOT NULL CHECK (mode IN ('single', 'multi')),
+  status TEXT NOT NULL CHECK (status IN ('queued', 'running', 'success', 'error')),
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  stage TEXT,
+  checkpoint JSONB NOT NULL DEFAULT '{}'::jsonb,
+  result JSONB,
+  last_event_id INTEGER NOT NULL DEFAULT 0,
+  attempts INTEGER NOT NULL DEFAULT 1,
+  owner_id TEXT,
+  heartbeat_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS game_mode_jobs_active_idx
+  ON game_mode_jobs (status, heartbeat_at)
+  WHERE status IN ('queued', 'running');
+CREATE INDEX IF NOT EXISTS game_mode_jobs_user_idx ON game_mode_jobs (user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS game_mode_job_events (
+  job_id TEXT NOT NULL REFERENCES game_mode_jobs(id) ON DELETE CASCADE,
+  id INTEGER NOT NULL,
+  event TEXT NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (job_id, id)
+);
+
+CREATE TABLE IF NOT EXISTS game_mode_job_artifacts (
+  id UUID PRIMARY KEY,
+  job_id TEXT NOT NULL REFERENCES game_mode_jobs(id) ON DELETE CASCADE,
+  path TEXT NOT NULL,
+  role TEXT NOT NULL,
+  open_on_complete BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS game_mode_job_artifacts_job_idx ON game_mode_job_artifacts (job_id, created_at);
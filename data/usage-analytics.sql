@@ -49,6 +49,9 @@ CREATE TABLE llm_turn_logs (
   credits_charged INTEGER,
   latency_ms INTEGER,
 
+  prompt_template_id TEXT,
+  prompt_template_version INTEGER,
+
   created_at TIMESTAMPTZ NOT NULL DEFAULT now()
 );
 
@@ -168,7 +171,11 @@ ALTER TABLE usage_events
 ADD COLUMN IF NOT EXISTS input_tokens INTEGER,
 ADD COLUMN IF NOT EXISTS output_tokens INTEGER,
 ADD COLUMN IF NOT EXISTS credit_norm_factor NUMERIC(6,3),
-ADD COLUMN IF NOT EXISTS model_cost_usd NUMERIC(10,6);
+ADD COLUMN IF NOT EXISTS model_cost_usd NUMERIC(10,6),
+ADD COLUMN IF NOT EXISTS input_chars INTEGER,
+ADD COLUMN IF NOT EXISTS output_chars INTEGER,
+ADD COLUMN IF NOT EXISTS token_source TEXT CHECK (token_source IN ('provider', 'estimate')),
+ADD COLUMN IF NOT EXISTS image_tokens INTEGER NOT NULL DEFAULT 0;
 
 CREATE TABLE plan_model_policy (
   plan TEXT NOT NULL REFERENCES plan_tiers(plan),
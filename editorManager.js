@@ -3,6 +3,12 @@ const MONACO_BASE_URL = `https://cdn.jsdelivr.net/npm/monaco-editor@${MONACO_VER
 const MONACO_LOADER_URL = `${MONACO_BASE_URL}/vs/loader.js`;
 const MONACO_WORKER_MAIN_URL = `${MONACO_BASE_URL}/vs/base/worker/workerMain.js`;
 
+const HUNK_DECORATION_CLASSES = {
+  pending: 'editor-hunk-pending',
+  accepted: 'editor-hunk-accepted',
+  rejected: 'editor-hunk-rejected'
+};
+
 const LOADER_DATA_ATTRIBUTE = 'data-monaco-amd-loader';
 const loaderScriptId = 'monaco-amd-loader';
 
@@ -13,6 +19,7 @@ function buildEditorApi(editor) {
       callback(model);
     }
   };
+  let hunkDecorationIds = [];
 
   return {
     editor,
@@ -25,6 +32,18 @@ function buildEditorApi(editor) {
     setValue: (value) => editor.setValue(value),
     getPosition: () => editor.getPosition(),
     setPosition: (position) => editor.setPosition(position),
+    getSelection: () => {
+      const selection = editor.getSelection();
+      const model = editor.getModel();
+      if (!selection || !model || selection.isEmpty()) {
+        return null;
+      }
+      return {
+        startLine: selection.startLineNumber,
+        endLine: selection.endLineNumber,
+        text: model.getValueInRange(selection)
+      };
+    },
     getScrollTop: () => editor.getScrollTop(),
     setScrollTop: (value) => editor.setScrollTop(value),
     focus: () => editor.focus(),
@@ -39,23 +58,43 @@ function buildEditorApi(editor) {
     setLanguage: (language) => {
       withModel((model) => monaco.editor.setModelLanguage(model, language));
     },
-    clearMarkers: () => {
-      withModel((model) => monaco.editor.setModelMarkers(model, 'runtime', []));
+    clearMarkers: (owner = 'runtime') => {
+      withModel((model) => monaco.editor.setModelMarkers(model, owner, []));
     },
-    setMarkers: (errors = []) => {
+    setMarkers: (errors = [], owner = 'runtime') => {
       withModel((model) => {
         const markers = errors.map((error) => ({
           startLineNumber: error.line || 1,
           startColumn: error.column || 1,
-          endLineNumber: error.line || 1,
-          endColumn: (error.column || 1) + 1,
+          endLineNumber: error.endLine || error.line || 1,
+          endColumn: error.endColumn || (error.column || 1) + 1,
           message: error.message || 'Error',
           severity: error.severity === 'warning'
             ? monaco.MarkerSeverity.Warning
             : monaco.MarkerSeverity.Error
         }));
-        monaco.editor.setModelMarkers(model, 'runtime', markers);
+        monaco.editor.setModelMarkers(model, owner, markers);
       });
+    },
+    clearHunkDecorations: () => {
+      hunkDecorationIds = editor.deltaDecorations(hunkDecorationIds, []);
+    },
+    setHunkDecorations: (hunks = []) => {
+      const decorations = hunks
+        .filter((hunk) => hunk.startLine)
+        .map((hunk) => {
+          const decision = HUNK_DECORATION_CLASSES[hunk.decision] ? hunk.decision : 'pending';
+          return {
+            range: new monaco.Range(hunk.startLine, 1, hunk.endLine || hunk.startLine, 1),
+            options: {
+              isWholeLine: true,
+              className: HUNK_DECORATION_CLASSES[decision],
+              linesDecorationsClassName: `${HUNK_DECORATION_CLASSES[decision]}-gutter`,
+              hoverMessage: hunk.message ? { value: hunk.message } : undefined
+            }
+          };
+        });
+      hunkDecorationIds = editor.deltaDecorations(hunkDecorationIds, decorations);
     }
   };
 }
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+import { execFileSync } from 'node:child_process';
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+import {
+  createFakeProvider,
+  resolveLlmProvider,
+  withFixtureRecording
+} from '../utils/llmProviders.js';
+import { compareEvalReports, runPromptEval } from '../server/utils/promptEvals.js';
+
+const USAGE = `Usage: node scripts/run-prompt-evals.js --dataset <file> [options]
+
+  --fixtures <file>   recorded replies for the fake provider
+                      (default: evals/fixtures/<dataset name>.json)
+  --live              call the provider from LLM_PROVIDER instead of fixtures
+  --record <file>     with --live, save the replies as fixtures
+  --out <file>        report path (default: evals/reports/<dataset>-<commit>.json)
+  --compare <file>    diff against an earlier report; exits 1 on regressions`;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let index = 0; index < argv.length; index += 1) {
+    const key = argv[index];
+    if (key === '--live' || key === '--help') {
+      args[key.slice(2)] = true;
+    } else if (key.startsWith('--')) {
+      args[key.slice(2)] = argv[index + 1];
+      index += 1;
+    }
+  }
+  return args;
+}
+
+function readJson(filePath) {
+  return JSON.parse(readFileSync(filePath, 'utf8'));
+}
+
+function writeJson(filePath, value) {
+  mkdirSync(path.dirname(filePath), { recursive: true });
+  writeFileSync(filePath, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+function resolveCommit() {
+  if (process.env.EVAL_COMMIT) {
+    return process.env.EVAL_COMMIT;
+  }
+  try {
+    return execFileSync('git', ['rev-parse', '--short', 'HEAD'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return null;
+  }
+}
+
+function formatScore(value) {
+  return value === null || value === undefined ? '-' : String(value);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.dataset) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+  const dataset = readJson(args.dataset);
+  const providerEnv = { ...process.env };
+  // Embeddings fall back to the deterministic local hash and nothing is
+  // persisted, so reports depend only on the dataset and the fixtures.
+  delete process.env.OPENAI_API_KEY;
+  delete process.env.DATABASE_URL;
+
+  let provider;
+  if (args.live) {
+    provider = withFixtureRecording(resolveLlmProvider({ env: providerEnv }));
+  } else {
+    provider = createFakeProvider({
+      fixturesPath: args.fixtures || path.join('evals', 'fixtures', `${dataset.name}.json`)
+    });
+  }
+
+  const commit = resolveCommit();
+  const report = await runPromptEval({ dataset, provider, commit });
+  const outPath = args.out || path.join('evals', 'reports', `${dataset.name}-${commit || 'local'}.json`);
+  writeJson(outPath, report);
+  if (args.live && args.record) {
+    writeJson(args.record, { fixtures: provider.recorded });
+  }
+
+  console.log(`Eval ${report.dataset.name} (${report.summary.cases} cases, ${report.summary.errors} errors) -> ${outPath}`);
+  Object.entries(report.summary.graders).forEach(([name, summary]) => {
+    console.log(`  ${name}: mean ${formatScore(summary.mean)} (${summary.direction} is better), ${summary.passed} passed, ${summary.failed} failed`);
+  });
+  report.cases.filter((entry) => entry.error).forEach((entry) => {
+    console.error(`  [ERROR] ${entry.id}: ${entry.error}`);
+  });
+
+  if (!args.compare) {
+    return;
+  }
+  const comparison = compareEvalReports(readJson(args.compare), report);
+  console.log(`\nCompared with ${comparison.base.commit || args.compare}${comparison.same_dataset ? '' : ' (dataset changed)'}`);
+  Object.entries(comparison.graders).forEach(([name, delta]) => {
+    console.log(`  ${name}: ${formatScore(delta.base)} -> ${formatScore(delta.head)} (${formatScore(delta.delta)})`);
+  });
+  comparison.regressions.forEach((change) => {
+    const detail = change.grader
+      ? `${change.grader} ${formatScore(change.base)} -> ${formatScore(change.head)}`
+      : change.error;
+    console.error(`  [REGRESSION] ${change.id}: ${detail}`);
+  });
+  if (comparison.regressions.length) {
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error('Prompt eval failed:', error?.message || error);
+  process.exit(1);
+});
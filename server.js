@@ -7,11 +7,14 @@ import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { WebSocketServer } from 'ws';
 import { resolveUserStoreDriver, isCsvUserStoreDriver } from './db/index.js';
-import { recordUsageEvent } from './db/usage.js';
+import { buildUsageSourceHash, recordUsageEvent } from './db/usage.js';
+import { calculateCreditsUsed } from './api/credits.js';
+import { TOKENIZER_FAMILIES, calibrateCharsPerToken, tokenizerRegistry } from './utils/tokenizers.js';
 import {
   fetchCheapestAllowedModel,
   fetchModelPricing,
   fetchFirstNonPremiumModel,
+  fetchFirstPremiumModel,
   fetchMonthlyQuota,
   fetchPlanNormalizationFactor,
   fetchPlanPolicy,
@@ -22,13 +25,30 @@ import {
   fetchUsageEventsByRange,
   fetchUsageOverview,
   fetchAdminUsageSummary,
+  fetchExperimentVariantStats,
+  fetchModelExperiments,
+  fetchPromptTemplateReleases,
+  fetchPromptTemplateVersions,
+  fetchRunningModelExperiments,
+  fetchTokenizerCalibrationTotals,
   getUsageAnalyticsPool,
+  insertExperimentExposure,
   insertLlmTurnLog,
+  insertPromptTemplateVersion,
   insertRouteDecision,
-  isPremiumModel
+  isPremiumModel,
+  recordExperimentOutcome,
+  upsertModelExperiment,
+  upsertPromptTemplateRelease
 } from './utils/usageAnalytics.js';
+import {
+  normalizeExperimentDefinition,
+  selectExperimentAssignment,
+  summarizeExperimentVariants
+} from './utils/modelExperiments.js';
 import {
   applyCreditDeduction,
+  applyCreditRefund,
   findOrCreateUser,
   findUserByStripeCustomer,
   getUserById,
@@ -69,19 +89,108 @@ import {
   fetchProfileHandleOwner,
   upsertProfile
 } from './utils/profileDb.js';
+import {
+  countContextPins,
+  deleteContextPin,
+  fetchContextPins,
+  insertContextPin,
+  updateContextPin
+} from './utils/contextPinsDb.js';
+import { MAX_CONTEXT_PINS, normalizeContextPinInput } from './utils/contextPins.js';
+import {
+  appendGameModeJobEvent,
+  claimStaleGameModeJobs,
+  deleteExpiredGameModeJobs,
+  fetchGameModeJob,
+  fetchGameModeJobEvents,
+  insertGameModeJob,
+  insertGameModeJobArtifact,
+  touchGameModeJobs,
+  updateGameModeJob
+} from './utils/gameModeJobsDb.js';
 import { createObjectStorageAdapter } from './utils/objectStorage.js';
 import {
-  applyUsageAwareReduction,
-  buildTrimmedContext,
   estimateMessageTokens,
   estimateTokensWithTokenizer,
-  getContextTokenBudget,
+  getEmbeddingCacheStats,
   hasAccurateTokenizer,
-  resolveContextMode
+  resolveContextMode,
+  selectRelevantCodeChunks
 } from './utils/tokenEfficiency.js';
 import { getDbPool } from './utils/queryLayer.js';
-import { buildPlayablePrompt } from './server/utils/playableWrapper.js';
-import { buildRetryPrompt } from './server/utils/retryWrapper.js';
+import { appendAgentEvent, createAgentRun, markAgentRunFinished } from './agent/store.js';
+import { responseIncludesPlayableElements } from './server/utils/playableWrapper.js';
+import {
+  applyChatPromptWrappers,
+  applyPromptToLastUserMessage,
+  buildChatContext,
+  buildChatResponseCacheRequest,
+  resolveChatContextBudget
+} from './server/utils/chatPipeline.js';
+import { createFailure, verifySingleFile } from './server/utils/staticVerification.js';
+import { buildPlaytestPlan, runPlaytest } from './server/utils/gameModePlaytest.js';
+import { applyRepairOutput, buildRepairPrompt, summarizeRepairDiff } from './server/utils/gameModeRepair.js';
+import {
+  buildTemplateBuilderOutput,
+  buildTemplateDesignerSpec,
+  buildTemplateGameHtml,
+  checkTemplateMustHave,
+  getGameModeTemplate,
+  listGameModeTemplates
+} from './server/utils/gameModeTemplates.js';
+import { selectRoutedModel } from './server/utils/modelRouting.js';
+import {
+  buildRuntimeFixPrompt,
+  extractCodeAroundLine,
+  normalizeRuntimeError
+} from './server/utils/fixWrapper.js';
+import { resolveStreamSettlement } from './server/utils/chatStream.js';
+import { createChatRequestRegistry } from './server/utils/chatRequestRegistry.js';
+import { createAutoFixBudget } from './server/utils/autoFixBudget.js';
+import {
+  isGameModeJobExpired,
+  parseLastEventId,
+  planGameModeResume,
+  selectEventsAfter,
+  sumGameModeLlmUsage
+} from './server/utils/gameModeJobs.js';
+import { createConcurrencyQueue } from './core/concurrency.js';
+import {
+  DEFAULT_MAX_TOOL_ROUNDS,
+  buildToolInstructions,
+  createChatToolRegistry,
+  createUserWorkspaceResolver,
+  createWorkspaceChatTools,
+  runToolLoop
+} from './server/utils/chatTools.js';
+import { prependGlyphHeader, resolveGlyphContext } from './server/utils/glyphContext.js';
+import { applyHistorySummaryEdits, normalizeHistorySummaryState } from './utils/historySummarizer.js';
+import { mergeStoredMessages, normalizeMessageTree } from './utils/messageTree.js';
+import { createResponseCache } from './utils/responseCache.js';
+import { formatSseEvent } from './utils/sseParser.js';
+import { promptTemplateRegistry } from './utils/promptTemplates.js';
+import { attachImagesToLastUserMessage, describeMessageContent, normalizeChatImages } from './utils/chatImages.js';
+import { parseEditBlocks, validateEditHunks, validateFileEditHunks } from './utils/editPatches.js';
+import {
+  getActiveFileContent,
+  getTotalCodeChars,
+  normalizeCodeFiles,
+  toFileContentMap
+} from './utils/codeFiles.js';
+import {
+  applySecretScanPolicy,
+  containsRedaction,
+  mergeSecretScanPolicies,
+  parseSecretScanPolicy,
+  resolveSecretScanPolicy,
+  summarizeSecretScan
+} from './utils/secretScanner.js';
+import {
+  createLlmProvider,
+  mergeStreamUsage,
+  resolveLlmProvider,
+  toChatCompletionPayload
+} from './utils/llmProviders.js';
 import { createHttpError, logStructured } from './utils/logger.js';
 
 const app = express();
@@ -227,9 +336,11 @@ function getRequestIp(req) {
 const REQUEST_LOG_EVENT = 'http_request';
 const MAX_CHAT_MESSAGE_CHARS = 12000;
 const MAX_CODE_CONTEXT_CHARS = 200000;
+const MAX_CHAT_CODE_FILES = 40;
 const MAX_CHAT_HISTORY_COUNT = 60;
 const MAX_AUTH_TOKEN_LENGTH = 8192;
 const MAX_EMAIL_LENGTH = 320;
+const SECRET_SCAN_POLICY = parseSecretScanPolicy(process.env.SECRET_SCAN_POLICY);
 
 
 const DEV_PERF_ENABLED = process.env.NODE_ENV !== 'production';
@@ -316,6 +427,92 @@ function requestContextMiddleware(req, res, next) {
   next();
 }
 
+/**
+ * Chat requests carry either a `files` map with `activePath` and an optional
+ * `selection`, or the legacy single `currentCode`/`code` string.
+ */
+function resolveChatCodeFiles(body = {}) {
+  return normalizeCodeFiles({
+    files: body.files,
+    activePath: body.activePath ?? body.active_path,
+    selection: body.selection,
+    currentCode: typeof body.currentCode === 'string'
+      ? body.currentCode
+      : (typeof body.code === 'string' ? body.code : ''),
+    maxFiles: MAX_CHAT_CODE_FILES
+  });
+}
+
+function collectChatScanFields(body = {}) {
+  const fields = ['currentCode', 'code', 'userPrompt', 'originalPrompt', 'previousResponse'].map((key) => ({
+    path: key,
+    text: body[key],
+    file: key === 'currentCode' || key === 'code' ? body.activePath ?? body.active_path ?? null : null,
+    write: (value) => { body[key] = value; }
+  }));
+  if (Array.isArray(body.files)) {
+    body.files.forEach((entry, index) => {
+      fields.push({
+        path: `files.${index}.content`,
+        text: entry?.content,
+        file: entry?.path ?? null,
+        write: (value) => { entry.content = value; }
+      });
+    });
+  } else if (body.files && typeof body.files === 'object') {
+    Object.keys(body.files).forEach((filePath) => {
+      fields.push({
+        path: `files.${filePath}`,
+        text: body.files[filePath],
+        file: filePath,
+        write: (value) => { body.files[filePath] = value; }
+      });
+    });
+  }
+  // Every role goes upstream again, including replies that echoed a secret.
+  if (Array.isArray(body.messages)) {
+    body.messages.forEach((message, index) => {
+      if (Array.isArray(message?.content)) {
+        message.content.forEach((part, partIndex) => {
+          if (part && typeof part.text === 'string') {
+            fields.push({
+              path: `messages.${index}.content.${partIndex}.text`,
+              text: part.text,
+              file: null,
+              write: (value) => { part.text = value; }
+            });
+          }
+        });
+        return;
+      }
+      fields.push({
+        path: `messages.${index}.content`,
+        text: message?.content,
+        file: null,
+        write: (value) => { message.content = value; }
+      });
+    });
+  }
+  return fields;
+}
+
+/**
+ * Scans the code and user text a chat request would send to the model.
+ * Redacted fields are rewritten on `body` in place so every later read
+ * (context building, playable wrappers, cache keys) sees the redacted text.
+ * Edit patches are validated against `req.originalCodeFiles` instead.
+ */
+function scanChatRequestBody(body = {}) {
+  const fields = collectChatScanFields(body);
+  const result = applySecretScanPolicy(fields, resolveSecretScanPolicy('chat', SECRET_SCAN_POLICY));
+  const fieldsByPath = new Map(fields.map((field) => [field.path, field]));
+  Object.entries(result.redacted).forEach(([path, value]) => fieldsByPath.get(path).write(value));
+  result.findings.forEach((finding) => {
+    finding.file = fieldsByPath.get(finding.path)?.file ?? null;
+  });
+  return result;
+}
+
 function enforceRequestValidation(req, _res, next) {
   const path = req.path || req.originalUrl || '';
   if (path === '/api/chat') {
@@ -341,10 +538,27 @@ function enforceRequestValidation(req, _res, next) {
         message: `Each message must be <= ${MAX_CHAT_MESSAGE_CHARS} chars`
       }));
     }
-    const codeContent = typeof body.currentCode === 'string'
-      ? body.currentCode
-      : (typeof body.code === 'string' ? body.code : '');
-    if (codeContent.length > MAX_CODE_CONTEXT_CHARS) {
+    // Images leave the body here so the proxy provider does not forward the
+    // data URLs a second time next to the image parts.
+    const chatImages = normalizeChatImages(body.images);
+    if (chatImages.error) {
+      return next(createHttpError({
+        status: 400,
+        code: 'INVALID_CHAT_IMAGE',
+        message: chatImages.error
+      }));
+    }
+    req.chatImages = chatImages.images;
+    delete body.images;
+    const codeFiles = resolveChatCodeFiles(body);
+    if (codeFiles.errors.length) {
+      return next(createHttpError({
+        status: 400,
+        code: 'INVALID_CODE_FILES',
+        message: codeFiles.errors[0]
+      }));
+    }
+    if (getTotalCodeChars(codeFiles.files) > MAX_CODE_CONTEXT_CHARS) {
       return next(createHttpError({
         status: 413,
         code: 'CODE_CONTEXT_TOO_LARGE',
@@ -368,6 +582,8 @@ function enforceRequestValidation(req, _res, next) {
   next();
 }
 
+const USAGE_EVENT_STATUSES = new Set(['success', 'error', 'cancelled', 'cache_hit']);
+
 async function recordUsageEventToDb({
   user,
   sessionId,
@@ -379,7 +595,12 @@ async function recordUsageEventToDb({
   creditsCharged,
   latencyMs,
   status,
-  timestamp
+  timestamp,
+  promptTemplate = null,
+  inputChars = null,
+  outputChars = null,
+  tokenSource = null,
+  imageTokens = 0
 }) {
   if (!user || !model) {
     return;
@@ -413,9 +634,15 @@ async function recordUsageEventToDb({
     creditNormFactor,
     modelCostUsd,
     latencyMs: latencyMs ?? 0,
-    success: status === 'success',
-    status: status === 'success' ? 'success' : 'error',
-    timestamp
+    success: status === 'success' || status === 'cache_hit',
+    status: USAGE_EVENT_STATUSES.has(status) ? status : 'error',
+    timestamp,
+    promptTemplateId: promptTemplate?.id || null,
+    promptTemplateVersion: promptTemplate?.version || null,
+    inputChars,
+    outputChars,
+    tokenSource,
+    imageTokens
   });
 }
 
@@ -478,6 +705,8 @@ const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4.1-mini';
 const LLM_PROXY_URL =
   process.env.LLM_PROXY_URL
   || 'https://text-code.primarydesigncompany.workers.dev';
+const llmProvider = resolveLlmProvider({ env: process.env, proxyUrl: LLM_PROXY_URL });
+const directLlmProvider = createLlmProvider('openai', { apiKey: OPENAI_API_KEY });
 const SESSION_COOKIE_NAME = 'maya_session';
 const SESSION_MAX_AGE_SECONDS = 60 * 60 * 24 * 30;
 const SESSION_REVOCATION_TTL_SECONDS = 60 * 60 * 24 * 35;
@@ -619,13 +848,29 @@ const __dirname = path.dirname(__filename);
 const DATA_DIR = path.join(__dirname, 'data');
 const ARTIFACT_UPLOADS_DIR = path.join(DATA_DIR, 'artifact_uploads');
 const PROFILE_UPLOADS_DIR = path.join(DATA_DIR, 'profile_uploads');
+const CHAT_UPLOADS_DIR = path.join(DATA_DIR, 'chat_uploads');
 const SESSION_STATE_DIR = path.join(DATA_DIR, 'session_state');
+const SESSION_SUMMARY_DIR = path.join(DATA_DIR, 'session_summaries');
 const SESSION_STATE_MAX_BYTES = Number(process.env.SESSION_STATE_MAX_BYTES || 4_000_000);
 
 function getSessionStateDbPool() {
   return getDbPool();
 }
 
+// Session state is stored as an opaque blob, but the message tree inside it is
+// normalized on write so every reader sees parent links and a valid leaf.
+function normalizeSessionStateTree(state) {
+  if (!Array.isArray(state?.messages)) {
+    return state;
+  }
+  const tree = normalizeMessageTree(state.messages, state.active_leaf_id);
+  return {
+    ...state,
+    messages: tree.messages,
+    active_leaf_id: tree.active_leaf_id
+  };
+}
+
 async function upsertSessionStateRecord({ userId, sessionId, state, summary = null }) {
   const dbPool = getSessionStateDbPool();
   const updatedAt = new Date().toISOString();
@@ -726,14 +971,99 @@ async function fetchSessionStateRecord({ userId, sessionId = '' }) {
   }
   return null;
 }
+
+// History summaries live beside the session row rather than inside
+// state_blob, which the client overwrites on every sync.
+async function fetchSessionHistorySummary({ userId, sessionId }) {
+  const dbPool = getSessionStateDbPool();
+  if (dbPool) {
+    const result = await dbPool.query(
+      `
+      SELECT history_summary, history_summary_updated_at
+      FROM sessions
+      WHERE session_id = $1 AND user_id = $2
+      LIMIT 1
+      `,
+      [sessionId, userId]
+    );
+    const row = result.rows[0];
+    return row ? { ...(row.history_summary || {}), updated_at: row.history_summary_updated_at } : null;
+  }
+  const filePath = path.join(SESSION_SUMMARY_DIR, `${userId}-${sessionId}.json`);
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function saveSessionHistorySummary({ userId, sessionId, historySummary }) {
+  const dbPool = getSessionStateDbPool();
+  if (dbPool) {
+    await dbPool.query(
+      `
+      INSERT INTO sessions (session_id, user_id, last_active, history_summary, history_summary_updated_at)
+      VALUES ($1, $2, NOW(), $3::jsonb, NOW())
+      ON CONFLICT (session_id)
+      DO UPDATE SET
+        history_summary = EXCLUDED.history_summary,
+        history_summary_updated_at = NOW()
+      WHERE sessions.user_id = EXCLUDED.user_id
+      `,
+      [sessionId, userId, JSON.stringify(historySummary || {})]
+    );
+    return;
+  }
+  await fs.mkdir(SESSION_SUMMARY_DIR, { recursive: true });
+  const filePath = path.join(SESSION_SUMMARY_DIR, `${userId}-${sessionId}.json`);
+  await fs.writeFile(filePath, JSON.stringify({ ...historySummary, updated_at: new Date().toISOString() }));
+}
+
+function createSessionHistorySummaryStore({ userId, sessionId, requestId }) {
+  return {
+    load: () => fetchSessionHistorySummary({ userId, sessionId }).catch((error) => {
+      logStructured('warn', 'history_summary_load_failed', {
+        request_id: requestId,
+        session_id: sessionId,
+        error: String(error?.message || error)
+      });
+      return null;
+    }),
+    save: (historySummary) => saveSessionHistorySummary({ userId, sessionId, historySummary }).catch((error) => {
+      logStructured('warn', 'history_summary_save_failed', {
+        request_id: requestId,
+        session_id: sessionId,
+        error: String(error?.message || error)
+      });
+    })
+  };
+}
 const ARTIFACT_EVENTS_FILE = path.join(DATA_DIR, 'artifact_events.csv');
-const DEFAULT_MAX_CONTEXT_MESSAGES = 8;
-const DEFAULT_MAX_RELEVANT_MESSAGES = 8;
-const DEFAULT_MAX_CODE_CONTEXT_CHARS = 3000;
-const DEFAULT_HISTORY_SUMMARY_THRESHOLD_TOKENS = 6000;
+const CHAT_STREAM_OUTPUT_RESERVE_TOKENS = Number(process.env.CHAT_STREAM_OUTPUT_RESERVE_TOKENS || 2000);
+const AUTO_FIX_MAX_ATTEMPTS = Number(process.env.AUTO_FIX_MAX_ATTEMPTS || 3);
+const AUTO_FIX_SESSION_CREDIT_CAP = Number(process.env.AUTO_FIX_SESSION_CREDIT_CAP || 25);
+const CHAT_TOOL_MAX_ROUNDS = Math.max(1, Number(process.env.CHAT_TOOL_MAX_ROUNDS || DEFAULT_MAX_TOOL_ROUNDS));
+const CHAT_TOOL_PREVIEW_CHARS = 600;
+const PROMPT_TEMPLATE_REFRESH_MS = Number(process.env.PROMPT_TEMPLATE_REFRESH_MS || 60 * 1000);
+const TOKENIZER_CALIBRATION_REFRESH_MS = Number(process.env.TOKENIZER_CALIBRATION_REFRESH_MS || 60 * 60 * 1000);
+const TOKENIZER_CALIBRATION_DAYS = Number(process.env.TOKENIZER_CALIBRATION_DAYS || 30);
+const chatRequestRegistry = createChatRequestRegistry();
+const AUTO_FIX_WINDOW_MS = Number(process.env.AUTO_FIX_WINDOW_MS || 60 * 60 * 1000);
+const autoFixBudget = createAutoFixBudget({
+  creditCap: AUTO_FIX_SESSION_CREDIT_CAP,
+  maxAttempts: AUTO_FIX_MAX_ATTEMPTS,
+  windowMs: AUTO_FIX_WINDOW_MS
+});
+const RESPONSE_CACHE_ENABLED = process.env.RESPONSE_CACHE_ENABLED !== 'false';
+const responseCache = createResponseCache({
+  ttlMs: Number(process.env.RESPONSE_CACHE_TTL_MS || 10 * 60 * 1000),
+  maxEntries: Number(process.env.RESPONSE_CACHE_MAX_ENTRIES || 500),
+  similarityThreshold: Number(process.env.RESPONSE_CACHE_SIMILARITY || 0.97)
+});
 const storageAdapter = createObjectStorageAdapter({
   artifactUploadsDir: ARTIFACT_UPLOADS_DIR,
-  profileUploadsDir: PROFILE_UPLOADS_DIR
+  profileUploadsDir: PROFILE_UPLOADS_DIR,
+  chatUploadsDir: CHAT_UPLOADS_DIR
 });
 
 const tokenEfficiencyTelemetry = {
@@ -745,34 +1075,6 @@ const tokenEfficiencyTelemetry = {
   summaryUsageCount: 0
 };
 
-const CHAT_SYSTEM_PROMPT = `You are a serious, capable engineering assistant.
-Be concise, direct, and practical.
-Avoid whimsical, playful, or anthropomorphic language.
-Demonstrate capability through action (code, structure), not tone.
-
-Default behavior:
-- Be proactive and demonstrate capability when possible.
-- If the user input is underspecified, choose a reasonable, concrete task and execute it.
-- Prefer generating working code, UI components, or functional examples over discussion.
-
-Assume the user is evaluating capability unless stated otherwise.
-
-You MUST respond with valid JSON only. Do not wrap in markdown or code fences.
-Return ONLY the following schema with no extra top-level keys:
-
-{
-  "assistant": { "text": "string" },
-  "ui": {
-    "html": "string",
-    "css": "string",
-    "js": "string"
-  }
-}
-
-The "ui.html", "ui.css", and "ui.js" fields are optional but MUST be present as
-empty strings when not provided. If the user asks a question, respond with
-assistant.text. If the user asks to modify or generate UI, include ui.html/css/js.`;
-
 /**
  * 🔴 CORS MUST BE FIRST
  */
@@ -785,7 +1087,7 @@ const corsOptions = {
   origin: resolveCorsOrigins(),
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id']
 };
 
 app.use(cors(corsOptions));
@@ -802,6 +1104,31 @@ app.use((req, res, next) => {
 
 app.use('/uploads/artifacts', express.static(ARTIFACT_UPLOADS_DIR));
 app.use('/uploads/profiles', express.static(PROFILE_UPLOADS_DIR));
+// Chat images are screenshots of private work: only their owner may load them.
+app.get('/uploads/chat/:filename', async (req, res) => {
+  try {
+    const session = await getSessionFromRequest(req);
+    if (!session) {
+      return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    }
+    const image = storageAdapter.resolveChatImage(req.params.filename, session.sub);
+    if (!image) {
+      return res.status(404).json({ ok: false, error: 'Not found' });
+    }
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    if (image.url) {
+      return res.redirect(302, image.url);
+    }
+    return res.sendFile(image.filePath, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ ok: false, error: 'Not found' });
+      }
+    });
+  } catch (error) {
+    console.error('Failed to serve chat image.', error);
+    return res.status(500).json({ ok: false, error: 'Failed to load image' });
+  }
+});
 app.use(enforceRequestValidation);
 
 app.use((req, res, next) => {
@@ -882,6 +1209,7 @@ const JOB_TTL_MS = 30 * 60 * 1000;
 const JOB_CLEANUP_INTERVAL_MS = 5 * 60 * 1000;
 const MAX_FIX_PASSES = 2;
 const GAME_MODE_RUNTIME_VERIFY_ENABLED = process.env.GAME_MODE_RUNTIME_VERIFY === '1';
+const GAME_MODE_PLAYTEST_ENABLED = process.env.GAME_MODE_PLAYTEST !== '0';
 const GAME_MODE_LLM_ENABLED = process.env.GAME_MODE_LLM === '1';
 const LOAD_TIMEOUT_MS = 4000;
 const HEARTBEAT_TIMEOUT_MS = 1500;
@@ -894,6 +1222,22 @@ const ARTIFACT_ROLES = {
 };
 const ARTIFACT_ROLE_SET = new Set(Object.values(ARTIFACT_ROLES));
 const gameModeJobs = new Map();
+// Jobs are written through to Postgres when it is configured. This process
+// heartbeats the jobs it owns; a job whose owner stops heartbeating for
+// GAME_MODE_JOB_STALE_MS is claimed and resumed by whichever process notices.
+const GAME_MODE_INSTANCE_ID = crypto.randomUUID();
+const GAME_MODE_JOB_STALE_MS = Number(process.env.GAME_MODE_JOB_STALE_MS || 90 * 1000);
+const GAME_MODE_HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const GAME_MODE_JOB_RETENTION_MS = Number(process.env.GAME_MODE_JOB_RETENTION_DAYS || 7) * 24 * 60 * 60 * 1000;
+const GAME_MODE_MAX_RUN_ATTEMPTS = 3;
+const GAME_MODE_SSE_RETRY_MS = 3000;
+const GAME_MODE_MAX_CONCURRENT_JOBS = Number(process.env.GAME_MODE_MAX_CONCURRENT_JOBS || 2);
+const GAME_MODE_MAX_CONCURRENT_JOBS_PER_USER = Number(process.env.GAME_MODE_MAX_CONCURRENT_JOBS_PER_USER || 1);
+const GAME_MODE_MAX_PENDING_JOBS_PER_USER = Number(process.env.GAME_MODE_MAX_PENDING_JOBS_PER_USER || 3);
+const gameModeQueue = createConcurrencyQueue({
+  limit: GAME_MODE_MAX_CONCURRENT_JOBS,
+  perKeyLimit: GAME_MODE_MAX_CONCURRENT_JOBS_PER_USER
+});
 
 function resolveWorkspacePath(inputPath = '') {
   const relative = String(inputPath || '').replace(/^\/+/, '').trim();
@@ -925,6 +1269,42 @@ async function listWorkspaceDirs(rootDir) {
   return dirs;
 }
 
+const WORKSPACE_TEXT_FILE = /\.(?:html?|css|m?js|jsx|ts|tsx|json|md|txt|svg)$/i;
+
+/**
+ * Reads the text files under `rootDir` so a multi-file game-mode repo can be
+ * opened as a chat file map. Stops at `maxFiles` or `maxChars` total.
+ */
+async function listWorkspaceFiles(rootDir, { maxFiles = MAX_CHAT_CODE_FILES, maxChars = MAX_CODE_CONTEXT_CHARS } = {}) {
+  const files = [];
+  let totalChars = 0;
+  let truncated = false;
+  async function walk(dir, rel = '', depth = 0) {
+    if (depth > 3 || truncated) return;
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+      const nextRel = rel ? `${rel}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        await walk(path.join(dir, entry.name), nextRel, depth + 1);
+        continue;
+      }
+      if (!entry.isFile() || !WORKSPACE_TEXT_FILE.test(entry.name)) continue;
+      const content = await fs.readFile(path.join(dir, entry.name), 'utf8').catch(() => null);
+      if (content === null) continue;
+      if (files.length >= maxFiles || totalChars + content.length > maxChars) {
+        truncated = true;
+        return;
+      }
+      files.push({ path: nextRel, content });
+      totalChars += content.length;
+    }
+  }
+  await walk(rootDir);
+  return { files, truncated };
+}
+
 function createGameModeArtifactRecord({ path: artifactPath, role, openOnComplete = false }) {
   if (!ARTIFACT_ROLE_SET.has(role)) {
     throw new Error(`Invalid artifact role: ${role}`);
@@ -938,28 +1318,88 @@ function createGameModeArtifactRecord({ path: artifactPath, role, openOnComplete
   };
 }
 
-function createGameModeJob(payload = {}) {
+/**
+ * Queues a write of the job's durable state. Writes run one at a time per
+ * job so the row exists before its events and events land in id order; a
+ * failed write is logged and never stops the job.
+ */
+function persistGameModeJob(job, write, label) {
+  if (!getDbPool()) {
+    return;
+  }
+  job.persisted = job.persisted
+    .then(write)
+    .catch((error) => {
+      logStructured('warn', 'game_mode_job_persist_failed', {
+        job_id: job.id,
+        write: label,
+        error_message: error?.message || 'Unknown error'
+      });
+    });
+}
+
+function createGameModeJob(payload = {}, { userId = null } = {}) {
   const jobId = `gm_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
   const job = {
     id: jobId,
+    userId,
     mode: payload.mode === 'multi' ? 'multi' : 'single',
     payload,
-    status: 'running',
+    status: 'queued',
+    stage: null,
+    checkpoint: {},
     createdAt: Date.now(),
     completedAt: null,
     events: [],
+    lastEventId: 0,
     clients: new Set(),
     artifacts: [],
     result: null,
-    doneEmitted: false
+    doneEmitted: false,
+    persisted: Promise.resolve()
   };
   gameModeJobs.set(jobId, job);
+  persistGameModeJob(job, () => insertGameModeJob({
+    id: jobId,
+    userId,
+    mode: job.mode,
+    status: 'queued',
+    payload,
+    ownerId: GAME_MODE_INSTANCE_ID
+  }), 'insert');
+  return job;
+}
+
+// Rebuilds the in-memory job from its row and stored events so streams can
+// replay and the run can continue in this process.
+function restoreGameModeJob(row, events = []) {
+  const job = {
+    id: row.id,
+    userId: row.user_id,
+    mode: row.mode,
+    payload: row.payload,
+    status: 'queued',
+    stage: row.stage,
+    checkpoint: row.checkpoint,
+    createdAt: row.created_at || Date.now(),
+    completedAt: null,
+    events,
+    lastEventId: Math.max(row.last_event_id, ...events.map((packet) => packet.id)),
+    clients: new Set(),
+    artifacts: [],
+    result: null,
+    doneEmitted: false,
+    persisted: Promise.resolve()
+  };
+  gameModeJobs.set(job.id, job);
   return job;
 }
 
 function pushGameModeEvent(job, event, data) {
-  const packet = { event, data };
+  job.lastEventId += 1;
+  const packet = { id: job.lastEventId, event, data };
   job.events.push(packet);
+  persistGameModeJob(job, () => appendGameModeJobEvent({ jobId: job.id, ...packet }), 'event');
   if (job.clients.size === 0) {
     return;
   }
@@ -968,11 +1408,17 @@ function pushGameModeEvent(job, event, data) {
       job.clients.delete(client);
       continue;
     }
-    client.write(`event: ${event}\n`);
-    client.write(`data: ${JSON.stringify(data)}\n\n`);
+    client.write(formatSseEvent(packet));
   }
 }
 
+function completeGameModeStage(job, stage, checkpoint) {
+  job.stage = stage;
+  job.checkpoint = { ...job.checkpoint, ...checkpoint };
+  const snapshot = job.checkpoint;
+  persistGameModeJob(job, () => updateGameModeJob({ id: job.id, stage, checkpoint: snapshot }), 'checkpoint');
+}
+
 function emitGameModeDone(job, payload) {
   if (job.doneEmitted) {
     return;
@@ -990,12 +1436,18 @@ function closeGameModeStreams(job) {
   job.clients.clear();
 }
 
+function isGameModeJobActive(job) {
+  return job?.status === 'queued' || job?.status === 'running';
+}
+
 function finalizeGameModeJob(job, { status, donePayload }) {
-  if (job.status !== 'running') {
+  if (!isGameModeJobActive(job)) {
     return;
   }
   job.status = status;
   job.completedAt = Date.now();
+  const result = job.result;
+  persistGameModeJob(job, () => updateGameModeJob({ id: job.id, status, result: result ?? undefined }), 'finalize');
   emitGameModeDone(job, donePayload);
   closeGameModeStreams(job);
 }
@@ -1003,17 +1455,110 @@ function finalizeGameModeJob(job, { status, donePayload }) {
 function cleanupExpiredGameModeJobs() {
   const now = Date.now();
   for (const [jobId, job] of gameModeJobs.entries()) {
-    if (now - job.createdAt <= JOB_TTL_MS) {
+    if (!isGameModeJobExpired(job, { now, ttlMs: JOB_TTL_MS })) {
       continue;
     }
     closeGameModeStreams(job);
     gameModeJobs.delete(jobId);
   }
+  if (getDbPool()) {
+    deleteExpiredGameModeJobs({ retentionMs: GAME_MODE_JOB_RETENTION_MS }).catch((error) => {
+      logStructured('warn', 'game_mode_job_cleanup_failed', { error_message: error?.message || 'Unknown error' });
+    });
+  }
 }
 setInterval(cleanupExpiredGameModeJobs, JOB_CLEANUP_INTERVAL_MS).unref();
 
+/**
+ * Admits a job through the shared queue: GAME_MODE_MAX_CONCURRENT_JOBS run at
+ * once, GAME_MODE_MAX_CONCURRENT_JOBS_PER_USER of them per user. Waiting jobs
+ * get a `queue` event whenever their position changes and one with
+ * position 0 when they start.
+ */
+function startGameModeJob(job) {
+  gameModeQueue.enqueue({
+    id: job.id,
+    key: job.userId || 'anonymous',
+    onPosition: (position) => {
+      const stats = gameModeQueue.stats();
+      pushGameModeEvent(job, 'queue', {
+        position,
+        status: position ? 'queued' : 'started',
+        running: stats.running,
+        waiting: stats.waiting
+      });
+    },
+    task: async () => {
+      job.status = 'running';
+      persistGameModeJob(job, () => updateGameModeJob({ id: job.id, status: 'running' }), 'start');
+      try {
+        await runGameModeJob(job);
+      } catch (error) {
+        pushGameModeEvent(job, 'log', { text: `Failure: ${error?.message || 'Unknown error'}` });
+        finalizeGameModeJob(job, {
+          status: 'error',
+          donePayload: { status: 'error', ...(error?.code ? { reason: error.code } : {}) }
+        });
+      }
+    }
+  }).catch((error) => {
+    logStructured('warn', 'game_mode_job_queue_failed', { job_id: job.id, error_message: error?.message || 'Unknown error' });
+  });
+}
+
+/**
+ * Claims jobs left running by a process that died and continues them here:
+ * from the last completed stage when its checkpoint survived, from the start
+ * otherwise. A job that has already been run GAME_MODE_MAX_RUN_ATTEMPTS times
+ * is failed instead, so a job that crashes its process cannot loop forever.
+ */
+async function recoverGameModeJobs() {
+  if (!getDbPool()) {
+    return;
+  }
+  let claimed = [];
+  try {
+    await touchGameModeJobs({ ownerId: GAME_MODE_INSTANCE_ID });
+    claimed = await claimStaleGameModeJobs({ ownerId: GAME_MODE_INSTANCE_ID, staleMs: GAME_MODE_JOB_STALE_MS });
+  } catch (error) {
+    logStructured('warn', 'game_mode_job_recovery_failed', { error_message: error?.message || 'Unknown error' });
+    return;
+  }
+  for (const row of claimed) {
+    const events = await fetchGameModeJobEvents({ jobId: row.id }).catch(() => []);
+    const job = restoreGameModeJob(row, events);
+    const plan = planGameModeResume({
+      stage: row.stage,
+      checkpoint: row.checkpoint,
+      attempts: row.attempts,
+      maxAttempts: GAME_MODE_MAX_RUN_ATTEMPTS
+    });
+    logStructured('info', 'game_mode_job_recovered', { job_id: job.id, action: plan.action, stage: plan.stage, attempts: row.attempts });
+    if (plan.action === 'fail') {
+      pushGameModeEvent(job, 'log', { text: `Job interrupted ${row.attempts - 1} times; giving up.` });
+      finalizeGameModeJob(job, { status: 'error', donePayload: { status: 'error', reason: 'JOB_RESUME_LIMIT' } });
+      continue;
+    }
+    if (plan.action === 'requeue') {
+      job.stage = null;
+      job.checkpoint = {};
+      pushGameModeEvent(job, 'log', { text: 'Server restarted before the first stage finished; starting over.' });
+    } else {
+      job.stage = plan.stage;
+      pushGameModeEvent(job, 'log', { text: `Server restarted; resuming after the ${plan.stage} stage.` });
+    }
+    startGameModeJob(job);
+  }
+}
+
+function startGameModeRecovery() {
+  recoverGameModeJobs();
+  setInterval(recoverGameModeJobs, GAME_MODE_HEARTBEAT_INTERVAL_MS).unref();
+}
+
 function emitGameModeArtifact(job, artifact) {
   job.artifacts.push(artifact);
+  persistGameModeJob(job, () => insertGameModeJobArtifact({ jobId: job.id, artifact }), 'artifact');
   pushGameModeEvent(job, 'artifact', {
     path: artifact.path,
     role: artifact.role,
@@ -1026,7 +1571,10 @@ function sanitizeTitle(value = '') {
   return String(value || '').replace(/</g, '&lt;').slice(0, 120) || 'Neon Orbit Runner';
 }
 
-function buildDeterministicDesignerSpec({ prompt = '' } = {}) {
+function buildDeterministicDesignerSpec({ prompt = '', template = null } = {}) {
+  if (getGameModeTemplate(template)) {
+    return buildTemplateDesignerSpec(template, { prompt });
+  }
   const trimmed = String(prompt || '').trim();
   const title = trimmed ? `${trimmed.slice(0, 40)} Arena` : 'Neon Orbit Runner';
   return {
@@ -1089,7 +1637,7 @@ function extractJsonObject(text = '') {
   }
 }
 
-function validateDesignerSpec(spec) {
+function validateDesignerSpec(spec, { template = null } = {}) {
   const failures = [];
   if (!spec || typeof spec !== 'object') {
     return { ok: false, failures: [createFailure('DESIGN_SCHEMA_INVALID', 'spec is not an object')] };
@@ -1118,6 +1666,7 @@ function validateDesignerSpec(spec) {
   if (!/(wasd|arrow|mouse|touch|pointer)/.test(joinedInputs)) {
     failures.push(createFailure('DESIGN_SCHEMA_INVALID', 'controls must include keyboard or pointer input'));
   }
+  failures.push(...checkTemplateMustHave(spec, template));
   return { ok: failures.length === 0, failures };
 }
 
@@ -1165,6 +1714,10 @@ function buildSingleFileGameHtml({ title = 'Neon Orbit Runner' } = {}) {
 }
 
 function buildDeterministicBuilderOutput(spec, mode = 'single') {
+  const templateOutput = buildTemplateBuilderOutput(spec?.template, spec, mode);
+  if (templateOutput) {
+    return templateOutput;
+  }
   if (mode === 'single') {
     return {
       mode: 'single',
@@ -1242,75 +1795,44 @@ function compactFailures(failures = [], max = 3) {
     .map((f) => ({ code: String(f?.code || 'UNKNOWN'), detail: trimForSummary(f?.detail || '') }));
 }
 
-async function callGameModeLlmJson({ system, user, temperature = 0.2, label = 'LLM' }) {
+async function callGameModeLlmJson({ system, user, temperature = 0.2, label = 'LLM', onUsage = null }) {
   const useDirect = process.env.GAME_MODE_DIRECT_LLM === '1';
   const directKeyPresent = Boolean(OPENAI_API_KEY);
   if (process.env.GAME_MODE_DEBUG_LLM === '1' || process.env.GAME_MODE_DEBUG_LLM_FULL === '1') {
     console.log(`[LLM_DIRECT_PREFLIGHT] label=${label} directEnabled=${useDirect ? 1 : 0} keyPresent=${directKeyPresent ? 1 : 0}`);
   }
-  const maxTokens = label === 'BUILDER' ? 6000 : 1200;
+  const maxTokens = label === 'BUILDER' || label === 'REPAIR' ? 6000 : 1200;
 
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), 20_000);
 
   try {
-    let raw = '';
-
-    if (useDirect) {
-      if (!OPENAI_API_KEY) {
-        throw new Error('Direct LLM requested but OPENAI_API_KEY is missing');
-      }
-      let directRes;
-      try {
-        directRes = await fetch('https://api.openai.com/v1/chat/completions', {
-          method: 'POST',
-          signal: controller.signal,
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${OPENAI_API_KEY}`
-          },
-          body: JSON.stringify({
-            model: OPENAI_MODEL,
-            messages: [
-              { role: 'system', content: system },
-              { role: 'user', content: user }
-            ],
-            temperature,
-            max_tokens: maxTokens
-          })
-        });
-      } catch (error) {
-        console.log('[LLM_DIRECT_ERROR]', String(error?.message || error));
-        throw error;
-      }
-
-      raw = await directRes.text();
-      if (!directRes.ok) {
-        throw new Error(`Direct LLM request failed (${directRes.status})`);
-      }
-    } else {
-      if (!LLM_PROXY_URL) {
-        throw new Error('LLM proxy unavailable');
-      }
-      const workerRes = await fetch(LLM_PROXY_URL, {
-        method: 'POST',
+    if (useDirect && !OPENAI_API_KEY && llmProvider.name !== 'fake') {
+      throw new Error('Direct LLM requested but OPENAI_API_KEY is missing');
+    }
+    const provider = useDirect && llmProvider.name !== 'fake' ? directLlmProvider : llmProvider;
+    const messages = [
+      { role: 'system', content: system },
+      { role: 'user', content: user }
+    ];
+    const callStartedAt = Date.now();
+    let completion;
+    try {
+      completion = await provider.complete({
+        model: OPENAI_MODEL,
+        messages,
+        temperature,
+        maxTokens,
         signal: controller.signal,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model: OPENAI_MODEL,
-          messages: [
-            { role: 'system', content: system },
-            { role: 'user', content: user }
-          ],
-          temperature,
-          max_tokens: maxTokens
-        })
+        label
       });
-      raw = await workerRes.text();
-      if (!workerRes.ok) {
-        throw new Error(`LLM request failed (${workerRes.status})`);
+    } catch (error) {
+      if (useDirect) {
+        console.log('[LLM_DIRECT_ERROR]', String(error?.message || error));
       }
+      throw error;
     }
+    const raw = JSON.stringify(completion.raw ?? {});
 
     if (process.env.GAME_MODE_DEBUG_LLM === '1') {
       console.log(`[LLM_RAW_${label}]`, String(raw || '').slice(0, 500));
@@ -1318,14 +1840,23 @@ async function callGameModeLlmJson({ system, user, temperature = 0.2, label = 'L
     if (process.env.GAME_MODE_DEBUG_LLM_FULL === '1') {
       console.log(`[LLM_RAW_${label}_FULL]`, String(raw || ''));
     }
-    const data = raw ? JSON.parse(raw) : null;
-    const content = data?.choices?.[0]?.message?.content
-      ?? data?.candidates?.[0]?.content
-      ?? data?.output_text
-      ?? '';
+    const content = completion.content;
     if (process.env.GAME_MODE_DEBUG_LLM === '1') {
       console.log(`[LLM_CONTENT_${label}]`, String(content || '').slice(0, 500));
     }
+    // Reported before parsing: a reply that fails to parse was still paid for.
+    const providerUsage = Number.isFinite(completion.usage?.inputTokens) && Number.isFinite(completion.usage?.outputTokens);
+    onUsage?.({
+      model: completion.model || OPENAI_MODEL,
+      inputTokens: providerUsage ? completion.usage.inputTokens : estimateMessageTokens(messages, OPENAI_MODEL),
+      outputTokens: providerUsage
+        ? completion.usage.outputTokens
+        : estimateTokensWithTokenizer(String(content || ''), OPENAI_MODEL),
+      tokenSource: providerUsage ? 'provider' : 'estimate',
+      inputChars: system.length + user.length,
+      outputChars: String(content || '').length,
+      latencyMs: Date.now() - callStartedAt
+    });
     return {
       parsed: extractJsonObject(content),
       raw,
@@ -1336,10 +1867,10 @@ async function callGameModeLlmJson({ system, user, temperature = 0.2, label = 'L
   }
 }
 
-async function generateDesignerSpec({ mode, prompt, seedCode }) {
+async function generateDesignerSpec({ mode, prompt, seedCode, template = null, onUsage = null }) {
   if (!GAME_MODE_LLM_ENABLED) {
     return {
-      spec: buildDeterministicDesignerSpec({ prompt }),
+      spec: buildDeterministicDesignerSpec({ prompt, template }),
       usedLlm: false,
       fallback: false,
       fallbackReason: null,
@@ -1348,6 +1879,7 @@ async function generateDesignerSpec({ mode, prompt, seedCode }) {
   }
 
   const seedPreview = String(seedCode || '').slice(0, 2000);
+  const skeleton = getGameModeTemplate(template)?.spec || null;
   const system = [
     'You are DESIGNER. Return ONLY one JSON object. No markdown. No backticks.',
     'Do not include any keys outside this schema:',
@@ -1366,23 +1898,32 @@ async function generateDesignerSpec({ mode, prompt, seedCode }) {
     '}',
     'Minimums: controls>=2, mechanics>=2, mustHave>=3.',
     'At least one controls[i].input must mention WASD, Arrow, Mouse, Touch, or Pointer.',
+    ...(skeleton
+      ? [
+        'A template skeleton is given. Specialize it for the user prompt: rename, retheme and retune it,',
+        'but keep its genre, keep the kinds of controls, and keep every mustHave item (you may add more).'
+      ]
+      : []),
     'First output char must be { and last output char must be }.'
   ].join('\n');
-  const user = `Design a shippable static game concept. mode=${mode}. user_prompt=${prompt || 'random concept required'}. seed_code_excerpt=${seedPreview || 'none'}.`;
+  const user = [
+    `Design a shippable static game concept. mode=${mode}. user_prompt=${prompt || 'random concept required'}. seed_code_excerpt=${seedPreview || 'none'}.`,
+    skeleton ? `template_skeleton=${JSON.stringify(skeleton)}` : ''
+  ].filter(Boolean).join('\n');
 
   try {
-    const llm = await callGameModeLlmJson({ system, user, temperature: 0.2, label: 'DESIGNER' });
+    const llm = await callGameModeLlmJson({ system, user, temperature: 0.2, label: 'DESIGNER', onUsage });
     const spec = llm.parsed;
     if (process.env.GAME_MODE_DEBUG_LLM_FULL === '1') {
       console.log('[LLM_PARSED_DESIGNER_FULL]', JSON.stringify(spec));
     }
-    const validation = validateDesignerSpec(spec);
+    const validation = validateDesignerSpec(spec, { template });
     if (!validation.ok) {
       if (process.env.GAME_MODE_DEBUG_LLM_FULL === '1') {
         console.log('[LLM_DESIGNER_VALIDATION_FAILURES]', JSON.stringify(validation.failures));
       }
       return {
-        spec: buildDeterministicDesignerSpec({ prompt }),
+        spec: buildDeterministicDesignerSpec({ prompt, template }),
         usedLlm: true,
         fallback: true,
         fallbackReason: 'DESIGN_SCHEMA_INVALID',
@@ -1392,7 +1933,7 @@ async function generateDesignerSpec({ mode, prompt, seedCode }) {
       };
     }
     return {
-      spec,
+      spec: skeleton ? { ...spec, template } : spec,
       usedLlm: true,
       fallback: false,
       fallbackReason: null,
@@ -1403,7 +1944,7 @@ async function generateDesignerSpec({ mode, prompt, seedCode }) {
   } catch (error) {
     const reason = error?.code === 'JSON_PARSE_FAIL' ? 'DESIGN_JSON_PARSE_FAIL' : 'DESIGN_SCHEMA_INVALID';
     return {
-      spec: buildDeterministicDesignerSpec({ prompt }),
+      spec: buildDeterministicDesignerSpec({ prompt, template }),
       usedLlm: true,
       fallback: true,
       fallbackReason: reason,
@@ -1414,7 +1955,7 @@ async function generateDesignerSpec({ mode, prompt, seedCode }) {
   }
 }
 
-async function generateBuilderOutput({ mode, designerSpec, prompt }) {
+async function generateBuilderOutput({ mode, designerSpec, prompt, onUsage = null }) {
   if (!GAME_MODE_LLM_ENABLED) {
     return {
       output: buildDeterministicBuilderOutput(designerSpec, mode),
@@ -1441,10 +1982,16 @@ async function generateBuilderOutput({ mode, designerSpec, prompt }) {
     '- no external build tooling, no console.error in game code',
     'First output char must be { and last output char must be }.'
   ].join('\n');
-  const user = `mode=${mode}. designer_spec=${JSON.stringify(designerSpec)}. user_prompt=${prompt || ''}. Runtime verifier requires RAF heartbeat without user click.`;
+  const referenceHtml = buildTemplateGameHtml(designerSpec?.template, { title: designerSpec?.title });
+  const user = [
+    `mode=${mode}. designer_spec=${JSON.stringify(designerSpec)}. user_prompt=${prompt || ''}. Runtime verifier requires RAF heartbeat without user click.`,
+    referenceHtml
+      ? `The spec specializes the ${designerSpec.template} template. Adapt this working reference implementation to the spec instead of starting from scratch:\n${referenceHtml}`
+      : ''
+  ].filter(Boolean).join('\n');
 
   try {
-    const llm = await callGameModeLlmJson({ system, user, temperature: 0.15, label: 'BUILDER' });
+    const llm = await callGameModeLlmJson({ system, user, temperature: 0.15, label: 'BUILDER', onUsage });
     const output = llm.parsed;
     if (process.env.GAME_MODE_DEBUG_LLM_FULL === '1') {
       console.log('[LLM_PARSED_BUILDER_FULL]', JSON.stringify(output));
@@ -1496,20 +2043,6 @@ async function fileExists(filePath) {
   }
 }
 
-function createFailure(code, detail) {
-  return { code, detail };
-}
-
-async function verifySingleFile(htmlString) {
-  const failures = [];
-  const html = String(htmlString || '').toLowerCase();
-  if (!html.includes('<!doctype html>')) failures.push(createFailure('STATIC_MISSING_DOCTYPE', 'Missing DOCTYPE'));
-  if (!html.includes('<script')) failures.push(createFailure('STATIC_NO_SCRIPT', 'No script tag found (no gameplay logic)'));
-  if (!html.includes('<canvas') && !html.includes('requestanimationframe')) failures.push(createFailure('STATIC_NO_RENDER_LOOP', 'No rendering loop detected'));
-  if (!html.includes('function') && !html.includes('=>')) failures.push(createFailure('STATIC_NO_EXECUTABLE_LOGIC', 'No executable logic found'));
-  return { passed: failures.length === 0, failures };
-}
-
 async function verifyMultiFile(rootDir) {
   const failures = [];
   const indexPath = path.join(rootDir, 'index.html');
@@ -1531,7 +2064,7 @@ async function verifyMultiFile(rootDir) {
 }
 
 function injectRuntimeBootstrap(html) {
-  const script = `<script>(function(){var S=window.__GM_STATUS__={startedAt:Date.now(),rafTicks:0,lastRafAt:0,errors:[],rejections:[],consoleErrors:[]};var oRaf=window.requestAnimationFrame?window.requestAnimationFrame.bind(window):null;if(oRaf){window.requestAnimationFrame=function(cb){return oRaf(function(ts){S.rafTicks+=1;S.lastRafAt=Date.now();try{return cb(ts);}catch(e){S.errors.push(String(e&&e.message||e));throw e;}});};}window.addEventListener('error',function(e){S.errors.push(String((e&&e.message)||e));});window.addEventListener('unhandledrejection',function(e){var r=e&&e.reason;S.rejections.push(String(r&&r.message||r||'unhandledrejection'));});var oErr=console.error?console.error.bind(console):null;console.error=function(){try{S.consoleErrors.push(Array.prototype.slice.call(arguments).map(function(v){return typeof v==='string'?v:JSON.stringify(v);}).join(' '));}catch(_){S.consoleErrors.push('console.error');}if(oErr)return oErr.apply(console,arguments);};})();</script>`;
+  const script = `<script>(function(){var S=window.__GM_STATUS__={startedAt:Date.now(),rafTicks:0,lastRafAt:0,errors:[],rejections:[],consoleErrors:[]};var oRaf=window.requestAnimationFrame?window.requestAnimationFrame.bind(window):null;if(oRaf){window.requestAnimationFrame=function(cb){return oRaf(function(ts){S.rafTicks+=1;S.lastRafAt=Date.now();try{return cb(ts);}catch(e){S.errors.push(String(e&&e.message||e));throw e;}});};}window.addEventListener('error',function(e){S.errors.push(String((e&&e.message)||e));});window.addEventListener('unhandledrejection',function(e){var r=e&&e.reason;S.rejections.push(String(r&&r.message||r||'unhandledrejection'));});var C2D=window.CanvasRenderingContext2D&&window.CanvasRenderingContext2D.prototype;S.drawnText=[];if(C2D&&C2D.fillText){var oFill=C2D.fillText;C2D.fillText=function(t){var v=String(t);if(S.drawnText.indexOf(v)===-1){S.drawnText.push(v);if(S.drawnText.length>20)S.drawnText.shift();}return oFill.apply(this,arguments);};}var oErr=console.error?console.error.bind(console):null;console.error=function(){try{S.consoleErrors.push(Array.prototype.slice.call(arguments).map(function(v){return typeof v==='string'?v:JSON.stringify(v);}).join(' '));}catch(_){S.consoleErrors.push('console.error');}if(oErr)return oErr.apply(console,arguments);};})();</script>`;
   if (/<head[^>]*>/i.test(html)) {
     return html.replace(/<head[^>]*>/i, (m) => `${m}${script}`);
   }
@@ -1637,20 +2170,28 @@ function createStaticServer(rootDir) {
   });
 }
 
-async function verifyRuntimeSingleFile(html) {
-  const chromium = await loadPlaywrightChromium();
-  const browser = await chromium.launch({ headless: true });
-  const page = await browser.newPage();
-  const pageErrors = [];
-  page.on('pageerror', (error) => pageErrors.push(String(error?.message || error)));
-
+/**
+ * Plays a page that passed the load and heartbeat checks, using the designer
+ * spec's controls. Returns null when there is nothing to play or the
+ * playtest itself could not run; the runtime result stands on its own then.
+ */
+async function playtestRuntimePage(page, designerSpec, failures) {
+  if (!GAME_MODE_PLAYTEST_ENABLED || !designerSpec || failures.length) {
+    return null;
+  }
   try {
-    await page.setContent(injectRuntimeBootstrap(html), { waitUntil: 'load', timeout: LOAD_TIMEOUT_MS });
+    return await runPlaytest(page, buildPlaytestPlan(designerSpec));
   } catch (error) {
-    await browser.close();
-    return { passed: false, failures: [createFailure('PAGE_LOAD_TIMEOUT', String(error?.message || error))], metrics: { ms: LOAD_TIMEOUT_MS } };
+    logStructured('warn', 'game_mode_playtest_failed', { error_message: error?.message || 'Unknown error' });
+    return null;
   }
+}
 
+/**
+ * Waits for the rAF heartbeat on a loaded page, reads the runtime status and
+ * plays the page. Callers own the browser and close it however this returns.
+ */
+async function collectRuntimeResult(page, pageErrors, designerSpec) {
   const start = Date.now();
   while (Date.now() - start < HEARTBEAT_TIMEOUT_MS) {
     const status = await page.evaluate(() => window.__GM_STATUS__ || null).catch(() => null);
@@ -1661,11 +2202,13 @@ async function verifyRuntimeSingleFile(html) {
   }
 
   const status = await page.evaluate(() => window.__GM_STATUS__ || null).catch(() => null);
-  await browser.close();
   const failures = extractRuntimeFailures(status, pageErrors);
+  const playtest = await playtestRuntimePage(page, designerSpec, failures);
+  failures.push(...(playtest?.failures || []));
   return {
     passed: failures.length === 0,
     failures,
+    playtest: playtest?.metrics || null,
     metrics: {
       ms: Date.now() - start,
       rafTicks: Number(status?.rafTicks || 0),
@@ -1676,49 +2219,52 @@ async function verifyRuntimeSingleFile(html) {
   };
 }
 
-async function verifyRuntimeMultiFile(rootDir) {
+async function verifyRuntimeSingleFile(html, { designerSpec } = {}) {
   const chromium = await loadPlaywrightChromium();
-  const server = await createStaticServer(rootDir);
   const browser = await chromium.launch({ headless: true });
-  const page = await browser.newPage();
-  const pageErrors = [];
-  page.on('pageerror', (error) => pageErrors.push(String(error?.message || error)));
-
   try {
-    await page.goto(`${server.url}/index.html`, { waitUntil: 'load', timeout: LOAD_TIMEOUT_MS });
-  } catch (error) {
+    const page = await browser.newPage();
+    const pageErrors = [];
+    page.on('pageerror', (error) => pageErrors.push(String(error?.message || error)));
+
+    try {
+      await page.setContent(injectRuntimeBootstrap(html), { waitUntil: 'load', timeout: LOAD_TIMEOUT_MS });
+    } catch (error) {
+      return { passed: false, failures: [createFailure('PAGE_LOAD_TIMEOUT', String(error?.message || error))], metrics: { ms: LOAD_TIMEOUT_MS } };
+    }
+
+    return await collectRuntimeResult(page, pageErrors, designerSpec);
+  } finally {
     await browser.close();
-    await server.close();
-    return { passed: false, failures: [createFailure('NAVIGATION_FAILED', String(error?.message || error))], metrics: { ms: LOAD_TIMEOUT_MS } };
   }
+}
 
-  const start = Date.now();
-  while (Date.now() - start < HEARTBEAT_TIMEOUT_MS) {
-    const status = await page.evaluate(() => window.__GM_STATUS__ || null).catch(() => null);
-    if (Number(status?.rafTicks || 0) >= 10) {
-      break;
+async function verifyRuntimeMultiFile(rootDir, { designerSpec } = {}) {
+  const chromium = await loadPlaywrightChromium();
+  const server = await createStaticServer(rootDir);
+  try {
+    const browser = await chromium.launch({ headless: true });
+    try {
+      const page = await browser.newPage();
+      const pageErrors = [];
+      page.on('pageerror', (error) => pageErrors.push(String(error?.message || error)));
+
+      try {
+        await page.goto(`${server.url}/index.html`, { waitUntil: 'load', timeout: LOAD_TIMEOUT_MS });
+      } catch (error) {
+        return { passed: false, failures: [createFailure('NAVIGATION_FAILED', String(error?.message || error))], metrics: { ms: LOAD_TIMEOUT_MS } };
+      }
+
+      return await collectRuntimeResult(page, pageErrors, designerSpec);
+    } finally {
+      await browser.close();
     }
-    await wait(POLL_INTERVAL_MS);
+  } finally {
+    await server.close();
   }
+}
 
-  const status = await page.evaluate(() => window.__GM_STATUS__ || null).catch(() => null);
-  await browser.close();
-  await server.close();
-  const failures = extractRuntimeFailures(status, pageErrors);
-  return {
-    passed: failures.length === 0,
-    failures,
-    metrics: {
-      ms: Date.now() - start,
-      rafTicks: Number(status?.rafTicks || 0),
-      consoleErrors: Array.isArray(status?.consoleErrors) ? status.consoleErrors.length : 0,
-      errors: Array.isArray(status?.errors) ? status.errors.length : 0,
-      rejections: Array.isArray(status?.rejections) ? status.rejections.length : 0
-    }
-  };
-}
-
-async function verifyRuntimeResult(result) {
+async function verifyRuntimeResult(result, { designerSpec } = {}) {
   if (!GAME_MODE_RUNTIME_VERIFY_ENABLED) {
     return {
       skipped: true,
@@ -1727,8 +2273,8 @@ async function verifyRuntimeResult(result) {
   }
   try {
     return result.mode === 'single'
-      ? await verifyRuntimeSingleFile(result.html)
-      : await verifyRuntimeMultiFile(result.rootDir);
+      ? await verifyRuntimeSingleFile(result.html, { designerSpec })
+      : await verifyRuntimeMultiFile(result.rootDir, { designerSpec });
   } catch (error) {
     return {
       skipped: true,
@@ -1758,6 +2304,98 @@ function deterministicRepair(result, verification) {
   return result;
 }
 
+// The files a repair pass sees: for single mode the HTML as last written,
+// which may already carry earlier deterministic patches.
+function gameModeOutputFiles(result, builderOutput) {
+  if (result.mode === 'single') {
+    return [{ path: String(builderOutput.entry || 'index.html'), content: String(result.html || '') }];
+  }
+  return builderOutput.files.map((file) => ({ path: String(file.path), content: String(file.content || '') }));
+}
+
+/**
+ * One repair pass over a failed verification. With LLM stages on, the
+ * failing files, failure codes and error excerpts go to the model with a
+ * targeted fix prompt and the changed files it returns are merged in; the
+ * pass is charged as stage `repair-<n>`. Without LLM stages, or when the
+ * reply cannot be applied, deterministicRepair patches what it knows.
+ * Changed files are rewritten and streamed as artifacts; the returned
+ * `record` (strategy, failure codes, per-file diff) goes in the summary.
+ */
+async function runGameModeRepairPass(job, { pass, result, builderOutput, verification, designerSpec }) {
+  const files = gameModeOutputFiles(result, builderOutput);
+  const record = {
+    pass,
+    strategy: 'deterministic',
+    failures: [...new Set(verification.failures.map((f) => f.code))],
+    fallbackReason: null,
+    notes: '',
+    diff: []
+  };
+
+  let repaired = null;
+  if (GAME_MODE_LLM_ENABLED) {
+    const llmCalls = [];
+    try {
+      const { system, user } = buildRepairPrompt({ mode: job.mode, designerSpec, files, failures: verification.failures });
+      const llm = await callGameModeLlmJson({
+        system,
+        user,
+        temperature: 0.1,
+        label: 'REPAIR',
+        onUsage: (call) => llmCalls.push(call)
+      });
+      const applied = applyRepairOutput(files, llm.parsed, { mode: job.mode });
+      const candidate = applied.error ? null : { ...builderOutput, files: applied.files };
+      const validation = candidate ? validateBuilderOutput(candidate, job.mode) : null;
+      if (applied.error || !validation.ok) {
+        record.fallbackReason = 'REPAIR_SCHEMA_INVALID';
+        pushGameModeEvent(job, 'log', {
+          text: `Repair pass ${pass}: reply rejected (${applied.error || validation.failures.map((f) => f.detail).join('; ')})`
+        });
+      } else if (!applied.changed.length) {
+        record.fallbackReason = 'REPAIR_NO_CHANGES';
+      } else {
+        repaired = { builderOutput: candidate, changed: applied.changed };
+        record.strategy = 'llm';
+        record.notes = trimForSummary(llm.parsed?.notes || '');
+      }
+    } catch (error) {
+      record.fallbackReason = error?.code === 'JSON_PARSE_FAIL' ? 'REPAIR_JSON_PARSE_FAIL' : 'REPAIR_LLM_FAILED';
+      pushGameModeEvent(job, 'log', { text: `Repair pass ${pass}: model call failed (${error?.message || 'Unknown error'})` });
+    }
+    await chargeGameModeLlmStage(job, `repair-${pass}`, llmCalls);
+  }
+
+  let nextResult;
+  let nextOutput;
+  if (repaired) {
+    nextOutput = repaired.builderOutput;
+    nextResult = await writeBuilderOutputToWorkspace(job, nextOutput);
+  } else {
+    nextResult = deterministicRepair({ ...result }, verification);
+    if (nextResult.mode === 'single' && nextResult.htmlPath) {
+      await fs.writeFile(nextResult.htmlPath, nextResult.html, 'utf8');
+    }
+    nextOutput = nextResult.mode === 'single'
+      ? { ...builderOutput, files: gameModeOutputFiles(nextResult, builderOutput) }
+      : builderOutput;
+  }
+
+  record.diff = summarizeRepairDiff(files, gameModeOutputFiles(nextResult, nextOutput));
+  for (const change of record.diff) {
+    const artifactPath = nextResult.mode === 'single'
+      ? workspaceRelative(nextResult.htmlPath)
+      : workspaceRelative(path.join(nextResult.rootDir, change.path));
+    emitGameModeArtifact(job, createGameModeArtifactRecord({ path: artifactPath, role: ARTIFACT_ROLES.SUPPORT }));
+  }
+  const changes = record.diff.map((change) => `${change.path} (+${change.added} -${change.removed})`).join(', ');
+  pushGameModeEvent(job, 'log', {
+    text: `Repair pass ${pass} (${record.strategy}): ${changes || 'no changes'}${record.notes ? ` | ${record.notes}` : ''}`
+  });
+  return { result: nextResult, builderOutput: nextOutput, record };
+}
+
 async function buildDeterministicGameOutput(job, designerSpec) {
   const mode = job.mode;
   return buildDeterministicBuilderOutput(designerSpec, mode);
@@ -1799,70 +2437,108 @@ async function writeBuilderOutputToWorkspace(job, builderOutput) {
   };
 }
 
-async function runGameModeJob(job) {
-  const stage3Enabled = GAME_MODE_LLM_ENABLED;
-  const runtimeEnabled = GAME_MODE_RUNTIME_VERIFY_ENABLED;
-  const directEnabled = process.env.GAME_MODE_DIRECT_LLM === '1';
-  const directKeyPresent = Boolean(OPENAI_API_KEY);
-  const llmTransport = directEnabled ? 'direct' : 'proxy';
-  const startedAt = Date.now();
-
-  const summary = {
-    jobId: job.id,
-    mode: job.mode,
-    stage3Enabled,
-    llmTransport,
-    directEnabled,
-    directKeyPresent,
-    designerUsed: false,
-    designerFallback: false,
-    designerFallbackReason: null,
-    designerValidationFailuresTop: [],
-    designerRawPreview: '',
-    builderUsed: false,
-    builderFallback: false,
-    builderFallbackReason: null,
-    builderValidationFailuresTop: [],
-    builderRawPreview: '',
-    staticPass: false,
-    runtimeEnabled,
-    runtimePass: runtimeEnabled ? null : null,
-    runtimeFailures: [],
-    fixPasses: 0,
-    repairReasons: [],
-    totalDurationMs: 0,
-    timestamps: {
-      startedAt: job.createdAt || startedAt,
-      completedAt: null
-    },
-    timing: {
-      conceptMs: 0,
-      buildMs: 0,
-      staticVerifyMs: 0,
-      runtimeVerifyMs: 0
-    },
-    contentMetrics: {
-      titleHash: null,
-      fileSizeBytes: 0,
-      jsSizeBytes: 0
+/**
+ * Debits the LLM calls of one stage through the same ledger as /api/chat,
+ * as a `code` turn. The ledger turn id is `<jobId>:<stage>`, so a stage rerun
+ * after a restart is never charged twice. Running out of credits fails the
+ * job before the next stage calls the model again.
+ */
+async function chargeGameModeLlmStage(job, stage, calls) {
+  if (!calls.length || !job.userId) {
+    return;
+  }
+  const user = await getUserById(job.userId);
+  if (!user) {
+    return;
+  }
+  const usage = sumGameModeLlmUsage(calls);
+  const turnId = `${job.id}:${stage}`;
+  const creditsCharged = calculateCreditsUsed({
+    inputTokens: usage.inputTokens,
+    outputTokens: usage.outputTokens,
+    intentType: 'code',
+    model: usage.model
+  });
+  const creditsTotal = Number(user.credits_total || 0);
+  let chargeResult;
+  try {
+    chargeResult = await applyCreditDeduction({
+      userId: user.user_id,
+      sessionId: job.id,
+      turnId,
+      creditsToCharge: creditsCharged,
+      creditsTotal,
+      metadata: formatCreditLedgerMetadata({
+        model: usage.model,
+        tokens_in: usage.inputTokens,
+        tokens_out: usage.outputTokens,
+        game_mode_stage: stage
+      }),
+      usageEvent: {
+        sessionId: job.id,
+        intentType: 'code',
+        model: usage.model,
+        inputTokens: usage.inputTokens,
+        outputTokens: usage.outputTokens,
+        totalTokens: usage.inputTokens + usage.outputTokens,
+        creditsUsed: creditsCharged,
+        latencyMs: usage.latencyMs,
+        status: 'success',
+        sourceHash: crypto.createHash('sha256').update(`${user.user_id}:${turnId}:success`).digest('hex'),
+        inputChars: usage.inputChars,
+        outputChars: usage.outputChars,
+        tokenSource: usage.tokenSource
+      }
+    });
+  } catch (error) {
+    if (String(error?.message || '') !== 'INSUFFICIENT_CREDITS') {
+      throw error;
     }
-  };
-
-  const emitSummary = () => {
-    summary.totalDurationMs = Date.now() - startedAt;
-    summary.timestamps.completedAt = job.completedAt || Date.now();
-    console.log('[GAME_MODE_SUMMARY]', JSON.stringify(summary));
-  };
+    pushGameModeEvent(job, 'error', { message: 'Insufficient credits to continue', code: 'INSUFFICIENT_CREDITS' });
+    throw Object.assign(new Error('Insufficient credits to continue'), { code: 'INSUFFICIENT_CREDITS' });
+  }
+  if (chargeResult.alreadyCharged) {
+    return;
+  }
+  await appendUsageEntry({
+    user,
+    requestId: turnId,
+    sessionId: job.id,
+    eventType: 'game_mode_stage',
+    intentType: 'code',
+    model: usage.model,
+    inputTokens: usage.inputTokens,
+    outputTokens: usage.outputTokens,
+    inputChars: usage.inputChars,
+    outputChars: usage.outputChars,
+    totalTokens: usage.inputTokens + usage.outputTokens,
+    reservedCredits: creditsCharged,
+    actualCredits: creditsCharged,
+    creditsCharged,
+    latencyMs: usage.latencyMs,
+    status: 'success',
+    tokenSource: usage.tokenSource
+  });
+  pushGameModeEvent(job, 'usage', {
+    stage,
+    credits_charged: creditsCharged,
+    credits_remaining: Number.isFinite(chargeResult.nextBalance) ? chargeResult.nextBalance : null
+  });
+}
 
+async function runGameModeConceptStage(job, summary) {
   pushGameModeEvent(job, 'step', { name: 'Concept', status: 'running' });
-  pushGameModeEvent(job, 'log', { text: `Stage3 autonomy: ${stage3Enabled ? 'enabled' : 'disabled'}` });
-
   const conceptStart = Date.now();
+  const llmCalls = [];
+  const template = job.payload?.template || null;
   const designer = await generateDesignerSpec({
     mode: job.mode,
     prompt: String(job.payload?.prompt || ''),
-    seedCode: job.payload?.seed?.useEditorCode ? String(job.payload?.seed?.editorCode || '') : ''
+    seedCode: job.payload?.seed?.useEditorCode ? String(job.payload?.seed?.editorCode || '') : '',
+    template,
+    onUsage: (call) => llmCalls.push(call)
   });
+  await chargeGameModeLlmStage(job, 'concept', llmCalls);
   summary.timing.conceptMs = Date.now() - conceptStart;
   summary.designerUsed = designer.usedLlm === true;
   summary.designerFallback = designer.fallback === true;
@@ -1870,10 +2546,10 @@ async function runGameModeJob(job) {
   summary.designerValidationFailuresTop = compactFailures(designer.validationFailures || designer.failures || []);
   summary.designerRawPreview = trimForSummary(designer.rawPreview || '');
 
-  const designerValidation = validateDesignerSpec(designer.spec);
+  const designerValidation = validateDesignerSpec(designer.spec, { template });
   const effectiveDesignerSpec = designerValidation.ok
     ? designer.spec
-    : buildDeterministicDesignerSpec({ prompt: job.payload?.prompt });
+    : buildDeterministicDesignerSpec({ prompt: job.payload?.prompt, template });
 
   summary.contentMetrics.titleHash = crypto
     .createHash('sha1')
@@ -1887,16 +2563,24 @@ async function runGameModeJob(job) {
     summary.designerValidationFailuresTop = compactFailures(designerValidation.failures);
     pushGameModeEvent(job, 'log', { text: `Designer invalid: ${designerValidation.failures.map((f) => f.detail).join('; ')} fallback=deterministic` });
   } else {
-    pushGameModeEvent(job, 'log', { text: `Designer ok: title="${effectiveDesignerSpec.title}" genre="${effectiveDesignerSpec.genre || 'unknown'}"` });
+    pushGameModeEvent(job, 'log', {
+      text: `Designer ok: title="${effectiveDesignerSpec.title}" genre="${effectiveDesignerSpec.genre || 'unknown'}"${template ? ` template=${template}` : ''}`
+    });
   }
+  return effectiveDesignerSpec;
+}
 
+async function runGameModeImplementationStage(job, summary, effectiveDesignerSpec) {
   pushGameModeEvent(job, 'step', { name: 'Implementation', status: 'running' });
   const buildStart = Date.now();
+  const llmCalls = [];
   const builder = await generateBuilderOutput({
     mode: job.mode,
     designerSpec: effectiveDesignerSpec,
-    prompt: String(job.payload?.prompt || '')
+    prompt: String(job.payload?.prompt || ''),
+    onUsage: (call) => llmCalls.push(call)
   });
+  await chargeGameModeLlmStage(job, 'implementation', llmCalls);
   summary.timing.buildMs = Date.now() - buildStart;
   summary.builderUsed = builder.usedLlm === true;
   summary.builderFallback = builder.fallback === true;
@@ -1930,8 +2614,84 @@ async function runGameModeJob(job) {
       .filter((file) => String(file?.path || '').toLowerCase().endsWith('.js'))
       .reduce((acc, file) => acc + Buffer.byteLength(String(file?.content || ''), 'utf8'), 0)
     : 0;
+  return effectiveBuilderOutput;
+}
+
+async function runGameModeJob(job) {
+  const stage3Enabled = GAME_MODE_LLM_ENABLED;
+  const runtimeEnabled = GAME_MODE_RUNTIME_VERIFY_ENABLED;
+  const directEnabled = process.env.GAME_MODE_DIRECT_LLM === '1';
+  const directKeyPresent = Boolean(OPENAI_API_KEY);
+  const llmTransport = directEnabled ? 'direct' : 'proxy';
+  const startedAt = Date.now();
+
+  const summary = {
+    jobId: job.id,
+    mode: job.mode,
+    template: job.payload?.template || null,
+    stage3Enabled,
+    llmTransport,
+    directEnabled,
+    directKeyPresent,
+    designerUsed: false,
+    designerFallback: false,
+    designerFallbackReason: null,
+    designerValidationFailuresTop: [],
+    designerRawPreview: '',
+    builderUsed: false,
+    builderFallback: false,
+    builderFallbackReason: null,
+    builderValidationFailuresTop: [],
+    builderRawPreview: '',
+    staticPass: false,
+    runtimeEnabled,
+    runtimePass: runtimeEnabled ? null : null,
+    runtimeFailures: [],
+    playtest: null,
+    fixPasses: 0,
+    repairReasons: [],
+    repairPasses: [],
+    totalDurationMs: 0,
+    timestamps: {
+      startedAt: job.createdAt || startedAt,
+      completedAt: null
+    },
+    timing: {
+      conceptMs: 0,
+      buildMs: 0,
+      staticVerifyMs: 0,
+      runtimeVerifyMs: 0
+    },
+    contentMetrics: {
+      titleHash: null,
+      fileSizeBytes: 0,
+      jsSizeBytes: 0
+    }
+  };
+
+  const emitSummary = () => {
+    summary.totalDurationMs = Date.now() - startedAt;
+    summary.timestamps.completedAt = job.completedAt || Date.now();
+    console.log('[GAME_MODE_SUMMARY]', JSON.stringify(summary));
+  };
+
+  pushGameModeEvent(job, 'log', { text: `Stage3 autonomy: ${stage3Enabled ? 'enabled' : 'disabled'}` });
+
+  // A resumed job skips the stages its checkpoint already covers.
+  Object.assign(summary, job.checkpoint.summary || {}, { resumedAfterStage: job.stage || null });
+  let effectiveDesignerSpec = job.checkpoint.designerSpec;
+  if (!effectiveDesignerSpec) {
+    effectiveDesignerSpec = await runGameModeConceptStage(job, summary);
+    completeGameModeStage(job, 'concept', { designerSpec: effectiveDesignerSpec, summary: structuredClone(summary) });
+  }
+  let effectiveBuilderOutput = job.checkpoint.builderOutput;
+  if (!effectiveBuilderOutput) {
+    effectiveBuilderOutput = await runGameModeImplementationStage(job, summary, effectiveDesignerSpec);
+    completeGameModeStage(job, 'implementation', { builderOutput: effectiveBuilderOutput, summary: structuredClone(summary) });
+  }
 
   let result = await writeBuilderOutputToWorkspace(job, effectiveBuilderOutput);
+  let currentBuilderOutput = effectiveBuilderOutput;
 
   pushGameModeEvent(job, 'step', { name: 'Verification', status: 'running' });
   for (let pass = 0; pass <= MAX_FIX_PASSES; pass += 1) {
@@ -1945,8 +2705,15 @@ async function runGameModeJob(job) {
     let verification = staticVerification;
     if (staticVerification.passed) {
       const runtimeStart = Date.now();
-      const runtimeVerification = await verifyRuntimeResult(result);
+      const runtimeVerification = await verifyRuntimeResult(result, { designerSpec: effectiveDesignerSpec });
       summary.timing.runtimeVerifyMs += Date.now() - runtimeStart;
+      if (runtimeVerification.playtest) {
+        const p = runtimeVerification.playtest;
+        summary.playtest = p;
+        pushGameModeEvent(job, 'log', {
+          text: `Playtest: ${p.steps} inputs (${p.derivedControls ? 'from spec controls' : 'generic'}), response=${p.inputResponse}, frames=${p.frameKind}, rafTicksPerSecond=${p.rafTicksPerSecond}`
+        });
+      }
 
       if (runtimeVerification.skipped) {
         if (runtimeEnabled) {
@@ -1985,10 +2752,16 @@ async function runGameModeJob(job) {
     pushGameModeEvent(job, 'log', {
       text: `Fix pass ${pass + 1}: ${verification.failures.map((f) => f.code).join(', ')} | stage3Enabled=${stage3Enabled} designerUsed=${summary.designerUsed} designerFallback=${summary.designerFallback} builderUsed=${summary.builderUsed} builderFallback=${summary.builderFallback}`
     });
-    result = deterministicRepair(result, verification);
-    if (result.mode === 'single' && result.htmlPath) {
-      await fs.writeFile(result.htmlPath, result.html, 'utf8');
-    }
+    const repair = await runGameModeRepairPass(job, {
+      pass: pass + 1,
+      result,
+      builderOutput: currentBuilderOutput,
+      verification,
+      designerSpec: effectiveDesignerSpec
+    });
+    result = repair.result;
+    currentBuilderOutput = repair.builderOutput;
+    summary.repairPasses.push(repair.record);
   }
 
   if (runtimeEnabled && summary.runtimePass === null && summary.runtimeFailures.length === 0) {
@@ -2047,37 +2820,126 @@ app.get('/api/workspace/file', async (req, res) => {
   }
 });
 
+app.get('/api/workspace/files', async (req, res) => {
+  try {
+    const root = String(req.query.root || '');
+    if (!root) {
+      return res.status(400).json({ ok: false, error: 'root is required' });
+    }
+    const { files, truncated } = await listWorkspaceFiles(resolveWorkspacePath(root));
+    return res.json({ root, files, truncated });
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: error?.message || 'Unable to read files' });
+  }
+});
+
+app.get('/api/game-mode/templates', (_req, res) => {
+  return res.json({ templates: listGameModeTemplates() });
+});
+
 app.post('/api/game-mode/jobs', async (req, res) => {
   const payload = req.body || {};
   const mode = payload.mode === 'multi' ? 'multi' : 'single';
   if (mode === 'multi' && !String(payload.targetDir || '').trim()) {
     return res.status(400).json({ ok: false, error: 'targetDir is required for multi mode' });
   }
-  const job = createGameModeJob({ ...payload, mode });
-  runGameModeJob(job).catch((error) => {
-    pushGameModeEvent(job, 'log', { text: `Failure: ${error?.message || 'Unknown error'}` });
-    finalizeGameModeJob(job, { status: 'error', donePayload: { status: 'error' } });
-  });
-  return res.status(202).json({ jobId: job.id });
+  const template = payload.template ? String(payload.template) : null;
+  if (template && !getGameModeTemplate(template)) {
+    return res.status(400).json({ ok: false, error: `Unknown template: ${template}`, error_code: 'UNKNOWN_TEMPLATE' });
+  }
+  const session = await getSessionFromRequest(req);
+  if (!session) {
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+  try {
+    const resetState = await resetUserCreditsIfNeeded({ userId: session.sub });
+    const user = resetState.user;
+    if (!user) {
+      return res.status(404).json({ ok: false, error: 'User not found' });
+    }
+    // Stages are charged as they finish; this only turns away users who
+    // could not pay for the first one.
+    if (GAME_MODE_LLM_ENABLED) {
+      const creditsRemaining = resolveCreditsBalance(user);
+      const dailyLimit = resolveDailyCreditLimit(user);
+      if (Number.isFinite(dailyLimit) && Number(resetState.daily_used || 0) >= dailyLimit) {
+        return res.status(402).json({
+          ok: false,
+          error: 'Daily credit limit reached',
+          error_code: 'INSUFFICIENT_CREDITS',
+          credits_remaining: creditsRemaining,
+          daily_limit: dailyLimit
+        });
+      }
+      if (!Number.isFinite(creditsRemaining) || creditsRemaining <= 0) {
+        return res.status(402).json({
+          ok: false,
+          error: 'Insufficient credits for this request',
+          error_code: 'INSUFFICIENT_CREDITS',
+          credits_remaining: creditsRemaining
+        });
+      }
+    }
+    if (gameModeQueue.countByKey(user.user_id) >= GAME_MODE_MAX_PENDING_JOBS_PER_USER) {
+      return res.status(429).json({
+        ok: false,
+        error: `At most ${GAME_MODE_MAX_PENDING_JOBS_PER_USER} game-mode jobs can be queued at once`,
+        error_code: 'GAME_MODE_QUEUE_FULL'
+      });
+    }
+    const job = createGameModeJob({ ...payload, mode, template }, { userId: user.user_id });
+    startGameModeJob(job);
+    return res.status(202).json({ jobId: job.id, position: gameModeQueue.position(job.id) });
+  } catch (error) {
+    logStructured('error', 'game_mode_job_create_failed', { user_id: session.sub, error_message: error?.message || 'Unknown error' });
+    return res.status(500).json({ ok: false, error: 'Unable to start game-mode job' });
+  }
 });
 
-app.get('/api/game-mode/jobs/:jobId/stream', (req, res) => {
-  const job = gameModeJobs.get(req.params.jobId);
+// Jobs finished or owned by another process are not in memory; their state
+// comes from Postgres. Another user's job reads as missing.
+async function loadGameModeJob(jobId, { userId }) {
+  const memoryJob = gameModeJobs.get(jobId);
+  const job = memoryJob || (getDbPool()
+    ? await fetchGameModeJob({ jobId }).catch((error) => {
+      logStructured('warn', 'game_mode_job_load_failed', { job_id: jobId, error_message: error?.message || 'Unknown error' });
+      return null;
+    })
+    : null);
+  const ownerId = memoryJob ? job?.userId : job?.user_id;
+  return job && ownerId === userId ? job : null;
+}
+
+app.get('/api/game-mode/jobs/:jobId/stream', async (req, res) => {
+  const jobId = req.params.jobId;
+  const lastEventId = parseLastEventId(req.get('last-event-id') ?? req.query.lastEventId);
+  const session = await getSessionFromRequest(req);
+  if (!session) {
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+  const job = await loadGameModeJob(jobId, { userId: session.sub });
   if (!job) {
     return res.status(404).json({ ok: false, error: 'Job not found' });
   }
+  const live = gameModeJobs.get(jobId) === job;
+  const events = live
+    ? selectEventsAfter(job.events, lastEventId)
+    : await fetchGameModeJobEvents({ jobId, afterId: lastEventId }).catch(() => []);
 
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
   res.flushHeaders?.();
+  res.write(`retry: ${GAME_MODE_SSE_RETRY_MS}\n\n`);
 
-  for (const packet of job.events) {
-    res.write(`event: ${packet.event}\n`);
-    res.write(`data: ${JSON.stringify(packet.data)}\n\n`);
+  for (const packet of events) {
+    res.write(formatSseEvent(packet));
   }
 
-  if (job.status !== 'running') {
+  // An active job this process does not own is replayed and closed; the
+  // browser reconnects with Last-Event-ID and picks up newer events, or the
+  // live stream once recovery has moved the job here.
+  if (!live || !isGameModeJobActive(job)) {
     res.end();
     return;
   }
@@ -2088,13 +2950,17 @@ app.get('/api/game-mode/jobs/:jobId/stream', (req, res) => {
   });
 });
 
-app.get('/api/game-mode/jobs/:jobId/result', (req, res) => {
-  const job = gameModeJobs.get(req.params.jobId);
+app.get('/api/game-mode/jobs/:jobId/result', async (req, res) => {
+  const session = await getSessionFromRequest(req);
+  if (!session) {
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+  const job = await loadGameModeJob(req.params.jobId, { userId: session.sub });
   if (!job) {
     return res.status(404).json({ ok: false, error: 'Job not found' });
   }
-  if (job.status === 'running') {
-    return res.status(202).json({ status: 'running' });
+  if (isGameModeJobActive(job)) {
+    return res.status(202).json({ status: job.status });
   }
   if (job.status === 'error') {
     return res.status(500).json({ status: 'error' });
@@ -2290,38 +3156,23 @@ app.post('/api/artifacts/metadata', async (req, res) => {
     ];
 
     source = hasChatContext ? 'chat+code' : 'code-only';
-    if (!LLM_PROXY_URL) {
+    if (!LLM_PROXY_URL && llmProvider.name === 'proxy') {
       return res.json(buildMetadataResponse({}, source));
     }
 
-    const workerRes = await fetch(LLM_PROXY_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
+    let content = '';
+    try {
+      const completion = await llmProvider.complete({
         model: OPENAI_MODEL,
         messages: prompt,
-        temperature: 0.2
-      })
-    });
-
-    if (!workerRes.ok) {
-      return res.json(buildMetadataResponse({}, source));
-    }
-
-    const responseText = await workerRes.text();
-    let data;
-    try {
-      data = responseText ? JSON.parse(responseText) : null;
+        temperature: 0.2,
+        label: 'METADATA'
+      });
+      content = completion.content;
     } catch {
-      data = null;
+      return res.json(buildMetadataResponse({}, source));
     }
 
-    const content = data?.choices?.[0]?.message?.content
-      ?? data?.candidates?.[0]?.content
-      ?? data?.output_text
-      ?? '';
     let parsed = null;
     try {
       parsed = content ? JSON.parse(content) : null;
@@ -2370,26 +3221,41 @@ app.post('/api/artifacts', async (req, res) => {
       });
       return res.status(400).json({ ok: false, error: validation.errors.join(' ') });
     }
+    const scanned = scanArtifactContent({
+      code: resolvedCode,
+      codeVersions,
+      chat: Array.isArray(req.body?.chat) ? req.body.chat : null,
+      title: String(req.body?.title || 'Untitled artifact'),
+      description: String(req.body?.description || '')
+    }, visibility === 'public' ? ['artifact', 'publish'] : ['artifact']);
+    const secretScan = summarizeSecretScan(scanned.result);
+    if (scanned.result.action === 'block') {
+      logStructured('warn', 'artifact_secret_scan_blocked', {
+        user_id: user.user_id,
+        visibility,
+        rules: secretScan.rules
+      });
+      return respondSecretScanBlocked(res, secretScan, 'Artifact contains secrets that cannot be saved');
+    }
 
     artifactId = crypto.randomUUID();
-    const code = resolvedCode;
+    const code = scanned.code;
     const screenshotUrl = await storageAdapter.saveArtifactScreenshot(screenshotDataUrl, artifactId);
     const derivedFrom = req.body?.derived_from || { artifact_id: null, owner_user_id: null };
     const sourceSession = req.body?.source_session || { session_id: req.body?.session_id || '', credits_used_estimate: 0 };
-    const chat = Array.isArray(req.body?.chat) ? req.body.chat : null;
 
     await createArtifact({
       artifactId,
       ownerUserId: user.user_id,
-      title: String(req.body?.title || 'Untitled artifact'),
-      description: String(req.body?.description || ''),
+      title: scanned.title,
+      description: scanned.description,
       visibility,
       code: {
         language: String(code.language || 'html'),
         content: String(code.content || '')
       },
-      codeVersions,
-      chat,
+      codeVersions: scanned.codeVersions,
+      chat: scanned.chat,
       sourceSession: {
         session_id: String(sourceSession?.session_id || ''),
         credits_used_estimate: Number(sourceSession?.credits_used_estimate || 0) || 0
@@ -2438,6 +3304,7 @@ app.post('/api/artifacts', async (req, res) => {
       source_artifact_id: artifact.derived_from?.artifact_id || null,
       session_id: artifact.source_session?.session_id || '',
       visibility,
+      secret_scan_action: scanned.result.action,
       outcome: 'success'
     });
 
@@ -2445,7 +3312,8 @@ app.post('/api/artifacts', async (req, res) => {
       ok: true,
       artifact: applyArtifactDefaults(artifact),
       artifact_id: artifact.artifact_id,
-      screenshot_url: artifact.screenshot_url || ''
+      screenshot_url: artifact.screenshot_url || '',
+      ...(secretScan ? { secret_scan: secretScan } : {})
     });
   } catch (error) {
     logStructured('error', 'artifact_create_failed', {
@@ -2494,8 +3362,25 @@ async function handleCreateArtifactVersion(req, res) {
       });
       return res.status(400).json({ ok: false, error: validation.errors.join(' ') });
     }
-    const code = resolvedCode || artifact.code;
-    const chat = Array.isArray(req.body?.chat) ? req.body.chat : null;
+    const scanned = scanArtifactContent({
+      code: resolvedCode || artifact.code,
+      codeVersions,
+      chat: Array.isArray(req.body?.chat) ? req.body.chat : null,
+      title: String(req.body?.title || artifact.title),
+      description: String(req.body?.description || artifact.description)
+    }, visibility === 'public' ? ['artifact', 'publish'] : ['artifact']);
+    const secretScan = summarizeSecretScan(scanned.result);
+    if (scanned.result.action === 'block') {
+      logStructured('warn', 'artifact_secret_scan_blocked', {
+        user_id: artifact.owner_user_id,
+        artifact_id: artifact.artifact_id,
+        visibility,
+        rules: secretScan.rules
+      });
+      return respondSecretScanBlocked(res, secretScan, 'Artifact contains secrets that cannot be saved');
+    }
+    const code = scanned.code;
+    const chat = scanned.chat;
     const sourceSession = req.body?.source_session || { session_id: '', credits_used_estimate: 0 };
     const screenshotUrl = await storageAdapter.saveArtifactScreenshot(
       req.body?.screenshot_data_url,
@@ -2508,7 +3393,7 @@ async function handleCreateArtifactVersion(req, res) {
         language: String(code?.language || artifact.code?.language || 'html'),
         content: String(code?.content || artifact.code?.content || '')
       },
-      codeVersions,
+      codeVersions: scanned.codeVersions,
       chat,
       sourceSession: {
         session_id: String(sourceSession?.session_id || ''),
@@ -2516,8 +3401,8 @@ async function handleCreateArtifactVersion(req, res) {
       },
       label: req.body?.label,
       visibility,
-      title: String(req.body?.title || artifact.title),
-      description: String(req.body?.description || artifact.description),
+      title: scanned.title,
+      description: scanned.description,
       screenshotUrl
     });
 
@@ -2537,10 +3422,15 @@ async function handleCreateArtifactVersion(req, res) {
       source_artifact_id: artifact.derived_from?.artifact_id || null,
       session_id: sourceSession?.session_id || '',
       visibility,
+      secret_scan_action: scanned.result.action,
       outcome: 'success'
     });
 
-    return res.json({ ok: true, artifact: applyArtifactDefaults(updated) });
+    return res.json({
+      ok: true,
+      artifact: applyArtifactDefaults(updated),
+      ...(secretScan ? { secret_scan: secretScan } : {})
+    });
   } catch (error) {
     logStructured('error', 'artifact_version_create_failed', {
       user_id: userId || null,
@@ -2582,6 +3472,170 @@ app.get('/api/artifacts/:id/versions', async (req, res) => {
   }
 });
 
+/**
+ * Pins for a chat turn. Pins are an optional layer on top of the context
+ * modes, so a missing database or a failed read sends the turn without them.
+ */
+async function loadChatContextPins({ userId, artifactId, requestId }) {
+  if (!getDbPool()) {
+    return [];
+  }
+  try {
+    return await fetchContextPins({ userId, artifactId: artifactId || null });
+  } catch (error) {
+    logStructured('warn', 'context_pins_load_failed', {
+      request_id: requestId,
+      user_id: userId,
+      artifact_id: artifactId || null,
+      error: error?.message || String(error)
+    });
+    return [];
+  }
+}
+
+// Resolves the artifact a pin request is scoped to; only owners may pin.
+async function resolveContextPinArtifact(req, res, session) {
+  const artifactId = req.body?.artifactId ?? req.query?.artifactId ?? null;
+  if (!artifactId) {
+    return { artifactId: null };
+  }
+  const artifact = await fetchArtifactById(String(artifactId)).catch(() => null);
+  if (!artifact) {
+    res.status(404).json({ ok: false, error: 'Artifact not found' });
+    return null;
+  }
+  if (artifact.owner_user_id !== session.sub) {
+    res.status(403).json({ ok: false, error: 'Forbidden' });
+    return null;
+  }
+  return { artifactId: artifact.artifact_id };
+}
+
+// Pins are sent to the model on every turn, so they get the chat policy
+// when saved rather than on each request.
+function scanContextPinContent(value) {
+  if (typeof value.content !== 'string') {
+    return { value, summary: null, blocked: false };
+  }
+  const result = applySecretScanPolicy(
+    [{ path: 'content', text: value.content }],
+    resolveSecretScanPolicy('chat', SECRET_SCAN_POLICY)
+  );
+  return {
+    value: { ...value, content: result.redacted.content ?? value.content },
+    summary: summarizeSecretScan(result),
+    blocked: result.action === 'block'
+  };
+}
+
+async function requireContextPinSession(req, res) {
+  const session = await getSessionFromRequest(req);
+  if (!session) {
+    res.status(401).json({ ok: false, error: 'Unauthorized' });
+    return null;
+  }
+  if (!getDbPool()) {
+    res.status(503).json({ ok: false, error: 'Context pins need a database', error_code: 'CONTEXT_PINS_UNAVAILABLE' });
+    return null;
+  }
+  return session;
+}
+
+app.get('/api/context-pins', async (req, res) => {
+  try {
+    const session = await requireContextPinSession(req, res);
+    if (!session) {
+      return;
+    }
+    const scope = await resolveContextPinArtifact(req, res, session);
+    if (!scope) {
+      return;
+    }
+    const pins = await fetchContextPins({ userId: session.sub, artifactId: scope.artifactId });
+    return res.json({ ok: true, pins, max_pins: MAX_CONTEXT_PINS });
+  } catch (error) {
+    console.error('Failed to load context pins.', error);
+    return res.status(500).json({ ok: false, error: 'Failed to load context pins' });
+  }
+});
+
+app.post('/api/context-pins', async (req, res) => {
+  try {
+    const session = await requireContextPinSession(req, res);
+    if (!session) {
+      return;
+    }
+    const scope = await resolveContextPinArtifact(req, res, session);
+    if (!scope) {
+      return;
+    }
+    const { value, error } = normalizeContextPinInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ ok: false, error, error_code: 'INVALID_CONTEXT_PIN' });
+    }
+    const existing = await countContextPins({ userId: session.sub, artifactId: scope.artifactId });
+    if (existing >= MAX_CONTEXT_PINS) {
+      return res.status(409).json({
+        ok: false,
+        error: `At most ${MAX_CONTEXT_PINS} pins are allowed here`,
+        error_code: 'CONTEXT_PIN_LIMIT',
+        max_pins: MAX_CONTEXT_PINS
+      });
+    }
+    const scan = scanContextPinContent(value);
+    if (scan.blocked) {
+      return respondSecretScanBlocked(res, scan.summary, 'Pin contains secrets or personal data that cannot be sent to the model');
+    }
+    const pin = await insertContextPin({ userId: session.sub, artifactId: scope.artifactId, ...scan.value });
+    return res.status(201).json({ ok: true, pin, ...(scan.summary ? { secret_scan: scan.summary } : {}) });
+  } catch (error) {
+    console.error('Failed to create context pin.', error);
+    return res.status(500).json({ ok: false, error: 'Failed to create context pin' });
+  }
+});
+
+app.patch('/api/context-pins/:id', async (req, res) => {
+  try {
+    const session = await requireContextPinSession(req, res);
+    if (!session) {
+      return;
+    }
+    const { value, error } = normalizeContextPinInput(req.body || {}, { partial: true });
+    if (error) {
+      return res.status(400).json({ ok: false, error, error_code: 'INVALID_CONTEXT_PIN' });
+    }
+    const scan = scanContextPinContent(value);
+    if (scan.blocked) {
+      return respondSecretScanBlocked(res, scan.summary, 'Pin contains secrets or personal data that cannot be sent to the model');
+    }
+    const pin = await updateContextPin({ userId: session.sub, pinId: req.params.id, ...scan.value });
+    if (!pin) {
+      return res.status(404).json({ ok: false, error: 'Pin not found' });
+    }
+    return res.json({ ok: true, pin, ...(scan.summary ? { secret_scan: scan.summary } : {}) });
+  } catch (error) {
+    console.error('Failed to update context pin.', error);
+    return res.status(500).json({ ok: false, error: 'Failed to update context pin' });
+  }
+});
+
+app.delete('/api/context-pins/:id', async (req, res) => {
+  try {
+    const session = await requireContextPinSession(req, res);
+    if (!session) {
+      return;
+    }
+    const deleted = await deleteContextPin({ userId: session.sub, pinId: req.params.id });
+    if (!deleted) {
+      return res.status(404).json({ ok: false, error: 'Pin not found' });
+    }
+    return res.json({ ok: true });
+  } catch (error) {
+    console.error('Failed to delete context pin.', error);
+    return res.status(500).json({ ok: false, error: 'Failed to delete context pin' });
+  }
+});
+
 app.get('/api/profile', async (req, res) => {
   try {
     const session = await getSessionFromRequest(req);
@@ -2897,6 +3951,26 @@ app.patch('/api/artifacts/:id/visibility', async (req, res) => {
     }
     const nextVisibility = req.body?.visibility === 'public' ? 'public' : 'private';
     const wasPublic = artifact.visibility === 'public';
+    let secretScan = null;
+    if (!wasPublic && nextVisibility === 'public') {
+      const scanned = scanArtifactContent({
+        code: artifact.code,
+        title: artifact.title,
+        description: artifact.description
+      }, ['publish']);
+      secretScan = summarizeSecretScan(scanned.result);
+      // Stored versions are not rewritten, so a redact policy cannot make
+      // this artifact safe to publish and is enforced as a block.
+      if (scanned.result.action === 'block' || scanned.result.action === 'redact') {
+        logStructured('warn', 'artifact_secret_scan_blocked', {
+          user_id: artifact.owner_user_id,
+          artifact_id: artifact.artifact_id,
+          visibility: nextVisibility,
+          rules: secretScan.rules
+        });
+        return respondSecretScanBlocked(res, secretScan, 'Remove secrets from the artifact before publishing');
+      }
+    }
     await updateArtifactVisibility({
       artifactId: artifact.artifact_id,
       ownerUserId: artifact.owner_user_id,
@@ -2914,7 +3988,7 @@ app.patch('/api/artifacts/:id/visibility', async (req, res) => {
       });
     }
 
-    return res.json({ ok: true, artifact: updated });
+    return res.json({ ok: true, artifact: updated, ...(secretScan ? { secret_scan: secretScan } : {}) });
   } catch (error) {
     console.error('Failed to update artifact visibility.', error);
     return res.status(500).json({ ok: false, error: 'Failed to update artifact visibility' });
@@ -3229,6 +4303,241 @@ app.get('/admin/usage/summary', async (req, res) => {
   }
 });
 
+async function resolveInternalUser(req, res) {
+  const session = await getSessionFromRequest(req);
+  if (!session) {
+    res.status(401).json({ ok: false, error: 'Unauthorized' });
+    return null;
+  }
+  const user = await getUserById(session.sub);
+  if (!user) {
+    res.status(404).json({ ok: false, error: 'User not found' });
+    return null;
+  }
+  if (!user.is_internal) {
+    res.status(403).json({ ok: false, error: 'Forbidden' });
+    return null;
+  }
+  return user;
+}
+
+app.get('/admin/experiments', async (req, res) => {
+  try {
+    if (!await resolveInternalUser(req, res)) {
+      return;
+    }
+    if (!getUsageAnalyticsPool()) {
+      return res.json({ ok: true, experiments: [] });
+    }
+    return res.json({ ok: true, experiments: await fetchModelExperiments() });
+  } catch (error) {
+    console.error('Failed to load model experiments.', error);
+    return res.status(500).json({ ok: false, error: 'Failed to load model experiments' });
+  }
+});
+
+app.post('/admin/experiments', async (req, res) => {
+  try {
+    if (!await resolveInternalUser(req, res)) {
+      return;
+    }
+    const { experiment, errors } = normalizeExperimentDefinition(req.body || {});
+    if (errors.length) {
+      return res.status(400).json({ ok: false, error: 'Invalid experiment', error_code: 'INVALID_EXPERIMENT', details: errors });
+    }
+    if (!getUsageAnalyticsPool()) {
+      return res.status(503).json({ ok: false, error: 'Usage analytics database is not configured' });
+    }
+    const saved = await upsertModelExperiment(experiment);
+    logStructured('info', 'model_experiment_saved', {
+      experiment_id: experiment.id,
+      status: experiment.status,
+      variants: experiment.variants.map((variant) => variant.id)
+    });
+    return res.json({ ok: true, experiment: saved });
+  } catch (error) {
+    console.error('Failed to save model experiment.', error);
+    return res.status(500).json({ ok: false, error: 'Failed to save model experiment' });
+  }
+});
+
+app.get('/admin/experiments/:experimentId/summary', async (req, res) => {
+  try {
+    if (!await resolveInternalUser(req, res)) {
+      return;
+    }
+    const experimentId = String(req.params.experimentId || '');
+    if (!getUsageAnalyticsPool()) {
+      return res.json({ ok: true, experiment_id: experimentId, variants: [] });
+    }
+    const rows = await fetchExperimentVariantStats({ experimentId });
+    return res.json({
+      ok: true,
+      experiment_id: experimentId,
+      confidence_level: 0.95,
+      variants: summarizeExperimentVariants(rows)
+    });
+  } catch (error) {
+    console.error('Failed to load model experiment summary.', error);
+    return res.status(500).json({ ok: false, error: 'Failed to load model experiment summary' });
+  }
+});
+
+app.get('/api/tokenizers', async (_req, res) => {
+  try {
+    await refreshTokenizerCalibration();
+    const families = Object.fromEntries(Object.keys(TOKENIZER_FAMILIES).map((family) => {
+      const { encoding, charsPerToken, messageOverhead, image } = TOKENIZER_FAMILIES[family];
+      return [family, { encoding, chars_per_token: charsPerToken, message_overhead: messageOverhead, image }];
+    }));
+    return res.json({
+      ok: true,
+      families,
+      calibration: tokenizerRegistry.getCalibration(),
+      default_model: OPENAI_MODEL,
+      server: tokenizerRegistry.describe(OPENAI_MODEL)
+    });
+  } catch (error) {
+    console.error('Failed to load tokenizers.', error);
+    return res.status(500).json({ ok: false, error: 'Failed to load tokenizers' });
+  }
+});
+
+app.get('/api/prompt-templates', async (_req, res) => {
+  try {
+    await refreshPromptTemplates();
+    const templates = promptTemplateRegistry.list({ surface: 'client' }).map((entry) => {
+      const active = promptTemplateRegistry.get(entry.id);
+      return { id: active.id, version: active.version, variables: active.variables, body: active.body };
+    });
+    return res.json({ ok: true, templates });
+  } catch (error) {
+    console.error('Failed to load prompt templates.', error);
+    return res.status(500).json({ ok: false, error: 'Failed to load prompt templates' });
+  }
+});
+
+app.get('/admin/prompt-templates', async (req, res) => {
+  try {
+    if (!await resolveInternalUser(req, res)) {
+      return;
+    }
+    await refreshPromptTemplates({ force: true });
+    return res.json({ ok: true, templates: promptTemplateRegistry.list() });
+  } catch (error) {
+    console.error('Failed to load prompt templates.', error);
+    return res.status(500).json({ ok: false, error: 'Failed to load prompt templates' });
+  }
+});
+
+app.post('/admin/prompt-templates', async (req, res) => {
+  try {
+    const adminUser = await resolveInternalUser(req, res);
+    if (!adminUser) {
+      return;
+    }
+    if (!getUsageAnalyticsPool()) {
+      return res.status(503).json({ ok: false, error: 'Usage analytics database is not configured' });
+    }
+    await refreshPromptTemplates({ force: true });
+    const templateId = String(req.body?.id || '');
+    if (!promptTemplateRegistry.has(templateId)) {
+      return res.status(404).json({ ok: false, error: 'Prompt template not found', error_code: 'PROMPT_TEMPLATE_NOT_FOUND' });
+    }
+    const activate = req.body?.activate === true;
+    const { template, errors } = promptTemplateRegistry.validate({
+      ...req.body,
+      id: templateId,
+      version: promptTemplateRegistry.nextVersion(templateId)
+    });
+    if (errors.length) {
+      return res.status(400).json({ ok: false, error: 'Invalid prompt template', error_code: 'INVALID_PROMPT_TEMPLATE', details: errors });
+    }
+    // Persist before touching the registry: a failed write must not leave
+    // this instance serving a version no other instance can load.
+    const saved = await insertPromptTemplateVersion({ ...template, createdBy: adminUser.user_id });
+    if (activate) {
+      await upsertPromptTemplateRelease({ templateId, activeVersion: template.version, updatedBy: adminUser.user_id });
+    }
+    promptTemplateRegistry.register({ ...template, created_at: saved?.created_at || null }, { activate });
+    logStructured('info', 'prompt_template_saved', {
+      template_id: templateId,
+      version: template.version,
+      activated: activate,
+      user_id: adminUser.user_id
+    });
+    return res.json({ ok: true, template: saved, active_version: promptTemplateRegistry.describe(templateId).version });
+  } catch (error) {
+    console.error('Failed to save prompt template.', error);
+    return res.status(500).json({ ok: false, error: 'Failed to save prompt template' });
+  }
+});
+
+app.post('/admin/prompt-templates/:templateId/activate', async (req, res) => {
+  try {
+    const adminUser = await resolveInternalUser(req, res);
+    if (!adminUser) {
+      return;
+    }
+    if (!getUsageAnalyticsPool()) {
+      return res.status(503).json({ ok: false, error: 'Usage analytics database is not configured' });
+    }
+    await refreshPromptTemplates({ force: true });
+    const templateId = String(req.params.templateId || '');
+    const previous = promptTemplateRegistry.describe(templateId);
+    if (!previous) {
+      return res.status(404).json({ ok: false, error: 'Prompt template not found', error_code: 'PROMPT_TEMPLATE_NOT_FOUND' });
+    }
+    const template = promptTemplateRegistry.get(templateId, Number(req.body?.version));
+    if (!template) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Unknown prompt template version',
+        error_code: 'INVALID_PROMPT_TEMPLATE_VERSION',
+        details: [`version ${req.body?.version} of ${templateId} does not exist`]
+      });
+    }
+    await upsertPromptTemplateRelease({ templateId, activeVersion: template.version, updatedBy: adminUser.user_id });
+    promptTemplateRegistry.activate(templateId, template.version);
+    logStructured('info', 'prompt_template_activated', {
+      template_id: templateId,
+      version: template.version,
+      previous_version: previous.version,
+      user_id: adminUser.user_id
+    });
+    return res.json({ ok: true, template_id: templateId, active_version: template.version, previous_version: previous.version });
+  } catch (error) {
+    console.error('Failed to activate prompt template.', error);
+    return res.status(500).json({ ok: false, error: 'Failed to activate prompt template' });
+  }
+});
+
+app.post('/api/experiments/outcome', async (req, res) => {
+  try {
+    const session = await getSessionFromRequest(req);
+    if (!session) {
+      return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    }
+    const requestId = typeof req.body?.request_id === 'string' ? req.body.request_id : '';
+    if (!requestId || typeof req.body?.kept !== 'boolean') {
+      return res.status(400).json({ ok: false, error: 'request_id and kept are required' });
+    }
+    if (!getUsageAnalyticsPool()) {
+      return res.json({ ok: true, updated: 0 });
+    }
+    const updated = await recordExperimentOutcome({
+      userId: session.sub,
+      requestId,
+      kept: req.body.kept,
+      codeVersionId: typeof req.body?.code_version_id === 'string' ? req.body.code_version_id : null
+    });
+    return res.json({ ok: true, updated });
+  } catch (error) {
+    console.error('Failed to record experiment outcome.', error);
+    return res.status(500).json({ ok: false, error: 'Failed to record experiment outcome' });
+  }
+});
+
 app.get('/api/session/export/:sessionId', async (req, res) => {
   try {
     const session = await getSessionFromRequest(req);
@@ -3335,92 +4644,1082 @@ app.post('/api/billing/portal-session', async (req, res) => {
 });
 
 
-function responseIncludesPlayableElements(text = '') {
-  const normalized = String(text || '').toLowerCase();
-  if (!normalized) {
-    return false;
-  }
-  const checks = [
-    /objective|goal|win condition/,
-    /mechanic|controls|input|mouse|keyboard|click/,
-    /reward|score|points|progress|feedback/,
-    /game|level|challenge|loop/
-  ];
-  return checks.filter((pattern) => pattern.test(normalized)).length >= 3;
-}
+let promptTemplatesRefreshedAt = 0;
 
-function applyPlayablePromptToMessages(messages = [], { prompt, code } = {}) {
-  if (!Array.isArray(messages) || messages.length === 0) {
-    return [
-      { role: 'system', content: CHAT_SYSTEM_PROMPT },
-      { role: 'user', content: buildPlayablePrompt({ prompt, code }) }
-    ];
+// Pulls admin-created versions and release pointers so rollouts reach every
+// instance within PROMPT_TEMPLATE_REFRESH_MS without a deploy.
+async function refreshPromptTemplates({ force = false } = {}) {
+  if (!getUsageAnalyticsPool()) {
+    return;
   }
-
-  let replaced = false;
-  const updated = messages.map((message, index) => {
-    const isLast = index === messages.length - 1;
-    if (isLast && message?.role === 'user') {
-      replaced = true;
-      return {
-        ...message,
-        content: buildPlayablePrompt({
-          prompt: prompt || message?.content || '',
-          code
-        })
-      };
+  if (!force && Date.now() - promptTemplatesRefreshedAt < PROMPT_TEMPLATE_REFRESH_MS) {
+    return;
+  }
+  promptTemplatesRefreshedAt = Date.now();
+  try {
+    const [versions, releases] = await Promise.all([
+      fetchPromptTemplateVersions(),
+      fetchPromptTemplateReleases()
+    ]);
+    const { errors } = promptTemplateRegistry.load({ versions, releases });
+    if (errors.length) {
+      logStructured('warn', 'prompt_template_load_skipped', { errors });
     }
-    return message;
-  });
-
-  if (!replaced) {
-    updated.push({
-      role: 'user',
-      content: buildPlayablePrompt({ prompt, code })
-    });
+  } catch (error) {
+    logStructured('warn', 'prompt_template_refresh_failed', { error: error?.message || String(error) });
   }
+}
 
-  return updated;
+let tokenizerCalibrationRefreshedAt = 0;
+
+// Re-derives chars-per-token per model family from provider-reported usage so
+// estimates without an encoder (and the browser credit preview) track what
+// providers actually bill.
+async function refreshTokenizerCalibration({ force = false } = {}) {
+  if (!getUsageAnalyticsPool()) {
+    return;
+  }
+  if (!force && Date.now() - tokenizerCalibrationRefreshedAt < TOKENIZER_CALIBRATION_REFRESH_MS) {
+    return;
+  }
+  tokenizerCalibrationRefreshedAt = Date.now();
+  try {
+    const rows = await fetchTokenizerCalibrationTotals({ days: TOKENIZER_CALIBRATION_DAYS });
+    tokenizerRegistry.setCalibration(calibrateCharsPerToken(rows));
+  } catch (error) {
+    logStructured('warn', 'tokenizer_calibration_refresh_failed', { error: error?.message || String(error) });
+  }
 }
 
-function applyPromptToLastUserMessage(messages = [], prompt = '') {
-  const safePrompt = typeof prompt === 'string' ? prompt : '';
-  if (!Array.isArray(messages) || messages.length === 0) {
-    return [
-      { role: 'system', content: CHAT_SYSTEM_PROMPT },
-      { role: 'user', content: safePrompt }
-    ];
+// The template that shaped the request, recorded with usage: playable and
+// retry wrappers win, then the client's studio system prompt, then the
+// server chat prompt.
+function resolveRequestPromptTemplate({ playableMode = false, retryMode = false, clientTemplate = null } = {}) {
+  if (playableMode) {
+    return promptTemplateRegistry.describe('playable.game_design');
+  }
+  if (retryMode) {
+    return promptTemplateRegistry.describe('chat.retry');
+  }
+  const clientId = typeof clientTemplate?.id === 'string' ? clientTemplate.id : '';
+  const clientVersion = Number(clientTemplate?.version);
+  if (promptTemplateRegistry.get(clientId, clientVersion)?.surface === 'client') {
+    return { id: clientId, version: clientVersion };
   }
+  return promptTemplateRegistry.describe('chat.system');
+}
 
-  let replaced = false;
-  const updated = messages.map((message, index) => {
-    const isLast = index === messages.length - 1;
-    if (isLast && message?.role === 'user') {
-      replaced = true;
-      return {
-        ...message,
-        content: safePrompt
-      };
-    }
-    return message;
+async function recordChatCancellation({
+  user,
+  requestId,
+  sessionId,
+  intentType,
+  model,
+  inputTokens,
+  inputChars,
+  reservedCredits,
+  requestStartedAt,
+  reason
+}) {
+  logStructured('info', 'chat_cancelled', {
+    request_id: requestId,
+    user_id: user.user_id,
+    session_id: sessionId || '',
+    reason
   });
-
-  if (!replaced) {
-    updated.push({ role: 'user', content: safePrompt });
+  try {
+    await appendUsageEntry({
+      user,
+      requestId,
+      sessionId: sessionId || '',
+      eventType: 'chat_cancelled',
+      intentType,
+      model,
+      inputTokens,
+      outputTokens: 0,
+      inputChars,
+      outputChars: 0,
+      totalTokens: inputTokens,
+      reservedCredits,
+      actualCredits: 0,
+      creditsCharged: 0,
+      refundedCredits: 0,
+      latencyMs: Date.now() - requestStartedAt,
+      status: 'cancelled'
+    });
+  } catch (logError) {
+    console.warn('Failed to log usage for cancelled chat.', logError);
   }
+}
 
-  return updated;
+function respondChatCancelled(res, activeRequest) {
+  if (res.headersSent || res.writableEnded || res.destroyed) {
+    return;
+  }
+  res.status(499).json({
+    ok: false,
+    error: 'Request cancelled',
+    error_code: 'CHAT_CANCELLED',
+    reason: activeRequest?.cancelReason || 'cancelled'
+  });
 }
 
-/**
- * CHAT (FULL IMPLEMENTATION — DO NOT STUB)
- */
-app.post('/api/chat', async (req, res) => {
+function buildEditPatchSummary({ outputText, codeFiles, requestId }) {
+  const currentCode = getActiveFileContent(codeFiles);
+  if (!codeFiles?.multiFile && !currentCode.trim()) {
+    return null;
+  }
+  const parsed = parseEditBlocks(outputText);
+  if (!parsed.hunks.length) {
+    return null;
+  }
+  const validated = codeFiles.multiFile
+    ? validateFileEditHunks(toFileContentMap(codeFiles.files), parsed.hunks, { defaultPath: codeFiles.activePath })
+    : validateEditHunks(currentCode, parsed.hunks);
+  // The model saw redaction placeholders in place of secrets; a hunk that
+  // quotes one cannot match the real code and must never write one back.
+  const hunks = validated.hunks.map((hunk) => (
+    containsRedaction(hunk.search) || containsRedaction(hunk.replace) ? { ...hunk, status: 'redacted' } : hunk
+  ));
+  const valid = validated.valid && hunks.every((hunk) => hunk.status === 'ok');
+  if (!valid) {
+    logStructured('warn', 'chat_edit_patch_invalid', {
+      request_id: requestId,
+      format: parsed.format,
+      hunks: hunks.map(({ id, status }) => ({ id, status }))
+    });
+  }
+  return {
+    format: parsed.format,
+    valid,
+    hunks: hunks.map((hunk) => ({
+      id: hunk.id,
+      search: hunk.search,
+      replace: hunk.replace,
+      status: hunk.status,
+      start_line: hunk.startLine ?? null,
+      end_line: hunk.endLine ?? null,
+      ...(hunk.status === 'redacted' ? { redacted: true } : {}),
+      ...(codeFiles.multiFile ? { path: hunk.path, ...(hunk.create ? { create: true } : {}) } : {})
+    }))
+  };
+}
+
+function writeChatStreamEvent(res, event, data) {
+  if (res.writableEnded || res.destroyed) {
+    return;
+  }
+  res.write(formatSseEvent({ event, data }));
+}
+
+/**
+ * CHAT STREAMING (SSE)
+ * Reserves credits before calling the proxy, forwards deltas as they arrive and
+ * settles the reservation from the tokens actually produced, including when the
+ * client disconnects mid-stream.
+ */
+async function streamChatCompletion({
+  req,
+  res,
+  user,
+  requestId,
+  intentType,
+  requestedModel,
+  routeDecision,
+  promptText,
+  inputChars,
+  inputTokensEstimate,
+  estimatedCredits,
+  creditsRemaining,
+  creditsTotal,
+  requestStartedAt,
+  activeRequest,
+  responseCacheRequest = null
+}) {
+  const sessionId = typeof req.body?.sessionId === 'string' ? req.body.sessionId : '';
+  const reservedCredits = Math.max(
+    estimatedCredits,
+    Math.min(
+      creditsRemaining,
+      calculateCreditsUsed({
+        inputTokens: inputTokensEstimate,
+        outputTokens: CHAT_STREAM_OUTPUT_RESERVE_TOKENS,
+        intentType,
+        model: requestedModel
+      })
+    )
+  );
+
+  try {
+    await applyCreditDeduction({
+      userId: user.user_id,
+      sessionId,
+      turnId: requestId,
+      creditsToCharge: reservedCredits,
+      creditsTotal,
+      reason: 'llm_reservation',
+      metadata: formatCreditLedgerMetadata({
+        model: req.body?.model || requestedModel,
+        tokens_in: inputTokensEstimate,
+        reserved_out: CHAT_STREAM_OUTPUT_RESERVE_TOKENS
+      })
+    });
+  } catch (reserveError) {
+    if (String(reserveError?.message || '') !== 'INSUFFICIENT_CREDITS') {
+      throw reserveError;
+    }
+    await appendUsageEntry({
+      user,
+      requestId,
+      sessionId,
+      eventType: 'chat_rejected',
+      intentType,
+      model: requestedModel,
+      inputTokens: inputTokensEstimate,
+      outputTokens: 0,
+      inputChars,
+      outputChars: 0,
+      totalTokens: inputTokensEstimate,
+      reservedCredits,
+      actualCredits: 0,
+      creditsCharged: 0,
+      latencyMs: Date.now() - requestStartedAt,
+      status: 'failure'
+    });
+    return res.status(402).json({
+      ok: false,
+      error: 'Insufficient credits for this request',
+      credits_remaining: creditsRemaining,
+      estimated_credits: reservedCredits
+    });
+  }
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+  writeChatStreamEvent(res, 'start', {
+    request_id: requestId,
+    model: req.body?.model || requestedModel,
+    reserved_credits: reservedCredits
+  });
+
+  let outputText = '';
+  let usage = {};
+  let responseModel = null;
+  let finishReason = null;
+  let upstreamError = null;
+  try {
+    const deltas = llmProvider.stream({
+      model: req.body?.model || requestedModel,
+      messages: req.body.messages,
+      body: req.body,
+      signal: activeRequest.signal
+    });
+    for await (const delta of deltas) {
+      usage = mergeStreamUsage(usage, delta.usage);
+      if (delta.model) responseModel = delta.model;
+      if (delta.finishReason) finishReason = delta.finishReason;
+      if (delta.content) {
+        outputText += delta.content;
+        writeChatStreamEvent(res, 'delta', { content: delta.content });
+      }
+    }
+  } catch (streamError) {
+    if (!activeRequest.cancelled) {
+      upstreamError = {
+        status: streamError?.status || 502,
+        message: String(streamError?.body || streamError?.message || 'LLM proxy failed')
+      };
+    }
+  }
+  const cancelled = activeRequest.cancelled;
+
+  const resolvedModel = responseModel || req.body?.model || requestedModel;
+  const usageInputTokens = Number(usage?.prompt_tokens ?? usage?.input_tokens);
+  const usageOutputTokens = Number(usage?.completion_tokens ?? usage?.output_tokens);
+  const resolvedInputTokens = Number.isFinite(usageInputTokens) ? usageInputTokens : inputTokensEstimate;
+  const resolvedOutputTokens = Number.isFinite(usageOutputTokens)
+    ? usageOutputTokens
+    : estimateTokensWithTokenizer(outputText, requestedModel);
+  const actualCredits = upstreamError
+    ? 0
+    : calculateCreditsUsed({
+      inputTokens: resolvedInputTokens,
+      outputTokens: resolvedOutputTokens,
+      intentType,
+      inputText: promptText,
+      outputText,
+      model: requestedModel
+    });
+  const { additionalCharge, refund } = resolveStreamSettlement({ reservedCredits, actualCredits });
+  const ledgerMetadata = formatCreditLedgerMetadata({
+    model: resolvedModel,
+    tokens_in: resolvedInputTokens,
+    tokens_out: resolvedOutputTokens,
+    cancelled
+  });
+
+  let nextRemaining = clampCredits(creditsRemaining - reservedCredits, creditsTotal);
+  let creditsCharged = reservedCredits;
+  try {
+    if (refund > 0) {
+      const refundResult = await applyCreditRefund({
+        userId: user.user_id,
+        sessionId,
+        turnId: requestId,
+        creditsToRefund: refund,
+        metadata: ledgerMetadata
+      });
+      nextRemaining = Number.isFinite(refundResult.nextBalance) ? refundResult.nextBalance : nextRemaining;
+      creditsCharged -= refund;
+    } else if (additionalCharge > 0) {
+      const chargeResult = await applyCreditDeduction({
+        userId: user.user_id,
+        sessionId,
+        turnId: requestId,
+        creditsToCharge: additionalCharge,
+        creditsTotal,
+        metadata: ledgerMetadata
+      });
+      nextRemaining = Number.isFinite(chargeResult.nextBalance) ? chargeResult.nextBalance : nextRemaining;
+      creditsCharged += additionalCharge;
+    }
+  } catch (settleError) {
+    logStructured('warn', 'chat_stream_settlement_failed', {
+      request_id: requestId,
+      user_id: user.user_id,
+      reserved_credits: reservedCredits,
+      actual_credits: actualCredits,
+      error: String(settleError?.message || settleError)
+    });
+  }
+
+  const eventType = upstreamError
+    ? 'chat_error'
+    : cancelled
+      ? 'chat_cancelled'
+      : intentType === 'code' ? 'code_gen' : 'chat_turn';
+  await appendUsageEntry({
+    user,
+    requestId,
+    sessionId,
+    eventType,
+    intentType,
+    model: resolvedModel,
+    inputTokens: resolvedInputTokens,
+    outputTokens: upstreamError ? 0 : resolvedOutputTokens,
+    inputChars,
+    outputChars: outputText.length,
+    tokenSource: Number.isFinite(usageInputTokens) && Number.isFinite(usageOutputTokens) ? 'provider' : 'estimate',
+    imageTokens: req.chatImageTokens || 0,
+    totalTokens: resolvedInputTokens + (upstreamError ? 0 : resolvedOutputTokens),
+    reservedCredits,
+    actualCredits,
+    creditsCharged,
+    refundedCredits: refund,
+    latencyMs: Date.now() - requestStartedAt,
+    status: upstreamError ? 'failure' : cancelled ? 'cancelled' : 'success'
+  }).catch((logError) => {
+    console.warn('Failed to log usage for chat stream.', logError);
+  });
+  // Set on every exit so cancelled and failed streams still count toward the
+  // auto-fix credit cap.
+  req.creditsCharged = creditsCharged;
+
+  if (cancelled) {
+    logStructured('info', 'chat_cancelled', {
+      request_id: requestId,
+      user_id: user.user_id,
+      session_id: sessionId,
+      reason: activeRequest.cancelReason,
+      output_chars: outputText.length,
+      credits_charged: creditsCharged,
+      refunded_credits: refund
+    });
+    writeChatStreamEvent(res, 'cancelled', {
+      ok: false,
+      reason: activeRequest.cancelReason,
+      credits_charged: creditsCharged,
+      refunded_credits: refund,
+      credits_remaining: nextRemaining
+    });
+    res.end();
+    return;
+  }
+
+  if (upstreamError) {
+    writeChatStreamEvent(res, 'error', {
+      ok: false,
+      status: upstreamError.status,
+      error: upstreamError.message || 'LLM proxy failed',
+      credits_remaining: nextRemaining
+    });
+    res.end();
+    return;
+  }
+
+  if (sessionId) {
+    try {
+      const turnIndex = await fetchNextTurnIndex({ sessionId });
+      if (turnIndex) {
+        await insertLlmTurnLog({
+          userId: user.user_id,
+          sessionId,
+          turnIndex,
+          intent: normalizeTurnIntent(intentType),
+          model: resolvedModel,
+          glyphSurface: req.body?.glyphSurface ?? req.body?.glyph_surface ?? null,
+          glyphJson: req.body?.glyphJson ?? req.body?.glyph_json ?? null,
+          promptText,
+          promptTokens: resolvedInputTokens,
+          completionTokens: resolvedOutputTokens,
+          creditsCharged,
+          latencyMs: Date.now() - requestStartedAt,
+          promptTemplateId: req.promptTemplate?.id || null,
+          promptTemplateVersion: req.promptTemplate?.version || null
+        });
+      }
+    } catch (logError) {
+      console.warn('Failed to log LLM turn.', logError);
+    }
+  }
+
+  await storeCachedChatResponse(responseCacheRequest, {
+    content: outputText,
+    model: resolvedModel,
+    finishReason,
+    totalTokens: resolvedInputTokens + resolvedOutputTokens
+  });
+  const editPatch = buildEditPatchSummary({ outputText, codeFiles: req.originalCodeFiles, requestId });
+  writeChatStreamEvent(res, 'done', {
+    model: resolvedModel,
+    finish_reason: finishReason,
+    usage: {
+      ...usage,
+      actual_credits: actualCredits,
+      reserved_credits: reservedCredits,
+      refunded_credits: refund,
+      credits_charged: creditsCharged,
+      remainingCredits: nextRemaining,
+      credits_remaining: nextRemaining,
+      token_estimate: {
+        ...(req.body?.token_estimate || {}),
+        input_tokens_estimated: resolvedInputTokens,
+        output_tokens_estimated: resolvedOutputTokens
+      }
+    },
+    ...(routeDecision?.reason && routeDecision.reason !== 'policy_default'
+      ? {
+        routing: {
+          requested_model: requestedModel,
+          routed_model: resolvedModel,
+          reason: routeDecision.reason
+        }
+      }
+      : {}),
+    ...(req.body?.context_summary ? { context_summary: req.body.context_summary } : {}),
+    ...(editPatch ? { edit_patch: editPatch } : {}),
+    ...(req.glyphContext ? { glyph: req.glyphContext } : {}),
+    ...(req.secretScan ? { secret_scan: req.secretScan } : {}),
+    ...(req.chatImageRefs ? { images: req.chatImageRefs } : {}),
+    ...(routeDecision?.experiment ? { experiment: routeDecision.experiment } : {})
+  });
+  res.end();
+}
+
+/**
+ * CHAT TOOL MODE
+ * The model may call server tools (workspace, artifacts, verification)
+ * before answering. Every round trip is a separate completion, recorded as
+ * agent events on a `chat_tools` run and charged on its own ledger turn.
+ */
+async function listWorkspaceTextFiles(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  return entries
+    .filter((entry) => entry.isFile() && !entry.name.startsWith('.') && WORKSPACE_TEXT_FILE.test(entry.name))
+    .map((entry) => entry.name)
+    .sort();
+}
+
+// Each user's tools only see their own directory under this root, never the
+// server checkout or the game-mode workspace.
+const CHAT_TOOL_WORKSPACE_ROOT = path.resolve(
+  process.env.CHAT_TOOL_WORKSPACE_ROOT || path.join(DATA_DIR, 'chat_workspaces')
+);
+const chatToolWorkspace = createUserWorkspaceResolver(CHAT_TOOL_WORKSPACE_ROOT);
+
+function isReadableWorkspaceFile(filePath, context) {
+  return WORKSPACE_TEXT_FILE.test(filePath)
+    && !chatToolWorkspace.workspaceRelative(filePath, context)
+      .split('/')
+      .some((segment) => segment.startsWith('.') || segment === 'node_modules');
+}
+
+const chatToolRegistry = createChatToolRegistry(createWorkspaceChatTools({
+  resolveWorkspacePath: chatToolWorkspace.resolveWorkspacePath,
+  workspaceRelative: chatToolWorkspace.workspaceRelative,
+  listWorkspaceDirs,
+  listFiles: listWorkspaceTextFiles,
+  isReadableFile: isReadableWorkspaceFile,
+  readFile: (filePath) => fs.readFile(filePath, 'utf8'),
+  fetchArtifactsByOwner,
+  fetchArtifactById,
+  fetchArtifactVersionById,
+  fetchArtifactVersionSummaries,
+  verifySingleFile
+}));
+
+function insertToolInstructions(messages = []) {
+  let leading = 0;
+  while (leading < messages.length && messages[leading]?.role === 'system') {
+    leading += 1;
+  }
+  return [
+    ...messages.slice(0, leading),
+    { role: 'system', content: buildToolInstructions(chatToolRegistry) },
+    ...messages.slice(leading)
+  ];
+}
+
+function previewToolValue(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value ?? null);
+  return text.length > CHAT_TOOL_PREVIEW_CHARS ? `${text.slice(0, CHAT_TOOL_PREVIEW_CHARS)}…` : text;
+}
+
+async function startChatToolRun({ user, requestId, sessionId, model }) {
+  try {
+    const run = await createAgentRun({
+      userId: user.user_id,
+      target: 'chat_tools',
+      configJson: { request_id: requestId, session_id: sessionId, model }
+    });
+    await appendAgentEvent({ runId: run.id, userId: user.user_id, type: 'AGENT_START', payload: { request_id: requestId } });
+    return run;
+  } catch (error) {
+    logStructured('warn', 'chat_tool_run_unavailable', {
+      request_id: requestId,
+      error: String(error?.message || error)
+    });
+    return null;
+  }
+}
+
+async function recordChatToolEvent(run, user, type, payload) {
+  if (!run) {
+    return;
+  }
+  try {
+    await appendAgentEvent({ runId: run.id, userId: user.user_id, type, payload });
+  } catch (error) {
+    logStructured('warn', 'chat_tool_event_failed', {
+      run_id: run.id,
+      type,
+      error: String(error?.message || error)
+    });
+  }
+}
+
+async function finishChatToolRun(run, user, status, payload = {}) {
+  if (!run) {
+    return;
+  }
+  const type = status === 'COMPLETED' ? 'AGENT_COMPLETE' : status === 'CANCELLED' ? 'AGENT_CANCEL' : 'AGENT_FAIL';
+  await recordChatToolEvent(run, user, type, payload);
+  await markAgentRunFinished({ runId: run.id, status }).catch((error) => {
+    logStructured('warn', 'chat_tool_run_finish_failed', { run_id: run.id, error: String(error?.message || error) });
+  });
+}
+
+async function runToolChatCompletion({
+  req,
+  res,
+  user,
+  requestId,
+  intentType,
+  requestedModel,
+  routeDecision,
+  creditsRemaining,
+  creditsTotal,
+  dailyLimit,
+  creditsUsedToday,
+  requestStartedAt,
+  activeRequest
+}) {
+  const sessionId = typeof req.body?.sessionId === 'string' ? req.body.sessionId : '';
+  const streaming = req.body?.stream === true;
+  const model = req.body?.model || requestedModel;
+  const codeFiles = resolveChatCodeFiles(req.body);
+  const run = await startChatToolRun({ user, requestId, sessionId, model });
+  const toolCalls = [];
+  const totals = { inputTokens: 0, outputTokens: 0, credits: 0, inputChars: 0 };
+  let nextRemaining = creditsRemaining;
+  let roundInput = { tokens: 0, text: '' };
+
+  if (streaming) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders?.();
+    writeChatStreamEvent(res, 'start', { request_id: requestId, model, tool_run_id: run?.id || null });
+  }
+
+  const meterRound = async (entry) => {
+    const roundId = `${requestId}:round-${entry.round}`;
+    const completion = entry.completion;
+    const outputText = String(completion.content || '');
+    const inputTokens = Number.isFinite(completion.usage?.inputTokens) ? completion.usage.inputTokens : roundInput.tokens;
+    const outputTokens = Number.isFinite(completion.usage?.outputTokens)
+      ? completion.usage.outputTokens
+      : estimateTokensWithTokenizer(outputText, requestedModel);
+    const tokenSource = Number.isFinite(completion.usage?.inputTokens) && Number.isFinite(completion.usage?.outputTokens)
+      ? 'provider'
+      : 'estimate';
+    const credits = calculateCreditsUsed({
+      inputTokens,
+      outputTokens,
+      intentType,
+      inputText: roundInput.text,
+      outputText,
+      model: requestedModel
+    });
+    const roundModel = completion.model || model;
+    try {
+      const chargeResult = await applyCreditDeduction({
+        userId: user.user_id,
+        sessionId,
+        turnId: roundId,
+        creditsToCharge: credits,
+        creditsTotal,
+        metadata: formatCreditLedgerMetadata({
+          model: roundModel,
+          tokens_in: inputTokens,
+          tokens_out: outputTokens,
+          tool_round: entry.round,
+          tool_calls: entry.calls.length
+        }),
+        usageEvent: {
+          sessionId,
+          intentType,
+          model: roundModel,
+          inputTokens,
+          outputTokens,
+          totalTokens: inputTokens + outputTokens,
+          creditsUsed: credits,
+          latencyMs: Date.now() - requestStartedAt,
+          status: 'success',
+          sourceHash: crypto.createHash('sha256').update(`${user.user_id}:${roundId}:success`).digest('hex'),
+          promptTemplate: req.promptTemplate,
+          inputChars: roundInput.text.length,
+          outputChars: outputText.length,
+          tokenSource,
+          imageTokens: req.chatImageTokens || 0
+        }
+      });
+      nextRemaining = Number.isFinite(chargeResult.nextBalance)
+        ? chargeResult.nextBalance
+        : clampCredits(nextRemaining - credits, creditsTotal);
+    } catch (chargeError) {
+      if (String(chargeError?.message || '') === 'INSUFFICIENT_CREDITS') {
+        throw createHttpError({ status: 402, code: 'INSUFFICIENT_CREDITS', message: 'Insufficient credits for this request' });
+      }
+      throw chargeError;
+    }
+    totals.inputTokens += inputTokens;
+    totals.outputTokens += outputTokens;
+    totals.credits += credits;
+    totals.inputChars += roundInput.text.length;
+    await appendUsageEntry({
+      user,
+      requestId: roundId,
+      sessionId,
+      eventType: entry.final ? (intentType === 'code' ? 'code_gen' : 'chat_turn') : 'chat_tool_round',
+      intentType,
+      model: roundModel,
+      inputTokens,
+      outputTokens,
+      inputChars: roundInput.text.length,
+      outputChars: outputText.length,
+      tokenSource,
+      imageTokens: req.chatImageTokens || 0,
+      totalTokens: inputTokens + outputTokens,
+      reservedCredits: credits,
+      actualCredits: credits,
+      creditsCharged: credits,
+      latencyMs: Date.now() - requestStartedAt,
+      status: 'success'
+    }).catch((logError) => {
+      console.warn('Failed to log usage for chat tool round.', logError);
+    });
+    await recordChatToolEvent(run, user, 'TOOL_ROUND', {
+      round: entry.round,
+      final: entry.final,
+      tool_calls: entry.calls.length,
+      tokens_in: inputTokens,
+      tokens_out: outputTokens,
+      credits_charged: credits
+    });
+    if (streaming) {
+      writeChatStreamEvent(res, 'tool_round', {
+        round: entry.round,
+        final: entry.final,
+        credits_charged: credits,
+        credits_remaining: nextRemaining
+      });
+    }
+  };
+
+  let loopResult;
+  try {
+    loopResult = await runToolLoop({
+      registry: chatToolRegistry,
+      messages: insertToolInstructions(req.body.messages),
+      maxRounds: CHAT_TOOL_MAX_ROUNDS,
+      context: { user, currentCode: getActiveFileContent(codeFiles) },
+      beforeRound: (messages) => {
+        roundInput = { tokens: estimateMessageTokens(messages, requestedModel), text: buildPromptText(messages) };
+        // Rounds are charged after they run, so each one must still fit in
+        // the balance the earlier rounds left.
+        const roundEstimate = calculateCreditsUsed({
+          inputTokens: roundInput.tokens,
+          outputTokens: 0,
+          intentType,
+          inputText: roundInput.text,
+          model: requestedModel
+        });
+        if (!Number.isFinite(nextRemaining) || nextRemaining <= 0 || roundEstimate > nextRemaining) {
+          throw createHttpError({ status: 402, code: 'INSUFFICIENT_CREDITS', message: 'Insufficient credits for this request' });
+        }
+        if (Number.isFinite(dailyLimit) && creditsUsedToday + totals.credits + roundEstimate > dailyLimit) {
+          throw createHttpError({ status: 402, code: 'DAILY_LIMIT_REACHED', message: 'Daily credit limit reached' });
+        }
+      },
+      complete: (messages) => llmProvider.complete({ model, messages, body: req.body, signal: activeRequest.signal }),
+      onToolCall: async (call, round) => {
+        toolCalls.push({ round, id: call.id, name: call.name, arguments: call.arguments });
+        await recordChatToolEvent(run, user, 'TOOL_CALL', { round, id: call.id, name: call.name, arguments: call.arguments });
+        if (streaming) {
+          writeChatStreamEvent(res, 'tool_call', { round, id: call.id, name: call.name, arguments: call.arguments });
+        }
+      },
+      onToolResult: async (result, round) => {
+        const summary = {
+          round,
+          id: result.id,
+          name: result.name,
+          ok: result.ok,
+          ...(result.ok ? { preview: previewToolValue(result.result) } : { error: result.error, error_code: result.error_code }),
+          duration_ms: result.duration_ms
+        };
+        Object.assign(toolCalls.find((entry) => entry.round === round && entry.id === result.id) || {}, summary);
+        await recordChatToolEvent(run, user, 'TOOL_RESULT', summary);
+        if (streaming) {
+          writeChatStreamEvent(res, 'tool_result', summary);
+        }
+      },
+      onRound: meterRound
+    });
+  } catch (loopError) {
+    const cancelled = activeRequest.cancelled;
+    req.creditsCharged = totals.credits;
+    await finishChatToolRun(run, user, cancelled ? 'CANCELLED' : 'FAILED', {
+      error: cancelled ? activeRequest.cancelReason : String(loopError?.message || loopError)
+    });
+    const status = cancelled ? 499 : loopError?.status || 502;
+    logStructured(cancelled ? 'info' : 'warn', cancelled ? 'chat_cancelled' : 'chat_tool_loop_failed', {
+      request_id: requestId,
+      user_id: user.user_id,
+      session_id: sessionId,
+      credits_charged: totals.credits,
+      error: String(loopError?.message || loopError)
+    });
+    if (streaming) {
+      writeChatStreamEvent(res, cancelled ? 'cancelled' : 'error', {
+        ok: false,
+        status,
+        ...(cancelled ? { reason: activeRequest.cancelReason } : { error: String(loopError?.message || 'LLM proxy failed') }),
+        ...(loopError?.code && !cancelled ? { error_code: loopError.code } : {}),
+        credits_charged: totals.credits,
+        credits_remaining: nextRemaining
+      });
+      res.end();
+      return;
+    }
+    if (cancelled) {
+      respondChatCancelled(res, activeRequest);
+      return;
+    }
+    res.status(status).json({
+      ok: false,
+      error: String(loopError?.message || 'LLM proxy failed'),
+      ...(loopError?.code ? { error_code: loopError.code } : {}),
+      credits_charged: totals.credits,
+      credits_remaining: nextRemaining
+    });
+    return;
+  }
+
+  const outputText = loopResult.content;
+  const finalCompletion = loopResult.completion;
+  const resolvedModel = finalCompletion.model || model;
+  await finishChatToolRun(run, user, 'COMPLETED', {
+    rounds: loopResult.rounds.length,
+    tool_calls: toolCalls.length,
+    credits_charged: totals.credits
+  });
+
+  if (sessionId) {
+    try {
+      const turnIndex = await fetchNextTurnIndex({ sessionId });
+      if (turnIndex) {
+        await insertLlmTurnLog({
+          userId: user.user_id,
+          sessionId,
+          turnIndex,
+          intent: normalizeTurnIntent(intentType),
+          model: resolvedModel,
+          glyphSurface: req.body?.glyphSurface ?? req.body?.glyph_surface ?? null,
+          glyphJson: req.body?.glyphJson ?? req.body?.glyph_json ?? null,
+          promptText: buildPromptText(req.body.messages),
+          promptTokens: totals.inputTokens,
+          completionTokens: totals.outputTokens,
+          creditsCharged: totals.credits,
+          latencyMs: Date.now() - requestStartedAt,
+          promptTemplateId: req.promptTemplate?.id || null,
+          promptTemplateVersion: req.promptTemplate?.version || null
+        });
+      }
+    } catch (logError) {
+      console.warn('Failed to log LLM turn.', logError);
+    }
+  }
+
+  req.creditsCharged = totals.credits;
+  logStructured('info', 'chat_tokens_consumed', {
+    request_id: requestId,
+    route: req.originalUrl,
+    user_id: user.user_id,
+    session_id: sessionId,
+    intent_type: intentType,
+    model: resolvedModel,
+    prompt_tokens: totals.inputTokens,
+    completion_tokens: totals.outputTokens,
+    total_tokens: totals.inputTokens + totals.outputTokens,
+    credits_charged: totals.credits,
+    tool_rounds: loopResult.rounds.length,
+    tool_calls: toolCalls.length,
+    latency_ms: Date.now() - requestStartedAt,
+    prompt_template_id: req.promptTemplate?.id || null,
+    prompt_template_version: req.promptTemplate?.version || null,
+    status: 200,
+    error_code: null
+  });
+
+  const usage = {
+    prompt_tokens: totals.inputTokens,
+    completion_tokens: totals.outputTokens,
+    total_tokens: totals.inputTokens + totals.outputTokens,
+    actual_credits: totals.credits,
+    credits_charged: totals.credits,
+    remainingCredits: nextRemaining,
+    credits_remaining: nextRemaining,
+    token_estimate: {
+      ...(req.body?.token_estimate || {}),
+      input_tokens_estimated: totals.inputTokens,
+      output_tokens_estimated: totals.outputTokens
+    }
+  };
+  const editPatch = buildEditPatchSummary({ outputText, codeFiles: req.originalCodeFiles, requestId });
+  const extras = {
+    tool_run_id: run?.id || null,
+    tool_calls: toolCalls,
+    tool_rounds: loopResult.rounds.length,
+    ...(routeDecision?.reason && routeDecision.reason !== 'policy_default'
+      ? {
+        routing: {
+          requested_model: requestedModel,
+          routed_model: resolvedModel,
+          reason: routeDecision.reason
+        }
+      }
+      : {}),
+    ...(req.body?.context_summary ? { context_summary: req.body.context_summary } : {}),
+    ...(editPatch ? { edit_patch: editPatch } : {}),
+    ...(req.glyphContext ? { glyph: req.glyphContext } : {}),
+    ...(req.secretScan ? { secret_scan: req.secretScan } : {}),
+    ...(req.chatImageRefs ? { images: req.chatImageRefs } : {}),
+    ...(routeDecision?.experiment ? { experiment: routeDecision.experiment } : {})
+  };
+
+  if (streaming) {
+    writeChatStreamEvent(res, 'delta', { content: outputText });
+    writeChatStreamEvent(res, 'done', {
+      model: resolvedModel,
+      finish_reason: finalCompletion.finishReason || null,
+      usage,
+      ...extras
+    });
+    res.end();
+    return;
+  }
+
+  const data = toChatCompletionPayload({ ...finalCompletion, content: outputText });
+  res.json({ ...data, usage, ...extras });
+}
+
+async function storeCachedChatResponse(cacheRequest, response) {
+  if (!cacheRequest) {
+    return;
+  }
+  try {
+    await responseCache.store({ ...cacheRequest, response });
+  } catch (cacheError) {
+    logStructured('warn', 'chat_cache_store_failed', {
+      user_id: cacheRequest.userId,
+      error: String(cacheError?.message || cacheError)
+    });
+  }
+}
+
+/**
+ * Replays a cached completion in the same shape as a live one (SSE or JSON)
+ * and records it as a zero-cost `cache_hit` usage event.
+ */
+async function respondWithCachedChat({
+  req,
+  res,
+  user,
+  requestId,
+  intentType,
+  requestedModel,
+  routeDecision,
+  inputChars,
+  creditsRemaining,
+  requestStartedAt,
+  cacheHit
+}) {
+  const sessionId = typeof req.body?.sessionId === 'string' ? req.body.sessionId : '';
+  const { content, model, finishReason, totalTokens } = cacheHit.response;
+  const resolvedModel = model || req.body?.model || requestedModel;
+  await appendUsageEntry({
+    user,
+    requestId,
+    sessionId,
+    eventType: 'chat_cache_hit',
+    intentType,
+    model: resolvedModel,
+    inputTokens: 0,
+    outputTokens: 0,
+    inputChars,
+    outputChars: content.length,
+    totalTokens: 0,
+    reservedCredits: 0,
+    actualCredits: 0,
+    creditsCharged: 0,
+    latencyMs: Date.now() - requestStartedAt,
+    status: 'cache_hit'
+  }).catch((logError) => {
+    console.warn('Failed to log usage for cached chat response.', logError);
+  });
+  logStructured('info', 'chat_cache_hit', {
+    request_id: requestId,
+    user_id: user.user_id,
+    session_id: sessionId,
+    intent_type: intentType,
+    model: resolvedModel,
+    match: cacheHit.match,
+    similarity: Number(cacheHit.similarity.toFixed(4)),
+    age_ms: cacheHit.age_ms,
+    saved_tokens: Number(totalTokens) || 0
+  });
+
+  req.creditsCharged = 0;
+  const usage = {
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    total_tokens: 0,
+    actual_credits: 0,
+    reserved_credits: 0,
+    credits_charged: 0,
+    remainingCredits: creditsRemaining,
+    credits_remaining: creditsRemaining
+  };
+  const editPatch = req.body?.playableMode
+    ? null
+    : buildEditPatchSummary({ outputText: content, codeFiles: req.originalCodeFiles, requestId });
+  const extras = {
+    ...(routeDecision?.reason && routeDecision.reason !== 'policy_default'
+      ? {
+        routing: {
+          requested_model: requestedModel,
+          routed_model: resolvedModel,
+          reason: routeDecision.reason
+        }
+      }
+      : {}),
+    ...(req.body?.context_summary ? { context_summary: req.body.context_summary } : {}),
+    ...(editPatch ? { edit_patch: editPatch } : {}),
+    ...(req.glyphContext ? { glyph: req.glyphContext } : {}),
+    ...(req.secretScan ? { secret_scan: req.secretScan } : {}),
+    cache: {
+      hit: true,
+      match: cacheHit.match,
+      similarity: Number(cacheHit.similarity.toFixed(4)),
+      age_ms: cacheHit.age_ms
+    }
+  };
+
+  if (req.body?.stream === true) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders?.();
+    writeChatStreamEvent(res, 'start', {
+      request_id: requestId,
+      model: resolvedModel,
+      reserved_credits: 0
+    });
+    writeChatStreamEvent(res, 'delta', { content });
+    writeChatStreamEvent(res, 'done', {
+      model: resolvedModel,
+      finish_reason: finishReason || 'stop',
+      usage,
+      ...extras
+    });
+    res.end();
+    return;
+  }
+
+  res.status(200).json({
+    id: `cache-${requestId}`,
+    object: 'chat.completion',
+    model: resolvedModel,
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content },
+      finish_reason: finishReason || 'stop'
+    }],
+    usage,
+    ...extras
+  });
+}
+
+/**
+ * CHAT (FULL IMPLEMENTATION — DO NOT STUB)
+ */
+app.post('/api/chat', async (req, res) => {
   const requestStartedAt = Date.now();
   const requestId = req.requestId || crypto.randomUUID();
   const intentType = req.body?.intentType || 'chat';
   let user = null;
   let routeDecision = null;
+  let activeRequest = null;
   let requestedModel = req.body?.model || OPENAI_MODEL;
   try {
     const session = await getSessionFromRequest(req);
@@ -3434,24 +5733,86 @@ app.post('/api/chat', async (req, res) => {
       return res.status(404).json({ ok: false, error: 'User not found' });
     }
 
-    const messages = Array.isArray(req.body?.messages) ? req.body.messages : [];
-    const rawCodeContext = typeof req.body?.currentCode === 'string'
-      ? req.body.currentCode
-      : typeof req.body?.code === 'string'
-        ? req.body.code
-        : '';
+    // Edit patches are checked against the code as the user has it; the scan
+    // below may redact the copy in `req.body` that goes to the model.
+    req.originalCodeFiles = resolveChatCodeFiles(req.body || {});
+    const secretScan = scanChatRequestBody(req.body || {});
+    req.secretScan = summarizeSecretScan(secretScan);
+    if (req.secretScan) {
+      logStructured(secretScan.action === 'block' ? 'warn' : 'info', 'chat_secret_scan', {
+        request_id: requestId,
+        user_id: user.user_id,
+        action: secretScan.action,
+        rules: req.secretScan.rules
+      });
+    }
+    if (secretScan.action === 'block') {
+      return respondSecretScanBlocked(res, req.secretScan, 'Request contains secrets or personal data that cannot be sent to the model');
+    }
+
+    await Promise.all([refreshPromptTemplates(), refreshTokenizerCalibration()]);
+    activeRequest = chatRequestRegistry.register({ requestId, userId: user.user_id });
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        activeRequest.cancel('client_disconnect');
+      }
+    });
+
+    const chatSessionId = typeof req.body?.sessionId === 'string' ? req.body.sessionId : '';
+    const storedSession = chatSessionId
+      ? await fetchSessionStateRecord({ userId: user.user_id, sessionId: chatSessionId }).catch(() => null)
+      : null;
+    const messages = mergeStoredMessages(
+      Array.isArray(req.body?.messages) ? req.body.messages : [],
+      storedSession?.state?.messages
+    );
+    const codeFiles = resolveChatCodeFiles(req.body);
+    const rawCodeContext = getActiveFileContent(codeFiles);
+    const runtimeError = intentType === 'fix' ? normalizeRuntimeError(req.body?.runtimeError) : null;
+    let autoFixAttempt = 1;
+    if (intentType === 'fix') {
+      if (!runtimeError || !rawCodeContext.trim()) {
+        return res.status(400).json({
+          ok: false,
+          error: 'Fix requests need a runtime error and the current code',
+          error_code: 'FIX_CONTEXT_REQUIRED'
+        });
+      }
+      // Attempts are counted per user and error on the server; the client's
+      // `autoFix.attempt` and session id are not trusted for the limits.
+      const autoFixTicket = autoFixBudget.begin(user.user_id, runtimeError.message);
+      if (autoFixTicket.reason === 'attempt_limit') {
+        return res.status(429).json({
+          ok: false,
+          error: 'Auto-fix attempt limit reached',
+          error_code: 'AUTO_FIX_LIMIT',
+          max_attempts: AUTO_FIX_MAX_ATTEMPTS
+        });
+      }
+      if (!autoFixTicket.ok) {
+        const inFlight = autoFixTicket.reason === 'in_flight';
+        return res.status(429).json({
+          ok: false,
+          error: inFlight ? 'An auto-fix is already running' : 'Auto-fix credit cap reached',
+          error_code: inFlight ? 'AUTO_FIX_IN_PROGRESS' : 'AUTO_FIX_CREDIT_CAP',
+          credit_cap: AUTO_FIX_SESSION_CREDIT_CAP,
+          credits_used: autoFixTicket.creditsUsed
+        });
+      }
+      autoFixAttempt = autoFixTicket.attempt;
+      res.on('close', () => autoFixTicket.release(req.creditsCharged));
+    }
     const contextMode = resolveContextMode(
       req.body?.contextMode
       || req.body?.context_mode
       || user.preferences?.context_mode
       || 'balanced'
     );
-    const planTier = user.plan_tier || 'free';
-    const baseContextBudget = getContextTokenBudget({ planTier, intentType });
-    const adjustedContextBudget = applyUsageAwareReduction({
-      contextBudget: baseContextBudget,
-      recentUsage: Number(user.credits_used || 0),
-      monthlyLimit: Number(user.credits_total || FREE_PLAN.monthly_credits)
+    const adjustedContextBudget = resolveChatContextBudget({
+      planTier: user.plan_tier || 'free',
+      intentType,
+      creditsUsed: user.credits_used,
+      monthlyCredits: user.credits_total || FREE_PLAN.monthly_credits
     });
     const existingHistorySummary = String(
       req.body?.history_summary
@@ -3460,21 +5821,25 @@ app.post('/api/chat', async (req, res) => {
       || ''
     ).trim();
 
-    const trimmedContext = await buildTrimmedContext({
-      systemPrompt: CHAT_SYSTEM_PROMPT,
+    const pinnedItems = await loadChatContextPins({
+      userId: user.user_id,
+      artifactId: typeof req.body?.artifactId === 'string' ? req.body.artifactId : null,
+      requestId
+    });
+    const trimmedContext = await buildChatContext({
       messages,
-      query: messages[messages.length - 1]?.content || '',
-      codeSegments: rawCodeContext ? [{ name: 'editor', content: rawCodeContext }] : [],
-      maxTokens: adjustedContextBudget,
+      pinnedItems,
+      codeFiles,
+      budgetTokens: adjustedContextBudget,
       model: requestedModel,
-      maxRecentMessages: DEFAULT_MAX_CONTEXT_MESSAGES,
-      maxRelevantMessages: DEFAULT_MAX_RELEVANT_MESSAGES,
       contextMode,
-      summaryTriggerTokens: Math.floor(adjustedContextBudget * 0.65),
-      historySummaryThresholdTokens: DEFAULT_HISTORY_SUMMARY_THRESHOLD_TOKENS,
       historySummary: existingHistorySummary,
-      maxCodeChars: DEFAULT_MAX_CODE_CONTEXT_CHARS,
-      llmProxyUrl: LLM_PROXY_URL
+      llmProxyUrl: LLM_PROXY_URL,
+      llmProvider,
+      activeLeafId: typeof req.body?.activeLeafId === 'string' ? req.body.activeLeafId : null,
+      historySummaryStore: chatSessionId
+        ? createSessionHistorySummaryStore({ userId: user.user_id, sessionId: chatSessionId, requestId })
+        : null
     });
     if (Number(trimmedContext.tokenCount || 0) > adjustedContextBudget) {
       return res.status(413).json({
@@ -3486,7 +5851,13 @@ app.post('/api/chat', async (req, res) => {
       });
     }
     const playableMode = Boolean(req.body?.playableMode);
+    const toolMode = Boolean(req.body?.toolMode ?? req.body?.tool_mode) && !playableMode && intentType !== 'fix';
     const retryMode = Boolean(req.body?.retryMode);
+    req.promptTemplate = resolveRequestPromptTemplate({
+      playableMode,
+      retryMode,
+      clientTemplate: req.body?.promptTemplate
+    });
     const originalPrompt = typeof req.body?.originalPrompt === 'string'
       ? req.body.originalPrompt
       : '';
@@ -3499,31 +5870,51 @@ app.post('/api/chat', async (req, res) => {
     const playableCodeText = typeof req.body?.currentCode === 'string'
       ? req.body.currentCode
       : (typeof req.body?.code === 'string' ? req.body.code : rawCodeContext);
-    let finalPrompt = playablePromptText;
-    if (retryMode) {
-      finalPrompt = buildRetryPrompt({
-        originalPrompt,
-        previousResponse
+    const wrappedPrompt = applyChatPromptWrappers(trimmedContext.messages, {
+      playableMode,
+      retryMode,
+      prompt: playablePromptText,
+      code: playableCodeText,
+      originalPrompt,
+      previousResponse
+    });
+    let trimmedMessages = wrappedPrompt.messages;
+
+    if (runtimeError) {
+      const excerpt = extractCodeAroundLine(rawCodeContext, runtimeError.line);
+      const relevantChunks = await selectRelevantCodeChunks({
+        currentQuery: [runtimeError.message, excerpt].filter(Boolean).join('\n'),
+        code: rawCodeContext,
+        maxChunks: 2
       });
-      if (playableMode) {
-        finalPrompt += '\n\nAlso improve gameplay depth and mechanics.';
-      }
+      trimmedMessages = applyPromptToLastUserMessage(trimmedMessages, buildRuntimeFixPrompt({
+        error: runtimeError,
+        excerpt,
+        relevantChunks,
+        attempt: autoFixAttempt,
+        previousAttempts: Array.isArray(req.body?.autoFix?.previousErrors) ? req.body.autoFix.previousErrors : []
+      }));
     }
 
-    let trimmedMessages = playableMode
-      ? applyPlayablePromptToMessages(trimmedContext.messages, {
-        prompt: finalPrompt,
-        code: playableCodeText
-      })
-      : trimmedContext.messages;
+    const glyphContext = resolveGlyphContext({
+      glyphSurface: req.body?.glyphSurface ?? req.body?.glyph_surface ?? '',
+      glyphState: req.body?.glyphState ?? req.body?.glyph_state ?? null
+    });
+    if (glyphContext.diagnostics.length) {
+      logStructured('warn', 'chat_glyph_diagnostics', {
+        request_id: requestId,
+        diagnostics: glyphContext.diagnostics
+      });
+    }
+    if (glyphContext.state) {
+      trimmedMessages = prependGlyphHeader(trimmedMessages, glyphContext.delta);
+      req.body.glyphSurface = glyphContext.delta;
+      req.body.glyphJson = glyphContext.state;
+      req.glyphContext = glyphContext;
+    }
 
-    if (retryMode) {
-      trimmedMessages = playableMode
-        ? applyPlayablePromptToMessages(trimmedMessages, {
-          prompt: finalPrompt,
-          code: playableCodeText
-        })
-        : applyPromptToLastUserMessage(trimmedMessages, finalPrompt);
+    if (req.chatImages?.length) {
+      trimmedMessages = attachImagesToLastUserMessage(trimmedMessages, req.chatImages);
     }
 
     req.body.messages = trimmedMessages;
@@ -3534,9 +5925,12 @@ app.post('/api/chat', async (req, res) => {
       actual_tokens: trimmedContext.tokenCount,
       naive_tokens: trimmedContext.naiveTokenCount,
       saved_tokens: trimmedContext.savedTokens,
+      pinned_tokens: trimmedContext.metrics?.pinnedTokens || 0,
+      pinned_dropped: trimmedContext.metrics?.pinnedDropped || 0,
+      image_tokens: 0,
       context_mode: contextMode,
       budget_tokens: adjustedContextBudget,
-      estimator: hasAccurateTokenizer() ? 'tiktoken' : 'fallback'
+      estimator: hasAccurateTokenizer(requestedModel) ? 'tiktoken' : 'fallback'
     };
     recordTokenEfficiency(trimmedContext.metrics || {});
     logStructured('info', 'token_efficiency', {
@@ -3547,9 +5941,9 @@ app.post('/api/chat', async (req, res) => {
     });
     const promptText = buildPromptText(trimmedMessages);
     const inputChars = promptText.length;
-    const inputTokensEstimate = estimateMessageTokens(trimmedMessages, requestedModel);
+    let inputTokensEstimate = estimateMessageTokens(trimmedMessages, requestedModel);
     req.body.token_estimate.actual_tokens = inputTokensEstimate;
-    const estimatedCredits = calculateCreditsUsed({
+    let estimatedCredits = calculateCreditsUsed({
       inputTokens: inputTokensEstimate,
       outputTokens: 0,
       intentType,
@@ -3680,54 +6074,147 @@ app.post('/api/chat', async (req, res) => {
       user,
       intentType,
       requestedModel,
-      sessionId: req.body?.sessionId || ''
+      sessionId: req.body?.sessionId || '',
+      requestId,
+      isRetry: Boolean(req.body?.retryMode),
+      glyphState: glyphContext.state
     });
     if (routeDecision?.model && routeDecision.model !== requestedModel) {
       req.body.model = routeDecision.model;
+      // Image tokens depend on the tokenizer family of the model that will
+      // see them, so the estimate is redone for the routed model.
+      if (req.chatImages?.length) {
+        inputTokensEstimate = estimateMessageTokens(trimmedMessages, routeDecision.model);
+        req.body.token_estimate.actual_tokens = inputTokensEstimate;
+        estimatedCredits = calculateCreditsUsed({
+          inputTokens: inputTokensEstimate,
+          outputTokens: 0,
+          intentType,
+          inputText: promptText,
+          model: requestedModel
+        });
+      }
+    }
+    if (req.chatImages?.length) {
+      const imageModel = req.body?.model || requestedModel;
+      req.chatImageTokens = req.chatImages.reduce(
+        (sum, image) => sum + tokenizerRegistry.countImageTokens(image, imageModel),
+        0
+      );
+      req.body.token_estimate.image_tokens = req.chatImageTokens;
+      req.chatImageRefs = await storeChatImages({ images: req.chatImages, user, requestId, model: imageModel });
     }
 
-    const workerRes = await fetch(LLM_PROXY_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(req.body)
+    const cacheBypass = Boolean(req.body?.cacheBypass ?? req.body?.cache_bypass);
+    const responseCacheRequest = buildChatResponseCacheRequest({
+      enabled: RESPONSE_CACHE_ENABLED,
+      playableMode,
+      toolMode,
+      hasImages: Boolean(req.chatImages?.length),
+      userId: user.user_id,
+      intentType,
+      model: req.body?.model || requestedModel,
+      codeFiles,
+      rawCodeContext,
+      runtimeError,
+      prompt: wrappedPrompt.prompt,
+      contextMessages: trimmedContext.messages,
+      pins: pinnedItems,
+      glyphState: glyphContext.state,
+      contextMode
     });
+    if (responseCacheRequest && !cacheBypass) {
+      const cacheHit = await responseCache.lookup(responseCacheRequest).catch((cacheError) => {
+        logStructured('warn', 'chat_cache_lookup_failed', {
+          request_id: requestId,
+          error: String(cacheError?.message || cacheError)
+        });
+        return null;
+      });
+      if (cacheHit) {
+        return await respondWithCachedChat({
+          req,
+          res,
+          user,
+          requestId,
+          intentType,
+          requestedModel,
+          routeDecision,
+          inputChars,
+          creditsRemaining,
+          requestStartedAt,
+          cacheHit
+        });
+      }
+    }
 
-    const responseText = await workerRes.text();
-    if (!workerRes.ok) {
-      await appendUsageEntry({
+    if (toolMode) {
+      return await runToolChatCompletion({
+        req,
+        res,
         user,
         requestId,
-        sessionId: req.body?.sessionId || '',
-        eventType: 'chat_error',
         intentType,
-        model: requestedModel,
-        inputTokens: inputTokensEstimate,
-        outputTokens: 0,
-        inputChars,
-        outputChars: 0,
-        totalTokens: inputTokensEstimate,
-        reservedCredits: estimatedCredits,
-        actualCredits: 0,
-        creditsCharged: 0,
-        latencyMs: Date.now() - requestStartedAt,
-        status: 'failure'
+        requestedModel,
+        routeDecision,
+        creditsRemaining,
+        creditsTotal,
+        dailyLimit,
+        creditsUsedToday,
+        requestStartedAt,
+        activeRequest
       });
-      res.status(workerRes.status);
-      res.setHeader('Content-Type', 'application/json');
-      res.send(responseText);
-      return;
     }
 
-    let data;
-    try {
-      data = responseText ? JSON.parse(responseText) : null;
-    } catch {
-      data = null;
+    if (req.body?.stream === true) {
+      return await streamChatCompletion({
+        req,
+        res,
+        user,
+        requestId,
+        intentType,
+        requestedModel,
+        routeDecision,
+        promptText,
+        inputChars,
+        inputTokensEstimate,
+        estimatedCredits,
+        creditsRemaining,
+        creditsTotal,
+        requestStartedAt,
+        activeRequest,
+        responseCacheRequest
+      });
     }
 
-    if (!data) {
+    let completion;
+    try {
+      completion = await llmProvider.complete({
+        model: req.body?.model || requestedModel,
+        messages: req.body.messages,
+        body: req.body,
+        signal: activeRequest.signal
+      });
+    } catch (providerError) {
+      if (activeRequest.cancelled) {
+        await recordChatCancellation({
+          user,
+          requestId,
+          sessionId: req.body?.sessionId || '',
+          intentType,
+          model: requestedModel,
+          inputTokens: inputTokensEstimate,
+          inputChars,
+          reservedCredits: estimatedCredits,
+          requestStartedAt,
+          reason: activeRequest.cancelReason
+        });
+        respondChatCancelled(res, activeRequest);
+        return;
+      }
+      if (providerError?.name !== 'LlmProviderError') {
+        throw providerError;
+      }
       await appendUsageEntry({
         user,
         requestId,
@@ -3746,59 +6233,75 @@ app.post('/api/chat', async (req, res) => {
         latencyMs: Date.now() - requestStartedAt,
         status: 'failure'
       });
-      res.status(502).json({ ok: false, error: 'Invalid LLM response' });
+      if (providerError.code === 'INVALID_RESPONSE') {
+        res.status(502).json({ ok: false, error: 'Invalid LLM response' });
+        return;
+      }
+      res.status(providerError.status || 502);
+      res.setHeader('Content-Type', 'application/json');
+      res.send(providerError.body || JSON.stringify({ ok: false, error: providerError.message }));
       return;
     }
 
-    let usage = data?.usage || {};
+    let data = toChatCompletionPayload(completion);
+    let usage = data.usage;
     let totalTokens = Number(usage?.total_tokens);
-    let usageInputTokens = Number(usage?.prompt_tokens ?? usage?.input_tokens);
-    let usageOutputTokens = Number(usage?.completion_tokens ?? usage?.output_tokens);
+    let usageInputTokens = Number(usage?.prompt_tokens);
+    let usageOutputTokens = Number(usage?.completion_tokens);
     const resolvedInputTokens = Number.isFinite(usageInputTokens)
       ? usageInputTokens
       : inputTokensEstimate;
-    let outputText =
-      data?.choices?.[0]?.message?.content
-      ?? data?.candidates?.[0]?.content
-      ?? data?.output_text
-      ?? '';
-    if (playableMode && outputText && !responseIncludesPlayableElements(outputText)) {
+    let outputText = completion.content;
+    if (playableMode && outputText && !activeRequest.cancelled && !responseIncludesPlayableElements(outputText)) {
       const reinforcementPrompt = 'Enhance the previous response by adding interactive game mechanics.';
       const reinforcementMessages = [
         ...req.body.messages,
         { role: 'assistant', content: outputText },
         { role: 'user', content: reinforcementPrompt }
       ];
-      const reinforcementRes = await fetch(LLM_PROXY_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          ...req.body,
-          messages: reinforcementMessages
-        })
-      });
-      if (reinforcementRes.ok) {
-        const reinforcementData = await reinforcementRes.json();
-        data = reinforcementData || data;
-        usage = data?.usage || usage;
+      try {
+        const reinforcement = await llmProvider.complete({
+          model: req.body?.model || requestedModel,
+          messages: reinforcementMessages,
+          body: req.body,
+          signal: activeRequest.signal
+        });
+        data = toChatCompletionPayload(reinforcement);
+        usage = data.usage;
         totalTokens = Number(usage?.total_tokens);
-        usageInputTokens = Number(usage?.prompt_tokens ?? usage?.input_tokens);
-        usageOutputTokens = Number(usage?.completion_tokens ?? usage?.output_tokens);
-        outputText =
-          data?.choices?.[0]?.message?.content
-          ?? data?.candidates?.[0]?.content
-          ?? data?.output_text
-          ?? outputText;
+        usageInputTokens = Number(usage?.prompt_tokens);
+        usageOutputTokens = Number(usage?.completion_tokens);
+        outputText = reinforcement.content || outputText;
+      } catch (reinforcementError) {
+        logStructured('warn', 'chat_playable_reinforcement_failed', {
+          request_id: requestId,
+          error: String(reinforcementError?.message || reinforcementError)
+        });
       }
     }
+    if (activeRequest.cancelled) {
+      await recordChatCancellation({
+        user,
+        requestId,
+        sessionId: req.body?.sessionId || '',
+        intentType,
+        model: data?.model || req.body?.model || requestedModel,
+        inputTokens: inputTokensEstimate,
+        inputChars,
+        reservedCredits: estimatedCredits,
+        requestStartedAt,
+        reason: activeRequest.cancelReason
+      });
+      respondChatCancelled(res, activeRequest);
+      return;
+    }
     const outputChars = outputText ? String(outputText).length : 0;
     const resolvedOutputTokens = Number.isFinite(usageOutputTokens)
       ? usageOutputTokens
       : Number.isFinite(totalTokens)
         ? Math.max(0, totalTokens - resolvedInputTokens)
         : estimateTokensWithTokenizer(outputText, requestedModel);
+    const tokenSource = Number.isFinite(usageInputTokens) && Number.isFinite(usageOutputTokens) ? 'provider' : 'estimate';
     const actualCredits = calculateCreditsUsed({
       inputTokens: resolvedInputTokens,
       outputTokens: resolvedOutputTokens,
@@ -3827,7 +6330,9 @@ app.post('/api/chat', async (req, res) => {
             promptTokens: resolvedInputTokens,
             completionTokens: resolvedOutputTokens,
             creditsCharged: actualCredits,
-            latencyMs: Date.now() - requestStartedAt
+            latencyMs: Date.now() - requestStartedAt,
+            promptTemplateId: req.promptTemplate?.id || null,
+            promptTemplateVersion: req.promptTemplate?.version || null
           });
         }
       } catch (logError) {
@@ -3857,7 +6362,12 @@ app.post('/api/chat', async (req, res) => {
           creditsUsed: actualCredits,
           latencyMs: Date.now() - requestStartedAt,
           status: 'success',
-          sourceHash: crypto.createHash('sha256').update(`${user.user_id}:${requestId}:success`).digest('hex')
+          sourceHash: crypto.createHash('sha256').update(`${user.user_id}:${requestId}:success`).digest('hex'),
+          promptTemplate: req.promptTemplate,
+          inputChars,
+          outputChars,
+          tokenSource,
+          imageTokens: req.chatImageTokens || 0
         }
       });
       nextRemaining = Number.isFinite(chargeResult.nextBalance)
@@ -3904,6 +6414,8 @@ app.post('/api/chat', async (req, res) => {
       outputTokens: resolvedOutputTokens,
       inputChars,
       outputChars,
+      tokenSource,
+      imageTokens: req.chatImageTokens || 0,
       totalTokens,
       reservedCredits: estimatedCredits,
       actualCredits,
@@ -3939,6 +6451,8 @@ app.post('/api/chat', async (req, res) => {
       total_tokens: Number.isFinite(totalTokens) ? totalTokens : resolvedInputTokens + resolvedOutputTokens,
       credits_charged: actualCredits,
       latency_ms: Date.now() - requestStartedAt,
+      prompt_template_id: req.promptTemplate?.id || null,
+      prompt_template_version: req.promptTemplate?.version || null,
       status: 200,
       error_code: null,
       saved_tokens_vs_naive: Number(req.body?.token_estimate?.saved_tokens || 0) || 0
@@ -3956,6 +6470,31 @@ app.post('/api/chat', async (req, res) => {
       data.context_summary = req.body.context_summary;
     }
 
+    const editPatch = playableMode
+      ? null
+      : buildEditPatchSummary({ outputText, codeFiles: req.originalCodeFiles, requestId });
+    if (editPatch) {
+      data.edit_patch = editPatch;
+    }
+    if (req.glyphContext) {
+      data.glyph = req.glyphContext;
+    }
+    if (req.secretScan) {
+      data.secret_scan = req.secretScan;
+    }
+    if (req.chatImageRefs) {
+      data.images = req.chatImageRefs;
+    }
+    if (routeDecision?.experiment) {
+      data.experiment = routeDecision.experiment;
+    }
+    await storeCachedChatResponse(responseCacheRequest, {
+      content: outputText,
+      model: data?.model || req.body?.model || requestedModel,
+      finishReason: data?.choices?.[0]?.finish_reason || null,
+      totalTokens: Number.isFinite(totalTokens) ? totalTokens : resolvedInputTokens + resolvedOutputTokens
+    });
+
     res.status(200);
     res.setHeader('Content-Type', 'application/json');
     res.send(JSON.stringify(data));
@@ -3996,7 +6535,41 @@ app.post('/api/chat', async (req, res) => {
         console.warn('Failed to log usage for error.', logError);
       }
     }
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
     res.status(500).json({ error: 'LLM proxy failed' });
+  } finally {
+    if (activeRequest) {
+      chatRequestRegistry.release(requestId);
+    }
+  }
+});
+
+/**
+ * CHAT CANCEL
+ * Aborts an in-flight /api/chat request owned by the caller. The chat handler
+ * records the cancellation and releases any reserved credits.
+ */
+app.post('/api/chat/:requestId/cancel', async (req, res) => {
+  try {
+    const session = await getSessionFromRequest(req);
+    if (!session) {
+      return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    }
+    const { found, cancelled } = chatRequestRegistry.cancel({
+      requestId: req.params.requestId,
+      userId: session.sub,
+      reason: 'user_cancel'
+    });
+    if (!found) {
+      return res.status(404).json({ ok: false, error: 'Request not found or already finished' });
+    }
+    return res.json({ ok: true, request_id: req.params.requestId, cancelled });
+  } catch (error) {
+    console.error('Chat cancel failed.', error);
+    return res.status(500).json({ ok: false, error: 'Unable to cancel request' });
   }
 });
 
@@ -4066,7 +6639,7 @@ app.post('/api/session/state', async (req, res) => {
       userId: session.sub,
       sessionId,
       summary: req.body?.summary || null,
-      state
+      state: normalizeSessionStateTree(state)
     });
     return res.json({ ok: true, session_id: sessionId });
   } catch (error) {
@@ -4095,7 +6668,7 @@ app.put('/api/session/state', async (req, res) => {
       userId: session.sub,
       sessionId,
       summary: req.body?.summary || null,
-      state
+      state: normalizeSessionStateTree(state)
     });
     return res.json({ ok: true, session_id: sessionId });
   } catch (error) {
@@ -4165,6 +6738,65 @@ app.get('/api/session/state/:sessionId', async (req, res) => {
   }
 });
 
+app.get('/api/session/state/:sessionId/history-summary', async (req, res) => {
+  try {
+    const session = await getSessionFromRequest(req);
+    if (!session) {
+      return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    }
+    const sessionId = String(req.params.sessionId || '');
+    const stored = await fetchSessionHistorySummary({ userId: session.sub, sessionId });
+    return res.json({
+      ok: true,
+      session_id: sessionId,
+      history_summary: normalizeHistorySummaryState(stored || {}),
+      updated_at: stored?.updated_at || null
+    });
+  } catch (error) {
+    console.error('Failed to load history summary.', error);
+    return res.status(500).json({ ok: false, error: 'Failed to load history summary' });
+  }
+});
+
+app.put('/api/session/state/:sessionId/history-summary', async (req, res) => {
+  try {
+    const session = await getSessionFromRequest(req);
+    if (!session) {
+      return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    }
+    const sessionId = String(req.params.sessionId || '');
+    const stored = await fetchSessionHistorySummary({ userId: session.sub, sessionId });
+    const { errors, state } = applyHistorySummaryEdits(stored || {}, req.body || {});
+    if (errors.length) {
+      return res.status(400).json({ ok: false, error: errors.join('; '), error_code: 'INVALID_SUMMARY_EDIT' });
+    }
+    await saveSessionHistorySummary({ userId: session.sub, sessionId, historySummary: state });
+    return res.json({ ok: true, session_id: sessionId, history_summary: state });
+  } catch (error) {
+    console.error('Failed to update history summary.', error);
+    return res.status(500).json({ ok: false, error: 'Failed to update history summary' });
+  }
+});
+
+app.delete('/api/session/state/:sessionId/history-summary', async (req, res) => {
+  try {
+    const session = await getSessionFromRequest(req);
+    if (!session) {
+      return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    }
+    const sessionId = String(req.params.sessionId || '');
+    await saveSessionHistorySummary({
+      userId: session.sub,
+      sessionId,
+      historySummary: normalizeHistorySummaryState({})
+    });
+    return res.json({ ok: true, session_id: sessionId });
+  } catch (error) {
+    console.error('Failed to reset history summary.', error);
+    return res.status(500).json({ ok: false, error: 'Failed to reset history summary' });
+  }
+});
+
 app.get('/api/usage/token-overview', async (req, res) => {
   try {
     const session = await getSessionFromRequest(req);
@@ -4227,7 +6859,9 @@ app.get('/api/usage/token-efficiency', async (req, res) => {
       summary_usage_count: tokenEfficiencyTelemetry.summaryUsageCount || 0,
       relevance_selected_average: totalRequests > 0
         ? Number((tokenEfficiencyTelemetry.totalRelevanceSelected / totalRequests).toFixed(2))
-        : 0
+        : 0,
+      embedding_cache: getEmbeddingCacheStats(),
+      response_cache: responseCache.stats()
     });
   } catch (error) {
     console.error('Failed to load token efficiency usage.', error);
@@ -4701,6 +7335,7 @@ server.listen(port, () => {
   console.log('Compat routes: /api/agent/runs, /api/plans, /api/session/state, /api/usage/overview, POST /api/run, ws:/ws');
   logStructured('info', 'user_store_driver_selected', { user_store_driver: USER_STORE_DRIVER });
   startCreditResetScheduler();
+  startGameModeRecovery();
 });
 
 function base64UrlEncode(value) {
@@ -4920,7 +7555,7 @@ function buildPromptText(messages) {
       if (content === null || content === undefined) {
         return `${role}:`;
       }
-      return `${role}:\n${JSON.stringify(content)}`;
+      return `${role}:\n${describeMessageContent(content)}`;
     })
     .join('\n\n');
 }
@@ -4935,21 +7570,6 @@ function normalizeTurnIntent(intentType) {
   return 'text';
 }
 
-function calculateCreditsUsed({ inputTokens, outputTokens, intentType, totalTokens, inputText, outputText, model }) {
-  if (Number.isFinite(totalTokens)) {
-    return Math.ceil(totalTokens / 250);
-  }
-  const resolvedInputTokens = Number.isFinite(inputTokens)
-    ? inputTokens
-    : estimateTokensWithTokenizer(inputText || '', model || OPENAI_MODEL);
-  const resolvedOutputTokens = Number.isFinite(outputTokens)
-    ? outputTokens
-    : estimateTokensWithTokenizer(outputText || '', model || OPENAI_MODEL);
-  const multiplier = intentType === 'code' ? 1.0 : 0.6;
-  const tokenEstimate = Math.ceil((resolvedInputTokens + resolvedOutputTokens) * multiplier);
-  return Math.ceil(tokenEstimate / 250);
-}
-
 function resolveCreditsBalance(user) {
   const balance = Number(user?.credits_balance ?? user?.credits_remaining ?? 0);
   return Number.isFinite(balance) ? balance : 0;
@@ -5119,6 +7739,74 @@ function resolveArtifactCodeVersions(body) {
   return [];
 }
 
+/**
+ * Scans artifact code, the saved code versions and included chat turns under
+ * the strictest policy of `surfaces`. Returns redacted copies (inputs are left
+ * untouched) alongside the scan result.
+ */
+function scanArtifactContent({ code, codeVersions = [], chat = null, title = '', description = '' }, surfaces) {
+  const policy = mergeSecretScanPolicies(
+    ...surfaces.map((surface) => resolveSecretScanPolicy(surface, SECRET_SCAN_POLICY))
+  );
+  const nextCodeVersions = codeVersions.map((version) => (version && typeof version === 'object' ? { ...version } : version));
+  const nextChat = Array.isArray(chat) ? chat.map((entry) => (entry && typeof entry === 'object' ? { ...entry } : entry)) : chat;
+  const nextCode = code ? { ...code } : code;
+  const meta = { title, description };
+  const fields = [
+    { path: 'title', text: title, write: (value) => { meta.title = value; } },
+    { path: 'description', text: description, write: (value) => { meta.description = value; } },
+    { path: 'code', text: code?.content, write: (value) => { nextCode.content = value; } }
+  ];
+  nextCodeVersions.forEach((version, index) => {
+    fields.push({ path: `code_versions.${index}`, text: version?.content, write: (value) => { version.content = value; } });
+  });
+  (nextChat || []).forEach((entry, index) => {
+    fields.push({ path: `chat.${index}`, text: entry?.content, write: (value) => { entry.content = value; } });
+  });
+  const result = applySecretScanPolicy(fields, policy);
+  const fieldsByPath = new Map(fields.map((field) => [field.path, field]));
+  Object.entries(result.redacted).forEach(([path, value]) => fieldsByPath.get(path).write(value));
+  return { result, code: nextCode, codeVersions: nextCodeVersions, chat: nextChat, ...meta };
+}
+
+/**
+ * Stores the images attached to a chat turn and returns the references the
+ * client keeps in session history. The model gets the data URLs either way,
+ * so a storage failure only costs the reference.
+ */
+async function storeChatImages({ images, user, requestId, model }) {
+  return Promise.all(images.map(async (image) => {
+    let url = null;
+    try {
+      url = await storageAdapter.saveChatImage(image.dataUrl, user.user_id) || null;
+    } catch (error) {
+      logStructured('warn', 'chat_image_store_failed', {
+        request_id: requestId,
+        user_id: user.user_id,
+        error: error?.message || String(error)
+      });
+    }
+    return {
+      url,
+      width: image.width,
+      height: image.height,
+      detail: image.detail,
+      region: image.region,
+      source: image.source,
+      tokens: tokenizerRegistry.countImageTokens(image, model)
+    };
+  }));
+}
+
+function respondSecretScanBlocked(res, summary, error) {
+  return res.status(422).json({
+    ok: false,
+    error,
+    error_code: 'SECRET_DETECTED',
+    secret_scan: summary
+  });
+}
+
 function buildChatPlusCodePrompt(messages = [], code = {}) {
   const recentUserMessages = messages
     .filter((entry) => entry?.role === 'user')
@@ -5126,45 +7814,19 @@ function buildChatPlusCodePrompt(messages = [], code = {}) {
     .filter(Boolean)
     .join('\n');
   const codeSnippet = typeof code?.content === 'string' ? code.content.slice(0, MAX_CODE_CONTEXT_CHARS) : '';
-  return `You are generating metadata for a saved code artifact.
-
-Use BOTH the user chat context and the code.
-
-Return:
-- A short, concrete title (max 60 chars)
-- A one-sentence description (max 160 chars)
-
-Chat:
-${recentUserMessages}
-
-Code:
-${codeSnippet}
-
-Output JSON ONLY:
-{
-  "title": "...",
-  "description": "..."
-}`;
+  return promptTemplateRegistry.render('artifact.metadata.chat_code', {
+    chat: recentUserMessages,
+    code: codeSnippet
+  }).text;
 }
 
 function buildCodeOnlyPrompt(code = {}) {
   const codeLanguage = typeof code?.language === 'string' ? code.language : '';
   const codeSnippet = typeof code?.content === 'string' ? code.content.slice(0, MAX_CODE_CONTEXT_CHARS) : '';
-  return `You are generating metadata for a saved code artifact.
-
-There is NO chat context.
-Infer intent and functionality from the code alone.
-
-Code language: ${codeLanguage}
-
-Code:
-${codeSnippet}
-
-Return JSON ONLY:
-{
-  "title": "...",
-  "description": "..."
-}`;
+  return promptTemplateRegistry.render('artifact.metadata.code_only', {
+    language: codeLanguage,
+    code: codeSnippet
+  }).text;
 }
 
 function buildMetadataResponse(result = {}, source = 'code-only') {
@@ -5537,55 +8199,72 @@ function csvEscape(value) {
 }
 
 
-async function routeModelForUser({ user, intentType, requestedModel, sessionId }) {
-  const pool = getUsageAnalyticsPool();
-  if (!pool) {
-    return { model: requestedModel, reason: 'policy_default' };
+async function resolveModelExperiment({ user, intentType, plan, policy, candidate }) {
+  let assignment = null;
+  try {
+    assignment = selectExperimentAssignment(await fetchRunningModelExperiments(), {
+      userId: user.user_id,
+      intentType,
+      plan
+    });
+  } catch (error) {
+    logStructured('warn', 'model_experiment_lookup_failed', {
+      user_id: user.user_id,
+      error: String(error?.message || error)
+    });
+    return null;
   }
-
-  const plan = user.plan_tier || 'free';
-  const policy = await fetchPlanPolicy({ plan, intentType });
-  if (!policy) {
-    return { model: requestedModel, reason: 'policy_default' };
+  if (!assignment) {
+    return null;
   }
-
-  let reason = 'policy_default';
-  let candidate = requestedModel && policy.allowed_models?.includes(requestedModel)
-    ? requestedModel
-    : policy.preferred_models?.[0];
-
-  if (candidate && !(policy.allowed_models || []).includes(candidate)) {
-    candidate = policy.allowed_models?.[0];
+  const model = assignment.model || candidate;
+  if (!model || !(policy.allowed_models || []).includes(model)) {
+    return null;
   }
-
-  if (candidate && await isPremiumModel(candidate) && !policy.premium_allowed) {
-    const nonPremium = await fetchFirstNonPremiumModel([
-      ...(policy.preferred_models || []),
-      ...(policy.allowed_models || [])
-    ]);
-    if (nonPremium) {
-      candidate = nonPremium;
-      reason = 'premium_blocked';
-    }
+  if (!policy.premium_allowed && await isPremiumModel(model)) {
+    return null;
   }
+  return { ...assignment, model, control: !assignment.model };
+}
 
-  const quota = await fetchMonthlyQuota({ userId: user.user_id, plan });
-  const usageRatio = quota?.monthly_credits
-    ? Number(quota.normalized_credits_used || 0) / Number(quota.monthly_credits)
-    : 0;
+const modelRoutingLookups = {
+  fetchPlanPolicy,
+  isPremiumModel,
+  fetchFirstNonPremiumModel,
+  fetchFirstPremiumModel,
+  fetchCheapestAllowedModel,
+  fetchMonthlyQuota
+};
 
-  if (policy.allow_fallback && usageRatio >= 0.9) {
-    const cheapest = await fetchCheapestAllowedModel(policy.allowed_models || []);
-    if (cheapest) {
-      candidate = cheapest;
-      reason = 'quota_fallback';
-    }
+async function routeModelForUser({
+  user,
+  intentType,
+  requestedModel,
+  sessionId,
+  requestId = '',
+  isRetry = false,
+  glyphState = null
+}) {
+  const pool = getUsageAnalyticsPool();
+  if (!pool) {
+    return { model: requestedModel, reason: 'policy_default' };
   }
 
-  if (candidate && !(policy.allowed_models || []).includes(candidate)) {
-    candidate = policy.allowed_models?.[policy.allowed_models.length - 1];
-    reason = 'policy_default';
+  const route = await selectRoutedModel({
+    user,
+    intentType,
+    requestedModel,
+    glyphState,
+    lookups: modelRoutingLookups,
+    resolveExperiment: requestId
+      ? ({ plan, policy, candidate }) => resolveModelExperiment({ user, intentType, plan, policy, candidate })
+      : null
+  });
+  if (!route.policy) {
+    return { model: requestedModel, reason: 'policy_default' };
   }
+  const { candidate, reason, plan } = route;
+  let { experiment } = route;
 
   if (candidate) {
     await insertRouteDecision({
@@ -5599,7 +8278,37 @@ async function routeModelForUser({ user, intentType, requestedModel, sessionId }
     });
   }
 
-  return { model: candidate || requestedModel, reason };
+  if (experiment) {
+    try {
+      await insertExperimentExposure({
+        experimentId: experiment.experiment_id,
+        variantId: experiment.variant_id,
+        userId: user.user_id,
+        sessionId,
+        requestId,
+        usageSourceHash: buildUsageSourceHash({ userId: user.user_id, requestId, status: 'success' }),
+        intentType,
+        plan,
+        model: experiment.model,
+        isRetry
+      });
+    } catch (error) {
+      logStructured('warn', 'model_experiment_exposure_failed', {
+        request_id: requestId,
+        experiment_id: experiment.experiment_id,
+        error: String(error?.message || error)
+      });
+      experiment = null;
+    }
+  }
+
+  return {
+    model: candidate || requestedModel,
+    reason,
+    ...(experiment
+      ? { experiment: { experiment_id: experiment.experiment_id, variant_id: experiment.variant_id } }
+      : {})
+  };
 }
 
 async function appendUsageEntry({
@@ -5617,10 +8326,14 @@ async function appendUsageEntry({
   reservedCredits,
   actualCredits,
   creditsCharged,
+  refundedCredits = 0,
   latencyMs,
   status,
   timestamp,
-  req = null
+  req = null,
+  promptTemplate = req?.promptTemplate || null,
+  tokenSource = 'estimate',
+  imageTokens = 0
 }) {
   const timestampValue = timestamp || new Date().toISOString();
   const entry = {
@@ -5642,7 +8355,7 @@ async function appendUsageEntry({
     estimated_credits: reservedCredits,
     reserved_credits: reservedCredits,
     actual_credits: actualCredits,
-    refunded_credits: 0,
+    refunded_credits: refundedCredits,
     credits_charged: creditsCharged,
     credits_used: creditsCharged,
     latency_ms: latencyMs ?? '',
@@ -5662,7 +8375,12 @@ async function appendUsageEntry({
         creditsCharged,
         latencyMs,
         status,
-        timestamp: timestampValue
+        timestamp: timestampValue,
+        promptTemplate,
+        inputChars,
+        outputChars,
+        tokenSource,
+        imageTokens
       });
     } else {
       await recordUsageEventToDb({
@@ -5676,7 +8394,12 @@ async function appendUsageEntry({
         creditsCharged,
         latencyMs,
         status,
-        timestamp: timestampValue
+        timestamp: timestampValue,
+        promptTemplate,
+        inputChars,
+        outputChars,
+        tokenSource,
+        imageTokens
       });
     }
   }
@@ -0,0 +1,71 @@
+const DEFAULT_WINDOW_MS = 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 10_000;
+
+/**
+ * Server-side auto-fix spend and attempts per user. The client stops its
+ * loop at the same limits, but only this copy is trusted, so nothing here is
+ * keyed on client-supplied session ids or attempt numbers. `begin(userId,
+ * errorKey)` refuses a fix once the user has spent `creditCap` credits in the
+ * current window, once `maxAttempts` fixes have run for the same error, or
+ * while another fix for the user is still running. The returned
+ * `release(credits)` records what the fix actually charged, and `attempt` is
+ * the server's count for this error. A user's window starts at their first
+ * fix and lasts `windowMs`.
+ */
+export function createAutoFixBudget({
+  creditCap,
+  maxAttempts = Infinity,
+  windowMs = DEFAULT_WINDOW_MS,
+  maxEntries = DEFAULT_MAX_ENTRIES,
+  now = () => Date.now()
+} = {}) {
+  const users = new Map();
+
+  const entryFor = (userId) => {
+    const existing = users.get(userId);
+    if (existing && existing.expiresAt > now()) {
+      users.delete(userId);
+      users.set(userId, existing);
+      return existing;
+    }
+    const entry = { creditsUsed: 0, attempts: new Map(), running: false, expiresAt: now() + windowMs };
+    users.delete(userId);
+    users.set(userId, entry);
+    while (users.size > maxEntries) {
+      users.delete(users.keys().next().value);
+    }
+    return entry;
+  };
+
+  return {
+    begin(userId, errorKey = '') {
+      const entry = entryFor(userId);
+      const attempts = entry.attempts.get(errorKey) || 0;
+      if (entry.creditsUsed >= creditCap) {
+        return { ok: false, reason: 'credit_cap', creditsUsed: entry.creditsUsed, attempts };
+      }
+      if (attempts >= maxAttempts) {
+        return { ok: false, reason: 'attempt_limit', creditsUsed: entry.creditsUsed, attempts };
+      }
+      if (entry.running) {
+        return { ok: false, reason: 'in_flight', creditsUsed: entry.creditsUsed, attempts };
+      }
+      entry.running = true;
+      entry.attempts.set(errorKey, attempts + 1);
+      let released = false;
+      return {
+        ok: true,
+        creditsUsed: entry.creditsUsed,
+        attempt: attempts + 1,
+        release(credits = 0) {
+          if (released) {
+            return;
+          }
+          released = true;
+          entry.running = false;
+          entry.creditsUsed += Math.max(0, Number(credits) || 0);
+        }
+      };
+    }
+  };
+}
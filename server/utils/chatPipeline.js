@@ -0,0 +1,221 @@
+import { buildCodeSegments, getActiveFileContent } from '../../utils/codeFiles.js';
+import { promptTemplateRegistry } from '../../utils/promptTemplates.js';
+import {
+  applyUsageAwareReduction,
+  buildTrimmedContext,
+  getContextTokenBudget
+} from '../../utils/tokenEfficiency.js';
+import { buildPlayablePrompt } from './playableWrapper.js';
+import { buildRetryPrompt } from './retryWrapper.js';
+
+export const CHAT_CONTEXT_DEFAULTS = {
+  maxRecentMessages: 8,
+  maxRelevantMessages: 8,
+  maxCodeChars: 3000,
+  historySummaryThresholdTokens: 6000
+};
+
+function chatSystemPrompt() {
+  return promptTemplateRegistry.render('chat.system').text;
+}
+
+export function resolveChatContextBudget({ planTier = 'free', intentType, creditsUsed = 0, monthlyCredits = 0 } = {}) {
+  return applyUsageAwareReduction({
+    contextBudget: getContextTokenBudget({ planTier, intentType }),
+    recentUsage: Number(creditsUsed || 0),
+    monthlyLimit: Number(monthlyCredits || 0)
+  });
+}
+
+/**
+ * The `/api/chat` context step: trims history to the plan budget and packs
+ * the request's code (file map and selection, or the single editor buffer).
+ * Extra options such as the summary store pass through to buildTrimmedContext.
+ */
+export async function buildChatContext({
+  messages = [],
+  codeFiles = null,
+  budgetTokens,
+  model,
+  contextMode,
+  historySummary = '',
+  ...options
+} = {}) {
+  const rawCode = getActiveFileContent(codeFiles);
+  return buildTrimmedContext({
+    systemPrompt: chatSystemPrompt(),
+    messages,
+    query: messages[messages.length - 1]?.content || '',
+    codeSegments: codeFiles?.multiFile || codeFiles?.selection
+      ? buildCodeSegments(codeFiles)
+      : (rawCode ? [{ name: 'editor', content: rawCode }] : []),
+    maxTokens: budgetTokens,
+    model,
+    maxRecentMessages: CHAT_CONTEXT_DEFAULTS.maxRecentMessages,
+    maxRelevantMessages: CHAT_CONTEXT_DEFAULTS.maxRelevantMessages,
+    contextMode,
+    summaryTriggerTokens: Math.floor(budgetTokens * 0.65),
+    historySummaryThresholdTokens: CHAT_CONTEXT_DEFAULTS.historySummaryThresholdTokens,
+    historySummary,
+    maxCodeChars: CHAT_CONTEXT_DEFAULTS.maxCodeChars,
+    ...options
+  });
+}
+
+export function applyPlayablePromptToMessages(messages = [], { prompt, code } = {}) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return [
+      { role: 'system', content: chatSystemPrompt() },
+      { role: 'user', content: buildPlayablePrompt({ prompt, code }) }
+    ];
+  }
+
+  let replaced = false;
+  const updated = messages.map((message, index) => {
+    const isLast = index === messages.length - 1;
+    if (isLast && message?.role === 'user') {
+      replaced = true;
+      return {
+        ...message,
+        content: buildPlayablePrompt({
+          prompt: prompt || message?.content || '',
+          code
+        })
+      };
+    }
+    return message;
+  });
+
+  if (!replaced) {
+    updated.push({
+      role: 'user',
+      content: buildPlayablePrompt({ prompt, code })
+    });
+  }
+
+  return updated;
+}
+
+export function applyPromptToLastUserMessage(messages = [], prompt = '') {
+  const safePrompt = typeof prompt === 'string' ? prompt : '';
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return [
+      { role: 'system', content: chatSystemPrompt() },
+      { role: 'user', content: safePrompt }
+    ];
+  }
+
+  let replaced = false;
+  const updated = messages.map((message, index) => {
+    const isLast = index === messages.length - 1;
+    if (isLast && message?.role === 'user') {
+      replaced = true;
+      return {
+        ...message,
+        content: safePrompt
+      };
+    }
+    return message;
+  });
+
+  if (!replaced) {
+    updated.push({ role: 'user', content: safePrompt });
+  }
+
+  return updated;
+}
+
+/**
+ * Applies the playable and retry wrappers to the trimmed messages. `prompt`
+ * is the raw user prompt; retries replace it with the retry template. Returns
+ * the wrapped messages and the final prompt they were built from.
+ */
+export function applyChatPromptWrappers(messages = [], {
+  playableMode = false,
+  retryMode = false,
+  prompt = '',
+  code = '',
+  originalPrompt = '',
+  previousResponse = ''
+} = {}) {
+  let finalPrompt = prompt;
+  if (retryMode) {
+    finalPrompt = buildRetryPrompt({
+      originalPrompt,
+      previousResponse
+    });
+    if (playableMode) {
+      finalPrompt += '\n\nAlso improve gameplay depth and mechanics.';
+    }
+  }
+
+  let wrapped = playableMode
+    ? applyPlayablePromptToMessages(messages, {
+      prompt: finalPrompt,
+      code
+    })
+    : messages;
+
+  if (retryMode) {
+    wrapped = playableMode
+      ? applyPlayablePromptToMessages(wrapped, {
+        prompt: finalPrompt,
+        code
+      })
+      : applyPromptToLastUserMessage(wrapped, finalPrompt);
+  }
+  return { messages: wrapped, prompt: finalPrompt };
+}
+
+/**
+ * Everything besides code and prompt that shapes the reply: the trimmed
+ * history up to the prompt, the pins, the glyph state and the context mode.
+ */
+function buildChatCacheContext({ contextMessages = [], pins = [], glyphState = null, contextMode = '' }) {
+  const history = contextMessages.at(-1)?.role === 'user' ? contextMessages.slice(0, -1) : contextMessages;
+  return JSON.stringify({
+    messages: history.map((message) => [message?.role || '', message?.content ?? '']),
+    pins: pins.map((pin) => [pin?.id ?? null, pin?.content ?? '']),
+    glyph: glyphState ?? null,
+    mode: contextMode || ''
+  });
+}
+
+/**
+ * The response-cache key for a chat request, or null when the request must
+ * not be cached (playable or tool mode, image attachments). Runtime-error
+ * fixes are keyed on the error rather than the wrapped prompt.
+ */
+export function buildChatResponseCacheRequest({
+  enabled = true,
+  playableMode = false,
+  toolMode = false,
+  hasImages = false,
+  userId,
+  intentType,
+  model,
+  codeFiles = {},
+  rawCodeContext = '',
+  runtimeError = null,
+  prompt = '',
+  contextMessages = [],
+  pins = [],
+  glyphState = null,
+  contextMode = ''
+} = {}) {
+  if (!enabled || playableMode || toolMode || hasImages) {
+    return null;
+  }
+  return {
+    userId,
+    intentType,
+    model,
+    code: codeFiles.multiFile || codeFiles.selection
+      ? JSON.stringify({ files: codeFiles.files, selection: codeFiles.selection })
+      : rawCodeContext,
+    context: buildChatCacheContext({ contextMessages, pins, glyphState, contextMode }),
+    prompt: runtimeError
+      ? `${runtimeError.message}\n${runtimeError.line ?? ''}`
+      : prompt
+  };
+}
@@ -0,0 +1,45 @@
+export function createChatRequestRegistry() {
+  const requests = new Map();
+
+  return {
+    register({ requestId, userId }) {
+      const controller = new AbortController();
+      const entry = {
+        requestId,
+        userId,
+        startedAt: Date.now(),
+        cancelReason: null,
+        signal: controller.signal,
+        cancel(reason = 'cancelled') {
+          if (controller.signal.aborted) {
+            return false;
+          }
+          entry.cancelReason = reason;
+          controller.abort();
+          return true;
+        },
+        get cancelled() {
+          return controller.signal.aborted;
+        }
+      };
+      requests.set(requestId, entry);
+      return entry;
+    },
+    get(requestId) {
+      return requests.get(requestId) || null;
+    },
+    cancel({ requestId, userId, reason = 'user_cancel' }) {
+      const entry = requests.get(requestId);
+      if (!entry || (userId && entry.userId !== userId)) {
+        return { found: false, cancelled: false };
+      }
+      return { found: true, cancelled: entry.cancel(reason) };
+    },
+    release(requestId) {
+      requests.delete(requestId);
+    },
+    size() {
+      return requests.size;
+    }
+  };
+}
@@ -0,0 +1,8 @@
+export function resolveStreamSettlement({ reservedCredits = 0, actualCredits = 0 } = {}) {
+  const reserved = Math.max(0, Number(reservedCredits) || 0);
+  const actual = Math.max(0, Number(actualCredits) || 0);
+  return {
+    additionalCharge: Math.max(0, actual - reserved),
+    refund: Math.max(0, reserved - actual)
+  };
+}
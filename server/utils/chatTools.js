@@ -0,0 +1,412 @@
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { createHttpError } from '../../utils/logger.js';
+
+export const DEFAULT_MAX_TOOL_ROUNDS = 4;
+const MAX_TOOL_CALLS_PER_ROUND = 4;
+const MAX_TOOL_RESULT_CHARS = 6000;
+const MAX_READ_LINES = 400;
+const MAX_ARTIFACT_RESULTS = 10;
+const TOOL_CALL_PATTERN = /<tool_call>\s*([\s\S]*?)\s*<\/tool_call>/g;
+const TOOL_LIMIT_NOTICE = 'Tool limit reached. Answer the user now without any further tool calls.';
+
+function toolError(code, message) {
+  return createHttpError({ status: 400, code, message });
+}
+
+function truncateText(text, maxChars) {
+  const value = String(text ?? '');
+  return value.length > maxChars
+    ? { text: `${value.slice(0, maxChars)}\n…[truncated ${value.length - maxChars} chars]`, truncated: true }
+    : { text: value, truncated: false };
+}
+
+/**
+ * Wraps a tool list for lookup and prompt rendering. Each tool is
+ * `{ name, description, parameters, execute(args, context) }`, where
+ * `parameters` maps argument names to `{ type, description, required }`.
+ */
+export function createChatToolRegistry(tools = []) {
+  const byName = new Map(tools.map((tool) => [tool.name, tool]));
+  return {
+    list: () => [...byName.values()],
+    get: (name) => byName.get(name) || null,
+    has: (name) => byName.has(name)
+  };
+}
+
+export function buildToolInstructions(registry) {
+  const lines = registry.list().map((tool) => {
+    const params = Object.entries(tool.parameters || {})
+      .map(([name, spec]) => `${name}${spec.required ? '' : '?'}: ${spec.type} — ${spec.description}`)
+      .join('; ');
+    return `- ${tool.name}(${params}): ${tool.description}`;
+  });
+  return [
+    'You can call server tools before answering. To call one, reply with one or more blocks of the form',
+    '<tool_call>{"name": "tool_name", "arguments": {"key": "value"}}</tool_call>',
+    'and nothing else you want the user to see. Results come back in the next user message inside <tool_result> blocks.',
+    `Use at most ${MAX_TOOL_CALLS_PER_ROUND} calls per reply. When you have what you need, answer normally without tool_call blocks.`,
+    'Available tools:',
+    ...lines
+  ].join('\n');
+}
+
+/**
+ * Extracts `<tool_call>` blocks from a model reply. Blocks that are not valid
+ * JSON or name no tool are kept with an `error` so the model sees why the
+ * call did not run; `text` is the reply with every block removed.
+ */
+export function parseToolCalls(text = '', { idPrefix = 'call', maxCalls = MAX_TOOL_CALLS_PER_ROUND } = {}) {
+  const source = String(text || '');
+  const calls = [];
+  for (const match of source.matchAll(TOOL_CALL_PATTERN)) {
+    if (calls.length >= maxCalls) {
+      break;
+    }
+    const id = `${idPrefix}_${calls.length + 1}`;
+    try {
+      const parsed = JSON.parse(match[1]);
+      const name = typeof parsed?.name === 'string' ? parsed.name.trim() : '';
+      const args = parsed?.arguments && typeof parsed.arguments === 'object' ? parsed.arguments : {};
+      calls.push(name
+        ? { id, name, arguments: args }
+        : { id, name: '', arguments: {}, error: 'Tool call is missing a name' });
+    } catch {
+      calls.push({ id, name: '', arguments: {}, error: 'Tool call is not valid JSON' });
+    }
+  }
+  return {
+    calls,
+    text: source.replace(TOOL_CALL_PATTERN, '').trim()
+  };
+}
+
+function validateToolArguments(tool, args) {
+  for (const [name, spec] of Object.entries(tool.parameters || {})) {
+    const value = args[name];
+    if (value === undefined || value === null || value === '') {
+      if (spec.required) {
+        return `Missing required argument: ${name}`;
+      }
+      continue;
+    }
+    if (spec.type === 'number' ? !Number.isFinite(Number(value)) : typeof value !== spec.type) {
+      return `Argument ${name} must be a ${spec.type}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Runs one parsed call. Never throws: unknown tools, bad arguments and tool
+ * failures all come back as `{ ok: false, error, error_code }`.
+ */
+export async function executeToolCall(registry, call, context = {}) {
+  const startedAt = Date.now();
+  const finish = (fields) => ({ id: call.id, name: call.name, ...fields, duration_ms: Date.now() - startedAt });
+  if (call.error) {
+    return finish({ ok: false, error: call.error, error_code: 'INVALID_TOOL_CALL' });
+  }
+  const tool = registry.get(call.name);
+  if (!tool) {
+    return finish({ ok: false, error: `Unknown tool: ${call.name}`, error_code: 'UNKNOWN_TOOL' });
+  }
+  const invalid = validateToolArguments(tool, call.arguments);
+  if (invalid) {
+    return finish({ ok: false, error: invalid, error_code: 'INVALID_TOOL_ARGUMENTS' });
+  }
+  try {
+    const result = await tool.execute(call.arguments, context);
+    return finish({ ok: true, result });
+  } catch (error) {
+    return finish({
+      ok: false,
+      error: String(error?.message || error),
+      error_code: error?.code || 'TOOL_FAILED'
+    });
+  }
+}
+
+export function formatToolResults(results = [], { limitReached = false } = {}) {
+  const blocks = results.map((entry) => {
+    const body = entry.ok
+      ? JSON.stringify(entry.result)
+      : JSON.stringify({ error: entry.error, error_code: entry.error_code });
+    const { text } = truncateText(body, MAX_TOOL_RESULT_CHARS);
+    return `<tool_result id="${entry.id}" name="${entry.name}">\n${text}\n</tool_result>`;
+  });
+  return [...blocks, ...(limitReached ? [TOOL_LIMIT_NOTICE] : [])].join('\n');
+}
+
+/**
+ * Drives the call/execute/reply loop. `complete(messages, { round })` returns
+ * a provider completion; `beforeRound(messages, { round })` runs before each
+ * completion so the caller can check it is still affordable.
+ * `onToolCall`/`onToolResult` observe each call and `onRound` runs after
+ * every completion (tool round or final answer) so the caller can record and
+ * meter it. Throwing from a hook stops the loop.
+ * After `maxRounds` tool rounds the model is told to answer without tools.
+ */
+export async function runToolLoop({
+  complete,
+  messages = [],
+  registry,
+  context = {},
+  maxRounds = DEFAULT_MAX_TOOL_ROUNDS,
+  beforeRound,
+  onToolCall,
+  onToolResult,
+  onRound
+}) {
+  const conversation = [...messages];
+  const rounds = [];
+  for (let round = 1; ; round += 1) {
+    await beforeRound?.([...conversation], { round });
+    const completion = await complete([...conversation], { round });
+    const parsed = parseToolCalls(completion.content, { idPrefix: `r${round}` });
+    const toolsAllowed = round <= maxRounds;
+    if (!toolsAllowed || !parsed.calls.length) {
+      const entry = { round, completion, calls: [], results: [], final: true };
+      rounds.push(entry);
+      await onRound?.(entry);
+      return {
+        content: parsed.calls.length ? parsed.text : String(completion.content || ''),
+        completion,
+        rounds,
+        messages: conversation
+      };
+    }
+
+    const results = [];
+    for (const call of parsed.calls) {
+      await onToolCall?.(call, round);
+      const result = await executeToolCall(registry, call, context);
+      results.push(result);
+      await onToolResult?.(result, round);
+    }
+    const entry = { round, completion, calls: parsed.calls, results, final: false };
+    rounds.push(entry);
+    await onRound?.(entry);
+    conversation.push(
+      { role: 'assistant', content: String(completion.content || '') },
+      { role: 'user', content: formatToolResults(results, { limitReached: round === maxRounds }) }
+    );
+  }
+}
+
+function matchesQuery(artifact, terms) {
+  if (!terms.length) {
+    return true;
+  }
+  const haystack = [artifact.title, artifact.description, artifact.category, ...(artifact.tags || [])]
+    .join(' ')
+    .toLowerCase();
+  return terms.every((term) => haystack.includes(term));
+}
+
+function canReadArtifact(artifact, user) {
+  return Boolean(artifact) && (artifact.owner_user_id === user?.user_id || artifact.visibility === 'public');
+}
+
+/**
+ * Path helpers for the chat tools' workspace: every user gets a directory of
+ * their own under `rootDir`, named by a hash of the user id. Paths that leave
+ * it, and calls without a user, throw `INVALID_PATH`.
+ */
+export function createUserWorkspaceResolver(rootDir) {
+  const root = path.resolve(rootDir);
+  const userRoot = (context = {}) => {
+    const userId = context.user?.user_id;
+    if (!userId) {
+      throw toolError('INVALID_PATH', 'Workspace tools need a signed-in user');
+    }
+    return path.join(root, crypto.createHash('sha256').update(String(userId)).digest('hex').slice(0, 32));
+  };
+  return {
+    userRoot,
+    resolveWorkspacePath(inputPath = '', context = {}) {
+      const base = userRoot(context);
+      const resolved = path.resolve(base, String(inputPath || '').replace(/^\/+/, '').trim());
+      if (resolved !== base && !resolved.startsWith(`${base}${path.sep}`)) {
+        throw toolError('INVALID_PATH', 'Path escapes workspace root');
+      }
+      return resolved;
+    },
+    workspaceRelative(absolutePath, context = {}) {
+      return path.relative(userRoot(context), absolutePath).replace(/\\/g, '/');
+    }
+  };
+}
+
+/**
+ * Builds the chat tool set on top of server capabilities. Dependencies are
+ * injected so the tools stay testable: `resolveWorkspacePath(path, context)`
+ * must throw for paths outside the caller's workspace, `isReadableFile` gates
+ * which files may be read and `listFiles(dir)` returns readable file names
+ * directly inside `dir`. The path helpers get the tool call's context.
+ */
+export function createWorkspaceChatTools({
+  resolveWorkspacePath,
+  workspaceRelative,
+  listWorkspaceDirs,
+  listFiles,
+  isReadableFile,
+  readFile,
+  fetchArtifactsByOwner,
+  fetchArtifactById,
+  fetchArtifactVersionById,
+  fetchArtifactVersionSummaries,
+  verifySingleFile
+}) {
+  return [
+    {
+      name: 'list_workspace',
+      description: 'Lists subdirectories (up to 3 levels) and the text files directly inside a workspace directory.',
+      parameters: {
+        path: { type: 'string', description: 'Directory relative to the workspace root; empty for the root' }
+      },
+      async execute(args, context) {
+        const dir = resolveWorkspacePath(args.path || '', context);
+        const [directories, files] = await Promise.all([listWorkspaceDirs(dir), listFiles(dir)]);
+        return {
+          path: workspaceRelative(dir, context),
+          directories: directories.slice(0, 200),
+          files: files.slice(0, 200),
+          truncated: directories.length > 200 || files.length > 200
+        };
+      }
+    },
+    {
+      name: 'read_workspace_file',
+      description: `Reads a text file from the workspace, optionally a line range (at most ${MAX_READ_LINES} lines).`,
+      parameters: {
+        path: { type: 'string', description: 'File path relative to the workspace root', required: true },
+        startLine: { type: 'number', description: '1-based first line' },
+        endLine: { type: 'number', description: '1-based last line' }
+      },
+      async execute(args, context) {
+        const filePath = resolveWorkspacePath(args.path, context);
+        if (!isReadableFile(filePath, context)) {
+          throw toolError('UNSUPPORTED_FILE', 'Only workspace text files can be read');
+        }
+        const lines = String(await readFile(filePath)).split('\n');
+        const startLine = Math.min(lines.length, Math.max(1, Math.floor(Number(args.startLine) || 1)));
+        const endLine = Math.min(
+          lines.length,
+          startLine + MAX_READ_LINES - 1,
+          Math.max(startLine, Math.floor(Number(args.endLine) || lines.length))
+        );
+        const { text, truncated } = truncateText(lines.slice(startLine - 1, endLine).join('\n'), MAX_TOOL_RESULT_CHARS);
+        return {
+          path: workspaceRelative(filePath, context),
+          total_lines: lines.length,
+          start_line: startLine,
+          end_line: endLine,
+          content: text,
+          truncated: truncated || endLine < lines.length
+        };
+      }
+    },
+    {
+      name: 'search_artifacts',
+      description: 'Searches the current user\'s saved artifacts by title, description, category and tags.',
+      parameters: {
+        query: { type: 'string', description: 'Space-separated terms that must all match; empty lists recent artifacts' },
+        limit: { type: 'number', description: `Maximum results, up to ${MAX_ARTIFACT_RESULTS}` }
+      },
+      async execute(args, context) {
+        const terms = String(args.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        const limit = Math.min(MAX_ARTIFACT_RESULTS, Math.max(1, Math.floor(Number(args.limit) || 5)));
+        const artifacts = await fetchArtifactsByOwner(context.user.user_id);
+        const matches = artifacts.filter((artifact) => matchesQuery(artifact, terms));
+        return {
+          total: matches.length,
+          artifacts: matches.slice(0, limit).map((artifact) => ({
+            artifact_id: artifact.artifact_id,
+            title: artifact.title,
+            description: artifact.description,
+            category: artifact.category,
+            tags: artifact.tags,
+            visibility: artifact.visibility,
+            current_version_id: artifact.current_version_id,
+            updated_at: artifact.updated_at
+          }))
+        };
+      }
+    },
+    {
+      name: 'get_artifact_version',
+      description: 'Fetches the code of an artifact version. Without versionId returns the current code and the version list.',
+      parameters: {
+        artifactId: { type: 'string', description: 'Artifact id', required: true },
+        versionId: { type: 'string', description: 'Version id; omit for the current version' }
+      },
+      async execute(args, context) {
+        const artifact = await fetchArtifactById(args.artifactId);
+        if (!canReadArtifact(artifact, context.user)) {
+          throw toolError('ARTIFACT_NOT_FOUND', 'Artifact not found');
+        }
+        if (args.versionId) {
+          const version = await fetchArtifactVersionById(artifact.artifact_id, args.versionId);
+          if (!version) {
+            throw toolError('VERSION_NOT_FOUND', 'Artifact version not found');
+          }
+          const { text, truncated } = truncateText(version.code.content, MAX_TOOL_RESULT_CHARS);
+          return {
+            artifact_id: artifact.artifact_id,
+            version_id: version.version_id,
+            version_index: version.version_index,
+            label: version.label,
+            summary: version.summary,
+            created_at: version.created_at,
+            code: { language: version.code.language, content: text, truncated }
+          };
+        }
+        const versions = await fetchArtifactVersionSummaries(artifact.artifact_id);
+        const { text, truncated } = truncateText(artifact.code.content, MAX_TOOL_RESULT_CHARS);
+        return {
+          artifact_id: artifact.artifact_id,
+          title: artifact.title,
+          current_version_id: artifact.current_version_id,
+          versions: versions.slice(-20).map((version) => ({
+            version_id: version.version_id,
+            version_index: version.version_index,
+            label: version.label,
+            created_at: version.created_at
+          })),
+          code: { language: artifact.code.language, content: text, truncated }
+        };
+      }
+    },
+    {
+      name: 'verify_html',
+      description: 'Runs static single-file verification (doctype, script, render loop, executable logic) on HTML.',
+      parameters: {
+        path: { type: 'string', description: 'Workspace HTML file to verify' },
+        code: { type: 'string', description: 'HTML to verify; defaults to the code in the user\'s editor' }
+      },
+      async execute(args, context) {
+        let html = args.code;
+        let source = 'argument';
+        if (!html && args.path) {
+          const filePath = resolveWorkspacePath(args.path, context);
+          if (!isReadableFile(filePath, context)) {
+            throw toolError('UNSUPPORTED_FILE', 'Only workspace text files can be verified');
+          }
+          html = await readFile(filePath);
+          source = workspaceRelative(filePath, context);
+        }
+        if (!html) {
+          html = context.currentCode || '';
+          source = 'editor';
+        }
+        if (!String(html).trim()) {
+          throw toolError('NOTHING_TO_VERIFY', 'No HTML to verify');
+        }
+        const verification = await verifySingleFile(html);
+        return { source, passed: verification.passed, failures: verification.failures };
+      }
+    }
+  ];
+}
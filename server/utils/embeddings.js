@@ -1 +1 @@
-export { embedText, clearEmbeddingCache, getEmbeddingCacheStats } from '../../utils/embeddings.js';
+export { embedText, clearEmbeddingCache, getEmbeddingCacheStats, isFallbackEmbedding } from '../../utils/embeddings.js';
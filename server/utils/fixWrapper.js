@@ -0,0 +1,76 @@
+const DEFAULT_EXCERPT_RADIUS = 6;
+const MAX_STACK_CHARS = 800;
+
+export function normalizeRuntimeError(rawError) {
+  if (!rawError || typeof rawError !== 'object') {
+    return null;
+  }
+  const message = String(rawError.message || '').trim();
+  if (!message) {
+    return null;
+  }
+  const line = Number(rawError.line);
+  const column = Number(rawError.column);
+  return {
+    message: message.slice(0, 500),
+    line: Number.isFinite(line) && line > 0 ? Math.floor(line) : null,
+    column: Number.isFinite(column) && column > 0 ? Math.floor(column) : null,
+    stack: typeof rawError.stack === 'string' ? rawError.stack.slice(0, MAX_STACK_CHARS) : ''
+  };
+}
+
+export function extractCodeAroundLine(code = '', line = null, radius = DEFAULT_EXCERPT_RADIUS) {
+  const lines = String(code || '').split('\n');
+  if (!Number.isFinite(line) || line < 1 || line > lines.length) {
+    return '';
+  }
+  const start = Math.max(1, line - radius);
+  const end = Math.min(lines.length, line + radius);
+  const width = String(end).length;
+  return lines
+    .slice(start - 1, end)
+    .map((text, index) => {
+      const lineNumber = start + index;
+      const marker = lineNumber === line ? '>' : ' ';
+      return `${marker}${String(lineNumber).padStart(width, ' ')} | ${text}`;
+    })
+    .join('\n');
+}
+
+export function buildRuntimeFixPrompt({
+  error,
+  excerpt = '',
+  relevantChunks = [],
+  attempt = 1,
+  previousAttempts = []
+} = {}) {
+  const location = error?.line
+    ? `line ${error.line}${error.column ? `, column ${error.column}` : ''}`
+    : 'unknown location';
+  const chunks = relevantChunks.filter(Boolean);
+  const history = previousAttempts
+    .filter((entry) => entry && entry.message)
+    .map((entry, index) => `${index + 1}. ${String(entry.message).slice(0, 200)}`)
+    .join('\n');
+
+  return `
+The current interface throws a runtime error in the preview.
+Fix the cause of the error without changing unrelated behavior.
+
+Requirements:
+- Respond with SEARCH/REPLACE edit blocks against the current interface.
+- Keep each SEARCH section small and copied exactly from the current interface.
+- Start with one short sentence describing the fix.
+- Do not rewrite the whole document.
+
+Runtime error (auto-fix attempt ${attempt}):
+${error?.message || 'Unknown error'}
+Location: ${location}
+${error?.stack ? `\nStack:\n${error.stack}\n` : ''}
+Code around the error:
+${excerpt || '(location unavailable)'}
+
+Relevant code:
+${chunks.length ? chunks.join('\n\n---\n\n') : '(none selected)'}
+${history ? `\nErrors from earlier fix attempts:\n${history}\n` : ''}`;
+}
@@ -0,0 +1,71 @@
+// Stages a game-mode job checkpoints after, in run order. Verification is
+// cheap and rewrites the workspace, so it always reruns on resume.
+export const GAME_MODE_STAGES = ['concept', 'implementation'];
+
+const STAGE_CHECKPOINT_KEYS = {
+  concept: 'designerSpec',
+  implementation: 'builderOutput'
+};
+
+export function parseLastEventId(value) {
+  const parsed = Number.parseInt(String(value ?? '').trim(), 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : 0;
+}
+
+export function selectEventsAfter(events = [], lastEventId = 0) {
+  return events.filter((packet) => Number(packet?.id) > lastEventId);
+}
+
+/**
+ * Whether an in-memory job may be dropped: only finished jobs are, once
+ * `ttlMs` has passed since they completed. Queued and running jobs stay
+ * however old they are.
+ */
+export function isGameModeJobExpired(job, { now = Date.now(), ttlMs } = {}) {
+  if (!job || job.status === 'queued' || job.status === 'running' || !job.completedAt) {
+    return false;
+  }
+  return now - job.completedAt > ttlMs;
+}
+
+/**
+ * Decides what to do with a job that was running when its process went away:
+ * resume after the last stage whose checkpoint survived, start over when no
+ * stage completed, or give up after `maxAttempts` runs.
+ */
+export function planGameModeResume({ stage = null, checkpoint = {}, attempts = 1, maxAttempts = 3 } = {}) {
+  if (attempts > maxAttempts) {
+    return { action: 'fail', stage: null };
+  }
+  const completed = GAME_MODE_STAGES.slice(0, GAME_MODE_STAGES.indexOf(stage) + 1);
+  const missing = completed.findIndex((name) => !checkpoint?.[STAGE_CHECKPOINT_KEYS[name]]);
+  const resumable = missing === -1 ? completed : completed.slice(0, missing);
+  if (!resumable.length) {
+    return { action: 'requeue', stage: null };
+  }
+  return { action: 'resume', stage: resumable.at(-1) };
+}
+
+/**
+ * Totals the LLM calls of one stage into a single ledger entry. The token
+ * source is `provider` only when every call reported its own counts.
+ */
+export function sumGameModeLlmUsage(calls = []) {
+  return calls.reduce((total, call) => ({
+    model: total.model || call?.model || '',
+    inputTokens: total.inputTokens + (Number(call?.inputTokens) || 0),
+    outputTokens: total.outputTokens + (Number(call?.outputTokens) || 0),
+    inputChars: total.inputChars + (Number(call?.inputChars) || 0),
+    outputChars: total.outputChars + (Number(call?.outputChars) || 0),
+    latencyMs: total.latencyMs + (Number(call?.latencyMs) || 0),
+    tokenSource: total.tokenSource === 'provider' && call?.tokenSource === 'provider' ? 'provider' : 'estimate'
+  }), {
+    model: '',
+    inputTokens: 0,
+    outputTokens: 0,
+    inputChars: 0,
+    outputChars: 0,
+    latencyMs: 0,
+    tokenSource: calls.length ? 'provider' : 'estimate'
+  });
+}
@@ -0,0 +1,315 @@
+import { createFailure } from './staticVerification.js';
+
+const KEY_HOLD_MS = 220;
+const SETTLE_MS = 80;
+// Idle samples are spaced like the before/after pair around an input step, so
+// both measure the same amount of on-screen drift.
+const IDLE_SAMPLE_MS = KEY_HOLD_MS + SETTLE_MS;
+const MAX_PLAYTEST_STEPS = 12;
+const EVALUATE_TIMEOUT_MS = 1000;
+// An input step may hold a key on top of waiting for the page to answer.
+const STEP_TIMEOUT_MS = KEY_HOLD_MS + EVALUATE_TIMEOUT_MS;
+// Mean per-pixel change (0..1) between two downsampled frames that counts as
+// something happening on screen.
+const MOTION_THRESHOLD = 0.002;
+// Above this much idle drift (busy backgrounds, particles) an input's effect
+// cannot be told apart from the game animating on its own.
+const MAX_COMPARABLE_DRIFT = 0.05;
+const MIN_RAF_TICKS_PER_SECOND = 10;
+
+const KEY_PATTERNS = [
+  { pattern: /\bwasd\b/i, keys: ['KeyW', 'KeyA', 'KeyS', 'KeyD'] },
+  { pattern: /\barrow/i, keys: ['ArrowUp', 'ArrowLeft', 'ArrowDown', 'ArrowRight'] },
+  { pattern: /\bleft\b.*\bright\b|\bright\b.*\bleft\b/i, keys: ['ArrowLeft', 'ArrowRight'] },
+  { pattern: /\bspace(bar)?\b/i, keys: ['Space'] },
+  { pattern: /\benter\b|\breturn\b/i, keys: ['Enter'] },
+  { pattern: /\bshift\b/i, keys: ['Shift'] }
+];
+const POINTER_PATTERN = /\b(mouse|click|tap|touch|pointer|drag|swipe)\b/i;
+const DRAG_PATTERN = /\b(drag|swipe)\b/i;
+// Pausing or restarting mid-playtest would look like a frozen game.
+const SKIPPED_ACTION_PATTERN = /\b(pause|restart|reset|quit|menu|mute)\b/i;
+const FALLBACK_STEPS = [
+  { type: 'key', key: 'ArrowRight' },
+  { type: 'key', key: 'ArrowLeft' },
+  { type: 'key', key: 'ArrowUp' },
+  { type: 'key', key: 'Space' },
+  { type: 'pointer', x: 0.5, y: 0.5 }
+];
+const READOUT_PATTERN = /\b(score|points?|pts|level|wave|time|timer|lives|coins?|moves|distance|round)\b\s*[:x=-]?\s*\d+/i;
+const GOAL_PATTERN = /\b(score|points?|collect|survive|seconds?|time|level|wave|distance|moves|rounds?)\b/i;
+
+function addStep(steps, step) {
+  const id = step.type === 'key' ? `key:${step.key}` : `pointer:${step.drag ? 'drag' : 'click'}`;
+  if (!steps.some((existing) => existing.id === id)) {
+    steps.push({ id, ...step });
+  }
+}
+
+/**
+ * Turns the designer spec's `controls` into input steps for the playtest:
+ * named keys (WASD, arrows, Space, single letters) are held briefly, mouse or
+ * touch controls become clicks or drags over the canvas. Controls that pause
+ * or restart are skipped. When nothing maps, a generic arrows/Space/click
+ * sequence stands in and `derived` is false.
+ */
+export function buildPlaytestPlan(designerSpec = {}) {
+  const steps = [];
+  const controls = Array.isArray(designerSpec?.controls) ? designerSpec.controls : [];
+  for (const control of controls) {
+    const input = String(control?.input || '');
+    if (!input || SKIPPED_ACTION_PATTERN.test(String(control?.action || ''))) {
+      continue;
+    }
+    for (const { pattern, keys } of KEY_PATTERNS) {
+      if (pattern.test(input)) {
+        keys.forEach((key) => addStep(steps, { type: 'key', key }));
+      }
+    }
+    const letters = input.match(/\b[A-Z0-9]\b/gi) || [];
+    for (const letter of letters) {
+      const upper = letter.toUpperCase();
+      addStep(steps, { type: 'key', key: /\d/.test(upper) ? `Digit${upper}` : `Key${upper}` });
+    }
+    if (POINTER_PATTERN.test(input)) {
+      addStep(steps, DRAG_PATTERN.test(input)
+        ? { type: 'pointer', x: 0.3, y: 0.5, toX: 0.7, toY: 0.5, drag: true }
+        : { type: 'pointer', x: 0.5, y: 0.5 });
+    }
+  }
+  const derived = steps.length > 0;
+  if (!derived) {
+    FALLBACK_STEPS.forEach((step) => addStep(steps, step));
+  }
+  const winCondition = String(designerSpec?.winCondition || '');
+  return {
+    steps: steps.slice(0, MAX_PLAYTEST_STEPS),
+    derived,
+    winCondition,
+    expectsReadout: GOAL_PATTERN.test(winCondition)
+  };
+}
+
+/**
+ * Runs in the page. Downsamples the largest 2D-readable canvas to 32x24
+ * grayscale; pages without one fall back to a signature of the visible DOM
+ * text so DOM-rendered games (cards, grids) can still be compared.
+ */
+export function sampleGameFrame() {
+  const status = window.__GM_STATUS__ || {};
+  const texts = [...(status.drawnText || []), String(document.body?.innerText || '').slice(0, 2000)];
+  const canvases = Array.from(document.querySelectorAll('canvas'))
+    .filter((canvas) => canvas.width > 0 && canvas.height > 0)
+    .sort((a, b) => (b.width * b.height) - (a.width * a.height));
+  const base = { rafTicks: Number(status.rafTicks || 0), texts };
+  const canvas = canvases[0];
+  if (canvas) {
+    try {
+      const sample = document.createElement('canvas');
+      sample.width = 32;
+      sample.height = 24;
+      const context = sample.getContext('2d');
+      context.drawImage(canvas, 0, 0, 32, 24);
+      const data = context.getImageData(0, 0, 32, 24).data;
+      const pixels = [];
+      for (let index = 0; index < data.length; index += 4) {
+        pixels.push(Math.round((data[index] + data[index + 1] + data[index + 2]) / 3));
+      }
+      return { ...base, kind: 'canvas', pixels };
+    } catch {
+      return { ...base, kind: 'unreadable' };
+    }
+  }
+  const signature = Array.from(document.body?.querySelectorAll('*') || [])
+    .slice(0, 400)
+    .map((element) => `${element.className}|${element.getAttribute('style') || ''}|${element.childElementCount}`)
+    .join(';') + String(document.body?.innerText || '').slice(0, 2000);
+  return { ...base, kind: 'dom', signature };
+}
+
+/**
+ * How much two frames differ, 0..1. DOM frames are either equal or not;
+ * frames that could not be read compare as unknown (null).
+ */
+export function frameDifference(a, b) {
+  if (!a || !b || a.kind !== b.kind || a.kind === 'unreadable') {
+    return null;
+  }
+  if (a.kind === 'dom') {
+    return a.signature === b.signature ? 0 : 1;
+  }
+  const length = Math.min(a.pixels.length, b.pixels.length);
+  if (!length) {
+    return null;
+  }
+  let total = 0;
+  for (let index = 0; index < length; index += 1) {
+    total += Math.abs(a.pixels[index] - b.pixels[index]);
+  }
+  return total / (length * 255);
+}
+
+function findReadouts(frames) {
+  return frames.flatMap((frame) => frame?.texts || [])
+    .map((text) => String(text).match(READOUT_PATTERN)?.[0])
+    .filter(Boolean);
+}
+
+/**
+ * Reads the samples of a playtest run into structured failures, in the same
+ * `{ code, detail }` shape as the runtime checks, so the repair stage can
+ * act on both:
+ *
+ * - `PLAYTEST_STUCK_LOOP`: the page stopped answering, or the animation loop
+ *   stalled before any input was sent.
+ * - `PLAYTEST_NO_MOTION`: nothing on screen changed for the whole run.
+ * - `PLAYTEST_NO_INPUT_RESPONSE`: no input step changed the screen more than
+ *   idle play does. Not reported when idle motion is too busy to tell.
+ * - `PLAYTEST_NO_PROGRESS_READOUT`: the win condition is about a score,
+ *   time or level, but no such readout was drawn or shown.
+ */
+export function analyzePlaytest({ plan, idle = [], steps = [], blocked = false, idleMs = 0 }) {
+  const failures = [];
+  const frames = [...idle, ...steps.flatMap((step) => [step.before, step.after])].filter(Boolean);
+  const first = frames[0];
+  // Only the idle window counts for the loop rate: a game may legitimately
+  // stop its loop on a game over that random input caused.
+  const idleTicks = idle.length >= 2 ? idle.at(-1).rafTicks - idle[0].rafTicks : 0;
+  const ticksPerSecond = idleMs > 0 ? (idleTicks * 1000) / idleMs : 0;
+  const readable = frames.some((frame) => frame.kind !== 'unreadable');
+
+  if (blocked) {
+    failures.push(createFailure('PLAYTEST_STUCK_LOOP', 'Page stopped responding during the playtest'));
+  } else if (idle.length >= 2 && ticksPerSecond < MIN_RAF_TICKS_PER_SECOND) {
+    failures.push(createFailure(
+      'PLAYTEST_STUCK_LOOP',
+      `Animation loop advanced ${idleTicks} frames in ${idleMs}ms before any input`
+    ));
+  }
+
+  const idleDrift = Math.max(0, ...idle.slice(1).map((frame, index) => frameDifference(idle[index], frame) ?? 0));
+  const responses = steps.map((step) => ({
+    id: step.id,
+    difference: frameDifference(step.before, step.after)
+  }));
+  const measured = responses.filter((response) => response.difference !== null);
+  const motion = Math.max(idleDrift, ...measured.map((response) => response.difference), 0);
+  const responsive = measured.filter((response) => response.difference > idleDrift + MOTION_THRESHOLD);
+
+  if (readable && measured.length && !blocked) {
+    if (motion <= MOTION_THRESHOLD) {
+      failures.push(createFailure('PLAYTEST_NO_MOTION', `Screen did not change across ${frames.length} samples`));
+    } else if (!responsive.length && idleDrift <= MAX_COMPARABLE_DRIFT) {
+      failures.push(createFailure(
+        'PLAYTEST_NO_INPUT_RESPONSE',
+        `No input changed the screen beyond idle motion; tried ${measured.map((response) => response.id).join(', ')}`
+      ));
+    }
+  }
+
+  const readouts = findReadouts(frames);
+  if (plan?.expectsReadout && !readouts.length) {
+    failures.push(createFailure(
+      'PLAYTEST_NO_PROGRESS_READOUT',
+      `Win condition "${plan.winCondition.slice(0, 120)}" needs a visible score, time or level readout`
+    ));
+  }
+
+  return {
+    passed: failures.length === 0,
+    failures,
+    metrics: {
+      steps: steps.length,
+      derivedControls: Boolean(plan?.derived),
+      frameKind: first?.kind || 'none',
+      respondedTo: responsive.map((response) => response.id),
+      inputResponse: responsive.length ? 'seen' : idleDrift > MAX_COMPARABLE_DRIFT ? 'inconclusive' : 'none',
+      idleDrift: Number(idleDrift.toFixed(4)),
+      rafTicksPerSecond: Math.round(ticksPerSecond),
+      readoutChanged: new Set(readouts).size > 1
+    }
+  };
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(Object.assign(new Error('Playtest page timed out'), { code: 'PLAYTEST_TIMEOUT' })), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+async function pointerTarget(page) {
+  const box = await withTimeout(page.evaluate(() => {
+    const canvas = Array.from(document.querySelectorAll('canvas'))
+      .sort((a, b) => (b.width * b.height) - (a.width * a.height))[0];
+    const rect = (canvas || document.body).getBoundingClientRect();
+    return { x: rect.left, y: rect.top, width: rect.width || window.innerWidth, height: rect.height || window.innerHeight };
+  }), EVALUATE_TIMEOUT_MS);
+  return (x, y) => [box.x + box.width * x, box.y + box.height * y];
+}
+
+async function performStep(page, step, at) {
+  if (step.type === 'key') {
+    await page.keyboard.down(step.key);
+    await new Promise((resolve) => setTimeout(resolve, KEY_HOLD_MS));
+    await page.keyboard.up(step.key);
+    return;
+  }
+  const [x, y] = at(step.x, step.y);
+  if (step.drag) {
+    const [toX, toY] = at(step.toX, step.toY);
+    await page.mouse.move(x, y);
+    await page.mouse.down();
+    await page.mouse.move(toX, toY, { steps: 8 });
+    await page.mouse.up();
+    return;
+  }
+  await page.mouse.click(x, y);
+}
+
+/**
+ * Plays a loaded page with the plan's inputs: samples a few idle frames to
+ * learn how much the screen moves on its own, then sends each step and
+ * compares the frame before and after it. `page` is a Playwright page whose
+ * document has the runtime bootstrap installed. Every page call is bounded,
+ * so a game that hangs (in its loop or an input handler) ends the run as
+ * blocked; the caller still has to close the browser.
+ */
+export async function runPlaytest(page, plan) {
+  const sample = () => withTimeout(page.evaluate(sampleGameFrame), EVALUATE_TIMEOUT_MS);
+  const idle = [];
+  const steps = [];
+  let blocked = false;
+  let idleMs = 0;
+  try {
+    await withTimeout(page.focus('body'), EVALUATE_TIMEOUT_MS).catch((error) => {
+      if (error?.code === 'PLAYTEST_TIMEOUT') {
+        throw error;
+      }
+    });
+    const at = await pointerTarget(page);
+    const idleStartedAt = Date.now();
+    for (let index = 0; index < 3; index += 1) {
+      if (index > 0) {
+        await new Promise((resolve) => setTimeout(resolve, IDLE_SAMPLE_MS));
+      }
+      idle.push(await sample());
+    }
+    idleMs = Date.now() - idleStartedAt;
+    for (const step of plan.steps) {
+      const before = await sample();
+      await withTimeout(performStep(page, step, at), STEP_TIMEOUT_MS);
+      await new Promise((resolve) => setTimeout(resolve, SETTLE_MS));
+      steps.push({ id: step.id, before, after: await sample() });
+    }
+  } catch (error) {
+    if (error?.code !== 'PLAYTEST_TIMEOUT') {
+      throw error;
+    }
+    blocked = true;
+  }
+  return analyzePlaytest({ plan, idle, steps, blocked, idleMs });
+}
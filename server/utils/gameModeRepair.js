@@ -0,0 +1,148 @@
+import { computeLineDiff } from '../../utils/lineDiff.js';
+
+const MAX_PROMPT_FAILURES = 8;
+const MAX_FAILURE_DETAIL_CHARS = 400;
+const MAX_PROMPT_FILE_CHARS = 24000;
+const MAX_DIFF_EXCERPT_LINES = 12;
+// computeLineDiff is quadratic; bigger rewrites are summarized by line counts.
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * What to fix for each verification failure code. Codes not listed here get
+ * the generic instruction; the failure detail is always sent as well.
+ */
+export const REPAIR_HINTS = {
+  STATIC_MISSING_DOCTYPE: 'Start index.html with <!doctype html>.',
+  STATIC_NO_SCRIPT: 'Add the game logic in a <script> tag (or a script file index.html loads).',
+  STATIC_NO_RENDER_LOOP: 'Render to a <canvas> from a requestAnimationFrame loop.',
+  STATIC_NO_EXECUTABLE_LOGIC: 'The page has no functions; implement the game loop, input handling and state.',
+  STATIC_MISSING_INDEX_HTML: 'Add an index.html entry point at the repo root.',
+  STATIC_MISSING_README: 'Add README.md with the controls and how to deploy to GitHub Pages.',
+  UNCAUGHT_EXCEPTION: 'Fix the code that throws; the error text below says where. Do not swallow errors with empty handlers.',
+  UNHANDLED_REJECTION: 'Await or catch the promise that rejects; do not rely on network or assets that may be missing.',
+  CONSOLE_ERROR: 'Remove the cause of the console.error calls; game code must not log errors.',
+  NO_RAF_HEARTBEAT: 'Start the requestAnimationFrame loop on load, without waiting for a click or key press, and keep scheduling it every frame.',
+  PAGE_LOAD_TIMEOUT: 'The page did not finish loading; remove blocking work and external resources from startup.',
+  NAVIGATION_FAILED: 'index.html could not be opened; check the entry file and the paths it references.',
+  PLAYTEST_STUCK_LOOP: 'The main loop stalls or blocks the page; remove long synchronous work and make sure every frame schedules the next.',
+  PLAYTEST_NO_MOTION: 'Nothing is drawn or nothing changes; draw the game state every frame.',
+  PLAYTEST_NO_INPUT_RESPONSE: 'The game ignores its controls; listen on window for keydown/keyup (event.key and event.code) and pointer events on the canvas, and apply them to the player each frame.',
+  PLAYTEST_NO_PROGRESS_READOUT: 'Show the score, time or level the win condition depends on, drawn on the canvas or in the HUD, e.g. "Score: 0".'
+};
+
+const GENERIC_HINT = 'Fix the failure described by its detail.';
+
+function truncate(value, max) {
+  const text = String(value || '');
+  return text.length > max ? `${text.slice(0, max)}…` : text;
+}
+
+/**
+ * Builds the targeted fix prompt for one repair pass: the failing files, each
+ * failure with its code, detail (runtime error excerpts included) and fix
+ * hint, and the schema the reply must follow. Only changed files come back.
+ */
+export function buildRepairPrompt({ mode, designerSpec, files = [], failures = [] }) {
+  const codes = [...new Set(failures.map((failure) => String(failure?.code || 'UNKNOWN')))];
+  const system = [
+    'You are REPAIR. A generated browser game failed verification. Fix it.',
+    'Return ONLY one JSON object. No markdown. No backticks.',
+    'Output schema:',
+    '{',
+    '  "files": [{ "path": string, "content": string }],',
+    '  "notes": string',
+    '}',
+    'Rules:',
+    '- files lists only the files you changed, each with its complete new content',
+    '- keep every path from the input; do not rename files',
+    '- fix the listed failures without removing gameplay, the Score, Game Over and Victory states',
+    '- no external build tooling, no network requests, no console.error in game code',
+    'Fix instructions by failure code:',
+    ...codes.map((code) => `- ${code}: ${REPAIR_HINTS[code] || GENERIC_HINT}`),
+    'First output char must be { and last output char must be }.'
+  ].join('\n');
+
+  let budget = MAX_PROMPT_FILE_CHARS;
+  const fileBlocks = files.map((file) => {
+    const content = String(file?.content || '');
+    const included = content.slice(0, Math.max(0, budget));
+    budget -= included.length;
+    const cut = included.length < content.length ? '\n[truncated]' : '';
+    return `--- ${file.path}\n${included}${cut}`;
+  });
+  const failureLines = failures.slice(0, MAX_PROMPT_FAILURES).map((failure) => (
+    `- ${failure?.code || 'UNKNOWN'}: ${truncate(failure?.detail, MAX_FAILURE_DETAIL_CHARS)}`
+  ));
+  const user = [
+    `mode=${mode}`,
+    `controls=${JSON.stringify(designerSpec?.controls || [])}`,
+    `win_condition=${designerSpec?.winCondition || ''}`,
+    'failures:',
+    ...failureLines,
+    'files:',
+    ...fileBlocks
+  ].join('\n');
+  return { system, user, codes };
+}
+
+/**
+ * Merges a repair reply into the current files. Paths must already exist,
+ * except in multi mode where new files under the repo are allowed. Returns
+ * the merged file list and the paths whose content changed, or an `error`
+ * when the reply does not follow the schema.
+ */
+export function applyRepairOutput(files = [], reply, { mode = 'single' } = {}) {
+  if (!reply || !Array.isArray(reply.files) || !reply.files.length) {
+    return { error: 'files missing' };
+  }
+  const merged = new Map(files.map((file) => [String(file.path), String(file.content ?? '')]));
+  const changed = [];
+  for (const file of reply.files) {
+    const filePath = String(file?.path || '').replace(/^\.?\/+/, '');
+    if (!filePath || filePath.split('/').includes('..') || typeof file?.content !== 'string') {
+      return { error: `invalid file entry: ${filePath || '(empty path)'}` };
+    }
+    if (!merged.has(filePath) && mode === 'single') {
+      return { error: `unknown file: ${filePath}` };
+    }
+    if (merged.get(filePath) !== file.content) {
+      merged.set(filePath, file.content);
+      changed.push(filePath);
+    }
+  }
+  return {
+    files: [...merged].map(([filePath, content]) => ({ path: filePath, content })),
+    changed
+  };
+}
+
+function diffCounts(before, after) {
+  const beforeLines = before.split('\n');
+  const afterLines = after.split('\n');
+  if (beforeLines.length * afterLines.length > MAX_DIFF_CELLS) {
+    return { added: afterLines.length, removed: beforeLines.length, excerpt: [] };
+  }
+  const diff = computeLineDiff(before, after);
+  const changes = diff.filter((line) => line.type !== 'equal');
+  return {
+    added: changes.filter((line) => line.type === 'add').length,
+    removed: changes.filter((line) => line.type === 'remove').length,
+    excerpt: changes
+      .slice(0, MAX_DIFF_EXCERPT_LINES)
+      .map((line) => `${line.type === 'add' ? '+' : '-'} ${truncate(line.text.trim(), 160)}`)
+  };
+}
+
+/**
+ * Per-file line diff between two file lists, for the job summary: added and
+ * removed line counts plus the first few changed lines.
+ */
+export function summarizeRepairDiff(beforeFiles = [], afterFiles = []) {
+  const before = new Map(beforeFiles.map((file) => [String(file.path), String(file.content ?? '')]));
+  return afterFiles
+    .filter((file) => before.get(String(file.path)) !== String(file.content ?? ''))
+    .map((file) => ({
+      path: String(file.path),
+      ...diffCounts(before.get(String(file.path)) ?? '', String(file.content ?? ''))
+    }));
+}
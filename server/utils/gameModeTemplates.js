@@ -0,0 +1,396 @@
+import { createFailure } from './staticVerification.js';
+
+const SPEC_CONSTRAINTS = {
+  autoRun: true,
+  requiresRafLoop: true,
+  noBuildStep: true,
+  noPaidApis: true
+};
+
+// Shared by every reference game: canvas and HUD setup, keys by `event.code`,
+// a seeded RNG, end states and the frame loop. Each game defines `reset`,
+// `onKey`, `update(dt)` and `draw`; function declarations hoist, so the
+// prelude can call them.
+const PRELUDE = `const c=document.getElementById('c');const ctx=c.getContext('2d');const scoreEl=document.getElementById('score');const stateEl=document.getElementById('state');
+let w,h;function resize(){w=c.width=innerWidth;h=c.height=innerHeight;}addEventListener('resize',()=>{resize();reset();});resize();
+const keys={};addEventListener('keydown',e=>{keys[e.code]=true;if(['Space','ArrowUp','ArrowDown','ArrowLeft','ArrowRight'].includes(e.code))e.preventDefault();if(e.code==='KeyR'&&state!=='running'){reset();return;}onKey(e.code);});addEventListener('keyup',e=>{keys[e.code]=false;});
+let seed=1337;const rand=()=>{seed=(seed*1664525+1013904223)>>>0;return seed/4294967296;};
+const clamp=(v,lo,hi)=>Math.max(lo,Math.min(hi,v));
+let state='running',score=0;
+function setScore(v){score=v;scoreEl.textContent=String(Math.floor(score));}
+function start(){state='running';stateEl.textContent='Running';setScore(0);}
+function end(kind){state=kind;stateEl.textContent=kind==='lost'?'Game Over':'Victory';}
+function overlay(){if(state==='running')return;ctx.fillStyle='#000a';ctx.fillRect(0,0,w,h);ctx.fillStyle='#fff';ctx.textAlign='center';ctx.font='28px sans-serif';ctx.fillText(state==='lost'?'Game Over':'Victory',w/2,h/2);ctx.font='14px sans-serif';ctx.fillText('Press R to restart',w/2,h/2+28);ctx.textAlign='left';}`;
+
+const LOOP = `let last=0;function frame(ts){const dt=Math.min(0.05,(ts-(last||ts))/1000);last=ts;if(state==='running')update(dt);draw();overlay();requestAnimationFrame(frame);}
+reset();requestAnimationFrame(frame);`;
+
+const PLATFORMER_JS = `const GRAVITY=1800,SPEED=260,JUMP=660;let player,platforms,coins,enemy,ground;
+function reset(){seed=1337;start();ground=h-40;platforms=[{x:0,y:ground,w:w,h:40}];
+  for(let i=0;i<6;i+=1){platforms.push({x:80+i*(w-220)/6+rand()*30,y:ground-90-(i%3)*70-rand()*20,w:110,h:14});}
+  coins=platforms.slice(1).map(p=>({x:p.x+p.w/2,y:p.y-22,r:8,taken:false}));
+  enemy={x:w*0.6,y:ground-20,w:24,h:20,vx:90};player={x:30,y:ground-30,w:22,h:30,vy:0,onGround:true};}
+function onKey(code){if(state==='running'&&['Space','ArrowUp','KeyW'].includes(code)&&player.onGround){player.vy=-JUMP;player.onGround=false;}}
+function overlaps(a,b){return a.x<b.x+b.w&&a.x+a.w>b.x&&a.y<b.y+b.h&&a.y+a.h>b.y;}
+function update(dt){const dir=((keys.ArrowRight||keys.KeyD)?1:0)-((keys.ArrowLeft||keys.KeyA)?1:0);player.x=clamp(player.x+dir*SPEED*dt,0,w-player.w);
+  const prevBottom=player.y+player.h;player.vy+=GRAVITY*dt;player.y+=player.vy*dt;player.onGround=false;
+  for(const p of platforms){if(player.x+player.w>p.x&&player.x<p.x+p.w&&prevBottom<=p.y&&player.y+player.h>=p.y&&player.vy>=0){player.y=p.y-player.h;player.vy=0;player.onGround=true;}}
+  enemy.x+=enemy.vx*dt;if(enemy.x<w*0.35||enemy.x>w-enemy.w){enemy.vx*=-1;enemy.x=clamp(enemy.x,w*0.35,w-enemy.w);}
+  for(const coin of coins){if(!coin.taken&&Math.abs(player.x+player.w/2-coin.x)<coin.r+player.w/2&&Math.abs(player.y+player.h/2-coin.y)<coin.r+player.h/2){coin.taken=true;setScore(score+100);}}
+  if(overlaps(player,enemy))end('lost');else if(coins.every(coin=>coin.taken))end('win');}
+function draw(){ctx.fillStyle='#10162b';ctx.fillRect(0,0,w,h);ctx.fillStyle='#3b4a7a';platforms.forEach(p=>ctx.fillRect(p.x,p.y,p.w,p.h));
+  ctx.fillStyle='#ffd166';coins.forEach(coin=>{if(!coin.taken){ctx.beginPath();ctx.arc(coin.x,coin.y,coin.r,0,Math.PI*2);ctx.fill();}});
+  ctx.fillStyle='#ef476f';ctx.fillRect(enemy.x,enemy.y,enemy.w,enemy.h);ctx.fillStyle='#6ee7ff';ctx.fillRect(player.x,player.y,player.w,player.h);
+  ctx.fillStyle='#fff';ctx.font='14px sans-serif';ctx.fillText('Coins: '+coins.filter(coin=>coin.taken).length+'/'+coins.length,12,h-14);}`;
+
+const SHOOTER_JS = `const SPEED=240,WIN_SCORE=300;let player,bullets,enemies,spawnIn,health,aim;
+function reset(){seed=7;start();player={x:w/2,y:h/2,r:12};bullets=[];enemies=[];spawnIn=0.6;health=3;aim={x:w/2+100,y:h/2};}
+function shoot(){if(state!=='running')return;const a=Math.atan2(aim.y-player.y,aim.x-player.x);bullets.push({x:player.x,y:player.y,vx:Math.cos(a)*520,vy:Math.sin(a)*520,life:1.2});}
+function onKey(code){if(code==='Space')shoot();}
+addEventListener('pointermove',e=>{aim={x:e.clientX,y:e.clientY};});addEventListener('pointerdown',e=>{aim={x:e.clientX,y:e.clientY};shoot();});
+function update(dt){const dx=((keys.KeyD||keys.ArrowRight)?1:0)-((keys.KeyA||keys.ArrowLeft)?1:0);const dy=((keys.KeyS||keys.ArrowDown)?1:0)-((keys.KeyW||keys.ArrowUp)?1:0);
+  player.x=clamp(player.x+dx*SPEED*dt,player.r,w-player.r);player.y=clamp(player.y+dy*SPEED*dt,player.r,h-player.r);
+  spawnIn-=dt;if(spawnIn<=0){spawnIn=Math.max(0.35,1.1-score/600);const side=Math.floor(rand()*4);const t=rand();
+    enemies.push({x:side===0?-20:side===1?w+20:t*w,y:side===2?-20:side===3?h+20:t*h,r:11,speed:70+rand()*50+score/10});}
+  bullets.forEach(b=>{b.x+=b.vx*dt;b.y+=b.vy*dt;b.life-=dt;});
+  enemies.forEach(e=>{const a=Math.atan2(player.y-e.y,player.x-e.x);e.x+=Math.cos(a)*e.speed*dt;e.y+=Math.sin(a)*e.speed*dt;});
+  for(const e of enemies){for(const b of bullets){if(b.life>0&&Math.hypot(b.x-e.x,b.y-e.y)<e.r+3){b.life=0;e.dead=true;setScore(score+10);}}
+    if(!e.dead&&Math.hypot(player.x-e.x,player.y-e.y)<e.r+player.r){e.dead=true;health-=1;}}
+  bullets=bullets.filter(b=>b.life>0);enemies=enemies.filter(e=>!e.dead);
+  if(health<=0)end('lost');else if(score>=WIN_SCORE)end('win');}
+function draw(){ctx.fillStyle='#0b1020';ctx.fillRect(0,0,w,h);ctx.strokeStyle='#6ee7ff55';ctx.beginPath();ctx.moveTo(player.x,player.y);ctx.lineTo(aim.x,aim.y);ctx.stroke();
+  ctx.fillStyle='#6ee7ff';ctx.beginPath();ctx.arc(player.x,player.y,player.r,0,Math.PI*2);ctx.fill();
+  ctx.fillStyle='#ff5c8a';enemies.forEach(e=>{ctx.beginPath();ctx.arc(e.x,e.y,e.r,0,Math.PI*2);ctx.fill();});
+  ctx.fillStyle='#ffd166';bullets.forEach(b=>ctx.fillRect(b.x-2,b.y-2,4,4));
+  ctx.fillStyle='#fff';ctx.font='14px sans-serif';ctx.fillText('Health: '+health,12,h-14);}`;
+
+const PUZZLE_GRID_JS = `const N=5,MOVE_LIMIT=40;let grid,cursor,moves,pulse;
+function toggle(x,y){[[0,0],[1,0],[-1,0],[0,1],[0,-1]].forEach(([ox,oy])=>{const cx=x+ox,cy=y+oy;if(cx>=0&&cy>=0&&cx<N&&cy<N)grid[cy][cx]=!grid[cy][cx];});}
+function solved(){return grid.every(row=>row.every(on=>!on));}
+function reset(){seed=42;start();grid=Array.from({length:N},()=>Array(N).fill(false));for(let i=0;i<8;i+=1)toggle(Math.floor(rand()*N),Math.floor(rand()*N));if(solved())toggle(2,2);
+  cursor={x:2,y:2};moves=0;pulse=0;setScore(1000);}
+function press(x,y){if(state!=='running')return;toggle(x,y);moves+=1;setScore(Math.max(0,1000-moves*20));if(solved())end('win');else if(moves>=MOVE_LIMIT)end('lost');}
+function layout(){const size=Math.min(w,h)*0.7/N;return{size,ox:(w-size*N)/2,oy:(h-size*N)/2};}
+function onKey(code){const move={ArrowLeft:[-1,0],KeyA:[-1,0],ArrowRight:[1,0],KeyD:[1,0],ArrowUp:[0,-1],KeyW:[0,-1],ArrowDown:[0,1],KeyS:[0,1]}[code];
+  if(move){cursor.x=clamp(cursor.x+move[0],0,N-1);cursor.y=clamp(cursor.y+move[1],0,N-1);}else if(code==='Space'||code==='Enter')press(cursor.x,cursor.y);}
+c.addEventListener('pointerdown',e=>{const{size,ox,oy}=layout();const x=Math.floor((e.clientX-ox)/size),y=Math.floor((e.clientY-oy)/size);if(x>=0&&y>=0&&x<N&&y<N){cursor={x,y};press(x,y);}});
+function update(dt){pulse+=dt;}
+function draw(){ctx.fillStyle='#141226';ctx.fillRect(0,0,w,h);const{size,ox,oy}=layout();
+  for(let y=0;y<N;y+=1){for(let x=0;x<N;x+=1){ctx.fillStyle=grid[y][x]?'#ffd166':'#2b2750';ctx.fillRect(ox+x*size+3,oy+y*size+3,size-6,size-6);}}
+  ctx.strokeStyle='rgba(110,231,255,'+(0.6+0.4*Math.sin(pulse*6))+')';ctx.lineWidth=3;ctx.strokeRect(ox+cursor.x*size+1,oy+cursor.y*size+1,size-2,size-2);
+  ctx.fillStyle='#fff';ctx.font='14px sans-serif';ctx.fillText('Moves: '+moves+'/'+MOVE_LIMIT,12,h-14);}`;
+
+const RUNNER_JS = `const GRAVITY=2000,JUMP=720,WIN_DISTANCE=1500;let runner,obstacles,speed,spawnIn;
+function groundY(){return h*0.75;}
+function reset(){seed=99;start();runner={x:w*0.15,y:groundY()-34,w:26,h:34,vy:0};obstacles=[];speed=320;spawnIn=1;}
+function jump(){if(state==='running'&&runner.y>=groundY()-runner.h-0.5)runner.vy=-JUMP;}
+function onKey(code){if(['Space','ArrowUp','KeyW'].includes(code))jump();}
+addEventListener('pointerdown',jump);
+function update(dt){speed+=12*dt;setScore(score+speed*dt/10);runner.vy+=GRAVITY*dt;runner.y=Math.min(groundY()-runner.h,runner.y+runner.vy*dt);if(runner.y>=groundY()-runner.h)runner.vy=0;
+  spawnIn-=dt;if(spawnIn<=0){spawnIn=0.9+rand()*0.9;const tall=rand()<0.4;obstacles.push({x:w+20,w:18+rand()*16,h:tall?54:30});}
+  obstacles.forEach(o=>{o.x-=speed*dt;});obstacles=obstacles.filter(o=>o.x+o.w>-10);
+  if(obstacles.some(o=>runner.x<o.x+o.w&&runner.x+runner.w>o.x&&runner.y+runner.h>groundY()-o.h))end('lost');else if(score>=WIN_DISTANCE)end('win');}
+function draw(){ctx.fillStyle='#0d1b2a';ctx.fillRect(0,0,w,h);const g=groundY();ctx.fillStyle='#1b263b';ctx.fillRect(0,g,w,h-g);
+  ctx.fillStyle='#415a77';for(let x=-((score*10)%80);x<w;x+=80)ctx.fillRect(x,g+10,40,4);
+  ctx.fillStyle='#ef476f';obstacles.forEach(o=>ctx.fillRect(o.x,g-o.h,o.w,o.h));ctx.fillStyle='#06d6a0';ctx.fillRect(runner.x,runner.y,runner.w,runner.h);
+  ctx.fillStyle='#fff';ctx.font='14px sans-serif';ctx.fillText('Distance: '+Math.floor(score)+'/'+WIN_DISTANCE,12,h-14);}`;
+
+const CARD_GAME_JS = `const COLS=4,ROWS=3,MISS_LIMIT=8,SYMBOLS=['♠','♥','♦','♣','★','●'];let cards,flipped,cursor,misses,lockFor;
+function reset(){seed=2024;start();const deck=[...SYMBOLS,...SYMBOLS];for(let i=deck.length-1;i>0;i-=1){const j=Math.floor(rand()*(i+1));[deck[i],deck[j]]=[deck[j],deck[i]];}
+  cards=deck.map(symbol=>({symbol,faceUp:false,matched:false}));flipped=[];cursor=0;misses=0;lockFor=0;}
+function flip(index){const card=cards[index];if(state!=='running'||lockFor>0||!card||card.faceUp||card.matched)return;card.faceUp=true;flipped.push(index);
+  if(flipped.length<2)return;const[a,b]=flipped.map(i=>cards[i]);
+  if(a.symbol===b.symbol){a.matched=b.matched=true;flipped=[];setScore(score+50);if(cards.every(card=>card.matched))end('win');}
+  else{misses+=1;setScore(Math.max(0,score-5));lockFor=0.7;if(misses>=MISS_LIMIT)end('lost');}}
+function layout(){const cw=Math.min(w/(COLS+1),h/(ROWS+1)*0.7),ch=cw*1.4;return{cw,ch,ox:(w-COLS*(cw+12))/2,oy:(h-ROWS*(ch+12))/2};}
+function onKey(code){const step={ArrowLeft:-1,KeyA:-1,ArrowRight:1,KeyD:1,ArrowUp:-COLS,KeyW:-COLS,ArrowDown:COLS,KeyS:COLS}[code];
+  if(step)cursor=(cursor+step+cards.length)%cards.length;else if(code==='Space'||code==='Enter')flip(cursor);}
+c.addEventListener('pointerdown',e=>{const{cw,ch,ox,oy}=layout();const col=Math.floor((e.clientX-ox)/(cw+12)),row=Math.floor((e.clientY-oy)/(ch+12));if(col>=0&&row>=0&&col<COLS&&row<ROWS){cursor=row*COLS+col;flip(cursor);}});
+function update(dt){if(lockFor>0){lockFor-=dt;if(lockFor<=0){flipped.forEach(i=>{cards[i].faceUp=false;});flipped=[];}}}
+function draw(){ctx.fillStyle='#123524';ctx.fillRect(0,0,w,h);const{cw,ch,ox,oy}=layout();ctx.textAlign='center';ctx.font=Math.floor(cw*0.5)+'px sans-serif';
+  cards.forEach((card,i)=>{const x=ox+(i%COLS)*(cw+12),y=oy+Math.floor(i/COLS)*(ch+12);ctx.fillStyle=card.matched?'#2d6a4f':card.faceUp?'#f8f9fa':'#1b4332';ctx.fillRect(x,y,cw,ch);
+    if(card.faceUp||card.matched){ctx.fillStyle=['♥','♦'].includes(card.symbol)?'#d00000':'#111';ctx.fillText(card.symbol,x+cw/2,y+ch/2+cw*0.18);}
+    if(i===cursor){ctx.strokeStyle='#ffd166';ctx.lineWidth=3;ctx.strokeRect(x-3,y-3,cw+6,ch+6);}});
+  ctx.textAlign='left';ctx.fillStyle='#fff';ctx.font='14px sans-serif';ctx.fillText('Misses: '+misses+'/'+MISS_LIMIT,12,h-14);}`;
+
+function spec(fields) {
+  return { schemaVersion: '1.0', ...fields, constraints: { ...SPEC_CONSTRAINTS } };
+}
+
+/**
+ * The genre templates a game-mode job can start from. Each has a designer
+ * spec skeleton that passes validation, a reference game the deterministic
+ * builder ships (and the LLM builder adapts), and `mustHave` checks the
+ * designer's spec has to keep for that genre.
+ */
+export const GAME_MODE_TEMPLATES = {
+  platformer: {
+    label: 'Platformer',
+    description: 'Run and jump across platforms collecting coins while avoiding a patrolling enemy.',
+    script: PLATFORMER_JS,
+    mustHaveChecks: [
+      { label: 'Gravity and jumping', pattern: /\b(gravity|jump)/i },
+      { label: 'Platforms', pattern: /platform/i },
+      { label: 'Collectibles', pattern: /\b(coin|collect|gem|pickup)/i }
+    ],
+    spec: spec({
+      title: 'Skyward Coins',
+      tagline: 'Jump between ledges and grab every coin.',
+      genre: 'platformer',
+      coreLoop: 'Run and jump between platforms to collect coins while dodging the patrolling enemy.',
+      controls: [
+        { input: 'Arrow keys / A D', action: 'Run left and right' },
+        { input: 'Space / W / Arrow Up', action: 'Jump' },
+        { input: 'R', action: 'Restart after the round ends' }
+      ],
+      entities: [
+        { name: 'Runner', role: 'player', notes: 'Affected by gravity; can only jump from the ground or a platform.' },
+        { name: 'Coins', role: 'collectible', notes: 'One above each floating platform.' },
+        { name: 'Patroller', role: 'enemy', notes: 'Walks back and forth along the ground.' }
+      ],
+      mechanics: [
+        { name: 'Gravity and jump', description: 'Constant gravity with a fixed jump impulse.', tuning: ['gravity', 'jumpVelocity', 'runSpeed'] },
+        { name: 'One-way platforms', description: 'Platforms catch the player only when falling onto them.', tuning: ['platformCount', 'platformSpacing'] }
+      ],
+      progression: { type: 'collection', description: 'Each coin adds 100 points; the level is cleared when all are collected.' },
+      winCondition: 'Collect every coin to reach the full score.',
+      loseCondition: 'Touching the patrolling enemy.',
+      mustHave: ['Score UI', 'Game Over state', 'Victory state', 'Gravity and jump physics', 'Platforms to land on', 'Coins to collect']
+    })
+  },
+  'top-down-shooter': {
+    label: 'Top-down shooter',
+    description: 'Move with WASD, aim with the mouse and hold off waves of enemies closing in.',
+    script: SHOOTER_JS,
+    mustHaveChecks: [
+      { label: 'Shooting', pattern: /\b(shoot|shot|bullet|projectile|fire)/i },
+      { label: 'Enemy waves', pattern: /\b(enem|wave|spawn)/i },
+      { label: 'Player health', pattern: /\b(health|lives|hp|hit points)/i }
+    ],
+    spec: spec({
+      title: 'Swarm Breaker',
+      tagline: 'Hold the center against an endless swarm.',
+      genre: 'top-down shooter',
+      coreLoop: 'Move, aim and shoot enemies that spawn from the edges and chase the player.',
+      controls: [
+        { input: 'WASD / Arrow keys', action: 'Move' },
+        { input: 'Mouse', action: 'Aim and click to shoot' },
+        { input: 'Space', action: 'Shoot toward the cursor' }
+      ],
+      entities: [
+        { name: 'Gunner', role: 'player', notes: 'Has three health points.' },
+        { name: 'Chasers', role: 'enemy', notes: 'Spawn at the edges and move toward the player.' },
+        { name: 'Bullets', role: 'projectile', notes: 'Travel toward the cursor and expire after a second.' }
+      ],
+      mechanics: [
+        { name: 'Twin-stick aiming', description: 'Movement and aim are independent.', tuning: ['moveSpeed', 'bulletSpeed'] },
+        { name: 'Escalating spawns', description: 'Enemies spawn faster and move quicker as the score rises.', tuning: ['spawnInterval', 'enemySpeed'] }
+      ],
+      progression: { type: 'waves', description: 'Spawn pressure grows with the score.' },
+      winCondition: 'Reach 300 points by shooting enemies.',
+      loseCondition: 'Health drops to zero after enemy contact.',
+      mustHave: ['Score UI', 'Game Over state', 'Victory state', 'Shooting toward the cursor', 'Enemy waves spawning from the edges', 'Player health']
+    })
+  },
+  'puzzle-grid': {
+    label: 'Puzzle grid',
+    description: 'Toggle lights on a 5x5 grid until every light is off, within a move limit.',
+    script: PUZZLE_GRID_JS,
+    mustHaveChecks: [
+      { label: 'Grid board', pattern: /\b(grid|board|tiles?|cells?)\b/i },
+      { label: 'Move counter', pattern: /\bmoves?\b/i },
+      { label: 'Solved check', pattern: /\b(solve|solved|cleared|complete)/i }
+    ],
+    spec: spec({
+      title: 'Lights Out Grid',
+      tagline: 'Every press flips a cross of lights.',
+      genre: 'puzzle grid',
+      coreLoop: 'Pick a cell to flip it and its neighbours until the whole grid is dark.',
+      controls: [
+        { input: 'Arrow keys / WASD', action: 'Move the cursor' },
+        { input: 'Space / Enter', action: 'Flip the selected cell' },
+        { input: 'Mouse click', action: 'Flip a cell directly' }
+      ],
+      entities: [
+        { name: 'Grid', role: 'board', notes: '5x5 cells, scrambled from a solved state so it is always solvable.' },
+        { name: 'Cursor', role: 'player', notes: 'Highlights the selected cell.' }
+      ],
+      mechanics: [
+        { name: 'Cross toggle', description: 'A press flips the cell and its four neighbours.', tuning: ['gridSize', 'scrambleMoves'] },
+        { name: 'Move budget', description: 'Each move costs points; running out of moves ends the game.', tuning: ['moveLimit', 'pointsPerMove'] }
+      ],
+      progression: { type: 'puzzle', description: 'Fewer moves keep a higher score.' },
+      winCondition: 'Turn off every light; the score is what is left of 1000 after move costs.',
+      loseCondition: 'Using all 40 moves without solving the grid.',
+      mustHave: ['Score UI', 'Game Over state', 'Victory state', 'Grid of cells', 'Move counter', 'Solved check after every move']
+    })
+  },
+  'endless-runner': {
+    label: 'Endless runner',
+    description: 'Auto-run along the ground and jump over obstacles as the speed climbs.',
+    script: RUNNER_JS,
+    mustHaveChecks: [
+      { label: 'Obstacles', pattern: /\b(obstacle|hazard|barrier)/i },
+      { label: 'Jump', pattern: /\bjump/i },
+      { label: 'Rising speed or distance', pattern: /\b(speed|distance|faster)/i }
+    ],
+    spec: spec({
+      title: 'Dash Horizon',
+      tagline: 'Keep running. It only gets faster.',
+      genre: 'endless runner',
+      coreLoop: 'The runner moves on its own; jump over obstacles while the speed keeps rising.',
+      controls: [
+        { input: 'Space / Arrow Up / W', action: 'Jump' },
+        { input: 'Mouse click / Touch', action: 'Jump' }
+      ],
+      entities: [
+        { name: 'Runner', role: 'player', notes: 'Fixed horizontal position; only jumps.' },
+        { name: 'Blocks', role: 'obstacle', notes: 'Short and tall variants scroll in from the right.' }
+      ],
+      mechanics: [
+        { name: 'Auto-scroll', description: 'World speed increases steadily over time.', tuning: ['startSpeed', 'acceleration'] },
+        { name: 'Single jump', description: 'Jumping is only possible from the ground.', tuning: ['gravity', 'jumpVelocity'] }
+      ],
+      progression: { type: 'distance', description: 'Distance travelled is the score.' },
+      winCondition: 'Reach a distance of 1500.',
+      loseCondition: 'Hitting an obstacle.',
+      mustHave: ['Score UI', 'Game Over state', 'Victory state', 'Obstacles to jump over', 'Jump on key or tap', 'Speed increases with distance']
+    })
+  },
+  'card-game': {
+    label: 'Card game',
+    description: 'Flip cards to find matching pairs before running out of misses.',
+    script: CARD_GAME_JS,
+    mustHaveChecks: [
+      { label: 'Cards or deck', pattern: /\b(cards?|deck)\b/i },
+      { label: 'Flip or draw', pattern: /\b(flip|draw|deal)/i },
+      { label: 'Pairs or hands', pattern: /\b(pair|match|hand|trick)/i }
+    ],
+    spec: spec({
+      title: 'Pair Up',
+      tagline: 'Remember where every suit is hiding.',
+      genre: 'card game',
+      coreLoop: 'Flip two cards per turn; matching pairs stay up, mismatches flip back.',
+      controls: [
+        { input: 'Mouse click', action: 'Flip a card' },
+        { input: 'Arrow keys / WASD', action: 'Move the selection' },
+        { input: 'Space / Enter', action: 'Flip the selected card' }
+      ],
+      entities: [
+        { name: 'Deck', role: 'board', notes: 'Six pairs of suit symbols, shuffled with a seeded RNG.' },
+        { name: 'Selection', role: 'player', notes: 'Highlights the card keyboard input acts on.' }
+      ],
+      mechanics: [
+        { name: 'Pair matching', description: 'Two face-up cards with the same symbol stay matched.', tuning: ['pairCount', 'pointsPerPair'] },
+        { name: 'Miss limit', description: 'Mismatches flip back after a short delay and count against a limit.', tuning: ['missLimit', 'revealDelay'] }
+      ],
+      progression: { type: 'collection', description: 'Each pair adds 50 points; misses cost 5.' },
+      winCondition: 'Match every pair; the score counts pairs found minus misses.',
+      loseCondition: 'Eight mismatches.',
+      mustHave: ['Score UI', 'Game Over state', 'Victory state', 'Deck of cards', 'Flip two cards per turn', 'Matched pairs stay face up']
+    })
+  }
+};
+
+export function getGameModeTemplate(templateId) {
+  return Object.hasOwn(GAME_MODE_TEMPLATES, templateId) ? GAME_MODE_TEMPLATES[templateId] : null;
+}
+
+export function listGameModeTemplates() {
+  return Object.entries(GAME_MODE_TEMPLATES).map(([id, template]) => ({
+    id,
+    label: template.label,
+    description: template.description
+  }));
+}
+
+/**
+ * The template's spec skeleton, tagged with its id. A prompt replaces the
+ * title; everything else stays as the template defines it.
+ */
+export function buildTemplateDesignerSpec(templateId, { prompt = '' } = {}) {
+  const template = getGameModeTemplate(templateId);
+  if (!template) {
+    return null;
+  }
+  const trimmed = String(prompt || '').trim();
+  return {
+    ...structuredClone(template.spec),
+    ...(trimmed ? { title: trimmed.slice(0, 40) } : {}),
+    template: templateId
+  };
+}
+
+/**
+ * Genre checks for `validateDesignerSpec`: a spec built from a template must
+ * still name what makes the genre playable in its `mustHave` list.
+ */
+export function checkTemplateMustHave(spec, templateId) {
+  const template = getGameModeTemplate(templateId);
+  if (!template) {
+    return [];
+  }
+  const mustHave = Array.isArray(spec?.mustHave) ? spec.mustHave.map(String).join(' | ') : '';
+  return template.mustHaveChecks
+    .filter((check) => !check.pattern.test(mustHave))
+    .map((check) => createFailure('DESIGN_TEMPLATE_MISSING', `mustHave lacks "${check.label}" required by the ${template.label.toLowerCase()} template`));
+}
+
+function escapeTitle(title) {
+  return String(title || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').slice(0, 120);
+}
+
+export function buildTemplateGameHtml(templateId, { title } = {}) {
+  const template = getGameModeTemplate(templateId);
+  if (!template) {
+    return null;
+  }
+  const safeTitle = escapeTitle(title || template.spec.title);
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${safeTitle}</title>
+  <style>html,body{margin:0;height:100%;overflow:hidden;background:#0b1020;color:#fff;font-family:Inter,system-ui}canvas{display:block;width:100vw;height:100vh}#hud,#state{position:fixed;top:12px;background:#0008;padding:8px 10px;border-radius:8px;font-size:12px}#hud{left:12px}#state{right:12px}</style>
+</head>
+<body>
+  <canvas id="c"></canvas>
+  <div id="hud">Score: <span id="score">0</span></div>
+  <div id="state">Running</div>
+  <script>
+${PRELUDE}
+${template.script}
+${LOOP}
+  </script>
+</body>
+</html>`;
+}
+
+/**
+ * The reference builder output for a template: the game as one HTML file,
+ * or in multi mode the same page plus a README with controls and deploy
+ * steps.
+ */
+export function buildTemplateBuilderOutput(templateId, designerSpec, mode = 'single') {
+  const html = buildTemplateGameHtml(templateId, { title: designerSpec?.title });
+  if (!html) {
+    return null;
+  }
+  if (mode === 'single') {
+    return { mode: 'single', files: [{ path: 'index.html', content: html }], entry: 'index.html' };
+  }
+  const template = getGameModeTemplate(templateId);
+  const controls = (designerSpec?.controls || template.spec.controls)
+    .map((control) => `- ${control.input}: ${control.action}`)
+    .join('\n');
+  const readme = `# ${escapeTitle(designerSpec?.title || template.spec.title)}\n\n${template.description}\n\n## Controls\n${controls}\n\n## Run locally\n\n\`\`\`bash\npython -m http.server 8080\n\`\`\`\n\n## Deploy\nUse GitHub Pages from the repo root.\n`;
+  return {
+    mode: 'multi',
+    files: [
+      { path: 'index.html', content: html },
+      { path: 'README.md', content: readme }
+    ],
+    entry: 'index.html'
+  };
+}
@@ -0,0 +1,64 @@
+import {
+  GLYPH_SCHEMA_VERSION,
+  compileGlyphsWithDiagnostics,
+  decompileGlyphs,
+  validateGlyphState
+} from '../../utils/glyphs.js';
+
+function parseGlyphState(raw) {
+  if (!raw) {
+    return null;
+  }
+  if (typeof raw === 'string') {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return undefined;
+    }
+  }
+  return raw;
+}
+
+/**
+ * Compiles the request's glyph delta on top of the state the client last
+ * received. Invalid input never blocks the turn: bad lines are dropped and
+ * reported, and an invalid base state is replaced by an empty one.
+ */
+export function resolveGlyphContext({ glyphSurface = '', glyphState = null } = {}) {
+  const diagnostics = [];
+  let previousState = parseGlyphState(glyphState);
+  if (previousState === undefined) {
+    diagnostics.push({ line: null, severity: 'error', code: 'invalid_json', message: 'glyph state is not valid JSON' });
+    previousState = null;
+  }
+  if (previousState) {
+    const { errors } = validateGlyphState({ schema: GLYPH_SCHEMA_VERSION, ...previousState });
+    if (errors.length) {
+      errors.forEach((error) => diagnostics.push({ line: null, severity: 'error', ...error }));
+      previousState = null;
+    }
+  }
+  const surface = typeof glyphSurface === 'string' ? glyphSurface : '';
+  if (!surface.trim() && !previousState) {
+    return { state: null, delta: '', diagnostics };
+  }
+  const compiled = compileGlyphsWithDiagnostics(surface, previousState || {});
+  return {
+    state: compiled.state,
+    delta: decompileGlyphs(compiled.state, previousState || {}),
+    diagnostics: [...diagnostics, ...compiled.diagnostics]
+  };
+}
+
+export function prependGlyphHeader(messages = [], header = '') {
+  if (!header || !Array.isArray(messages)) {
+    return messages;
+  }
+  const lastUserIndex = messages.map((message) => message?.role).lastIndexOf('user');
+  if (lastUserIndex === -1 || typeof messages[lastUserIndex].content !== 'string') {
+    return messages;
+  }
+  return messages.map((message, index) => (index === lastUserIndex
+    ? { ...message, content: `${header}\n\n${message.content}` }
+    : message));
+}
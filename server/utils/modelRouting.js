@@ -0,0 +1,96 @@
+/**
+ * Plan-policy model routing. The lookups (`fetchPlanPolicy`, `isPremiumModel`,
+ * `fetchFirstNonPremiumModel`, `fetchFirstPremiumModel`,
+ * `fetchCheapestAllowedModel`, `fetchMonthlyQuota`) are injected so the same
+ * rules run against Postgres in the server and against fixed tables in evals.
+ * Logging the decision and the experiment exposure is left to the caller.
+ */
+export async function selectRoutedModel({
+  user,
+  intentType,
+  requestedModel,
+  glyphState = null,
+  lookups,
+  resolveExperiment = null
+}) {
+  const plan = user.plan_tier || 'free';
+  const policy = await lookups.fetchPlanPolicy({ plan, intentType });
+  if (!policy) {
+    return { model: requestedModel, candidate: null, reason: 'policy_default', plan, policy: null, experiment: null };
+  }
+
+  let reason = 'policy_default';
+  let candidate = requestedModel && policy.allowed_models?.includes(requestedModel)
+    ? requestedModel
+    : policy.preferred_models?.[0];
+
+  if (candidate && !(policy.allowed_models || []).includes(candidate)) {
+    candidate = policy.allowed_models?.[0];
+  }
+
+  if (candidate && await lookups.isPremiumModel(candidate) && !policy.premium_allowed) {
+    const nonPremium = await lookups.fetchFirstNonPremiumModel([
+      ...(policy.preferred_models || []),
+      ...(policy.allowed_models || [])
+    ]);
+    if (nonPremium) {
+      candidate = nonPremium;
+      reason = 'premium_blocked';
+    }
+  }
+
+  const modelClass = glyphState?.routing?.model_class;
+  if (modelClass === 'cheap') {
+    const cheapest = await lookups.fetchCheapestAllowedModel(policy.allowed_models || []);
+    if (cheapest) {
+      candidate = cheapest;
+      reason = 'glyph_model_class';
+    }
+  } else if (modelClass === 'premium' && policy.premium_allowed) {
+    const premium = await lookups.fetchFirstPremiumModel([
+      ...(policy.preferred_models || []),
+      ...(policy.allowed_models || [])
+    ]);
+    if (premium) {
+      candidate = premium;
+      reason = 'glyph_model_class';
+    }
+  }
+
+  let experiment = null;
+  if (reason !== 'glyph_model_class' && resolveExperiment) {
+    experiment = await resolveExperiment({ plan, policy, candidate });
+    if (experiment) {
+      candidate = experiment.model;
+      if (!experiment.control) {
+        reason = 'experiment';
+      }
+    }
+  }
+
+  const quota = await lookups.fetchMonthlyQuota({ userId: user.user_id, plan });
+  const usageRatio = quota?.monthly_credits
+    ? Number(quota.normalized_credits_used || 0) / Number(quota.monthly_credits)
+    : 0;
+
+  if (policy.allow_fallback && usageRatio >= 0.9) {
+    const cheapest = await lookups.fetchCheapestAllowedModel(policy.allowed_models || []);
+    if (cheapest) {
+      candidate = cheapest;
+      reason = 'quota_fallback';
+    }
+  }
+
+  if (candidate && !(policy.allowed_models || []).includes(candidate)) {
+    candidate = policy.allowed_models?.[policy.allowed_models.length - 1];
+    reason = 'policy_default';
+  }
+
+  // Quota or policy overrides take the request out of the experiment: the
+  // exposure would otherwise be attributed to a model the user never saw.
+  if (experiment && experiment.model !== candidate) {
+    experiment = null;
+  }
+
+  return { model: candidate || requestedModel, candidate: candidate || null, reason, plan, policy, experiment };
+}
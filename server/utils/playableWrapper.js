@@ -1,5 +1,14 @@
+import { chunkSource, expandWithDependencies } from '../../utils/codeChunker.js';
+import { promptTemplateRegistry } from '../../utils/promptTemplates.js';
+
 const DEFAULT_CODE_CHAR_LIMIT = 1200;
+const GAMEPLAY_KEYWORDS = /\b(function|class|const|let|var|if|for|while|switch|return|addEventListener|keydown|keyup|click|mousedown|mouseup|canvas|requestAnimationFrame)\b/g;
 
+/**
+ * Keeps whole declarations that drive gameplay (input handlers, the render
+ * loop, canvas setup), preferring the most keyword-dense ones, then adds the
+ * declarations they reference while the budget allows.
+ */
 export function selectRelevantPlayableCode(code = '', maxChars = DEFAULT_CODE_CHAR_LIMIT) {
   const normalized = String(code || '').trim();
   if (!normalized) {
@@ -10,61 +19,61 @@ export function selectRelevantPlayableCode(code = '', maxChars = DEFAULT_CODE_CH
     return normalized;
   }
 
-  const lines = normalized.split('\n');
-  const selected = [];
-  let size = 0;
-
-  const pushLine = (line) => {
-    if (size >= maxChars) {
-      return;
-    }
-    const next = line.length + 1;
-    if (size + next <= maxChars || selected.length === 0) {
-      selected.push(line);
-      size += next;
-    }
-  };
-
-  for (const line of lines) {
-    if (/\b(function|class|const|let|var|if|for|while|switch|return|addEventListener|keydown|keyup|click|mousedown|mouseup|canvas|requestAnimationFrame)\b/.test(line)) {
-      pushLine(line);
-    }
+  const chunks = chunkSource(normalized, { maxChunkChars: maxChars });
+  const sizeOf = (selection) => selection.reduce((sum, chunk) => sum + chunk.content.length + 1, 0);
+  const ranked = chunks
+    .map((chunk, index) => ({
+      chunk,
+      index,
+      score: (chunk.content.match(GAMEPLAY_KEYWORDS) || []).length / Math.sqrt(chunk.content.length)
+    }))
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score || b.index - a.index)
+    .map((entry) => entry.chunk);
+  if (!ranked.length) {
+    return normalized.slice(-maxChars);
   }
 
-  for (let index = lines.length - 1; index >= 0 && size < maxChars; index -= 1) {
-    pushLine(lines[index]);
+  const selected = [];
+  ranked.forEach((chunk) => {
+    if (sizeOf([...selected, chunk]) <= maxChars) {
+      selected.push(chunk);
+    }
+  });
+  if (!selected.length) {
+    return ranked[0].content.slice(0, maxChars);
   }
 
-  return selected.join('\n').slice(0, maxChars);
+  const withDependencies = expandWithDependencies(selected, chunks, {
+    maxChars: maxChars - selected.length
+  });
+  return withDependencies.map((chunk) => chunk.content).join('\n').slice(0, maxChars);
 }
 
-export function buildPlayablePrompt({ prompt = '', code = '' } = {}) {
+export function buildPlayablePrompt({ prompt = '', code = '', templates = promptTemplateRegistry } = {}) {
   const normalizedPrompt = String(prompt || '').trim();
   const relevantCode = selectRelevantPlayableCode(code);
 
-  return `You are an AI game designer and rapid gameplay prototyper.
-Transform the user request into a practical interactive game experience that can be implemented immediately.
-
-Execution goals:
-1. Identify a clear objective (win condition), a failure condition, and a core gameplay loop.
-2. Define progression with escalating challenge (difficulty curve, levels, waves, or unlocks).
-3. Specify mechanics and controls with explicit keyboard and/or mouse inputs.
-4. Add feedback loops (visual/audio/state updates) so each player action has an observable result.
-5. Include reward systems such as points, multipliers, resources, combo chains, or risk/reward tradeoffs.
-6. Keep the design scope tight enough to be runnable in a single-session prototype.
-
-Output contract:
-- Provide implementation-ready instructions and concrete behavior details.
-- Prioritize deterministic rules, concrete variables, and event flow over vague ideas.
-- Mention objective, mechanics, controls, progression, and feedback by name in the response.
-- If relevant code context is provided, adapt and extend it instead of replacing everything blindly.
-- If the request is ambiguous, do not ask follow-up questions; choose sensible defaults and state assumptions briefly.
-- End with a short "Design rationale" section explaining major game decisions.
-
-User prompt:
-${normalizedPrompt || '(none provided)'}
+  return templates.render('playable.game_design', {
+    prompt: normalizedPrompt || '(none provided)',
+    code: relevantCode || '(none provided)'
+  }).text;
+}
 
-Relevant code context:
-${relevantCode || '(none provided)'}
-`;
+/**
+ * True when a reply describes at least three of objective, controls, feedback
+ * and game loop; playable replies that miss get one reinforcement pass.
+ */
+export function responseIncludesPlayableElements(text = '') {
+  const normalized = String(text || '').toLowerCase();
+  if (!normalized) {
+    return false;
+  }
+  const checks = [
+    /objective|goal|win condition/,
+    /mechanic|controls|input|mouse|keyboard|click/,
+    /reward|score|points|progress|feedback/,
+    /game|level|challenge|loop/
+  ];
+  return checks.filter((pattern) => pattern.test(normalized)).length >= 3;
 }
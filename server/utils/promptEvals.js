@@ -0,0 +1,361 @@
+import crypto from 'node:crypto';
+import { calculateCreditsUsed } from '../../api/credits.js';
+import { normalizeCodeFiles } from '../../utils/codeFiles.js';
+import { hashLlmRequest } from '../../utils/llmProviders.js';
+import { computeLineDiff } from '../../utils/lineDiff.js';
+import { promptTemplateRegistry } from '../../utils/promptTemplates.js';
+import { applyChatPromptWrappers, buildChatContext, resolveChatContextBudget } from './chatPipeline.js';
+import { selectRoutedModel } from './modelRouting.js';
+import { responseIncludesPlayableElements } from './playableWrapper.js';
+import { verifySingleFile } from './staticVerification.js';
+
+export const EVAL_REPORT_VERSION = 1;
+const DEFAULT_EVAL_MODEL = 'gpt-4.1-mini';
+
+/**
+ * Splits a reply into chat text and code the way the editor does
+ * (`extractTextAndCode` in app.js): a fenced block, or a bare HTML document
+ * with an optional leading `<!--CHAT: ... -->` line.
+ */
+export function extractReplyCode(raw) {
+  const text = String(raw ?? '').trim();
+  const fence = text.match(/```(?:html|xml|svg|javascript|js|css)?\s*([\s\S]*?)```/i);
+  if (fence) {
+    return fence[1].trim();
+  }
+  if (/<!doctype html>|<html[\s>]|<script[\s>]/i.test(text)) {
+    return text.replace(/^<!--\s*CHAT:\s*[\s\S]*?\s*-->\s*/i, '').trim();
+  }
+  return '';
+}
+
+/**
+ * Graders score one case; a case may list the `graders` that apply to it.
+ * `score` is compared across reports in the grader's `direction`; `passed` is
+ * null when the case sets no threshold.
+ */
+export const DEFAULT_EVAL_GRADERS = [
+  {
+    name: 'runnable_html',
+    direction: 'higher',
+    async grade({ replyCode }) {
+      if (!replyCode) {
+        return { score: 0, passed: false, detail: { failures: ['NO_HTML'] } };
+      }
+      const result = await verifySingleFile(replyCode);
+      return {
+        score: result.passed ? 1 : 0,
+        passed: result.passed,
+        detail: { failures: result.failures.map((failure) => failure.code) }
+      };
+    }
+  },
+  {
+    name: 'playable_elements',
+    direction: 'higher',
+    async grade({ output }) {
+      const passed = responseIncludesPlayableElements(output);
+      return { score: passed ? 1 : 0, passed, detail: null };
+    }
+  },
+  {
+    name: 'token_cost',
+    direction: 'lower',
+    async grade({ testCase, metrics }) {
+      const limit = Number(testCase.expect?.max_credits);
+      return {
+        score: metrics.credits,
+        passed: Number.isFinite(limit) ? metrics.credits <= limit : null,
+        detail: { input_tokens: metrics.input_tokens, output_tokens: metrics.output_tokens }
+      };
+    }
+  },
+  {
+    name: 'diff_size',
+    direction: 'lower',
+    async grade({ testCase, replyCode, baseCode }) {
+      if (!replyCode) {
+        return { score: 0, passed: null, detail: { added: 0, removed: 0 } };
+      }
+      const diff = baseCode
+        ? computeLineDiff(baseCode, replyCode)
+        : replyCode.split('\n').map((text) => ({ type: 'add', text }));
+      const added = diff.filter((entry) => entry.type === 'add').length;
+      const removed = diff.filter((entry) => entry.type === 'remove').length;
+      const limit = Number(testCase.expect?.max_diff_lines);
+      return {
+        score: added + removed,
+        passed: Number.isFinite(limit) ? added + removed <= limit : null,
+        detail: { added, removed }
+      };
+    }
+  }
+];
+
+/**
+ * Routing lookups over a dataset's `routing` tables, in the shape
+ * `selectRoutedModel` expects from Postgres.
+ */
+export function createStaticRoutingLookups({ policies = {}, models = {}, quotas = {} } = {}) {
+  const isActive = (model) => models[model] && models[model].active !== false;
+  const costOf = (model) => Number(models[model]?.cost_per_1k_input_tokens || 0) + Number(models[model]?.cost_per_1k_output_tokens || 0);
+  return {
+    async fetchPlanPolicy({ plan, intentType }) {
+      const byIntent = policies[plan] || {};
+      return byIntent[intentType === 'code' ? 'code' : 'text'] || byIntent.any || null;
+    },
+    async isPremiumModel(model) {
+      return Boolean(models[model]?.is_premium);
+    },
+    async fetchFirstNonPremiumModel(list = []) {
+      return list.find((model) => isActive(model) && !models[model].is_premium) || null;
+    },
+    async fetchFirstPremiumModel(list = []) {
+      return list.find((model) => isActive(model) && models[model].is_premium) || null;
+    },
+    async fetchCheapestAllowedModel(list = []) {
+      return list.filter(isActive).sort((a, b) => costOf(a) - costOf(b))[0] || null;
+    },
+    async fetchMonthlyQuota({ plan }) {
+      return quotas[plan] || null;
+    }
+  };
+}
+
+function validateEvalCase(testCase, index) {
+  const errors = [];
+  const label = testCase?.id || `case ${index + 1}`;
+  if (!testCase?.id || typeof testCase.id !== 'string') {
+    errors.push(`${label}: id is required`);
+  }
+  if (!Array.isArray(testCase?.messages) || !testCase.messages.some((message) => message?.role === 'user')) {
+    errors.push(`${label}: messages must include a user message`);
+  }
+  return errors;
+}
+
+export function normalizeEvalDataset(input = {}) {
+  const cases = Array.isArray(input.cases) ? input.cases : [];
+  const errors = [];
+  if (!input.name) {
+    errors.push('dataset name is required');
+  }
+  if (!cases.length) {
+    errors.push('dataset has no cases');
+  }
+  const ids = new Set();
+  cases.forEach((testCase, index) => {
+    errors.push(...validateEvalCase(testCase, index));
+    if (ids.has(testCase?.id)) {
+      errors.push(`${testCase.id}: duplicate case id`);
+    }
+    ids.add(testCase?.id);
+  });
+  return { dataset: { ...input, cases }, errors };
+}
+
+function hashDataset(dataset) {
+  return crypto.createHash('sha256').update(JSON.stringify(dataset)).digest('hex').slice(0, 16);
+}
+
+// The editor prepends its studio system prompt; cases that carry their own
+// system message keep it.
+function withClientSystemPrompt(messages, intentType) {
+  if (messages[0]?.role === 'system') {
+    return messages;
+  }
+  const templateId = intentType === 'code' || intentType === 'fix' ? 'studio.system.execution' : 'studio.system.chat';
+  return [
+    { role: 'system', content: promptTemplateRegistry.render(templateId, { constraint_line: '' }).text },
+    ...messages
+  ];
+}
+
+async function runEvalCase(testCase, { dataset, provider, graders, lookups }) {
+  const intentType = testCase.intent || 'chat';
+  const user = { user_id: `eval:${testCase.id}`, plan_tier: testCase.plan || dataset.plan || 'free' };
+  const route = await selectRoutedModel({
+    user,
+    intentType,
+    requestedModel: testCase.model || dataset.model || DEFAULT_EVAL_MODEL,
+    glyphState: testCase.glyphState || null,
+    lookups
+  });
+  const codeFiles = normalizeCodeFiles({
+    files: testCase.files,
+    activePath: testCase.activePath,
+    selection: testCase.selection,
+    currentCode: testCase.code
+  });
+  const messages = withClientSystemPrompt(testCase.messages, intentType);
+  const context = await buildChatContext({
+    messages,
+    codeFiles,
+    budgetTokens: resolveChatContextBudget({ planTier: user.plan_tier, intentType }),
+    model: route.model,
+    contextMode: testCase.contextMode || 'balanced',
+    llmProvider: provider
+  });
+  const lastUser = [...testCase.messages].reverse().find((message) => message.role === 'user');
+  const baseCode = codeFiles.files.find((entry) => entry.path === codeFiles.activePath)?.content || '';
+  const { messages: promptMessages } = applyChatPromptWrappers(context.messages, {
+    playableMode: Boolean(testCase.playableMode),
+    retryMode: Boolean(testCase.retryMode),
+    prompt: lastUser?.content || '',
+    code: baseCode,
+    originalPrompt: testCase.originalPrompt || lastUser?.content || '',
+    previousResponse: testCase.previousResponse || ''
+  });
+
+  const completion = await provider.complete({ model: route.model, messages: promptMessages, label: testCase.id });
+  const output = completion.content || '';
+  const metrics = {
+    context_tokens: Number(context.tokenCount || 0),
+    input_tokens: completion.usage.inputTokens,
+    output_tokens: completion.usage.outputTokens,
+    credits: calculateCreditsUsed({
+      inputTokens: completion.usage.inputTokens,
+      outputTokens: completion.usage.outputTokens,
+      intentType,
+      model: route.model
+    })
+  };
+  const replyCode = extractReplyCode(output);
+  const grades = {};
+  const selected = Array.isArray(testCase.graders)
+    ? graders.filter((grader) => testCase.graders.includes(grader.name))
+    : graders;
+  for (const grader of selected) {
+    grades[grader.name] = await grader.grade({ testCase, output, replyCode, baseCode, metrics, route });
+  }
+  return {
+    id: testCase.id,
+    intent: intentType,
+    model: route.model,
+    route_reason: route.reason,
+    prompt_hash: hashLlmRequest({ model: route.model, messages: promptMessages }),
+    ...metrics,
+    grades
+  };
+}
+
+function summarizeGrades(cases, graders) {
+  return Object.fromEntries(graders.map((grader) => {
+    const graded = cases.filter((entry) => entry.grades?.[grader.name]);
+    const scores = graded.map((entry) => Number(entry.grades[grader.name].score) || 0);
+    const verdicts = graded.map((entry) => entry.grades[grader.name].passed);
+    return [grader.name, {
+      direction: grader.direction,
+      mean: scores.length ? Number((scores.reduce((sum, value) => sum + value, 0) / scores.length).toFixed(4)) : null,
+      passed: verdicts.filter((value) => value === true).length,
+      failed: verdicts.filter((value) => value === false).length
+    }];
+  }));
+}
+
+/**
+ * Replays every case through the `/api/chat` context pipeline (routing,
+ * trimmed context, playable/retry wrappers) against `provider` and grades the
+ * replies. Cases that throw are reported with `error` and no grades. The
+ * report has no timings, so two runs on the same commit are identical apart
+ * from `generated_at`.
+ */
+export async function runPromptEval({
+  dataset: input,
+  provider,
+  graders = DEFAULT_EVAL_GRADERS,
+  commit = null,
+  now = () => new Date()
+}) {
+  const { dataset, errors } = normalizeEvalDataset(input);
+  if (errors.length) {
+    const error = new Error(`Invalid eval dataset: ${errors.join('; ')}`);
+    error.code = 'INVALID_EVAL_DATASET';
+    error.details = errors;
+    throw error;
+  }
+  const lookups = createStaticRoutingLookups(dataset.routing);
+  const cases = [];
+  for (const testCase of dataset.cases) {
+    try {
+      cases.push(await runEvalCase(testCase, { dataset, provider, graders, lookups }));
+    } catch (error) {
+      cases.push({ id: testCase.id, error: String(error?.message || error), error_code: error?.code || null });
+    }
+  }
+  return {
+    version: EVAL_REPORT_VERSION,
+    dataset: { name: dataset.name, hash: hashDataset(dataset) },
+    commit,
+    provider: provider.name,
+    generated_at: now().toISOString(),
+    summary: {
+      cases: cases.length,
+      errors: cases.filter((entry) => entry.error).length,
+      graders: summarizeGrades(cases, graders)
+    },
+    cases
+  };
+}
+
+/**
+ * Diffs two reports per case and grader. A regression is a verdict that went
+ * from pass to fail, a case that started erroring, or a score that moved the
+ * wrong way for its grader's direction.
+ */
+export function compareEvalReports(base, head) {
+  const baseCases = new Map((base?.cases || []).map((entry) => [entry.id, entry]));
+  const graderNames = Object.keys(head?.summary?.graders || {});
+  const changes = [];
+  const regressions = [];
+  (head?.cases || []).forEach((entry) => {
+    const previous = baseCases.get(entry.id);
+    if (!previous) {
+      changes.push({ id: entry.id, status: 'added' });
+      return;
+    }
+    if (entry.error && !previous.error) {
+      const change = { id: entry.id, status: 'error', error: entry.error };
+      changes.push(change);
+      regressions.push(change);
+      return;
+    }
+    graderNames.forEach((name) => {
+      const before = previous.grades?.[name];
+      const after = entry.grades?.[name];
+      if (!before || !after || (before.score === after.score && before.passed === after.passed)) {
+        return;
+      }
+      const direction = head.summary.graders[name].direction;
+      const delta = Number(after.score) - Number(before.score);
+      const worse = direction === 'lower' ? delta > 0 : delta < 0;
+      const change = {
+        id: entry.id,
+        grader: name,
+        base: before.score,
+        head: after.score,
+        delta,
+        base_passed: before.passed,
+        head_passed: after.passed
+      };
+      changes.push(change);
+      if ((before.passed === true && after.passed === false) || worse) {
+        regressions.push(change);
+      }
+    });
+  });
+  const removed = [...baseCases.keys()].filter((id) => !(head?.cases || []).some((entry) => entry.id === id));
+  return {
+    base: { commit: base?.commit || null, dataset: base?.dataset || null },
+    head: { commit: head?.commit || null, dataset: head?.dataset || null },
+    same_dataset: base?.dataset?.hash === head?.dataset?.hash,
+    graders: Object.fromEntries(graderNames.map((name) => {
+      const before = base?.summary?.graders?.[name]?.mean ?? null;
+      const after = head.summary.graders[name].mean;
+      return [name, { base: before, head: after, delta: before === null || after === null ? null : Number((after - before).toFixed(4)) }];
+    })),
+    removed,
+    changes,
+    regressions
+  };
+}
@@ -0,0 +1,17 @@
+export function createFailure(code, detail) {
+  return { code, detail };
+}
+
+/**
+ * Cheap structural checks for a single-file HTML game: no browser, so it only
+ * proves the document has the pieces a runnable game needs.
+ */
+export async function verifySingleFile(htmlString) {
+  const failures = [];
+  const html = String(htmlString || '').toLowerCase();
+  if (!html.includes('<!doctype html>')) failures.push(createFailure('STATIC_MISSING_DOCTYPE', 'Missing DOCTYPE'));
+  if (!html.includes('<script')) failures.push(createFailure('STATIC_NO_SCRIPT', 'No script tag found (no gameplay logic)'));
+  if (!html.includes('<canvas') && !html.includes('requestanimationframe')) failures.push(createFailure('STATIC_NO_RENDER_LOOP', 'No rendering loop detected'));
+  if (!html.includes('function') && !html.includes('=>')) failures.push(createFailure('STATIC_NO_EXECUTABLE_LOGIC', 'No executable logic found'));
+  return { passed: failures.length === 0, failures };
+}
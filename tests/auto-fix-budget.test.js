@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createAutoFixBudget } from '../server/utils/autoFixBudget.js';
+
+test('auto-fix budget stops a user at the credit cap whatever the client sends', () => {
+  const budget = createAutoFixBudget({ creditCap: 25 });
+  for (const [credits, error] of [[10, 'a'], [10, 'b'], [10, 'c']]) {
+    const ticket = budget.begin('user-1', error);
+    assert.equal(ticket.ok, true);
+    ticket.release(credits);
+  }
+  assert.deepEqual(budget.begin('user-1', 'd'), { ok: false, reason: 'credit_cap', creditsUsed: 30, attempts: 0 });
+  assert.equal(budget.begin('user-2', 'd').ok, true);
+});
+
+test('auto-fix budget counts attempts per error on the server', () => {
+  const budget = createAutoFixBudget({ creditCap: 25, maxAttempts: 2 });
+  for (const expected of [1, 2]) {
+    const ticket = budget.begin('user-1', 'x is not defined');
+    assert.equal(ticket.attempt, expected);
+    ticket.release(1);
+  }
+  assert.equal(budget.begin('user-1', 'x is not defined').reason, 'attempt_limit');
+  const other = budget.begin('user-1', 'y is not defined');
+  assert.equal(other.attempt, 1);
+});
+
+test('auto-fix budget refuses overlapping fixes and releases once', () => {
+  const budget = createAutoFixBudget({ creditCap: 25 });
+  const ticket = budget.begin('user-1', 'a');
+  assert.equal(budget.begin('user-1', 'b').reason, 'in_flight');
+  ticket.release(5);
+  ticket.release(5);
+  assert.equal(budget.begin('user-1', 'b').creditsUsed, 5);
+});
+
+test('auto-fix budget resets a user after the window', () => {
+  let current = 0;
+  const budget = createAutoFixBudget({ creditCap: 5, windowMs: 1000, now: () => current });
+  budget.begin('user-1', 'a').release(5);
+  current += 500;
+  assert.equal(budget.begin('user-1', 'a').ok, false);
+  current += 501;
+  assert.equal(budget.begin('user-1', 'a').ok, true);
+});
@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  attachImagesToLastUserMessage,
+  describeMessageContent,
+  normalizeChatImages,
+  readPngDimensions
+} from '../utils/chatImages.js';
+import { createAnthropicMessagesProvider, createGeminiProvider } from '../utils/llmProviders.js';
+import { tokenizerRegistry } from '../utils/tokenizers.js';
+
+// A PNG signature and IHDR chunk are all the parser reads; the pixels after
+// them never matter for validation or token counting.
+function pngDataUrl(width, height, padding = 16) {
+  const buffer = Buffer.alloc(33 + padding);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer, 0);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return `data:image/png;base64,${buffer.toString('base64')}`;
+}
+
+test('normalizeChatImages reads PNG dimensions and validates regions and limits', () => {
+  assert.deepEqual(readPngDimensions(pngDataUrl(640, 480).split(',')[1]), { width: 640, height: 480 });
+  assert.equal(readPngDimensions(Buffer.from('not a png at all, nope').toString('base64')), null);
+
+  const { images } = normalizeChatImages([
+    { dataUrl: pngDataUrl(800, 600), region: { x: 10, y: 20, width: 100, height: 50 } },
+    { dataUrl: pngDataUrl(800, 600), region: { x: 700, y: 0, width: 200, height: 50 }, detail: 'low' }
+  ]);
+  assert.equal(images.length, 2);
+  assert.deepEqual(images[0].region, { x: 10, y: 20, width: 100, height: 50 });
+  assert.equal(images[0].detail, 'high');
+  assert.equal(images[0].source, 'preview');
+  assert.equal(images[1].region, null);
+  assert.equal(images[1].detail, 'low');
+
+  assert.deepEqual(normalizeChatImages(undefined), { images: [] });
+  assert.match(normalizeChatImages({}).error, /array/);
+  assert.match(normalizeChatImages([{ dataUrl: 'data:image/jpeg;base64,AAAA' }]).error, /PNG/);
+  assert.match(normalizeChatImages(Array(3).fill({ dataUrl: pngDataUrl(10, 10) })).error, /At most 2/);
+  assert.match(normalizeChatImages([{ dataUrl: pngDataUrl(5000, 10) }]).error, /4096px/);
+  assert.match(
+    normalizeChatImages([{ dataUrl: pngDataUrl(10, 10, 4096) }], { maxImages: 2, maxBytes: 1024, maxDimension: 4096 }).error,
+    /at most/
+  );
+});
+
+test('attachImagesToLastUserMessage adds image parts and a region note to the last user turn', () => {
+  const dataUrl = pngDataUrl(800, 600);
+  const messages = [
+    { role: 'system', content: 'sys' },
+    { role: 'user', content: 'first' },
+    { role: 'assistant', content: 'reply' },
+    { role: 'user', content: 'Why is the score cut off?' }
+  ];
+  const { images } = normalizeChatImages([{ dataUrl, region: { x: 10, y: 20, width: 100, height: 50 } }]);
+  const next = attachImagesToLastUserMessage(messages, images);
+
+  assert.equal(next[1].content, 'first');
+  assert.equal(messages[3].content, 'Why is the score cut off?');
+  const [text, image] = next[3].content;
+  assert.match(text.text, /^Why is the score cut off\?\n\nThe user outlined a region in red on the screenshot: 100x50px at \(10, 20\) of 800x600/);
+  assert.deepEqual(image, { type: 'image_url', image_url: { url: dataUrl, detail: 'high' } });
+  assert.match(describeMessageContent(next[3].content), /\[image 800x600\]$/);
+});
+
+test('image tokens follow each tokenizer family and never count the base64 payload', () => {
+  assert.equal(tokenizerRegistry.countImageTokens({ width: 1024, height: 1024 }, 'gpt-4.1-mini'), 765);
+  assert.equal(tokenizerRegistry.countImageTokens({ width: 1024, height: 1024, detail: 'low' }, 'gpt-4.1-mini'), 85);
+  assert.equal(tokenizerRegistry.countImageTokens({ width: 1000, height: 750 }, 'claude-3-5-sonnet'), 1000);
+  assert.equal(tokenizerRegistry.countImageTokens({ width: 3136, height: 1568 }, 'claude-3-5-sonnet'), 1640);
+  assert.equal(tokenizerRegistry.countImageTokens({ width: 1280, height: 720 }, 'gemini-2.0-flash'), 516);
+
+  const small = [{ role: 'user', content: 'Look' }];
+  const { images } = normalizeChatImages([{ dataUrl: pngDataUrl(1024, 1024, 60000) }]);
+  const withImage = attachImagesToLastUserMessage(small, images);
+  assert.equal(
+    tokenizerRegistry.countMessageTokens(withImage, 'gpt-4.1-mini'),
+    tokenizerRegistry.countMessageTokens(small, 'gpt-4.1-mini') + 765
+  );
+});
+
+test('anthropic and gemini adapters send image parts as inline base64', async () => {
+  const originalFetch = global.fetch;
+  const bodies = [];
+  global.fetch = async (url, init) => {
+    bodies.push(JSON.parse(init.body));
+    return {
+      ok: true,
+      async text() {
+        return JSON.stringify(String(url).includes('anthropic')
+          ? { content: [{ type: 'text', text: 'ok' }], stop_reason: 'end_turn' }
+          : { candidates: [{ content: { parts: [{ text: 'ok' }] }, finishReason: 'STOP' }] });
+      }
+    };
+  };
+  try {
+    const dataUrl = pngDataUrl(64, 64);
+    const { images } = normalizeChatImages([{ dataUrl }]);
+    const messages = attachImagesToLastUserMessage([{ role: 'user', content: 'What is wrong?' }], images);
+    await createAnthropicMessagesProvider({ apiKey: 'k' }).complete({ model: 'claude-x', messages });
+    await createGeminiProvider({ apiKey: 'k' }).complete({ model: 'gemini-x', messages });
+
+    const base64 = dataUrl.split(',')[1];
+    assert.deepEqual(bodies[0].messages[0].content, [
+      { type: 'text', text: 'What is wrong?' },
+      { type: 'image', source: { type: 'base64', media_type: 'image/png', data: base64 } }
+    ]);
+    assert.deepEqual(bodies[1].contents[0].parts, [
+      { text: 'What is wrong?' },
+      { inline_data: { mime_type: 'image/png', data: base64 } }
+    ]);
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  applyChatPromptWrappers,
+  buildChatResponseCacheRequest
+} from '../server/utils/chatPipeline.js';
+import { createResponseCache } from '../utils/responseCache.js';
+
+const messages = [
+  { role: 'system', content: 'system' },
+  { role: 'user', content: 'make the button blue' }
+];
+
+function cacheRequestFor(options, extra = {}) {
+  const wrapped = applyChatPromptWrappers(messages, options);
+  return {
+    wrapped,
+    request: buildChatResponseCacheRequest({
+      userId: 'user-1',
+      intentType: 'code',
+      model: 'gpt-4.1-mini',
+      rawCodeContext: '<button>Go</button>',
+      prompt: wrapped.prompt,
+      ...extra
+    })
+  };
+}
+
+test('applyChatPromptWrappers returns the final prompt with the wrapped messages', () => {
+  const plain = applyChatPromptWrappers(messages, { prompt: 'make the button blue' });
+  assert.equal(plain.prompt, 'make the button blue');
+  assert.deepEqual(plain.messages, messages);
+
+  const retry = applyChatPromptWrappers(messages, {
+    retryMode: true,
+    prompt: 'make the button blue',
+    originalPrompt: 'make the button blue',
+    previousResponse: 'it is red'
+  });
+  assert.notEqual(retry.prompt, 'make the button blue');
+  assert.equal(retry.messages.at(-1).content, retry.prompt);
+});
+
+test('chat cache path stores and hits on the wrapped prompt', async () => {
+  const cache = createResponseCache({ similarityThreshold: 1 });
+  const { request } = cacheRequestFor({ prompt: 'make the button blue' });
+  assert.equal(request.prompt, 'make the button blue');
+  assert.equal(request.code, '<button>Go</button>');
+
+  assert.equal(await cache.lookup(request), null);
+  await cache.store({ ...request, response: { content: 'done', model: 'gpt-4.1-mini' } });
+  const hit = await cache.lookup(cacheRequestFor({ prompt: 'Make the button blue.' }).request);
+  assert.equal(hit.match, 'exact');
+  assert.equal(hit.response.content, 'done');
+
+  const retry = cacheRequestFor({
+    retryMode: true,
+    prompt: 'make the button blue',
+    originalPrompt: 'make the button blue',
+    previousResponse: 'it is red'
+  });
+  assert.equal(retry.request.prompt, retry.wrapped.prompt);
+  assert.equal(await cache.lookup(retry.request), null);
+});
+
+test('chat cache request scope covers history, pins, glyph state and context mode', () => {
+  const history = [{ role: 'user', content: 'make a button' }, { role: 'assistant', content: '<button>Go</button>' }];
+  const scopeFor = (extra) => cacheRequestFor({ prompt: 'make the button blue' }, {
+    contextMessages: [...history, messages[1]],
+    pins: [{ id: 'pin-1', content: 'use tailwind' }],
+    glyphState: { mood: 'calm' },
+    contextMode: 'balanced',
+    ...extra
+  }).request.context;
+
+  const baseline = scopeFor({});
+  assert.equal(scopeFor({ contextMessages: [...history, { role: 'user', content: 'something else' }] }), baseline);
+  assert.notEqual(scopeFor({ contextMessages: [history[0], messages[1]] }), baseline);
+  assert.notEqual(scopeFor({ pins: [{ id: 'pin-1', content: 'use bootstrap' }] }), baseline);
+  assert.notEqual(scopeFor({ pins: [{ id: 'pin-2', content: 'use tailwind' }] }), baseline);
+  assert.notEqual(scopeFor({ glyphState: { mood: 'tense' } }), baseline);
+  assert.notEqual(scopeFor({ contextMode: 'full' }), baseline);
+});
+
+test('chat cache request keys runtime fixes on the error and skips uncacheable modes', () => {
+  const { request } = cacheRequestFor({ prompt: 'fix it' }, {
+    runtimeError: { message: 'x is not defined', line: 12 }
+  });
+  assert.equal(request.prompt, 'x is not defined\n12');
+
+  for (const flags of [{ enabled: false }, { playableMode: true }, { toolMode: true }, { hasImages: true }]) {
+    assert.equal(cacheRequestFor({ prompt: 'fix it' }, flags).request, null);
+  }
+
+  const multi = cacheRequestFor({ prompt: 'fix it' }, {
+    codeFiles: { multiFile: true, files: [{ path: 'a.js', content: '1' }], selection: null }
+  });
+  assert.equal(multi.request.code, JSON.stringify({ files: [{ path: 'a.js', content: '1' }], selection: null }));
+});
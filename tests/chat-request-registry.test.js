@@ -0,0 +1,28 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createChatRequestRegistry } from '../server/utils/chatRequestRegistry.js';
+
+test('chat request registry aborts the owner request and records the reason', () => {
+  const registry = createChatRequestRegistry();
+  const entry = registry.register({ requestId: 'req-1', userId: 'user-a' });
+  assert.equal(entry.cancelled, false);
+
+  assert.deepEqual(registry.cancel({ requestId: 'req-1', userId: 'user-b' }), { found: false, cancelled: false });
+  assert.equal(entry.signal.aborted, false);
+
+  assert.deepEqual(registry.cancel({ requestId: 'req-1', userId: 'user-a' }), { found: true, cancelled: true });
+  assert.equal(entry.signal.aborted, true);
+  assert.equal(entry.cancelReason, 'user_cancel');
+
+  assert.equal(entry.cancel('client_disconnect'), false);
+  assert.equal(entry.cancelReason, 'user_cancel');
+});
+
+test('chat request registry forgets released requests', () => {
+  const registry = createChatRequestRegistry();
+  registry.register({ requestId: 'req-2', userId: 'user-a' });
+  assert.equal(registry.size(), 1);
+  registry.release('req-2');
+  assert.equal(registry.size(), 0);
+  assert.deepEqual(registry.cancel({ requestId: 'req-2', userId: 'user-a' }), { found: false, cancelled: false });
+});
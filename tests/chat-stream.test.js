@@ -0,0 +1,34 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createSseParser, formatSseEvent, parseSseData } from '../utils/sseParser.js';
+import { resolveStreamSettlement } from '../server/utils/chatStream.js';
+
+test('createSseParser buffers partial frames across chunks', () => {
+  const parser = createSseParser();
+  assert.deepEqual(parser.push('event: delta\ndata: {"content":"He'), []);
+  const events = parser.push('llo"}\n\nevent: done\r\ndata: {}\r\n\r\n');
+  assert.equal(events.length, 2);
+  assert.equal(events[0].event, 'delta');
+  assert.deepEqual(parseSseData(events[0].data), { content: 'Hello' });
+  assert.equal(events[1].event, 'done');
+  assert.equal(parseSseData('[DONE]'), null);
+});
+
+test('formatSseEvent round-trips through the parser', () => {
+  const parser = createSseParser();
+  const frame = formatSseEvent({ id: 7, event: 'delta', data: { content: 'line one\nline two' } });
+  const [event] = parser.push(frame);
+  assert.equal(event.id, '7');
+  assert.deepEqual(parseSseData(event.data), { content: 'line one\nline two' });
+});
+
+test('resolveStreamSettlement refunds unused reservation or charges the overage', () => {
+  assert.deepEqual(resolveStreamSettlement({ reservedCredits: 10, actualCredits: 3 }), {
+    additionalCharge: 0,
+    refund: 7
+  });
+  assert.deepEqual(resolveStreamSettlement({ reservedCredits: 2, actualCredits: 5 }), {
+    additionalCharge: 3,
+    refund: 0
+  });
+});
@@ -0,0 +1,189 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  buildToolInstructions,
+  createChatToolRegistry,
+  createUserWorkspaceResolver,
+  createWorkspaceChatTools,
+  executeToolCall,
+  parseToolCalls,
+  runToolLoop
+} from '../server/utils/chatTools.js';
+
+const user = { user_id: 'user-1' };
+
+function createTools(overrides = {}) {
+  const files = {
+    '/ws/games/index.html': '<!doctype html>\n<canvas></canvas>\n<script>function loop(){}</script>',
+    '/ws/.env': 'SECRET=1'
+  };
+  const artifacts = [
+    { artifact_id: 'a1', owner_user_id: 'user-1', visibility: 'private', title: 'Snake', description: 'grid game', tags: ['arcade'], code: { language: 'html', content: '<p>snake</p>' } },
+    { artifact_id: 'a2', owner_user_id: 'user-1', visibility: 'private', title: 'Todo list', description: '', tags: [], code: { language: 'html', content: '' } }
+  ];
+  const others = { b1: { artifact_id: 'b1', owner_user_id: 'user-2', visibility: 'private', code: { content: '' } } };
+  return createChatToolRegistry(createWorkspaceChatTools({
+    resolveWorkspacePath: (input = '') => {
+      if (input.includes('..')) {
+        throw Object.assign(new Error('Path escapes workspace root'), { code: 'INVALID_PATH' });
+      }
+      return `/ws/${input}`.replace(/\/+$/, '') || '/ws';
+    },
+    workspaceRelative: (absolute) => absolute.replace(/^\/ws\/?/, ''),
+    listWorkspaceDirs: async () => ['games'],
+    listFiles: async () => [],
+    isReadableFile: (filePath) => filePath.endsWith('.html'),
+    readFile: async (filePath) => files[filePath],
+    fetchArtifactsByOwner: async (ownerId) => artifacts.filter((entry) => entry.owner_user_id === ownerId),
+    fetchArtifactById: async (id) => artifacts.find((entry) => entry.artifact_id === id) || others[id] || null,
+    fetchArtifactVersionById: async () => null,
+    fetchArtifactVersionSummaries: async () => [{ version_id: 'v1', version_index: 1, label: null, created_at: null }],
+    verifySingleFile: async (html) => ({ passed: html.includes('<!doctype html>'), failures: [] }),
+    ...overrides
+  }));
+}
+
+test('parseToolCalls extracts calls, flags malformed blocks and strips them from the text', () => {
+  const parsed = parseToolCalls([
+    'Let me check.',
+    '<tool_call>{"name": "read_workspace_file", "arguments": {"path": "a.html"}}</tool_call>',
+    '<tool_call>{not json}</tool_call>'
+  ].join('\n'), { idPrefix: 'r1' });
+  assert.equal(parsed.text, 'Let me check.');
+  assert.deepEqual(parsed.calls[0], { id: 'r1_1', name: 'read_workspace_file', arguments: { path: 'a.html' } });
+  assert.equal(parsed.calls[1].error, 'Tool call is not valid JSON');
+  assert.equal(parseToolCalls('plain answer').calls.length, 0);
+});
+
+test('executeToolCall reports unknown tools, bad arguments and tool errors without throwing', async () => {
+  const registry = createTools();
+  assert.equal((await executeToolCall(registry, { id: 'c1', name: 'rm_rf', arguments: {} })).error_code, 'UNKNOWN_TOOL');
+  assert.equal(
+    (await executeToolCall(registry, { id: 'c2', name: 'read_workspace_file', arguments: {} })).error_code,
+    'INVALID_TOOL_ARGUMENTS'
+  );
+  const escaped = await executeToolCall(registry, { id: 'c3', name: 'read_workspace_file', arguments: { path: '../etc/passwd' } });
+  assert.equal(escaped.error_code, 'INVALID_PATH');
+  const dotfile = await executeToolCall(registry, { id: 'c4', name: 'read_workspace_file', arguments: { path: '.env' } });
+  assert.equal(dotfile.error_code, 'UNSUPPORTED_FILE');
+});
+
+test('workspace, artifact and verification tools use the injected server capabilities', async () => {
+  const registry = createTools();
+  const context = { user, currentCode: '<div>no doctype</div>' };
+  const read = await executeToolCall(registry, { id: 'c1', name: 'read_workspace_file', arguments: { path: 'games/index.html', startLine: 2, endLine: 2 } }, context);
+  assert.deepEqual([read.result.path, read.result.content, read.result.total_lines], ['games/index.html', '<canvas></canvas>', 3]);
+
+  const search = await executeToolCall(registry, { id: 'c2', name: 'search_artifacts', arguments: { query: 'arcade' } }, context);
+  assert.deepEqual(search.result.artifacts.map((entry) => entry.artifact_id), ['a1']);
+
+  const foreign = await executeToolCall(registry, { id: 'c3', name: 'get_artifact_version', arguments: { artifactId: 'b1' } }, context);
+  assert.equal(foreign.error_code, 'ARTIFACT_NOT_FOUND');
+  const current = await executeToolCall(registry, { id: 'c4', name: 'get_artifact_version', arguments: { artifactId: 'a1' } }, context);
+  assert.equal(current.result.code.content, '<p>snake</p>');
+
+  const editor = await executeToolCall(registry, { id: 'c5', name: 'verify_html', arguments: {} }, context);
+  assert.deepEqual([editor.result.source, editor.result.passed], ['editor', false]);
+  const file = await executeToolCall(registry, { id: 'c6', name: 'verify_html', arguments: { path: 'games/index.html' } }, context);
+  assert.deepEqual([file.result.source, file.result.passed], ['games/index.html', true]);
+  assert.match(buildToolInstructions(registry), /read_workspace_file\(path: string/);
+});
+
+test('createUserWorkspaceResolver keeps each user inside their own workspace directory', async () => {
+  const workspace = createUserWorkspaceResolver('/srv/chat_workspaces');
+  const owner = { user };
+  const other = { user: { user_id: 'user-2' } };
+  const ownerFile = workspace.resolveWorkspacePath('games/index.html', owner);
+  assert.ok(ownerFile.startsWith(`${workspace.userRoot(owner)}/`));
+  assert.notEqual(workspace.userRoot(owner), workspace.userRoot(other));
+  assert.equal(workspace.workspaceRelative(ownerFile, owner), 'games/index.html');
+  assert.equal(workspace.resolveWorkspacePath('/games', owner), `${workspace.userRoot(owner)}/games`);
+
+  const escapeToOther = `../${workspace.userRoot(other).split('/').pop()}/index.html`;
+  for (const input of ['..', '../..', escapeToOther]) {
+    assert.throws(() => workspace.resolveWorkspacePath(input, owner), (error) => error.code === 'INVALID_PATH');
+  }
+  assert.throws(() => workspace.resolveWorkspacePath('', {}), (error) => error.code === 'INVALID_PATH');
+
+  const files = { [ownerFile]: '<!doctype html>' };
+  const registry = createTools({
+    resolveWorkspacePath: workspace.resolveWorkspacePath,
+    workspaceRelative: workspace.workspaceRelative,
+    readFile: async (filePath) => {
+      if (!(filePath in files)) {
+        throw Object.assign(new Error('File not found'), { code: 'ENOENT' });
+      }
+      return files[filePath];
+    }
+  });
+  const call = { id: 'c1', name: 'read_workspace_file', arguments: { path: 'games/index.html' } };
+  assert.equal((await executeToolCall(registry, call, owner)).result.content, '<!doctype html>');
+  assert.equal((await executeToolCall(registry, call, other)).ok, false);
+  const listing = await executeToolCall(registry, { id: 'c2', name: 'list_workspace', arguments: {} }, other);
+  assert.equal(listing.result.path, '');
+});
+
+test('runToolLoop feeds results back, reports every round and stops tool use at the limit', async () => {
+  const registry = createTools();
+  const seen = [];
+  const rounds = [];
+  const events = [];
+  const complete = async (messages, { round }) => {
+    seen.push(messages);
+    return { content: `<tool_call>{"name": "search_artifacts", "arguments": {"query": "snake"}}</tool_call> round ${round}` };
+  };
+  const result = await runToolLoop({
+    complete,
+    registry,
+    messages: [{ role: 'user', content: 'find my snake game' }],
+    context: { user },
+    maxRounds: 2,
+    onToolCall: (call) => events.push(`call:${call.id}`),
+    onToolResult: (entry) => events.push(`result:${entry.id}:${entry.ok}`),
+    onRound: (entry) => rounds.push([entry.round, entry.final, entry.calls.length])
+  });
+  assert.deepEqual(rounds, [[1, false, 1], [2, false, 1], [3, true, 0]]);
+  assert.deepEqual(events, ['call:r1_1', 'result:r1_1:true', 'call:r2_1', 'result:r2_1:true']);
+  assert.equal(result.content, 'round 3');
+  assert.match(seen[1].at(-1).content, /<tool_result id="r1_1" name="search_artifacts">/);
+  assert.match(seen[2].at(-1).content, /Tool limit reached/);
+});
+
+test('a throwing round hook stops the loop', async () => {
+  let calls = 0;
+  await assert.rejects(runToolLoop({
+    complete: async () => {
+      calls += 1;
+      return { content: '<tool_call>{"name": "search_artifacts", "arguments": {}}</tool_call>' };
+    },
+    registry: createTools(),
+    context: { user },
+    onRound: () => {
+      throw new Error('INSUFFICIENT_CREDITS');
+    }
+  }), /INSUFFICIENT_CREDITS/);
+  assert.equal(calls, 1);
+});
+
+test('beforeRound runs ahead of each completion and can refuse the next one', async () => {
+  let balance = 2;
+  const completed = [];
+  await assert.rejects(runToolLoop({
+    complete: async (messages, { round }) => {
+      completed.push(round);
+      return { content: '<tool_call>{"name": "search_artifacts", "arguments": {}}</tool_call>' };
+    },
+    registry: createTools(),
+    context: { user },
+    beforeRound: (messages, { round }) => {
+      assert.equal(messages.length, round === 1 ? 0 : 2 * (round - 1));
+      if (balance <= 0) {
+        throw Object.assign(new Error('Insufficient credits for this request'), { status: 402 });
+      }
+    },
+    onRound: () => {
+      balance -= 1;
+    }
+  }), (error) => error.status === 402);
+  assert.deepEqual(completed, [1, 2]);
+});
@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { chunkSource, expandWithDependencies } from '../utils/codeChunker.js';
+import { selectRelevantCodeChunks } from '../utils/tokenEfficiency.js';
+import { selectRelevantPlayableCode } from '../server/utils/playableWrapper.js';
+
+const GAME_PAGE = `<!doctype html>
+<html>
+<head>
+<style>
+#board { border: 1px solid #333; }
+.cell { width: 20px; }
+</style>
+</head>
+<body>
+<canvas id="board" width="200" height="200"></canvas>
+<button id="restart" onclick="resetGame()">Restart</button>
+<script>
+const SPEED = 4;
+const board = document.getElementById('board');
+
+function resetGame() {
+  player.x = 0;
+  draw();
+}
+
+function draw() {
+  const ctx = board.getContext('2d');
+  ctx.fillRect(player.x, 0, 10, 10);
+}
+
+const player = { x: 0, step() { this.x += SPEED; } };
+</script>
+</body>
+</html>`;
+
+test('chunkSource splits inline script and style out of the markup with spans', () => {
+  const chunks = chunkSource(GAME_PAGE);
+  const byName = new Map(chunks.map((chunk) => [chunk.name, chunk]));
+  assert.ok(chunks.some((chunk) => chunk.kind === 'style' && chunk.language === 'css'));
+  assert.ok(chunks.some((chunk) => chunk.kind === 'markup' && chunk.declares.includes('#board')));
+
+  const resetGame = byName.get('resetGame');
+  assert.equal(resetGame.kind, 'function');
+  assert.equal(resetGame.startLine, 16);
+  assert.equal(resetGame.endLine, 19);
+  assert.equal(GAME_PAGE.slice(resetGame.start, resetGame.end), resetGame.content);
+  assert.deepEqual([...resetGame.dependencies].sort(), ['draw', 'player']);
+
+  const markup = chunks.find((chunk) => chunk.declares.includes('#restart'));
+  assert.ok(markup.dependencies.includes('resetGame'));
+  const lookup = chunks.find((chunk) => chunk.declares.includes('board'));
+  assert.ok(lookup.dependencies.includes('#board'));
+});
+
+test('chunkSource keeps functions whole and ignores property names as references', () => {
+  const source = `function update(state) {
+  if (state.paused)
+    return state;
+  return { ...state, tick: state.tick + 1 };
+}
+
+function render(state) {
+  return \`tick \${state.tick}\`;
+}
+`;
+  const chunks = chunkSource(source);
+  assert.deepEqual(chunks.map((chunk) => chunk.name), ['update', 'render']);
+  assert.deepEqual(chunks[1].dependencies, []);
+});
+
+test('large classes are split into member groups that depend on the class', () => {
+  const methods = Array.from({ length: 12 }, (_, index) => `  method${index}() {\n    return ${'1 + '.repeat(20)}${index};\n  }`).join('\n');
+  const chunks = chunkSource(`class Engine {\n${methods}\n}\n`, { maxChunkChars: 300 });
+  assert.equal(chunks[0].kind, 'class');
+  assert.ok(chunks.length > 2);
+  chunks.slice(1).forEach((chunk) => {
+    assert.equal(chunk.kind, 'method');
+    assert.ok(chunk.dependencies.includes('Engine'));
+  });
+});
+
+test('expandWithDependencies follows references transitively within the limits', () => {
+  const chunks = chunkSource(GAME_PAGE);
+  const resetGame = chunks.find((chunk) => chunk.name === 'resetGame');
+  const expanded = expandWithDependencies([resetGame], chunks).map((chunk) => chunk.name);
+  assert.ok(['resetGame', 'draw', 'player'].every((name) => expanded.includes(name)));
+  assert.ok(expanded.some((name) => chunks.find((chunk) => chunk.name === name).declares.includes('board')));
+  assert.equal(expandWithDependencies([resetGame], chunks, { maxChunks: 2 }).length, 2);
+});
+
+test('selectRelevantCodeChunks pulls in declarations referenced by the best match', async () => {
+  const filler = Array.from({ length: 6 }, (_, index) => `function helper${index}() {\n  return 'unrelated ${index}';\n}`).join('\n\n');
+  const code = `const GRAVITY = 9.8;\n\n${filler}\n\nfunction applyGravity(body) {\n  body.vy += GRAVITY;\n}\n`;
+  const chunks = await selectRelevantCodeChunks({
+    currentQuery: 'why does applyGravity make things fall too fast',
+    code,
+    maxChunks: 2,
+    withMetadata: true
+  });
+  assert.deepEqual(chunks.map((chunk) => chunk.name), ['GRAVITY', 'applyGravity']);
+  assert.match(chunks[1].label, /applyGravity \(function, lines \d+-\d+\)/);
+});
+
+test('selectRelevantPlayableCode keeps whole declarations within the limit', () => {
+  const selected = selectRelevantPlayableCode(GAME_PAGE, 260);
+  assert.ok(selected.length <= 260);
+  assert.match(selected, /function \w+\(\) \{[\s\S]*\n\}/);
+});
@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { buildCodeSegments, normalizeCodeFiles } from '../utils/codeFiles.js';
+import { buildTrimmedContext } from '../utils/tokenEfficiency.js';
+
+test('normalizeCodeFiles accepts arrays, maps and the legacy code string', () => {
+  const fromArray = normalizeCodeFiles({
+    files: [{ path: 'index.html', content: '<main></main>' }, { path: 'src/game.js', content: 'let a;\nlet b;' }],
+    activePath: 'src/game.js',
+    selection: { startLine: 2, endLine: 2 }
+  });
+  assert.equal(fromArray.multiFile, true);
+  assert.equal(fromArray.activePath, 'src/game.js');
+  assert.deepEqual(fromArray.selection, { path: 'src/game.js', startLine: 2, endLine: 2, text: 'let b;' });
+
+  const fromMap = normalizeCodeFiles({ files: { 'a.js': 'x', 'b.js': 'y' }, activePath: 'missing.js' });
+  assert.equal(fromMap.activePath, 'a.js');
+
+  const legacy = normalizeCodeFiles({ currentCode: '<p>hi</p>' });
+  assert.equal(legacy.multiFile, false);
+  assert.deepEqual(legacy.files, [{ path: 'index.html', content: '<p>hi</p>' }]);
+});
+
+test('normalizeCodeFiles rejects unsafe, duplicate and excess paths', () => {
+  const result = normalizeCodeFiles({
+    files: [
+      { path: '../secrets.txt', content: '' },
+      { path: '/etc/passwd', content: '' },
+      { path: 'a.js', content: '' },
+      { path: 'a.js', content: '' }
+    ],
+    maxFiles: 0
+  });
+  assert.equal(result.errors.length, 4);
+  assert.deepEqual(result.files.map((entry) => entry.path), ['a.js']);
+});
+
+test('buildTrimmedContext budgets several files and keeps the selection first', async () => {
+  const filler = Array.from({ length: 8 }, (_, index) => `function menu${index}() {\n  return 'menu item ${index}';\n}`).join('\n\n');
+  const codeFiles = normalizeCodeFiles({
+    files: [
+      { path: 'index.html', content: '<canvas id="stage"></canvas>' },
+      { path: 'src/menu.js', content: filler },
+      { path: 'src/physics.js', content: 'const GRAVITY = 9.8;\n\nfunction applyGravity(body) {\n  body.vy += GRAVITY;\n}\n' }
+    ],
+    activePath: 'index.html',
+    selection: { path: 'index.html', startLine: 1, endLine: 1 }
+  });
+  const result = await buildTrimmedContext({
+    messages: [{ role: 'user', content: 'applyGravity in physics.js is too strong' }],
+    codeSegments: buildCodeSegments(codeFiles),
+    contextMode: 'minimal',
+    maxTokens: 4000
+  });
+  const blocks = result.messages.filter((entry) => entry.content.startsWith('Relevant code')).map((entry) => entry.content);
+  assert.match(blocks[0], /^Relevant code \(selection index\.html:1-1\)/);
+  assert.match(blocks[1], /Project files:\n- index\.html \(1 lines, active\)\n- src\/menu\.js/);
+  assert.ok(blocks.some((block) => block.startsWith('Relevant code (src/physics.js: applyGravity')));
+  assert.ok(blocks.some((block) => block.startsWith('Relevant code (src/physics.js: GRAVITY')));
+});
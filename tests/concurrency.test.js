@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createConcurrencyQueue } from '../core/concurrency.js';
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+test('createConcurrencyQueue enforces the global and per-key limits', async () => {
+  const queue = createConcurrencyQueue({ limit: 2, perKeyLimit: 1 });
+  const gates = { a1: deferred(), a2: deferred(), b1: deferred(), c1: deferred() };
+  const started = [];
+  const run = (id, key) => queue.enqueue({
+    id,
+    key,
+    task: async () => {
+      started.push(id);
+      await gates[id].promise;
+      return id;
+    }
+  });
+
+  const results = [run('a1', 'alice'), run('a2', 'alice'), run('b1', 'bob'), run('c1', 'carol')];
+  await Promise.resolve();
+  // a2 waits on alice's limit without holding back bob; carol waits on the global limit.
+  assert.deepEqual(started, ['a1', 'b1']);
+  assert.deepEqual(queue.stats(), { running: 2, waiting: 2 });
+  assert.equal(queue.countByKey('alice'), 2);
+  assert.equal(queue.position('a2'), 1);
+  assert.equal(queue.position('c1'), 2);
+
+  gates.b1.resolve();
+  await results[2];
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(started, ['a1', 'b1', 'c1']);
+
+  gates.a1.resolve();
+  gates.c1.resolve();
+  gates.a2.resolve();
+  assert.deepEqual(await Promise.all(results), ['a1', 'a2', 'b1', 'c1']);
+  assert.deepEqual(queue.stats(), { running: 0, waiting: 0 });
+  assert.equal(queue.countByKey('alice'), 0);
+});
+
+test('createConcurrencyQueue reports queue positions as tasks ahead start', async () => {
+  const queue = createConcurrencyQueue({ limit: 1 });
+  const first = deferred();
+  const second = deferred();
+  const positions = [];
+  const firstRun = queue.enqueue({ id: 'one', task: () => first.promise });
+  const secondRun = queue.enqueue({ id: 'two', task: () => second.promise, onPosition: (value) => positions.push(['two', value]) });
+  queue.enqueue({ id: 'three', task: async () => {}, onPosition: (value) => positions.push(['three', value]) });
+
+  assert.deepEqual(positions, [['two', 1], ['three', 2]]);
+  first.resolve();
+  await firstRun;
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(positions, [['two', 1], ['three', 2], ['two', 0], ['three', 1]]);
+  second.resolve();
+  await secondRun;
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(positions.at(-1), ['three', 0]);
+});
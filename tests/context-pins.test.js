@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { normalizeContextPinInput } from '../utils/contextPins.js';
+import { buildPinnedContextBlocks, buildTrimmedContext, estimateTokensWithTokenizer } from '../utils/tokenEfficiency.js';
+
+const PINS = [
+  { id: 'p1', kind: 'instruction', content: 'Always use vanilla JS, no CDNs.' },
+  { id: 'p2', kind: 'code', label: 'game.js L10-12', content: 'const GRAVITY = 0.4;' },
+  { id: 'p3', kind: 'instruction', content: 'Keep the canvas 800x600.' },
+  { id: 'p4', kind: 'message', content: 'The player should double jump.' }
+];
+
+test('buildPinnedContextBlocks merges instructions into one leading block', () => {
+  const blocks = buildPinnedContextBlocks(PINS);
+  assert.deepEqual(blocks.map((block) => block.ids), [['p1', 'p3'], ['p2'], ['p4']]);
+  assert.equal(
+    blocks[0].content,
+    'Project instructions (always follow):\n- Always use vanilla JS, no CDNs.\n- Keep the canvas 800x600.'
+  );
+  assert.equal(blocks[1].content, 'Pinned code (game.js L10-12):\nconst GRAVITY = 0.4;');
+  assert.deepEqual(buildPinnedContextBlocks([{ kind: 'message', content: '  ' }, null]), []);
+});
+
+test('buildTrimmedContext sends pins ahead of history and charges them to the budget', async () => {
+  const messages = Array.from({ length: 12 }, (_, index) => ({
+    role: index % 2 === 0 ? 'user' : 'assistant',
+    content: `turn ${index} ${'filler '.repeat(60)}`
+  }));
+  const options = {
+    systemPrompt: 'You are a helpful assistant.',
+    messages,
+    maxTokens: 360,
+    summarizeHistory: async () => '',
+    llmProxyUrl: ''
+  };
+  const withoutPins = await buildTrimmedContext(options);
+  const withPins = await buildTrimmedContext({ ...options, pinnedItems: PINS });
+
+  assert.match(withPins.messages[1].content, /^Project instructions/);
+  assert.match(withPins.messages[2].content, /^Pinned code/);
+  assert.match(withPins.messages[3].content, /^Pinned message/);
+  assert.ok(withPins.tokenCount <= 360);
+  assert.equal(withPins.metrics.pinnedCount, 4);
+  assert.equal(withPins.metrics.pinnedDropped, 0);
+  assert.equal(
+    withPins.metrics.pinnedTokens,
+    buildPinnedContextBlocks(PINS).reduce((sum, block) => sum + estimateTokensWithTokenizer(block.content), 0)
+  );
+  const historyCount = (result) => result.messages.filter((message) => message.role !== 'system').length;
+  assert.ok(historyCount(withPins) < historyCount(withoutPins));
+
+  const tight = await buildTrimmedContext({
+    ...options,
+    maxTokens: 30,
+    pinnedItems: [{ id: 'big', kind: 'message', content: 'x'.repeat(400) }, PINS[0]]
+  });
+  assert.equal(tight.metrics.pinnedDropped, 1);
+  assert.ok(tight.messages.some((message) => message.content.startsWith('Project instructions')));
+  assert.ok(tight.tokenCount <= 30);
+});
+
+test('normalizeContextPinInput validates kind and content and cleans source', () => {
+  assert.deepEqual(normalizeContextPinInput({ kind: 'Instruction', content: '  Use tabs. ' }), {
+    value: { kind: 'instruction', content: 'Use tabs.', label: '', source: {} }
+  });
+  assert.match(normalizeContextPinInput({ kind: 'note', content: 'x' }).error, /kind must be one of/);
+  assert.match(normalizeContextPinInput({ kind: 'code', content: 'x'.repeat(8001) }).error, /at most 8000/);
+  assert.deepEqual(
+    normalizeContextPinInput({ label: 'renamed', source: { path: 'a.js', nested: { x: 1 }, start_line: 3 } }, { partial: true }),
+    { value: { label: 'renamed', source: { path: 'a.js', start_line: 3 } } }
+  );
+  assert.match(normalizeContextPinInput({ position: -1 }, { partial: true }).error, /position/);
+});
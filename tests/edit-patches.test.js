@@ -0,0 +1,141 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  applyEditHunks,
+  applyFileEditHunks,
+  parseEditBlocks,
+  validateEditHunks,
+  validateFileEditHunks
+} from '../utils/editPatches.js';
+
+const code = [
+  '<html>',
+  '<body>',
+  '  <h1>Hello</h1>',
+  '  <button>Go</button>',
+  '</body>',
+  '</html>'
+].join('\n');
+
+test('parseEditBlocks reads SEARCH/REPLACE blocks and keeps the prose', () => {
+  const reply = [
+    'Renamed the heading.',
+    '```html',
+    '<<<<<<< SEARCH',
+    '  <h1>Hello</h1>',
+    '=======',
+    '  <h1>Welcome</h1>',
+    '>>>>>>> REPLACE',
+    '```'
+  ].join('\n');
+  const parsed = parseEditBlocks(reply);
+  assert.equal(parsed.format, 'search_replace');
+  assert.equal(parsed.text, 'Renamed the heading.');
+  assert.deepEqual(parsed.hunks, [{ id: 'hunk-1', search: '  <h1>Hello</h1>', replace: '  <h1>Welcome</h1>' }]);
+});
+
+test('parseEditBlocks converts unified diff hunks into search/replace pairs', () => {
+  const reply = [
+    '--- a/index.html',
+    '+++ b/index.html',
+    '@@ -3,2 +3,2 @@',
+    '   <h1>Hello</h1>',
+    '-  <button>Go</button>',
+    '+  <button>Start</button>'
+  ].join('\n');
+  const parsed = parseEditBlocks(reply);
+  assert.equal(parsed.format, 'unified_diff');
+  assert.equal(parsed.text, '');
+  assert.equal(parsed.hunks[0].search, '  <h1>Hello</h1>\n  <button>Go</button>');
+  assert.equal(parsed.hunks[0].replace, '  <h1>Hello</h1>\n  <button>Start</button>');
+  assert.equal(parseEditBlocks('<html></html>').hunks.length, 0);
+});
+
+test('validateEditHunks reports line spans, misses, ambiguity and overlaps', () => {
+  const result = validateEditHunks(code, [
+    { id: 'a', search: '  <button>Go</button>', replace: '' },
+    { id: 'b', search: '<p>missing</p>', replace: '' },
+    { id: 'c', search: 'html>', replace: '' },
+    { id: 'd', search: '<button>', replace: '' }
+  ]);
+  assert.equal(result.valid, false);
+  assert.deepEqual(
+    result.hunks.map(({ id, status, startLine, endLine }) => ({ id, status, startLine, endLine })),
+    [
+      { id: 'a', status: 'ok', startLine: 4, endLine: 4 },
+      { id: 'b', status: 'not_found', startLine: undefined, endLine: undefined },
+      { id: 'c', status: 'ambiguous', startLine: undefined, endLine: undefined },
+      { id: 'd', status: 'conflict', startLine: 4, endLine: 4 }
+    ]
+  );
+});
+
+test('applyEditHunks applies only accepted hunks and tolerates unrelated edits', () => {
+  const hunks = [
+    { id: 'hunk-1', search: '  <h1>Hello</h1>', replace: '  <h1>Welcome</h1>' },
+    { id: 'hunk-2', search: '  <button>Go</button>  ', replace: '  <button>Start</button>' }
+  ];
+  const edited = code.replace('<body>', '<body class="dark">');
+  const result = applyEditHunks(edited, hunks, { acceptedIds: ['hunk-2'] });
+  assert.equal(result.applied.length, 1);
+  assert.equal(result.failed.length, 0);
+  assert.match(result.code, /<body class="dark">/);
+  assert.match(result.code, /<h1>Hello<\/h1>/);
+  assert.match(result.code, /<button>Start<\/button>/);
+
+  const all = applyEditHunks(code, hunks);
+  assert.equal(all.applied.length, 2);
+  assert.match(all.code, /<h1>Welcome<\/h1>/);
+});
+
+test('parseEditBlocks keeps the file path written above each block', () => {
+  const reply = [
+    'Moved the speed into the game loop.',
+    'src/game.js',
+    '```js',
+    '<<<<<<< SEARCH',
+    'const speed = 1;',
+    '=======',
+    'const speed = 2;',
+    '>>>>>>> REPLACE',
+    '```',
+    '',
+    '`index.html`',
+    '<<<<<<< SEARCH',
+    '  <h1>Hello</h1>',
+    '=======',
+    '  <h1>Faster</h1>',
+    '>>>>>>> REPLACE'
+  ].join('\n');
+  const parsed = parseEditBlocks(reply);
+  assert.deepEqual(parsed.hunks.map((hunk) => hunk.path), ['src/game.js', 'index.html']);
+  assert.equal(parsed.text, 'Moved the speed into the game loop.');
+  assert.equal(parseEditBlocks(['--- a/src/game.js', '+++ b/src/game.js', '@@ -1 +1 @@', '-a', '+b'].join('\n')).hunks[0].path, 'src/game.js');
+});
+
+test('file edit hunks are validated and applied per path', () => {
+  const files = { 'index.html': code, 'src/game.js': 'const speed = 1;\n' };
+  const hunks = [
+    { id: 'hunk-1', path: 'src/game.js', search: 'const speed = 1;', replace: 'const speed = 2;' },
+    { id: 'hunk-2', search: '  <h1>Hello</h1>', replace: '  <h1>Faster</h1>' },
+    { id: 'hunk-3', path: 'src/audio.js', search: '', replace: 'export const volume = 1;' },
+    { id: 'hunk-4', path: 'src/missing.js', search: 'x', replace: 'y' }
+  ];
+  const validated = validateFileEditHunks(files, hunks, { defaultPath: 'index.html' });
+  assert.equal(validated.valid, false);
+  assert.deepEqual(validated.hunks.map((hunk) => [hunk.path, hunk.status]), [
+    ['src/game.js', 'ok'],
+    ['index.html', 'ok'],
+    ['src/audio.js', 'ok'],
+    ['src/missing.js', 'unknown_file']
+  ]);
+  assert.equal(validated.hunks[2].create, true);
+
+  const result = applyFileEditHunks(files, hunks, { defaultPath: 'index.html' });
+  assert.equal(result.applied.length, 3);
+  assert.deepEqual(result.failed.map((hunk) => hunk.id), ['hunk-4']);
+  assert.equal(result.files['src/game.js'], 'const speed = 2;\n');
+  assert.match(result.files['index.html'], /<h1>Faster<\/h1>/);
+  assert.equal(result.files['src/audio.js'], 'export const volume = 1;');
+  assert.equal(files['src/game.js'], 'const speed = 1;\n');
+});
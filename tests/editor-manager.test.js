@@ -36,6 +36,11 @@ function setupEditorEnvironment() {
     KeyMod: { Shift: 1, CtrlCmd: 2 },
     KeyCode: { Tab: 9, KeyG: 71, Enter: 13 },
     MarkerSeverity: { Warning: 4, Error: 8 },
+    Range: class {
+      constructor(startLineNumber, startColumn, endLineNumber, endColumn) {
+        Object.assign(this, { startLineNumber, startColumn, endLineNumber, endColumn });
+      }
+    },
     editor: {
       create(container, options = {}) {
         let modelOptions = {};
@@ -64,6 +69,16 @@ function setupEditorEnvironment() {
           addAction() {},
           trigger() {},
           updateOptions() {},
+          _decorations: new Map(),
+          _nextDecorationId: 0,
+          deltaDecorations(oldIds, decorations) {
+            oldIds.forEach((id) => this._decorations.delete(id));
+            return decorations.map((decoration) => {
+              const id = `d${this._nextDecorationId += 1}`;
+              this._decorations.set(id, decoration);
+              return id;
+            });
+          },
           dispose() { this._disposed = true; }
         };
       },
@@ -112,3 +127,24 @@ test('editorManager mount throws when container cannot be found', async () => {
     /Editor container not found/
   );
 });
+
+test('editorManager hunk decorations replace the previous set', async () => {
+  const env = setupEditorEnvironment();
+  env.registerContainer('hunk-editor', {});
+  const module = await import(`../editorManager.js?test=${Date.now()}-hunks`);
+  const api = await module.editorManager.mount('hunk-editor', { value: 'a\nb\nc' });
+
+  api.setHunkDecorations([
+    { id: 'hunk-1', startLine: 1, endLine: 2, decision: 'pending', message: 'Replace with x' },
+    { id: 'hunk-2', startLine: null }
+  ]);
+  assert.equal(api.editor._decorations.size, 1);
+  api.setHunkDecorations([{ id: 'hunk-1', startLine: 1, endLine: 2, decision: 'accepted' }]);
+  const [decoration] = api.editor._decorations.values();
+  assert.equal(api.editor._decorations.size, 1);
+  assert.equal(decoration.options.className, 'editor-hunk-accepted');
+  assert.equal(decoration.range.endLineNumber, 2);
+
+  api.clearHunkDecorations();
+  assert.equal(api.editor._decorations.size, 0);
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createEmbeddingStore, hashEmbeddingContent } from '../utils/embeddingStore.js';
+import { clearEmbeddingCache, embedText, getEmbeddingCacheStats } from '../utils/embeddings.js';
+
+function createFakePool() {
+  const rows = new Map();
+  const keyOf = ([contentHash, model, dimension]) => `${contentHash}|${model}|${dimension}`;
+  return {
+    rows,
+    async query(sql, params) {
+      if (/^\s*INSERT/i.test(sql)) {
+        rows.set(keyOf(params), params[3]);
+        return { rows: [] };
+      }
+      const vector = rows.get(keyOf(params));
+      return { rows: vector ? [{ vector }] : [] };
+    }
+  };
+}
+
+test('embedding store evicts least recently used entries from memory', async () => {
+  const store = createEmbeddingStore({ maxEntries: 2 });
+  const key = (contentHash) => ({ contentHash, model: 'm', dimension: 2 });
+  await store.set({ ...key('a'), vector: [1, 0] });
+  await store.set({ ...key('b'), vector: [0, 1] });
+  assert.deepEqual(await store.get(key('a')), [1, 0]);
+  await store.set({ ...key('c'), vector: [1, 1] });
+
+  assert.equal(await store.get(key('b')), null);
+  assert.deepEqual(await store.get(key('a')), [1, 0]);
+  const stats = store.stats();
+  assert.equal(stats.size, 2);
+  assert.equal(stats.evictions, 1);
+  assert.equal(stats.memoryHits, 2);
+  assert.equal(stats.misses, 1);
+});
+
+test('embedding store reads through to postgres and never crosses model or dimension', async () => {
+  const pool = createFakePool();
+  const writer = createEmbeddingStore({ getPool: () => pool });
+  const contentHash = hashEmbeddingContent('hello');
+  await writer.set({ contentHash, model: 'text-embedding-3-small', dimension: 3, vector: [0.1, 0.2, 0.3] });
+  assert.equal(await writer.set({ contentHash, model: 'local-hash-96', dimension: 96, vector: [1, 2, 3] }), false);
+
+  const reader = createEmbeddingStore({ getPool: () => pool });
+  assert.deepEqual(
+    await reader.get({ contentHash, model: 'text-embedding-3-small', dimension: 3 }),
+    [0.1, 0.2, 0.3]
+  );
+  assert.equal(await reader.get({ contentHash, model: 'local-hash-96', dimension: 96 }), null);
+  assert.equal(await reader.get({ contentHash, model: 'text-embedding-3-small', dimension: 96 }), null);
+  const stats = reader.stats();
+  assert.equal(stats.dbHits, 1);
+  assert.equal(stats.misses, 2);
+  assert.equal(stats.persistent, true);
+  assert.equal(writer.stats().rejected, 1);
+});
+
+test('embedText caches fallback vectors under the fallback model key', async () => {
+  clearEmbeddingCache();
+  const first = await embedText('cache me');
+  const second = await embedText('cache me');
+  assert.equal(first.length, 96);
+  assert.equal(second, first);
+  const stats = getEmbeddingCacheStats();
+  assert.equal(stats.model, 'local-hash-96');
+  assert.equal(stats.memoryHits, 1);
+  assert.equal(stats.misses, 1);
+});
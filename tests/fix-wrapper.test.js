@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  buildRuntimeFixPrompt,
+  extractCodeAroundLine,
+  normalizeRuntimeError
+} from '../server/utils/fixWrapper.js';
+
+test('normalizeRuntimeError keeps location details and rejects empty errors', () => {
+  assert.equal(normalizeRuntimeError(null), null);
+  assert.equal(normalizeRuntimeError({ message: '  ' }), null);
+  assert.deepEqual(normalizeRuntimeError({ message: 'x is not defined', line: '12', column: 0, stack: 'at run' }), {
+    message: 'x is not defined',
+    line: 12,
+    column: null,
+    stack: 'at run'
+  });
+});
+
+test('extractCodeAroundLine numbers the excerpt and marks the failing line', () => {
+  const code = ['a', 'b', 'c', 'd', 'e'].join('\n');
+  assert.equal(extractCodeAroundLine(code, 3, 1), ' 2 | b\n>3 | c\n 4 | d');
+  assert.equal(extractCodeAroundLine(code, 9), '');
+});
+
+test('buildRuntimeFixPrompt asks for edit blocks and includes error context', () => {
+  const prompt = buildRuntimeFixPrompt({
+    error: { message: 'ctx is null', line: 4, column: 7, stack: '' },
+    excerpt: '>4 | ctx.fillRect(0, 0, 1, 1);',
+    relevantChunks: ['function draw() {}'],
+    attempt: 2,
+    previousAttempts: [{ message: 'canvas is undefined' }]
+  });
+  assert.match(prompt, /SEARCH\/REPLACE edit blocks/);
+  assert.match(prompt, /auto-fix attempt 2/);
+  assert.match(prompt, /Location: line 4, column 7/);
+  assert.match(prompt, /function draw\(\) \{\}/);
+  assert.match(prompt, /1\. canvas is undefined/);
+});
@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  isGameModeJobExpired,
+  parseLastEventId,
+  planGameModeResume,
+  selectEventsAfter,
+  sumGameModeLlmUsage
+} from '../server/utils/gameModeJobs.js';
+
+test('parseLastEventId accepts positive integers and treats anything else as a fresh stream', () => {
+  assert.equal(parseLastEventId('12'), 12);
+  assert.equal(parseLastEventId(' 7 '), 7);
+  assert.equal(parseLastEventId(undefined), 0);
+  assert.equal(parseLastEventId('-3'), 0);
+  assert.equal(parseLastEventId('abc'), 0);
+});
+
+test('selectEventsAfter replays only events newer than the last one seen', () => {
+  const events = [1, 2, 3, 4].map((id) => ({ id, event: 'log', data: { text: `e${id}` } }));
+  assert.deepEqual(selectEventsAfter(events, 2).map((packet) => packet.id), [3, 4]);
+  assert.equal(selectEventsAfter(events, 0).length, 4);
+  assert.deepEqual(selectEventsAfter(events, 4), []);
+});
+
+test('isGameModeJobExpired only drops finished jobs, timed from completion', () => {
+  const ttlMs = 1000;
+  const now = 10_000;
+  assert.equal(isGameModeJobExpired({ status: 'queued', createdAt: 0, completedAt: null }, { now, ttlMs }), false);
+  assert.equal(isGameModeJobExpired({ status: 'running', createdAt: 0, completedAt: null }, { now, ttlMs }), false);
+  assert.equal(isGameModeJobExpired({ status: 'success', createdAt: 0, completedAt: 9_500 }, { now, ttlMs }), false);
+  assert.equal(isGameModeJobExpired({ status: 'success', createdAt: 0, completedAt: 8_000 }, { now, ttlMs }), true);
+  assert.equal(isGameModeJobExpired({ status: 'error', createdAt: 0, completedAt: 8_000 }, { now, ttlMs }), true);
+});
+
+test('planGameModeResume resumes after the last stage whose checkpoint survived', () => {
+  const designerSpec = { title: 'Orbit' };
+  const builderOutput = { files: [] };
+  assert.deepEqual(planGameModeResume({ stage: null, checkpoint: {}, attempts: 2 }), { action: 'requeue', stage: null });
+  assert.deepEqual(
+    planGameModeResume({ stage: 'concept', checkpoint: { designerSpec }, attempts: 2 }),
+    { action: 'resume', stage: 'concept' }
+  );
+  assert.deepEqual(
+    planGameModeResume({ stage: 'implementation', checkpoint: { designerSpec, builderOutput }, attempts: 3 }),
+    { action: 'resume', stage: 'implementation' }
+  );
+  assert.deepEqual(
+    planGameModeResume({ stage: 'implementation', checkpoint: { designerSpec }, attempts: 2 }),
+    { action: 'resume', stage: 'concept' }
+  );
+  assert.deepEqual(
+    planGameModeResume({ stage: 'concept', checkpoint: { designerSpec }, attempts: 4, maxAttempts: 3 }),
+    { action: 'fail', stage: null }
+  );
+});
+
+test('sumGameModeLlmUsage totals a stage and only trusts provider counts when every call had them', () => {
+  const calls = [
+    { model: 'gpt-4.1-mini', inputTokens: 1200, outputTokens: 300, inputChars: 4800, outputChars: 1100, latencyMs: 900, tokenSource: 'provider' },
+    { model: 'gpt-4.1-mini', inputTokens: 1500, outputTokens: 250, inputChars: 6000, outputChars: 950, latencyMs: 700, tokenSource: 'estimate' }
+  ];
+  assert.deepEqual(sumGameModeLlmUsage(calls), {
+    model: 'gpt-4.1-mini',
+    inputTokens: 2700,
+    outputTokens: 550,
+    inputChars: 10800,
+    outputChars: 2050,
+    latencyMs: 1600,
+    tokenSource: 'estimate'
+  });
+  assert.equal(sumGameModeLlmUsage(calls.slice(0, 1)).tokenSource, 'provider');
+  assert.equal(sumGameModeLlmUsage([]).inputTokens, 0);
+});
@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { analyzePlaytest, buildPlaytestPlan, frameDifference, runPlaytest } from '../server/utils/gameModePlaytest.js';
+
+function canvasFrame(rafTicks, shade = 0, texts = []) {
+  return { kind: 'canvas', rafTicks, texts, pixels: Array.from({ length: 768 }, (_, index) => (index < 40 ? shade : 0)) };
+}
+
+test('buildPlaytestPlan maps spec controls to key and pointer steps', () => {
+  const plan = buildPlaytestPlan({
+    controls: [
+      { input: 'WASD', action: 'Move' },
+      { input: 'Space', action: 'Jump' },
+      { input: 'P', action: 'Pause game' },
+      { input: 'Drag with mouse', action: 'Aim' },
+      { input: 'J', action: 'Attack' }
+    ],
+    winCondition: 'Reach 500 points before time runs out.'
+  });
+  assert.deepEqual(plan.steps.map((step) => step.id), [
+    'key:KeyW', 'key:KeyA', 'key:KeyS', 'key:KeyD', 'key:Space', 'pointer:drag', 'key:KeyJ'
+  ]);
+  assert.equal(plan.derived, true);
+  assert.equal(plan.expectsReadout, true);
+
+  const fallback = buildPlaytestPlan({ controls: [{ input: 'Think hard', action: 'Win' }], winCondition: 'Find the exit.' });
+  assert.equal(fallback.derived, false);
+  assert.ok(fallback.steps.some((step) => step.type === 'pointer'));
+  assert.equal(fallback.expectsReadout, false);
+});
+
+test('analyzePlaytest reports structured failures for frozen, unresponsive and stalled games', () => {
+  const plan = buildPlaytestPlan({ controls: [{ input: 'Arrow keys', action: 'Move' }], winCondition: 'Score 100 points' });
+  const idle = [canvasFrame(0), canvasFrame(18), canvasFrame(36)];
+
+  const frozen = analyzePlaytest({
+    plan,
+    idle,
+    steps: [{ id: 'key:ArrowUp', before: canvasFrame(40), after: canvasFrame(58) }],
+    idleMs: 600
+  });
+  assert.deepEqual(frozen.failures.map((failure) => failure.code), ['PLAYTEST_NO_MOTION', 'PLAYTEST_NO_PROGRESS_READOUT']);
+
+  const moving = [canvasFrame(0, 30), canvasFrame(18, 40), canvasFrame(36, 50)];
+  const unresponsive = analyzePlaytest({
+    plan,
+    idle: moving,
+    steps: [{ id: 'key:ArrowUp', before: canvasFrame(40, 60), after: canvasFrame(58, 70, ['Score: 10']) }],
+    idleMs: 600
+  });
+  assert.deepEqual(unresponsive.failures.map((failure) => failure.code), ['PLAYTEST_NO_INPUT_RESPONSE']);
+
+  const responsive = analyzePlaytest({
+    plan,
+    idle: moving,
+    steps: [{ id: 'key:ArrowUp', before: canvasFrame(40, 60), after: canvasFrame(58, 200, ['Score: 10']) }],
+    idleMs: 600
+  });
+  assert.equal(responsive.passed, true);
+  assert.deepEqual(responsive.metrics.respondedTo, ['key:ArrowUp']);
+
+  const stalled = analyzePlaytest({ plan: { ...plan, expectsReadout: false }, idle: [canvasFrame(5), canvasFrame(5), canvasFrame(6)], steps: [], idleMs: 600 });
+  assert.deepEqual(stalled.failures.map((failure) => failure.code), ['PLAYTEST_STUCK_LOOP']);
+
+  assert.equal(frameDifference({ kind: 'dom', signature: 'a' }, { kind: 'dom', signature: 'b' }), 1);
+  assert.equal(frameDifference({ kind: 'unreadable' }, { kind: 'unreadable' }), null);
+});
+
+test('runPlaytest drives the page with the plan and samples around each input', async () => {
+  const frames = [canvasFrame(0), canvasFrame(20), canvasFrame(40), canvasFrame(45), canvasFrame(60, 255, ['Score: 5'])];
+  const actions = [];
+  const page = {
+    async focus() {},
+    async evaluate(fn) {
+      return fn.name === 'sampleGameFrame' ? frames.shift() : { x: 0, y: 0, width: 400, height: 300 };
+    },
+    keyboard: {
+      async down(key) { actions.push(`down:${key}`); },
+      async up(key) { actions.push(`up:${key}`); }
+    },
+    mouse: { async click(x, y) { actions.push(`click:${x},${y}`); } }
+  };
+  const plan = buildPlaytestPlan({ controls: [{ input: 'Space', action: 'Flap' }], winCondition: 'Survive 30 seconds' });
+  const result = await runPlaytest(page, plan);
+  assert.deepEqual(actions, ['down:Space', 'up:Space']);
+  assert.equal(result.passed, true);
+  assert.deepEqual(result.metrics.respondedTo, ['key:Space']);
+});
+
+test('runPlaytest reports a stuck loop when an input handler blocks the page', async () => {
+  const frames = [canvasFrame(0), canvasFrame(20), canvasFrame(40), canvasFrame(45)];
+  const page = {
+    async focus() {},
+    async evaluate(fn) {
+      return fn.name === 'sampleGameFrame' ? frames.shift() : { x: 0, y: 0, width: 400, height: 300 };
+    },
+    keyboard: {
+      down: () => new Promise(() => {}),
+      async up() {}
+    },
+    mouse: { async click() {} }
+  };
+  const plan = buildPlaytestPlan({ controls: [{ input: 'Space', action: 'Flap' }] });
+  const result = await runPlaytest(page, plan);
+  assert.equal(result.passed, false);
+  assert.deepEqual(result.failures.map((failure) => failure.code), ['PLAYTEST_STUCK_LOOP']);
+  assert.equal(result.metrics.steps, 0);
+});
@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { applyRepairOutput, buildRepairPrompt, summarizeRepairDiff } from '../server/utils/gameModeRepair.js';
+
+const files = [
+  { path: 'index.html', content: '<!doctype html>\n<script src="./src/game.js"></script>' },
+  { path: 'src/game.js', content: 'let score = 0;\nfunction tick() {\n  draw();\n}\ntick();' }
+];
+
+test('buildRepairPrompt sends failure codes, error excerpts and targeted hints', () => {
+  const { system, user, codes } = buildRepairPrompt({
+    mode: 'multi',
+    designerSpec: { controls: [{ input: 'Arrow keys', action: 'Move' }], winCondition: 'Score 100' },
+    files,
+    failures: [
+      { code: 'UNCAUGHT_EXCEPTION', detail: 'ReferenceError: draw is not defined' },
+      { code: 'NO_RAF_HEARTBEAT', detail: 'rafTicks=0 after 1500ms' },
+      { code: 'UNCAUGHT_EXCEPTION', detail: 'ReferenceError: draw is not defined' }
+    ]
+  });
+  assert.deepEqual(codes, ['UNCAUGHT_EXCEPTION', 'NO_RAF_HEARTBEAT']);
+  assert.match(system, /- NO_RAF_HEARTBEAT: Start the requestAnimationFrame loop on load/);
+  assert.match(user, /- UNCAUGHT_EXCEPTION: ReferenceError: draw is not defined/);
+  assert.match(user, /--- src\/game.js\nlet score = 0;/);
+  assert.match(user, /win_condition=Score 100/);
+});
+
+test('applyRepairOutput merges changed files and rejects unsafe or unknown paths', () => {
+  const applied = applyRepairOutput(files, {
+    files: [
+      { path: './src/game.js', content: 'let score = 0;\nfunction draw() {}\nfunction tick() {\n  draw();\n  requestAnimationFrame(tick);\n}\ntick();' },
+      { path: 'index.html', content: files[0].content }
+    ]
+  }, { mode: 'multi' });
+  assert.deepEqual(applied.changed, ['src/game.js']);
+  assert.equal(applied.files.length, 2);
+  assert.match(applied.files[1].content, /requestAnimationFrame\(tick\)/);
+
+  assert.match(applyRepairOutput(files, { files: [{ path: '../etc/passwd', content: 'x' }] }).error, /invalid file entry/);
+  assert.match(applyRepairOutput(files, { files: [{ path: 'extra.js', content: 'x' }] }, { mode: 'single' }).error, /unknown file/);
+  assert.equal(applyRepairOutput(files, { files: [{ path: 'src/extra.js', content: 'x' }] }, { mode: 'multi' }).changed[0], 'src/extra.js');
+  assert.match(applyRepairOutput(files, { notes: 'nothing' }).error, /files missing/);
+});
+
+test('summarizeRepairDiff reports per-file line changes for the job summary', () => {
+  const after = [files[0], { path: 'src/game.js', content: 'let score = 0;\nfunction draw() {}\nfunction tick() {\n  draw();\n}\ntick();' }];
+  assert.deepEqual(summarizeRepairDiff(files, after), [
+    { path: 'src/game.js', added: 1, removed: 0, excerpt: ['+ function draw() {}'] }
+  ]);
+  assert.deepEqual(summarizeRepairDiff(files, files), []);
+});
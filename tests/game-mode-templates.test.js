@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import vm from 'node:vm';
+import { buildPlaytestPlan } from '../server/utils/gameModePlaytest.js';
+import {
+  buildTemplateBuilderOutput,
+  buildTemplateDesignerSpec,
+  checkTemplateMustHave,
+  listGameModeTemplates
+} from '../server/utils/gameModeTemplates.js';
+import { verifySingleFile } from '../server/utils/staticVerification.js';
+
+const TEMPLATE_IDS = ['platformer', 'top-down-shooter', 'puzzle-grid', 'endless-runner', 'card-game'];
+
+// Just enough DOM for a reference game to boot and run frames: a canvas whose
+// 2D context accepts any call, window listeners and a manual rAF queue.
+function runReferenceGame(html, { frames = 120, keys = [] } = {}) {
+  const script = html.match(/<script>([\s\S]*)<\/script>/)[1];
+  const listeners = {};
+  let rafQueue = [];
+  const context = new Proxy({}, { get: (target, key) => (key in target ? target[key] : () => {}), set: (target, key, value) => { target[key] = value; return true; } });
+  const element = () => ({ textContent: '', getContext: () => context, addEventListener: (type, fn) => { (listeners[type] ||= []).push(fn); } });
+  const elements = { c: element(), score: element(), state: element() };
+  const sandbox = {
+    innerWidth: 960,
+    innerHeight: 640,
+    document: { getElementById: (id) => elements[id] },
+    addEventListener: (type, fn) => { (listeners[type] ||= []).push(fn); },
+    requestAnimationFrame: (fn) => rafQueue.push(fn)
+  };
+  vm.runInNewContext(script, sandbox);
+  const fire = (type, event) => (listeners[type] || []).forEach((fn) => fn({ preventDefault() {}, clientX: 480, clientY: 320, ...event }));
+  for (let frame = 0; frame < frames; frame += 1) {
+    const code = keys[frame % Math.max(keys.length, 1)];
+    if (code && frame % 10 === 0) {
+      fire('keydown', { code });
+      fire('pointerdown', {});
+    }
+    if (code && frame % 10 === 5) {
+      fire('keyup', { code });
+    }
+    const queue = rafQueue;
+    rafQueue = [];
+    queue.forEach((fn) => fn(frame * 16));
+  }
+  return { score: elements.score.textContent, state: elements.state.textContent, pending: rafQueue.length };
+}
+
+test('every template skeleton names its genre requirements and drives a derived playtest', () => {
+  assert.deepEqual(listGameModeTemplates().map((template) => template.id), TEMPLATE_IDS);
+  for (const id of TEMPLATE_IDS) {
+    const spec = buildTemplateDesignerSpec(id, { prompt: 'Neon jungle' });
+    assert.equal(spec.template, id);
+    assert.equal(spec.title, 'Neon jungle');
+    assert.deepEqual(checkTemplateMustHave(spec, id), [], id);
+    assert.ok(spec.controls.some((control) => /wasd|arrow|mouse|touch|pointer/i.test(control.input)), id);
+    const plan = buildPlaytestPlan(spec);
+    assert.equal(plan.derived, true, id);
+    assert.equal(plan.expectsReadout, true, id);
+  }
+  assert.equal(buildTemplateDesignerSpec('racing'), null);
+});
+
+test('checkTemplateMustHave flags a specialized spec that dropped genre items', () => {
+  const spec = { ...buildTemplateDesignerSpec('platformer'), mustHave: ['Score UI', 'Game Over state', 'Victory state', 'Jump physics'] };
+  const failures = checkTemplateMustHave(spec, 'platformer');
+  assert.deepEqual(failures.map((failure) => failure.code), ['DESIGN_TEMPLATE_MISSING', 'DESIGN_TEMPLATE_MISSING']);
+  assert.match(failures[0].detail, /"Platforms" required by the platformer template/);
+  assert.deepEqual(checkTemplateMustHave(spec, null), []);
+});
+
+test('reference builder outputs pass static checks and run frames without errors', async () => {
+  for (const id of TEMPLATE_IDS) {
+    const spec = buildTemplateDesignerSpec(id);
+    const single = buildTemplateBuilderOutput(id, spec, 'single');
+    const html = single.files[0].content;
+    assert.equal((await verifySingleFile(html)).passed, true, id);
+    for (const marker of ['requestAnimationFrame(', 'Score', 'Game Over', 'Victory']) {
+      assert.ok(html.includes(marker), `${id} missing ${marker}`);
+    }
+    const run = runReferenceGame(html, { keys: ['ArrowRight', 'Space', 'ArrowDown', 'Enter'] });
+    assert.equal(run.pending, 1, `${id} keeps its animation loop running`);
+    assert.match(run.state, /Running|Game Over|Victory/, id);
+
+    const multi = buildTemplateBuilderOutput(id, spec, 'multi');
+    const readme = multi.files.find((file) => file.path === 'README.md').content;
+    assert.match(readme, /## Controls/);
+    assert.match(readme, /GitHub Pages/);
+  }
+});
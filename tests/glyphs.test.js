@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import test from 'node:test';
+import {
+  GLYPH_V1_SCHEMA,
+  buildTurnGlyphState,
+  compileGlyphs,
+  compileGlyphsWithDiagnostics,
+  decompileGlyphs,
+  validateGlyphState
+} from '../utils/glyphs.js';
+import { prependGlyphHeader, resolveGlyphContext } from '../server/utils/glyphContext.js';
+
+test('decompileGlyphs round-trips through compileGlyphs', () => {
+  const header = [
+    '⟁INTENT:CODE',
+    '⟲STATE:ITERATE',
+    '⌬SCOPE:BROWSER|SINGLE',
+    '∆HARD:RUNNABLE,SINGLE_FILE',
+    'ΩOUT:CODE_ONLY'
+  ].join('\n');
+  const state = compileGlyphs(header);
+  assert.deepEqual(state.constraints.hard, ['runnable', 'single-file']);
+  assert.equal(decompileGlyphs(state), header);
+  assert.deepEqual(compileGlyphs(decompileGlyphs(state)), state);
+});
+
+test('decompileGlyphs emits only changed dimensions', () => {
+  const previous = compileGlyphs('⟁INTENT:CODE\n⟲STATE:NEW');
+  const next = compileGlyphs('⟲STATE:DEBUG', previous);
+  assert.equal(next.intent.primary, 'code');
+  assert.equal(decompileGlyphs(next, previous), '⟲STATE:DEBUG');
+  assert.equal(decompileGlyphs(previous, previous), '');
+});
+
+test('compileGlyphsWithDiagnostics reports line-numbered problems without failing', () => {
+  const previous = { schema: 'glyph.v1', intent: { primary: 'text' } };
+  const { state, diagnostics } = compileGlyphsWithDiagnostics('⟁INTENT:CODE\n\n⟲STATE:SLEEP\nΔFOO:1\nλMODEL:', previous);
+  assert.equal(state.intent.primary, 'code');
+  assert.equal(state.state, undefined);
+  assert.equal(previous.intent.primary, 'text');
+  assert.deepEqual(diagnostics.map(({ line, severity, code }) => ({ line, severity, code })), [
+    { line: 3, severity: 'error', code: 'enum' },
+    { line: 4, severity: 'warning', code: 'unknown_glyph' },
+    { line: 5, severity: 'error', code: 'missing_payload' }
+  ]);
+});
+
+test('validateGlyphState reports paths for schema violations', () => {
+  assert.equal(validateGlyphState({ schema: 'glyph.v1', scope: { runtime: 'node' } }).valid, true);
+  const { valid, errors } = validateGlyphState({
+    intent: { confidence: 2 },
+    extra: true,
+    constraints: { hard: ['Not Valid'] }
+  });
+  assert.equal(valid, false);
+  assert.deepEqual(errors.map((error) => `${error.path}:${error.code}`), [
+    'schema:required',
+    'intent.confidence:maximum',
+    'extra:additional',
+    'constraints.hard[0]:pattern'
+  ]);
+});
+
+test('schemas/glyph.v1.schema.json matches the exported schema', async () => {
+  const raw = await readFile(new URL('../schemas/glyph.v1.schema.json', import.meta.url), 'utf8');
+  assert.deepEqual(JSON.parse(raw), GLYPH_V1_SCHEMA);
+});
+
+test('resolveGlyphContext drops invalid base state and recomputes the delta', () => {
+  const resolved = resolveGlyphContext({
+    glyphSurface: '⟁INTENT:CODE\nλMODEL:CHEAP',
+    glyphState: { schema: 'glyph.v1', intent: { primary: 'code' } }
+  });
+  assert.equal(resolved.delta, 'λMODEL:CHEAP');
+  assert.equal(resolved.state.routing.model_class, 'cheap');
+
+  const invalid = resolveGlyphContext({ glyphSurface: '⟁INTENT:TEXT', glyphState: '{bad' });
+  assert.equal(invalid.diagnostics[0].code, 'invalid_json');
+  assert.equal(invalid.delta, '⟁INTENT:TEXT');
+
+  assert.deepEqual(resolveGlyphContext({}), { state: null, delta: '', diagnostics: [] });
+});
+
+test('a chat turn after a code turn clears the hard constraints explicitly', () => {
+  const first = decompileGlyphs(buildTurnGlyphState({ type: 'code' }, false), {});
+  assert.match(first, /^∆HARD:RUNNABLE,SINGLE_FILE$/m);
+  const codeTurn = resolveGlyphContext({ glyphSurface: first, glyphState: null });
+  assert.deepEqual(codeTurn.state.constraints.hard, ['runnable', 'single-file']);
+
+  const second = decompileGlyphs(buildTurnGlyphState({ type: 'chat' }, true), codeTurn.state);
+  assert.match(second, /^∆HARD:NONE$/m);
+  const chatTurn = resolveGlyphContext({ glyphSurface: second, glyphState: codeTurn.state });
+  assert.deepEqual(chatTurn.state.constraints.hard, []);
+  assert.match(chatTurn.delta, /^∆HARD:NONE$/m);
+
+  const followUp = decompileGlyphs(buildTurnGlyphState({ type: 'chat' }, true), chatTurn.state);
+  assert.doesNotMatch(followUp, /∆HARD/);
+  assert.doesNotMatch(decompileGlyphs(buildTurnGlyphState({ type: 'chat' }, false), {}), /∆HARD/);
+});
+
+test('prependGlyphHeader prefixes only the last user message', () => {
+  const messages = [
+    { role: 'user', content: 'first' },
+    { role: 'assistant', content: 'ok' },
+    { role: 'user', content: 'second' }
+  ];
+  const result = prependGlyphHeader(messages, '⟲STATE:ITERATE');
+  assert.equal(result[0].content, 'first');
+  assert.equal(result[2].content, '⟲STATE:ITERATE\n\nsecond');
+  assert.equal(prependGlyphHeader(messages, ''), messages);
+});
@@ -0,0 +1,144 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  alignHistorySummaryToPath,
+  applyHistorySummaryEdits,
+  extendHistorySummary,
+  normalizeHistorySummaryState
+} from '../utils/historySummarizer.js';
+import { mergeStoredMessages } from '../utils/messageTree.js';
+import { buildTrimmedContext } from '../utils/tokenEfficiency.js';
+
+function buildPath(count, prefix = 'm') {
+  return Array.from({ length: count }, (_, index) => ({
+    id: `${prefix}${index + 1}`,
+    parent_id: index ? `${prefix}${index}` : null,
+    role: index % 2 ? 'assistant' : 'user',
+    content: `turn ${index + 1} about the ${index % 2 ? 'layout' : 'palette'}`
+  }));
+}
+
+function createSummarizer() {
+  const calls = [];
+  const summarize = async ({ messages, existingSummary }) => {
+    calls.push({ messages, existingSummary });
+    const covered = messages.map((entry) => entry.content).join(' | ');
+    return existingSummary ? `${existingSummary} + [${covered}]` : `[${covered}]`;
+  };
+  return { calls, summarize };
+}
+
+test('extendHistorySummary only summarizes full chunks of uncovered messages', async () => {
+  const { calls, summarize } = createSummarizer();
+  const path = buildPath(10);
+  const first = await extendHistorySummary({ state: {}, pathMessages: path, eligibleCount: 7, chunkSize: 3, summarize });
+  assert.equal(first.changed, true);
+  assert.deepEqual(first.state.chunks.map((chunk) => [chunk.start_message_id, chunk.end_message_id]), [['m1', 'm3'], ['m4', 'm6']]);
+  assert.equal(first.state.session_summary.covered_through_message_id, 'm6');
+  assert.equal(first.state.session_summary.message_count, 6);
+  assert.equal(calls.length, 3);
+
+  const second = await extendHistorySummary({ state: first.state, pathMessages: path, eligibleCount: 8, chunkSize: 3, summarize });
+  assert.equal(second.changed, false);
+  assert.equal(calls.length, 3);
+
+  const third = await extendHistorySummary({ state: first.state, pathMessages: path, eligibleCount: 9, chunkSize: 3, summarize });
+  assert.deepEqual(third.newChunks.map((chunk) => chunk.end_message_id), ['m9']);
+  assert.equal(calls.at(-1).existingSummary, first.state.session_summary.text);
+});
+
+test('switching branches drops chunks that are off the active path', async () => {
+  const { summarize } = createSummarizer();
+  const path = buildPath(9);
+  const { state } = await extendHistorySummary({ state: {}, pathMessages: path, chunkSize: 3, summarize });
+  assert.equal(state.chunks.length, 3);
+
+  const branch = [...path.slice(0, 4), { id: 'b5', parent_id: 'm4', role: 'assistant', content: 'alternate reply' }];
+  const aligned = alignHistorySummaryToPath(state, branch);
+  assert.equal(aligned.pruned, true);
+  assert.equal(aligned.coveredIndex, 2);
+  assert.deepEqual(aligned.state.chunks.map((chunk) => chunk.end_message_id), ['m3']);
+  assert.equal(aligned.state.session_summary.stale, true);
+
+  const rebuilt = await extendHistorySummary({ state, pathMessages: branch, eligibleCount: 0, chunkSize: 3, summarize });
+  assert.equal(rebuilt.changed, true);
+  assert.equal(rebuilt.state.session_summary.text, `[${state.chunks[0].summary}]`);
+});
+
+test('a truncated path with no visible chunk keeps the stored coverage', () => {
+  const state = normalizeHistorySummaryState({
+    chunks: [{ start_message_id: 'm1', end_message_id: 'm3', message_count: 3, summary: 'early turns' }],
+    session_summary: { text: 'early turns' }
+  });
+  const aligned = alignHistorySummaryToPath(state, buildPath(12).slice(6));
+  assert.equal(aligned.coveredIndex, null);
+  assert.equal(aligned.state.chunks.length, 1);
+});
+
+test('chunk edits mark the session summary stale unless it is edited too', () => {
+  const state = {
+    chunks: [{ start_message_id: 'm1', end_message_id: 'm3', message_count: 3, summary: 'early turns' }],
+    session_summary: { text: 'early turns' }
+  };
+  const chunkOnly = applyHistorySummaryEdits(state, { chunks: [{ end_message_id: 'm3', summary: 'keep the palette dark' }] });
+  assert.deepEqual(chunkOnly.errors, []);
+  assert.equal(chunkOnly.state.chunks[0].edited, true);
+  assert.equal(chunkOnly.state.session_summary.stale, true);
+
+  const both = applyHistorySummaryEdits(state, {
+    chunks: [{ end_message_id: 'm3', summary: 'keep the palette dark' }],
+    session_summary: { text: 'Palette must stay dark.' }
+  });
+  assert.equal(both.state.session_summary.stale, false);
+  assert.equal(both.state.session_summary.edited, true);
+
+  assert.equal(applyHistorySummaryEdits(state, { chunks: [{ end_message_id: 'nope', summary: 'x' }] }).errors.length, 1);
+});
+
+test('buildTrimmedContext loads, extends and saves the stored summary', async () => {
+  const { summarize } = createSummarizer();
+  const saved = [];
+  let stored = null;
+  const store = {
+    load: async () => stored,
+    save: async (state) => {
+      saved.push(state);
+      stored = state;
+    }
+  };
+  const messages = [...buildPath(12), { role: 'user', content: 'make the header sticky' }];
+  const options = {
+    messages,
+    activeLeafId: 'm12',
+    maxTokens: 4000,
+    historySummaryThresholdTokens: 10,
+    summarizeHistory: summarize,
+    historySummaryStore: store
+  };
+
+  const first = await buildTrimmedContext(options);
+  assert.equal(saved.length, 1);
+  assert.ok(first.metrics.historySummaryChunks > 0);
+  assert.equal(first.summaryText, stored.session_summary.text);
+  assert.match(first.messages.map((entry) => entry.content).join('\n'), /Summary of earlier conversation/);
+
+  await buildTrimmedContext(options);
+  assert.equal(saved.length, 1);
+});
+
+test('mergeStoredMessages fills in stored history after leading system messages', () => {
+  const merged = mergeStoredMessages(
+    [
+      { role: 'system', content: 'system prompt' },
+      { id: 'm2', parent_id: 'm1', role: 'assistant', content: 'reply' },
+      { role: 'user', content: 'next' }
+    ],
+    [
+      { id: 'm1', parent_id: null, role: 'user', content_text: 'first' },
+      { id: 'm2', parent_id: 'm1', role: 'assistant', content_text: 'reply' },
+      { id: 'note', parent_id: 'm2', role: 'system', content_text: 'ignored' }
+    ]
+  );
+  assert.deepEqual(merged.map((entry) => entry.id || entry.role), ['system', 'm1', 'm2', 'user']);
+  assert.equal(merged[1].content, 'first');
+});
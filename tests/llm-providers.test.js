@@ -0,0 +1,195 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  createAnthropicMessagesProvider,
+  createFakeProvider,
+  createGeminiProvider,
+  createLlmProvider,
+  createProxyProvider,
+  listLlmProviders,
+  mergeStreamUsage,
+  normalizeCompletionPayload,
+  normalizeStreamChunk,
+  resolveLlmProvider,
+  toChatCompletionPayload,
+  withFixtureRecording
+} from '../utils/llmProviders.js';
+import { summarizeHistoryWithModel } from '../utils/historySummarizer.js';
+
+function mockFetch(handler) {
+  const originalFetch = global.fetch;
+  const calls = [];
+  global.fetch = async (url, init) => {
+    calls.push({ url, init, body: init?.body ? JSON.parse(init.body) : null });
+    return handler(url, init);
+  };
+  return {
+    calls,
+    restore() {
+      global.fetch = originalFetch;
+    }
+  };
+}
+
+test('normalizeCompletionPayload handles openai, anthropic and gemini shapes', () => {
+  const openai = normalizeCompletionPayload({
+    model: 'gpt-4.1-mini',
+    choices: [{ message: { content: 'hi' }, finish_reason: 'length' }],
+    usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 }
+  });
+  assert.equal(openai.content, 'hi');
+  assert.equal(openai.finishReason, 'length');
+  assert.deepEqual(openai.usage, { inputTokens: 5, outputTokens: 2, totalTokens: 7 });
+
+  const anthropic = normalizeCompletionPayload({
+    content: [{ type: 'text', text: 'a' }, { type: 'text', text: 'b' }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 3, output_tokens: 4 }
+  });
+  assert.equal(anthropic.content, 'ab');
+  assert.equal(anthropic.finishReason, 'stop');
+  assert.equal(anthropic.usage.totalTokens, 7);
+
+  const gemini = normalizeCompletionPayload({
+    candidates: [{ content: { parts: [{ text: 'g' }] }, finishReason: 'MAX_TOKENS' }],
+    usageMetadata: { promptTokenCount: 1, candidatesTokenCount: 1, totalTokenCount: 2 }
+  });
+  assert.equal(gemini.content, 'g');
+  assert.equal(gemini.finishReason, 'length');
+  assert.equal(gemini.usage.totalTokens, 2);
+
+  assert.throws(() => normalizeCompletionPayload(null), (error) => error.code === 'INVALID_RESPONSE');
+});
+
+test('anthropic and gemini adapters translate system prompts into their request formats', async () => {
+  const fetchMock = mockFetch(async (url) => ({
+    ok: true,
+    async text() {
+      return JSON.stringify(String(url).includes('anthropic')
+        ? { content: [{ type: 'text', text: 'ok' }], stop_reason: 'end_turn', usage: { input_tokens: 1, output_tokens: 1 } }
+        : { candidates: [{ content: { parts: [{ text: 'ok' }] }, finishReason: 'STOP' }] });
+    }
+  }));
+  try {
+    const messages = [
+      { role: 'system', content: 'Be terse.' },
+      { role: 'user', content: 'Hello' }
+    ];
+    await createAnthropicMessagesProvider({ apiKey: 'k' }).complete({ model: 'claude-x', messages, maxTokens: 100 });
+    await createGeminiProvider({ apiKey: 'k' }).complete({ model: 'gemini-x', messages });
+
+    const [anthropicCall, geminiCall] = fetchMock.calls;
+    assert.equal(anthropicCall.body.system, 'Be terse.');
+    assert.deepEqual(anthropicCall.body.messages, [{ role: 'user', content: 'Hello' }]);
+    assert.equal(anthropicCall.init.headers['x-api-key'], 'k');
+    assert.match(geminiCall.url, /gemini-x:generateContent$/);
+    assert.equal(geminiCall.body.systemInstruction.parts[0].text, 'Be terse.');
+    assert.equal(geminiCall.body.contents[0].parts[0].text, 'Hello');
+  } finally {
+    fetchMock.restore();
+  }
+});
+
+test('proxy adapter surfaces upstream failures as provider errors', async () => {
+  const fetchMock = mockFetch(async () => ({
+    ok: false,
+    status: 429,
+    async text() {
+      return '{"error":"slow down"}';
+    }
+  }));
+  try {
+    await assert.rejects(
+      createProxyProvider({ url: 'https://proxy.internal' }).complete({ messages: [] }),
+      (error) => error.name === 'LlmProviderError' && error.status === 429 && error.code === 'RATE_LIMITED'
+    );
+  } finally {
+    fetchMock.restore();
+  }
+});
+
+test('proxy adapter streams server-sent deltas', async () => {
+  const frames = [
+    'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n',
+    'data: {"choices":[{"delta":{"content":"lo"},"finish_reason":"stop"}]}\n\ndata: [DONE]\n\n'
+  ];
+  const fetchMock = mockFetch(async () => new Response(new ReadableStream({
+    start(controller) {
+      frames.forEach((frame) => controller.enqueue(new TextEncoder().encode(frame)));
+      controller.close();
+    }
+  }), { headers: { 'content-type': 'text/event-stream' } }));
+  try {
+    let text = '';
+    let finishReason = null;
+    for await (const delta of createProxyProvider({ url: 'https://proxy.internal' }).stream({ messages: [] })) {
+      text += delta.content;
+      finishReason = delta.finishReason || finishReason;
+    }
+    assert.equal(text, 'Hello');
+    assert.equal(finishReason, 'stop');
+    assert.equal(fetchMock.calls[0].body.stream, true);
+  } finally {
+    fetchMock.restore();
+  }
+});
+
+test('mergeStreamUsage keeps anthropic input tokens from message_start', () => {
+  const events = [
+    { type: 'message_start', message: { model: 'claude', usage: { input_tokens: 120, output_tokens: 1 } } },
+    { type: 'content_block_delta', delta: { type: 'text_delta', text: 'hi' } },
+    { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 42, input_tokens: null } }
+  ];
+  const usage = events
+    .map((event) => normalizeStreamChunk(event))
+    .reduce((current, chunk) => mergeStreamUsage(current, chunk.usage), {});
+  assert.deepEqual(usage, { input_tokens: 120, output_tokens: 42 });
+});
+
+test('fake provider is deterministic and replays recorded fixtures', async () => {
+  const provider = createFakeProvider({
+    fixtures: [{ match: { label: 'DESIGNER' }, response: { content: '{"title":"Fixture"}' } }]
+  });
+  const messages = [{ role: 'user', content: 'Build a game' }];
+  const first = await provider.complete({ messages });
+  const second = await provider.complete({ messages });
+  assert.equal(first.content, second.content);
+  assert.match(first.content, /^Fake response /);
+  assert.ok(first.usage.totalTokens > 0);
+
+  const designer = await provider.complete({ messages, label: 'DESIGNER' });
+  assert.equal(designer.content, '{"title":"Fixture"}');
+  assert.equal(provider.calls.length, 3);
+
+  let streamed = '';
+  for await (const delta of provider.stream({ messages, label: 'DESIGNER' })) {
+    streamed += delta.content;
+  }
+  assert.equal(streamed, '{"title":"Fixture"}');
+
+  const recorded = [];
+  const recorder = withFixtureRecording(createFakeProvider(), recorded);
+  const original = await recorder.complete({ messages });
+  const replay = await createFakeProvider({ fixtures: recorded }).complete({ messages });
+  assert.equal(replay.content, original.content);
+  assert.equal(toChatCompletionPayload(replay).choices[0].message.content, original.content);
+});
+
+test('provider registry resolves the configured adapter', () => {
+  assert.deepEqual(listLlmProviders().sort(), ['anthropic', 'fake', 'gemini', 'openai', 'proxy']);
+  assert.equal(resolveLlmProvider({ env: { LLM_PROVIDER: 'fake' } }).name, 'fake');
+  assert.equal(resolveLlmProvider({ env: {}, proxyUrl: 'https://proxy.internal' }).name, 'proxy');
+  assert.throws(() => createLlmProvider('missing'), /Unknown LLM provider/);
+});
+
+test('summarizeHistoryWithModel runs offline against the fake provider', async () => {
+  const llmProvider = createFakeProvider({
+    fixtures: [{ match: { contains: 'New history to merge' }, response: { content: '- merged summary' } }]
+  });
+  const summary = await summarizeHistoryWithModel({
+    messages: [{ role: 'user', content: 'Keep the header sticky.' }],
+    llmProvider,
+    existingSummary: '- prior'
+  });
+  assert.equal(summary, '- merged summary');
+});
@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  findLatestLeaf,
+  getActivePath,
+  getMessageSiblings,
+  normalizeMessageTree,
+  selectBranchCodeVersion
+} from '../utils/messageTree.js';
+import { buildTrimmedContext, selectActivePathMessages } from '../utils/tokenEfficiency.js';
+
+// u1 -> a1 -> u2 -> a2 and a forked u2b -> a2b under a1.
+const tree = [
+  { id: 'u1', parent_id: null, role: 'user', content_text: 'Build a timer', timestamp: '2026-01-01T00:00:00Z' },
+  { id: 'a1', parent_id: 'u1', role: 'assistant', content_text: 'Timer built', timestamp: '2026-01-01T00:01:00Z' },
+  { id: 'u2', parent_id: 'a1', role: 'user', content_text: 'Make it red', timestamp: '2026-01-01T00:02:00Z' },
+  { id: 'a2', parent_id: 'u2', role: 'assistant', content_text: 'Now red', timestamp: '2026-01-01T00:03:00Z' },
+  { id: 'u2b', parent_id: 'a1', role: 'user', content_text: 'Make it blue', timestamp: '2026-01-01T00:04:00Z' },
+  { id: 'a2b', parent_id: 'u2b', role: 'assistant', content_text: 'Now blue', timestamp: '2026-01-01T00:05:00Z' }
+];
+
+test('normalizeMessageTree chains legacy messages and repairs broken links', () => {
+  const legacy = normalizeMessageTree([{ id: 'a' }, { id: 'b' }, { id: 'b' }, { id: 'c' }]);
+  assert.deepEqual(legacy.messages.map((entry) => entry.parent_id), [null, 'a', 'b']);
+  assert.equal(legacy.active_leaf_id, 'c');
+
+  const broken = normalizeMessageTree([
+    { id: 'x', parent_id: 'y' },
+    { id: 'y', parent_id: 'x' },
+    { id: 'z', parent_id: 'missing' }
+  ], 'unknown');
+  assert.equal(broken.messages.find((entry) => entry.id === 'z').parent_id, null);
+  assert.ok(broken.messages.some((entry) => entry.parent_id === null && entry.id !== 'z'));
+  assert.equal(broken.active_leaf_id, 'z');
+});
+
+test('getActivePath, siblings and latest leaf follow the selected branch', () => {
+  assert.deepEqual(getActivePath(tree, 'a2').map((entry) => entry.id), ['u1', 'a1', 'u2', 'a2']);
+  assert.deepEqual(getActivePath(tree, 'a2b').map((entry) => entry.id), ['u1', 'a1', 'u2b', 'a2b']);
+  const { siblings, index } = getMessageSiblings(tree, 'u2b');
+  assert.deepEqual(siblings.map((entry) => entry.id), ['u2', 'u2b']);
+  assert.equal(index, 1);
+  assert.equal(findLatestLeaf(tree, 'u2'), 'a2');
+  assert.equal(findLatestLeaf(tree, 'u1'), 'a2b');
+});
+
+test('selectBranchCodeVersion returns the code each branch produced', () => {
+  const versions = [
+    { id: 'v0', created_at: '2026-01-01T00:00:00Z' },
+    { id: 'v1', message_id: 'a1', created_at: '2026-01-01T00:01:00Z' },
+    { id: 'v2', message_id: 'a2', created_at: '2026-01-01T00:03:00Z' },
+    { id: 'v2-edit', created_at: '2026-01-01T00:03:30Z' },
+    { id: 'v3', message_id: 'a2b', created_at: '2026-01-01T00:05:00Z' }
+  ];
+  assert.equal(selectBranchCodeVersion(versions, tree, 'a2').id, 'v2');
+  assert.equal(selectBranchCodeVersion(versions, tree, 'u2b').id, 'v1');
+  assert.equal(selectBranchCodeVersion(versions, tree, null).id, 'v0');
+});
+
+test('buildTrimmedContext only sees the active path of a message tree', async () => {
+  const messages = [
+    { role: 'system', content: 'system' },
+    ...tree.map((entry) => ({ id: entry.id, parent_id: entry.parent_id, role: entry.role, content: entry.content_text })),
+    { role: 'user', content: 'Add a start button' }
+  ];
+  const selected = selectActivePathMessages(messages, 'a2');
+  assert.deepEqual(selected.map((entry) => entry.id ?? entry.role), ['system', 'u1', 'a1', 'u2', 'a2', 'user']);
+
+  const result = await buildTrimmedContext({
+    systemPrompt: 'You are a careful coding assistant.',
+    messages: messages.slice(1),
+    activeLeafId: 'a2',
+    maxTokens: 4000,
+    historySummaryThresholdTokens: 99999,
+    summarizeHistory: async () => '',
+    llmProxyUrl: ''
+  });
+  const contents = result.messages.map((entry) => entry.content).join('\n');
+  assert.match(contents, /Make it red/);
+  assert.doesNotMatch(contents, /blue/);
+});
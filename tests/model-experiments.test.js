@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  assignExperimentVariant,
+  assignmentBucket,
+  normalizeExperimentDefinition,
+  selectExperimentAssignment,
+  summarizeExperimentVariants,
+  wilsonInterval
+} from '../utils/modelExperiments.js';
+
+const experiment = {
+  id: 'code-mini',
+  intent: 'code',
+  plans: ['pro'],
+  status: 'running',
+  variants: [
+    { id: 'control', model: null, weight: 50 },
+    { id: 'mini', model: 'gpt-4.1-mini', weight: 50 }
+  ]
+};
+
+test('assignment is sticky per user and roughly follows weights', () => {
+  assert.equal(assignmentBucket('code-mini', 'user-1'), assignmentBucket('code-mini', 'user-1'));
+  assert.notEqual(assignmentBucket('code-mini', 'user-1'), assignmentBucket('other', 'user-1'));
+
+  const first = assignExperimentVariant(experiment, 'user-1');
+  for (let i = 0; i < 5; i += 1) {
+    assert.equal(assignExperimentVariant(experiment, 'user-1').id, first.id);
+  }
+
+  const counts = { control: 0, mini: 0 };
+  for (let i = 0; i < 2000; i += 1) {
+    counts[assignExperimentVariant(experiment, `user-${i}`).id] += 1;
+  }
+  assert.ok(counts.mini > 850 && counts.mini < 1150, `unexpected split ${JSON.stringify(counts)}`);
+});
+
+test('selectExperimentAssignment honours intent, plan and status', () => {
+  const base = { userId: 'user-1', intentType: 'code', plan: 'pro' };
+  assert.ok(selectExperimentAssignment([experiment], base));
+  assert.equal(selectExperimentAssignment([experiment], { ...base, intentType: 'chat' }), null);
+  assert.equal(selectExperimentAssignment([experiment], { ...base, plan: 'free' }), null);
+  assert.equal(selectExperimentAssignment([{ ...experiment, status: 'stopped' }], base), null);
+  const anyPlan = selectExperimentAssignment([{ ...experiment, plans: [], intent: 'any' }], { ...base, plan: 'free', intentType: 'chat' });
+  assert.equal(anyPlan.experiment_id, 'code-mini');
+});
+
+test('normalizeExperimentDefinition rejects malformed variants', () => {
+  const { errors } = normalizeExperimentDefinition({
+    id: 'Bad Id',
+    status: 'paused',
+    variants: [{ id: 'a', weight: 0 }, { id: 'a', weight: 1 }]
+  });
+  assert.equal(errors.length, 4);
+  const valid = normalizeExperimentDefinition({ ...experiment, plans: ['pro', 'pro', ' '] });
+  assert.deepEqual(valid.errors, []);
+  assert.deepEqual(valid.experiment.plans, ['pro']);
+});
+
+test('wilsonInterval stays within [0, 1] and handles empty samples', () => {
+  assert.deepEqual(wilsonInterval(0, 0), { rate: null, low: null, high: null });
+  const interval = wilsonInterval(10, 10);
+  assert.equal(interval.rate, 1);
+  assert.equal(interval.high, 1);
+  assert.ok(interval.low > 0.6 && interval.low < 0.8);
+});
+
+test('summarizeExperimentVariants converts SQL aggregates into intervals', () => {
+  const [variant] = summarizeExperimentVariants([{
+    variant_id: 'mini',
+    models: ['gpt-4.1-mini'],
+    exposures: '100',
+    users: '20',
+    completed: '96',
+    latency_mean: '1000',
+    latency_sd: '200',
+    latency_n: '100',
+    cost_mean: null,
+    cost_sd: null,
+    cost_n: '0',
+    retries: '10',
+    kept: '30',
+    kept_n: '40'
+  }]);
+  assert.equal(variant.exposures, 100);
+  assert.deepEqual(variant.latency_ms, { mean: 1000, low: 960.8, high: 1039.2, n: 100 });
+  assert.equal(variant.cost_usd.mean, null);
+  assert.equal(variant.retry_rate.rate, 0.1);
+  assert.equal(variant.keep_rate.rate, 0.75);
+  assert.equal(variant.keep_rate.n, 40);
+});
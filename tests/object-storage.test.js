@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import { createObjectStorageAdapter } from '../utils/objectStorage.js';
+
+const PNG = `data:image/png;base64,${Buffer.from('fake png bytes').toString('base64')}`;
+
+function withEnv(values, fn) {
+  const previous = Object.fromEntries(Object.keys(values).map((key) => [key, process.env[key]]));
+  Object.assign(process.env, values);
+  try {
+    return fn();
+  } finally {
+    Object.entries(previous).forEach(([key, value]) => {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    });
+  }
+}
+
+test('chat images resolve only for their owner', async () => {
+  const chatUploadsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'chat-uploads-'));
+  const adapter = withEnv({ OBJECT_STORAGE_DRIVER: 'local' }, () => createObjectStorageAdapter({ chatUploadsDir }));
+  const url = await adapter.saveChatImage(PNG, 'user-1');
+  const filename = url.replace('/uploads/chat/', '');
+  assert.match(url, /^\/uploads\/chat\/[0-9a-f]{16}-[0-9a-f]{32}\.png$/);
+
+  assert.deepEqual(adapter.resolveChatImage(filename, 'user-1'), { filePath: path.join(chatUploadsDir, filename) });
+  assert.equal(adapter.resolveChatImage(filename, 'user-2'), null);
+  assert.equal(adapter.resolveChatImage(`../${filename}`, 'user-1'), null);
+  assert.equal(adapter.resolveChatImage(filename, null), null);
+  await fs.rm(chatUploadsDir, { recursive: true, force: true });
+});
+
+test('chat images on S3 resolve to short-lived signed URLs', () => {
+  const env = {
+    OBJECT_STORAGE_DRIVER: 's3',
+    OBJECT_STORAGE_BUCKET: 'maya',
+    OBJECT_STORAGE_REGION: 'eu-west-1',
+    OBJECT_STORAGE_ACCESS_KEY_ID: 'AKID',
+    OBJECT_STORAGE_SECRET_ACCESS_KEY: 'secret',
+    OBJECT_STORAGE_ENDPOINT: 'https://s3.example.com',
+    OBJECT_STORAGE_FORCE_PATH_STYLE: 'true'
+  };
+  withEnv(env, () => {
+    const adapter = createObjectStorageAdapter({});
+    const owned = `${crypto.createHash('sha256').update('user-1:').digest('hex').slice(0, 16)}-${'b'.repeat(32)}.png`;
+    assert.equal(adapter.resolveChatImage(`${'a'.repeat(16)}-${'b'.repeat(32)}.png`, 'user-1'), null);
+    const parsed = new URL(adapter.resolveChatImage(owned, 'user-1').url);
+    assert.equal(parsed.origin + parsed.pathname, `https://s3.example.com/maya/chat/${owned}`);
+    assert.equal(parsed.searchParams.get('X-Amz-Expires'), '300');
+    assert.match(parsed.searchParams.get('X-Amz-Credential'), /^AKID\/\d{8}\/eu-west-1\/s3\/aws4_request$/);
+    assert.match(parsed.searchParams.get('X-Amz-Signature'), /^[0-9a-f]{64}$/);
+  });
+});
@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createFakeProvider } from '../utils/llmProviders.js';
+import {
+  DEFAULT_EVAL_GRADERS,
+  compareEvalReports,
+  createStaticRoutingLookups,
+  extractReplyCode,
+  runPromptEval
+} from '../server/utils/promptEvals.js';
+import { selectRoutedModel } from '../server/utils/modelRouting.js';
+
+const GAME_HTML = '<!doctype html><canvas></canvas><script>function loop(){requestAnimationFrame(loop)}</script>';
+
+const dataset = {
+  name: 'unit',
+  routing: {
+    models: {
+      'gpt-4.1-mini': { is_premium: false, cost_per_1k_input_tokens: 0.4, cost_per_1k_output_tokens: 1.6 },
+      'gpt-4.1': { is_premium: true, cost_per_1k_input_tokens: 2, cost_per_1k_output_tokens: 8 }
+    },
+    policies: {
+      free: { any: { preferred_models: ['gpt-4.1-mini'], allowed_models: ['gpt-4.1-mini', 'gpt-4.1'], premium_allowed: false } }
+    }
+  },
+  cases: [
+    {
+      id: 'game',
+      intent: 'code',
+      playableMode: true,
+      model: 'gpt-4.1',
+      messages: [{ role: 'user', content: 'make a dodge game' }],
+      expect: { max_credits: 50 }
+    },
+    {
+      id: 'edit',
+      intent: 'code',
+      code: '<p>one</p>\n<p>two</p>',
+      messages: [{ role: 'user', content: 'add a third line' }],
+      graders: ['diff_size'],
+      expect: { max_diff_lines: 1 }
+    }
+  ]
+};
+
+function createProvider(editReply) {
+  return createFakeProvider({
+    fixtures: [
+      { match: { label: 'game' }, response: { content: `<!--CHAT: goal: dodge, keyboard controls, score points each level -->\n${GAME_HTML}` } },
+      { match: { label: 'edit' }, response: { content: editReply } }
+    ]
+  });
+}
+
+test('extractReplyCode mirrors the editor split of chat text and code', () => {
+  assert.equal(extractReplyCode('<!--CHAT: done -->\n<!doctype html><p>x</p>'), '<!doctype html><p>x</p>');
+  assert.equal(extractReplyCode('Here:\n```html\n<p>x</p>\n```'), '<p>x</p>');
+  assert.equal(extractReplyCode('plain answer'), '');
+});
+
+test('runPromptEval routes, wraps and grades each case through the chat pipeline', async () => {
+  const provider = createProvider('```html\n<p>one</p>\n<p>two</p>\n<p>three</p>\n```');
+  const report = await runPromptEval({ dataset, provider, commit: 'abc123', now: () => new Date(0) });
+  const [game, edit] = report.cases;
+
+  assert.equal(game.model, 'gpt-4.1-mini');
+  assert.equal(game.route_reason, 'premium_blocked');
+  assert.match(provider.calls[0].messages.at(-1).content, /AI game designer/);
+  assert.equal(provider.calls[0].messages[0].role, 'system');
+  assert.deepEqual([game.grades.runnable_html.passed, game.grades.playable_elements.passed], [true, true]);
+  assert.equal(game.grades.token_cost.passed, true);
+
+  assert.deepEqual(Object.keys(edit.grades), ['diff_size']);
+  assert.deepEqual([edit.grades.diff_size.score, edit.grades.diff_size.passed], [1, true]);
+  assert.equal(report.summary.graders.diff_size.passed, 1);
+  assert.equal(report.commit, 'abc123');
+});
+
+test('compareEvalReports flags verdict flips and scores that moved the wrong way', async () => {
+  const base = await runPromptEval({ dataset, provider: createProvider('```html\n<p>one</p>\n<p>two</p>\n<p>three</p>\n```') });
+  const head = await runPromptEval({ dataset, provider: createProvider('```html\n<div>rewritten</div>\n```') });
+  const comparison = compareEvalReports(base, head);
+  assert.equal(comparison.same_dataset, true);
+  assert.deepEqual(comparison.regressions.map((change) => [change.id, change.grader]), [['edit', 'diff_size']]);
+  assert.equal(comparison.graders.diff_size.delta, 1);
+  assert.deepEqual([comparison.regressions[0].base_passed, comparison.regressions[0].head_passed], [true, false]);
+  assert.equal(compareEvalReports(base, base).regressions.length, 0);
+});
+
+test('static routing lookups reproduce quota fallback to the cheapest model', async () => {
+  const lookups = createStaticRoutingLookups({
+    ...dataset.routing,
+    policies: { pro: { code: { preferred_models: ['gpt-4.1'], allowed_models: ['gpt-4.1', 'gpt-4.1-mini'], premium_allowed: true, allow_fallback: true } } },
+    quotas: { pro: { monthly_credits: 100, normalized_credits_used: 95 } }
+  });
+  const route = await selectRoutedModel({ user: { user_id: 'u1', plan_tier: 'pro' }, intentType: 'code', requestedModel: null, lookups });
+  assert.deepEqual([route.model, route.reason], ['gpt-4.1-mini', 'quota_fallback']);
+  assert.equal(DEFAULT_EVAL_GRADERS.length, 4);
+});
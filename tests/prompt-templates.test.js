@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  createPromptTemplateRegistry,
+  extractTemplateVariables,
+  normalizePromptTemplateDefinition,
+  renderPromptTemplate
+} from '../utils/promptTemplates.js';
+import { buildRetryPrompt } from '../server/utils/retryWrapper.js';
+
+test('renderPromptTemplate substitutes declared variables and blanks missing ones', () => {
+  assert.deepEqual(extractTemplateVariables('{{a}} and {{ b }} and {{a}}'), ['a', 'b']);
+  assert.equal(renderPromptTemplate('Hi {{name}}, {{ missing }}!', { name: 'Ada' }), 'Hi Ada, !');
+});
+
+test('normalizePromptTemplateDefinition rejects undeclared and off-contract variables', () => {
+  const undeclared = normalizePromptTemplateDefinition({
+    id: 'chat.retry', version: 2, owner: 'chat-platform', variables: ['original_prompt'], body: '{{original_prompt}} {{extra}}'
+  });
+  assert.match(undeclared.errors.join('\n'), /undeclared variable "extra"/);
+
+  const offContract = normalizePromptTemplateDefinition(
+    { id: 'chat.retry', version: 2, owner: 'chat-platform', body: '{{original_prompt}} {{user_email}}' },
+    { contractVariables: ['original_prompt', 'previous_response'] }
+  );
+  assert.match(offContract.errors.join('\n'), /"user_email" is not supplied/);
+});
+
+test('registry keeps every version and rolls the active pointer forward and back', () => {
+  const registry = createPromptTemplateRegistry();
+  assert.deepEqual(registry.describe('chat.retry'), { id: 'chat.retry', version: 1 });
+  assert.equal(registry.nextVersion('chat.retry'), 2);
+
+  const { errors } = registry.register(
+    { id: 'chat.retry', version: 2, body: 'Try again: {{original_prompt}}' },
+    { activate: true }
+  );
+  assert.deepEqual(errors, []);
+  assert.equal(registry.render('chat.retry', { original_prompt: 'a maze' }).text, 'Try again: a maze');
+  assert.equal(registry.get('chat.retry').owner, 'chat-platform');
+  assert.match(buildRetryPrompt({ originalPrompt: 'a maze', templates: registry }), /^Try again: a maze/);
+
+  assert.equal(registry.activate('chat.retry', 1).template.version, 1);
+  assert.match(registry.render('chat.retry', { original_prompt: 'a maze' }).text, /different structural approach/);
+  assert.equal(registry.activate('chat.retry', 9).errors.length, 1);
+  assert.equal(registry.register({ id: 'chat.retry', version: 2, body: 'dupe' }).errors.length, 1);
+});
+
+test('validate checks a new version without registering or activating it', () => {
+  const registry = createPromptTemplateRegistry();
+  const { template, errors } = registry.validate({ id: 'chat.retry', version: 2, body: 'Try again: {{original_prompt}}' });
+  assert.deepEqual(errors, []);
+  assert.equal(template.owner, 'chat-platform');
+  assert.equal(registry.has('chat.retry', 2), false);
+  assert.deepEqual(registry.describe('chat.retry'), { id: 'chat.retry', version: 1 });
+  assert.equal(registry.validate({ id: 'chat.retry', version: 1, body: 'dupe' }).errors.length, 1);
+  assert.equal(registry.validate({ id: 'chat.retry', version: 2, body: '{{api_key}}' }).template, null);
+});
+
+test('load applies stored versions and release pointers and reports bad rows', () => {
+  const registry = createPromptTemplateRegistry();
+  const { errors } = registry.load({
+    versions: [
+      { id: 'studio.system.chat', version: 2, body: 'Be brief.{{constraint_line}}' },
+      { id: 'studio.system.chat', version: 3, body: 'Leak {{api_key}}' }
+    ],
+    releases: [{ template_id: 'studio.system.chat', active_version: 2 }]
+  });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /studio\.system\.chat@3/);
+  assert.equal(registry.render('studio.system.chat', { constraint_line: '' }).text, 'Be brief.');
+  assert.equal(registry.get('studio.system.chat').surface, 'client');
+  assert.deepEqual(registry.list({ surface: 'client' }).map((entry) => entry.id), ['studio.system.chat', 'studio.system.execution']);
+});
@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { embedText } from '../utils/embeddings.js';
+import { createResponseCache, normalizeCachePrompt } from '../utils/responseCache.js';
+
+const VOCABULARY = ['make', 'button', 'blue', 'red', 'bigger', 'the', 'please'];
+
+function bagOfWordsEmbed(text) {
+  const words = String(text).split(/\W+/);
+  return VOCABULARY.map((word) => words.filter((entry) => entry === word).length);
+}
+
+function createClock(start = 1_000) {
+  let current = start;
+  return {
+    now: () => current,
+    advance: (ms) => {
+      current += ms;
+    }
+  };
+}
+
+const base = { userId: 'user-1', intentType: 'code', model: 'gpt-4o-mini', code: '<button>Go</button>' };
+const response = { content: 'Here is the updated button.', model: 'gpt-4o-mini', totalTokens: 420 };
+
+test('normalizeCachePrompt ignores case, spacing and trailing punctuation', () => {
+  assert.equal(normalizeCachePrompt('  Make the   button BLUE!! '), 'make the button blue');
+});
+
+test('exact prompt matches hit and report their age', async () => {
+  const clock = createClock();
+  const cache = createResponseCache({ embed: bagOfWordsEmbed, now: clock.now });
+  await cache.store({ ...base, prompt: 'Make the button blue', response });
+  clock.advance(500);
+
+  const hit = await cache.lookup({ ...base, prompt: 'make the button blue.' });
+  assert.equal(hit.match, 'exact');
+  assert.equal(hit.age_ms, 500);
+  assert.equal(hit.response.content, response.content);
+  assert.equal(cache.stats().exactHits, 1);
+});
+
+test('semantic matches respect the similarity threshold', async () => {
+  const cache = createResponseCache({ embed: bagOfWordsEmbed, similarityThreshold: 0.85 });
+  await cache.store({ ...base, prompt: 'make the button blue', response });
+
+  const near = await cache.lookup({ ...base, prompt: 'please make the button blue' });
+  assert.equal(near?.match, 'semantic');
+  assert.ok(near.similarity >= 0.85 && near.similarity < 1);
+
+  assert.equal(await cache.lookup({ ...base, prompt: 'make the button red and bigger' }), null);
+});
+
+test('semantic matching is off while embeddings come from the local fallback', async () => {
+  const previousKey = process.env.OPENAI_API_KEY;
+  delete process.env.OPENAI_API_KEY;
+  try {
+    const cache = createResponseCache({ embed: embedText, similarityThreshold: 0.5 });
+    await cache.store({ ...base, prompt: 'make the button blue', response });
+    assert.equal(await cache.lookup({ ...base, prompt: 'please make the button blue' }), null);
+    assert.equal((await cache.lookup({ ...base, prompt: 'make the button blue' }))?.match, 'exact');
+  } finally {
+    if (previousKey !== undefined) {
+      process.env.OPENAI_API_KEY = previousKey;
+    }
+  }
+});
+
+test('entries are scoped to user, model, editor contents and conversation context', async () => {
+  const cache = createResponseCache({ embed: bagOfWordsEmbed });
+  const scoped = { ...base, context: '{"messages":[],"pins":[],"glyph":null,"mode":"balanced"}' };
+  await cache.store({ ...scoped, prompt: 'make the button blue', response });
+
+  assert.equal(await cache.lookup({ ...scoped, userId: 'user-2', prompt: 'make the button blue' }), null);
+  assert.equal(await cache.lookup({ ...scoped, model: 'gpt-4o', prompt: 'make the button blue' }), null);
+  assert.equal(await cache.lookup({ ...scoped, code: '<button>Stop</button>', prompt: 'make the button blue' }), null);
+  assert.equal(await cache.lookup({ ...scoped, context: '{"mode":"full"}', prompt: 'make the button blue' }), null);
+  assert.ok(await cache.lookup({ ...scoped, prompt: 'make the button blue' }));
+});
+
+test('entries expire after the TTL and the oldest entry is evicted first', async () => {
+  const clock = createClock();
+  const cache = createResponseCache({ embed: bagOfWordsEmbed, now: clock.now, ttlMs: 1_000, maxEntries: 2 });
+  await cache.store({ ...base, prompt: 'make the button blue', response });
+  clock.advance(1_000);
+  assert.equal(await cache.lookup({ ...base, prompt: 'make the button blue' }), null);
+  assert.equal(cache.stats().expired, 1);
+
+  await cache.store({ ...base, prompt: 'one', response });
+  await cache.store({ ...base, prompt: 'two', response });
+  await cache.store({ ...base, prompt: 'three', response });
+  assert.equal(cache.stats().size, 2);
+  assert.equal(cache.stats().evictions, 1);
+  assert.equal(await cache.lookup({ ...base, prompt: 'one' }), null);
+});
+
+test('responses without content are not cached', async () => {
+  const cache = createResponseCache({ embed: bagOfWordsEmbed });
+  assert.equal(await cache.store({ ...base, prompt: 'make the button blue', response: { content: '' } }), false);
+  assert.equal(cache.stats().size, 0);
+});
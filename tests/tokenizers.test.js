@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { calculateCreditsUsed } from '../api/credits.js';
+import {
+  calibrateCharsPerToken,
+  createTokenizerRegistry,
+  creditsForTokens,
+  resolveTokenizerFamily
+} from '../utils/tokenizers.js';
+
+test('resolveTokenizerFamily maps model ids to families', () => {
+  assert.equal(resolveTokenizerFamily('gpt-4.1-mini'), 'openai-o200k');
+  assert.equal(resolveTokenizerFamily('gpt-4-turbo'), 'openai-cl100k');
+  assert.equal(resolveTokenizerFamily('claude-sonnet-4'), 'claude');
+  assert.equal(resolveTokenizerFamily('gemini-2.0-flash'), 'gemini');
+  assert.equal(resolveTokenizerFamily('local-llama'), 'default');
+});
+
+test('registry counts by ratio without an encoder and adds message framing', () => {
+  const registry = createTokenizerRegistry();
+  assert.equal(registry.countTextTokens('x'.repeat(40), 'gpt-4.1-mini'), 10);
+  assert.equal(registry.countTextTokens('x'.repeat(35), 'claude-sonnet-4'), 10);
+  assert.equal(registry.isAccurate('gpt-4.1-mini'), false);
+
+  // 3 reply + per message: 3 framing + role + content.
+  const messages = [{ role: 'user', content: 'x'.repeat(40) }];
+  assert.equal(registry.countMessageTokens(messages, 'gpt-4.1-mini'), 3 + 3 + 1 + 10);
+
+  registry.registerEncoder('o200k_base', (text) => text.split(' ').length);
+  assert.equal(registry.countTextTokens('a b c', 'gpt-4o'), 3);
+  assert.equal(registry.describe('gpt-4o').method, 'encoder');
+  assert.equal(registry.describe('gpt-4-turbo').method, 'ratio');
+});
+
+test('calibration from provider usage replaces the default ratio once there are enough samples', () => {
+  const calibration = calibrateCharsPerToken([
+    { model: 'gpt-4.1-mini', chars: 30000, tokens: 10000, samples: 40 },
+    { model: 'gpt-4o', chars: 6000, tokens: 2000, samples: 20 },
+    { model: 'claude-sonnet-4', chars: 900, tokens: 300, samples: 5 },
+    { model: 'gpt-4.1', chars: 0, tokens: 10, samples: 500 }
+  ]);
+  assert.deepEqual(calibration, { 'openai-o200k': { chars_per_token: 3, samples: 60 } });
+
+  const registry = createTokenizerRegistry();
+  registry.setCalibration({ ...calibration, unknown: { chars_per_token: 2 }, gemini: { chars_per_token: 40 } });
+  assert.equal(registry.countTextTokens('x'.repeat(30), 'gpt-4.1-mini'), 10);
+  assert.equal(registry.getCalibration().gemini.chars_per_token, 8);
+  assert.equal(registry.getCalibration().unknown, undefined);
+});
+
+test('calculateCreditsUsed and the preview share creditsForTokens', () => {
+  assert.equal(creditsForTokens({ inputTokens: 600, outputTokens: 200, intentType: 'chat' }), 2);
+  assert.equal(creditsForTokens({ inputTokens: 600, outputTokens: 200, intentType: 'code' }), 4);
+  assert.equal(creditsForTokens({ totalTokens: 251, intentType: 'chat' }), 2);
+  assert.equal(
+    calculateCreditsUsed({ inputTokens: 600, outputTokens: 200, intentType: 'code' }),
+    creditsForTokens({ inputTokens: 600, outputTokens: 200, intentType: 'code' })
+  );
+});
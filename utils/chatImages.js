@@ -0,0 +1,185 @@
+export const CHAT_IMAGE_LIMITS = {
+  maxImages: 2,
+  maxBytes: 3 * 1024 * 1024,
+  maxDimension: 4096
+};
+
+const PNG_DATA_URL_PATTERN = /^data:image\/png;base64,([A-Za-z0-9+/]+={0,2})$/;
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const IMAGE_DETAILS = ['low', 'high', 'auto'];
+
+function decodeBase64Prefix(base64, byteCount) {
+  const chars = base64.slice(0, Math.ceil(byteCount / 3) * 4);
+  const binary = atob(chars);
+  return Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+function readUint32(bytes, offset) {
+  return ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+}
+
+/**
+ * Width and height from the IHDR chunk of a base64 PNG, without decoding the
+ * rest of the image. Returns null when the bytes are not a PNG.
+ */
+export function readPngDimensions(base64) {
+  try {
+    const bytes = decodeBase64Prefix(String(base64 || ''), 24);
+    if (bytes.length < 24 || PNG_SIGNATURE.some((value, index) => bytes[index] !== value)) {
+      return null;
+    }
+    return { width: readUint32(bytes, 16), height: readUint32(bytes, 20) };
+  } catch {
+    return null;
+  }
+}
+
+export function parseChatImageDataUrl(dataUrl) {
+  const match = typeof dataUrl === 'string' ? dataUrl.match(PNG_DATA_URL_PATTERN) : null;
+  if (!match) {
+    return null;
+  }
+  const base64 = match[1];
+  const dimensions = readPngDimensions(base64);
+  if (!dimensions) {
+    return null;
+  }
+  const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+  return {
+    mimeType: 'image/png',
+    base64,
+    bytes: Math.floor((base64.length * 3) / 4) - padding,
+    ...dimensions
+  };
+}
+
+export function isImagePart(part) {
+  return part?.type === 'image_url' && typeof part.image_url?.url === 'string';
+}
+
+export function getImagePartDimensions(part) {
+  if (!isImagePart(part)) {
+    return null;
+  }
+  const match = part.image_url.url.match(PNG_DATA_URL_PATTERN);
+  return match ? readPngDimensions(match[1]) : null;
+}
+
+/**
+ * Plain-text form of a message's content for logging, character counts and
+ * cache keys: text parts as-is, images as `[image WxH]`, never the pixels.
+ */
+export function describeMessageContent(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return content === null || content === undefined ? '' : JSON.stringify(content);
+  }
+  return content.map((part) => {
+    if (typeof part === 'string') {
+      return part;
+    }
+    if (part?.type === 'text') {
+      return String(part.text || '');
+    }
+    if (isImagePart(part)) {
+      const dimensions = getImagePartDimensions(part);
+      return dimensions ? `[image ${dimensions.width}x${dimensions.height}]` : '[image]';
+    }
+    return JSON.stringify(part ?? '');
+  }).join('\n');
+}
+
+function normalizeRegion(region, { width, height }) {
+  if (!region || typeof region !== 'object') {
+    return null;
+  }
+  const values = ['x', 'y', 'width', 'height'].map((key) => Math.round(Number(region[key])));
+  if (values.some((value) => !Number.isFinite(value))) {
+    return null;
+  }
+  const [x, y, regionWidth, regionHeight] = values;
+  if (regionWidth <= 0 || regionHeight <= 0 || x < 0 || y < 0 || x + regionWidth > width || y + regionHeight > height) {
+    return null;
+  }
+  return { x, y, width: regionWidth, height: regionHeight };
+}
+
+/**
+ * Validates the `images` field of a chat request: PNG data URLs (the preview
+ * capture), each with an optional `region` the user marked, in image pixels.
+ * Returns `{ images }` or `{ error }`.
+ */
+export function normalizeChatImages(raw, limits = CHAT_IMAGE_LIMITS) {
+  if (raw === undefined || raw === null) {
+    return { images: [] };
+  }
+  if (!Array.isArray(raw)) {
+    return { error: 'images must be an array.' };
+  }
+  if (raw.length > limits.maxImages) {
+    return { error: `At most ${limits.maxImages} images can be attached.` };
+  }
+  const images = [];
+  for (const entry of raw) {
+    const parsed = parseChatImageDataUrl(entry?.dataUrl ?? entry?.data_url);
+    if (!parsed) {
+      return { error: 'Images must be PNG data URLs.' };
+    }
+    if (parsed.bytes > limits.maxBytes) {
+      return { error: `Images must be at most ${Math.round(limits.maxBytes / (1024 * 1024))} MB.` };
+    }
+    if (parsed.width > limits.maxDimension || parsed.height > limits.maxDimension) {
+      return { error: `Images must be at most ${limits.maxDimension}px on each side.` };
+    }
+    const detail = IMAGE_DETAILS.includes(entry?.detail) ? entry.detail : 'high';
+    images.push({
+      dataUrl: entry.dataUrl ?? entry.data_url,
+      mimeType: parsed.mimeType,
+      bytes: parsed.bytes,
+      width: parsed.width,
+      height: parsed.height,
+      detail,
+      region: normalizeRegion(entry?.region, parsed),
+      source: typeof entry?.source === 'string' ? entry.source.slice(0, 40) : 'preview'
+    });
+  }
+  return { images };
+}
+
+function describeRegion(image, index, count) {
+  if (!image.region) {
+    return '';
+  }
+  const { x, y, width, height } = image.region;
+  const name = count > 1 ? `screenshot ${index + 1}` : 'the screenshot';
+  return `The user outlined a region in red on ${name}: ${width}x${height}px at (${x}, ${y}) of ${image.width}x${image.height}. Focus on that area.`;
+}
+
+/**
+ * Turns the last user message into a multi-part message carrying the images
+ * as OpenAI-style `image_url` parts. Providers with another format convert
+ * the parts when they build their request.
+ */
+export function attachImagesToLastUserMessage(messages = [], images = []) {
+  if (!images.length || !Array.isArray(messages)) {
+    return messages;
+  }
+  const index = messages.map((message) => message?.role).lastIndexOf('user');
+  if (index < 0) {
+    return messages;
+  }
+  const target = messages[index];
+  const notes = images.map((image, imageIndex) => describeRegion(image, imageIndex, images.length)).filter(Boolean);
+  const text = [describeMessageContent(target.content), ...notes].filter(Boolean).join('\n\n');
+  const next = [...messages];
+  next[index] = {
+    ...target,
+    content: [
+      { type: 'text', text },
+      ...images.map((image) => ({ type: 'image_url', image_url: { url: image.dataUrl, detail: image.detail } }))
+    ]
+  };
+  return next;
+}
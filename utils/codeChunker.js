@@ -0,0 +1,806 @@
+const DEFAULT_MAX_CHUNK_CHARS = 1600;
+const SMALL_DECLARATION_CHARS = 160;
+const HTML_HINT = /^\s*(?:<!doctype\b|<html\b|<head\b|<body\b)|<(?:script|style|div|canvas|section|main)\b[^>]*>/i;
+const EMBEDDED_BLOCK = /<(script|style)\b([^>]*)>([\s\S]*?)<\/\1\s*>/gi;
+const NON_JS_SCRIPT_TYPE = /\btype\s*=\s*["']?(?:application\/(?:ld\+)?json|importmap|text\/(?:template|html|x-[\w-]+))/i;
+const INLINE_HANDLER = /\son[a-z]+\s*=\s*("([^"]*)"|'([^']*)')/gi;
+const ELEMENT_ID = /\sid\s*=\s*["']([\w-]+)["']/gi;
+const ID_LOOKUP = /^(?:getElementById|querySelector|querySelectorAll)$/;
+
+const JS_KEYWORDS = new Set([
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+  'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'get', 'if', 'import',
+  'in', 'instanceof', 'let', 'new', 'null', 'of', 'return', 'set', 'static', 'super', 'switch', 'this',
+  'throw', 'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'with', 'yield', 'as'
+]);
+const REGEX_AFTER_WORDS = new Set([
+  'return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'instanceof', 'yield', 'await'
+]);
+const CONTINUATION_WORDS = new Set(['else', 'catch', 'finally']);
+const BLOCK_HEADER_WORDS = new Set(['if', 'for', 'while', 'with']);
+
+function skipQuoted(source, index) {
+  const quote = source[index];
+  let cursor = index + 1;
+  while (cursor < source.length) {
+    const char = source[cursor];
+    if (char === '\\') {
+      cursor += 2;
+    } else if (char === quote) {
+      return cursor + 1;
+    } else if (char === '\n') {
+      return cursor;
+    } else {
+      cursor += 1;
+    }
+  }
+  return source.length;
+}
+
+function skipTemplate(source, index, expressions) {
+  let cursor = index + 1;
+  while (cursor < source.length) {
+    const char = source[cursor];
+    if (char === '\\') {
+      cursor += 2;
+    } else if (char === '`') {
+      return cursor + 1;
+    } else if (char === '$' && source[cursor + 1] === '{') {
+      const expressionStart = cursor + 2;
+      cursor = skipBalanced(source, expressionStart);
+      expressions.push(source.slice(expressionStart, cursor - 1));
+    } else {
+      cursor += 1;
+    }
+  }
+  return source.length;
+}
+
+// Returns the index just past the `}` that closes a `${` expression.
+function skipBalanced(source, index) {
+  let depth = 1;
+  let cursor = index;
+  while (cursor < source.length) {
+    const char = source[cursor];
+    if (char === '\'' || char === '"') {
+      cursor = skipQuoted(source, cursor);
+    } else if (char === '`') {
+      cursor = skipTemplate(source, cursor, []);
+    } else if (char === '/' && source[cursor + 1] === '/') {
+      const end = source.indexOf('\n', cursor);
+      cursor = end === -1 ? source.length : end;
+    } else if (char === '/' && source[cursor + 1] === '*') {
+      const end = source.indexOf('*/', cursor + 2);
+      cursor = end === -1 ? source.length : end + 2;
+    } else {
+      if (char === '{') depth += 1;
+      if (char === '}') depth -= 1;
+      cursor += 1;
+      if (depth === 0) {
+        return cursor;
+      }
+    }
+  }
+  return source.length;
+}
+
+function skipRegex(source, index) {
+  let cursor = index + 1;
+  let inClass = false;
+  while (cursor < source.length) {
+    const char = source[cursor];
+    if (char === '\\') {
+      cursor += 2;
+      continue;
+    }
+    if (char === '\n') {
+      return cursor;
+    }
+    if (char === '[') {
+      inClass = true;
+    } else if (char === ']') {
+      inClass = false;
+    } else if (char === '/' && !inClass) {
+      cursor += 1;
+      while (/[a-z]/i.test(source[cursor] || '')) {
+        cursor += 1;
+      }
+      return cursor;
+    }
+    cursor += 1;
+  }
+  return source.length;
+}
+
+function regexAllowedAfter(previous) {
+  if (!previous) {
+    return true;
+  }
+  if (previous.type === 'word') {
+    return REGEX_AFTER_WORDS.has(previous.value);
+  }
+  return previous.type === 'punct' && !/[)\]}]/.test(previous.value);
+}
+
+/**
+ * Splits JavaScript into tokens. This is a lexer, not a parser: it knows
+ * enough about strings, templates, comments and regex literals to keep
+ * brackets and statement boundaries honest, which is all chunking needs.
+ */
+export function tokenizeJs(source = '') {
+  const text = String(source ?? '');
+  const tokens = [];
+  let previous = null;
+  let cursor = 0;
+  while (cursor < text.length) {
+    const char = text[cursor];
+    const next = text[cursor + 1];
+    const start = cursor;
+    let token = null;
+    if (char === '\n') {
+      token = { type: 'newline', value: '\n' };
+      cursor += 1;
+    } else if (/\s/.test(char)) {
+      cursor += 1;
+      continue;
+    } else if (char === '/' && next === '/') {
+      const end = text.indexOf('\n', cursor);
+      cursor = end === -1 ? text.length : end;
+      token = { type: 'comment' };
+    } else if (char === '/' && next === '*') {
+      const end = text.indexOf('*/', cursor + 2);
+      cursor = end === -1 ? text.length : end + 2;
+      token = { type: 'comment' };
+    } else if (char === '\'' || char === '"') {
+      cursor = skipQuoted(text, cursor);
+      token = { type: 'string', value: text.slice(start + 1, Math.max(start + 1, cursor - 1)) };
+    } else if (char === '`') {
+      const expressions = [];
+      cursor = skipTemplate(text, cursor, expressions);
+      token = { type: 'template', expressions };
+    } else if (char === '/' && regexAllowedAfter(previous)) {
+      cursor = skipRegex(text, cursor);
+      token = { type: 'regex' };
+    } else if (/[A-Za-z_$#]/.test(char)) {
+      cursor += 1;
+      while (/[\w$]/.test(text[cursor] || '')) {
+        cursor += 1;
+      }
+      token = { type: 'word', value: text.slice(start, cursor) };
+    } else if (/\d/.test(char) || (char === '.' && /\d/.test(next || ''))) {
+      cursor += 1;
+      while (/[\w.]/.test(text[cursor] || '')) {
+        cursor += 1;
+      }
+      token = { type: 'number' };
+    } else {
+      const operator = text.slice(cursor, cursor + 3) === '...' ? '...' : text.slice(cursor, cursor + 2);
+      const value = ['=>', '++', '--', '?.', '...'].includes(operator) ? operator : char;
+      cursor += value.length;
+      token = { type: 'punct', value };
+    }
+    token.start = start;
+    token.end = cursor;
+    tokens.push(token);
+    if (token.type !== 'newline' && token.type !== 'comment') {
+      previous = token;
+    }
+  }
+  return tokens;
+}
+
+function isSignificant(token) {
+  return token.type !== 'newline' && token.type !== 'comment';
+}
+
+function continuesOnNextLine(last, next, awaitingBody) {
+  if (!next || (last.type === 'punct' && last.value === ';')) {
+    return false;
+  }
+  if (awaitingBody || (last.type === 'word' && last.value === 'else')) {
+    return true;
+  }
+  if (last.type === 'punct' && !['++', '--', ')', ']', '}'].includes(last.value)) {
+    return true;
+  }
+  if (next.type === 'word') {
+    return CONTINUATION_WORDS.has(next.value) || next.value === 'instanceof' || next.value === 'in';
+  }
+  return next.type === 'punct' && /^(?:\.|\?\.|\?|:|=>|[-+*/%&|^=<>!,)\]}])$/.test(next.value);
+}
+
+function splitStatements(tokens) {
+  const statements = [];
+  let current = [];
+  let depth = 0;
+  let lastSignificant = null;
+  let firstWord = '';
+  let awaitingBody = false;
+  let sameLineAsFinished = false;
+  const finish = () => {
+    if (current.some(isSignificant)) {
+      statements.push(current);
+      sameLineAsFinished = true;
+    }
+    current = [];
+    lastSignificant = null;
+    firstWord = '';
+    awaitingBody = false;
+  };
+  const nextSignificant = (index) => {
+    for (let cursor = index + 1; cursor < tokens.length; cursor += 1) {
+      if (isSignificant(tokens[cursor])) return tokens[cursor];
+    }
+    return null;
+  };
+  tokens.forEach((token, index) => {
+    if (token.type === 'newline') {
+      if (depth === 0 && lastSignificant && !continuesOnNextLine(lastSignificant, nextSignificant(index), awaitingBody)) {
+        finish();
+      }
+      sameLineAsFinished = false;
+      return;
+    }
+    // A trailing comment on the line a statement ended on belongs to it.
+    if (token.type === 'comment' && !current.length && sameLineAsFinished) {
+      statements.at(-1).push(token);
+      return;
+    }
+    sameLineAsFinished = false;
+    current.push(token);
+    if (!isSignificant(token)) {
+      return;
+    }
+    const isFirstWord = !firstWord && token.type === 'word';
+    if (isFirstWord) {
+      firstWord = token.value;
+    }
+    // `if (…)` / `for (…)` / `while (…)` on their own line still need a body.
+    awaitingBody = !isFirstWord && awaitingBody && depth > 0;
+    lastSignificant = token;
+    if (token.type === 'punct') {
+      if ('([{'.includes(token.value)) {
+        if (depth === 0 && token.value === '(' && BLOCK_HEADER_WORDS.has(firstWord) && current.filter(isSignificant).length === 2) {
+          awaitingBody = true;
+        }
+        depth += 1;
+      }
+      if (')]}'.includes(token.value)) depth = Math.max(0, depth - 1);
+      if (depth === 0 && token.value === ';') finish();
+    }
+  });
+  finish();
+  return statements;
+}
+
+function collectPatternNames(tokens, startIndex) {
+  const names = [];
+  const open = tokens[startIndex].value;
+  const close = open === '{' ? '}' : ']';
+  let depth = 0;
+  let index = startIndex;
+  for (; index < tokens.length; index += 1) {
+    const token = tokens[index];
+    if (token.type === 'punct' && (token.value === '{' || token.value === '[')) depth += 1;
+    if (token.type === 'punct' && (token.value === '}' || token.value === ']')) {
+      depth -= 1;
+      if (depth === 0 && token.value === close) break;
+    }
+    if (token.type === 'word' && !JS_KEYWORDS.has(token.value)) {
+      const following = tokens[index + 1];
+      const preceding = tokens[index - 1];
+      const isKey = following?.type === 'punct' && following.value === ':';
+      const isDefault = preceding?.type === 'punct' && preceding.value === '=';
+      if (!isKey && !isDefault) {
+        names.push(token.value);
+      }
+    }
+  }
+  return { names, end: index };
+}
+
+function describeDeclarators(tokens, startIndex) {
+  const names = [];
+  let isFunction = false;
+  let index = startIndex;
+  while (index < tokens.length) {
+    const token = tokens[index];
+    if (token.type === 'word') {
+      names.push(token.value);
+      index += 1;
+    } else if (token.type === 'punct' && (token.value === '{' || token.value === '[')) {
+      const pattern = collectPatternNames(tokens, index);
+      names.push(...pattern.names);
+      index = pattern.end + 1;
+    } else {
+      break;
+    }
+    if (tokens[index]?.value === '=') {
+      const initializer = tokens[index + 1];
+      let depth = 0;
+      index += 1;
+      for (; index < tokens.length; index += 1) {
+        const entry = tokens[index];
+        if (entry.type !== 'punct') continue;
+        if ('([{'.includes(entry.value)) depth += 1;
+        if (')]}'.includes(entry.value)) depth -= 1;
+        if (depth === 0 && entry.value === '=>') isFunction = true;
+        if (depth === 0 && (entry.value === ',' || entry.value === ';')) break;
+      }
+      if (initializer?.type === 'word' && (initializer.value === 'function' || initializer.value === 'async')) {
+        isFunction = true;
+      }
+    }
+    if (tokens[index]?.value !== ',') {
+      break;
+    }
+    index += 1;
+  }
+  return { names, isFunction };
+}
+
+function describeStatementName(tokens) {
+  const parts = [];
+  for (let index = 0; index < tokens.length && parts.length < 6; index += 1) {
+    const token = tokens[index];
+    if (token.type === 'punct' && token.value === '(') {
+      const argument = tokens[index + 1];
+      return `${parts.join('')}(${argument?.type === 'string' ? `'${argument.value}'` : ''})`;
+    }
+    if (token.type === 'punct' && !['.', '?.'].includes(token.value)) {
+      break;
+    }
+    if (token.type === 'word' || token.type === 'punct') {
+      parts.push(token.value);
+    }
+  }
+  return parts.join('') || 'statement';
+}
+
+/**
+ * Classifies one top-level statement: what it declares and what kind of
+ * declaration it is. Unnamed statements get a readable call-site name such as
+ * `document.addEventListener('keydown')`.
+ */
+function describeStatement(statementTokens) {
+  const tokens = statementTokens.filter(isSignificant);
+  let index = 0;
+  let exported = false;
+  while (tokens[index]?.type === 'word' && ['export', 'default', 'async'].includes(tokens[index].value)) {
+    exported = exported || tokens[index].value === 'export';
+    index += 1;
+  }
+  const head = tokens[index];
+  const word = head?.type === 'word' ? head.value : '';
+  if (word === 'function') {
+    const nameToken = tokens[index + 1]?.value === '*' ? tokens[index + 2] : tokens[index + 1];
+    const name = nameToken?.type === 'word' ? nameToken.value : 'default';
+    return { kind: 'function', name, declares: [name], exported };
+  }
+  if (word === 'class') {
+    const nameToken = tokens[index + 1];
+    const name = nameToken?.type === 'word' && nameToken.value !== 'extends' ? nameToken.value : 'default';
+    return { kind: 'class', name, declares: [name], exported };
+  }
+  if (word === 'const' || word === 'let' || word === 'var') {
+    const { names, isFunction } = describeDeclarators(tokens, index + 1);
+    return { kind: isFunction ? 'function' : 'variable', name: names[0] || word, declares: names, exported };
+  }
+  if (word === 'import' && tokens[index + 1]?.value !== '(') {
+    const names = tokens
+      .filter((token, position) => token.type === 'word'
+        && !JS_KEYWORDS.has(token.value)
+        && token.value !== 'type'
+        && tokens[position + 1]?.value !== 'as')
+      .map((token) => token.value);
+    const source = tokens.find((token) => token.type === 'string')?.value || 'import';
+    return { kind: 'import', name: source, declares: names, exported: false };
+  }
+  return { kind: 'statement', name: describeStatementName(tokens.slice(index)), declares: [], exported };
+}
+
+function nextSignificantIndex(tokens, index) {
+  for (let cursor = index + 1; cursor < tokens.length; cursor += 1) {
+    if (isSignificant(tokens[cursor])) return cursor;
+  }
+  return -1;
+}
+
+function isObjectKey(tokens, index) {
+  const next = nextSignificantIndex(tokens, index);
+  return next !== -1 && tokens[next].type === 'punct' && tokens[next].value === ':';
+}
+
+function isMethodShorthand(tokens, index) {
+  let cursor = nextSignificantIndex(tokens, index);
+  if (cursor === -1 || tokens[cursor].value !== '(') {
+    return false;
+  }
+  let depth = 0;
+  for (; cursor < tokens.length; cursor += 1) {
+    const token = tokens[cursor];
+    if (token.type !== 'punct') continue;
+    if (token.value === '(') depth += 1;
+    if (token.value === ')') {
+      depth -= 1;
+      if (depth === 0) break;
+    }
+  }
+  const after = nextSignificantIndex(tokens, cursor);
+  return after !== -1 && tokens[after].value === '{';
+}
+
+function collectReferences(tokens) {
+  const references = new Set();
+  let previous = null;
+  tokens.forEach((token, index) => {
+    const preceding = previous;
+    if (isSignificant(token)) {
+      previous = token;
+    }
+    if (token.type === 'template') {
+      token.expressions.forEach((expression) => {
+        collectReferences(tokenizeJs(expression)).forEach((name) => references.add(name));
+      });
+      return;
+    }
+    if (token.type === 'string') {
+      const call = tokens[index - 2];
+      if (call?.type === 'word' && ID_LOOKUP.test(call.value) && tokens[index - 1]?.value === '(') {
+        const id = token.value.trim().replace(/^#/, '');
+        if (/^[\w-]+$/.test(id)) {
+          references.add(`#${id}`);
+        }
+      }
+      return;
+    }
+    if (token.type !== 'word' || JS_KEYWORDS.has(token.value)) {
+      return;
+    }
+    if (preceding?.type === 'punct' && (preceding.value === '.' || preceding.value === '?.')) {
+      return;
+    }
+    // Method shorthand (`update() {`) and object keys (`{ update: … }`) name
+    // members, not bindings.
+    const startsMember = !preceding || (preceding.type === 'punct' && ['{', '}', ';', ','].includes(preceding.value));
+    if (startsMember && (isObjectKey(tokens, index) || isMethodShorthand(tokens, index))) {
+      return;
+    }
+    references.add(token.value);
+  });
+  return references;
+}
+
+function lineAt(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (lineStarts[middle] <= offset) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low + 1;
+}
+
+function splitOversizedClass(statementTokens, description, maxChunkChars) {
+  const members = [];
+  let depth = 0;
+  let memberStart = null;
+  statementTokens.forEach((token, index) => {
+    if (token.type === 'punct' && '([{'.includes(token.value)) {
+      depth += 1;
+      if (depth === 1 && token.value === '{' && memberStart === null) {
+        memberStart = index + 1;
+      }
+      return;
+    }
+    if (token.type === 'punct' && ')]}'.includes(token.value)) {
+      depth -= 1;
+      if (depth === 1 && token.value === '}' && memberStart !== null) {
+        members.push([memberStart, index]);
+        memberStart = index + 1;
+      }
+      return;
+    }
+    if (depth === 1 && token.type === 'punct' && token.value === ';' && memberStart !== null) {
+      members.push([memberStart, index]);
+      memberStart = index + 1;
+    }
+  });
+  if (members.length < 2) {
+    return null;
+  }
+  const groups = [];
+  members.forEach(([from, to], position) => {
+    const memberTokens = statementTokens.slice(from, to + 1).filter(isSignificant);
+    const nameToken = memberTokens.find((token) => token.type === 'word' && !['static', 'async', 'get', 'set'].includes(token.value));
+    const start = position === 0 ? statementTokens[0].start : statementTokens[from].start;
+    const end = position === members.length - 1 ? statementTokens.at(-1).end : statementTokens[to].end;
+    const last = groups.at(-1);
+    if (last && position > 0 && end - last.start <= maxChunkChars) {
+      last.end = end;
+      last.members.push(nameToken?.value || 'member');
+      return;
+    }
+    groups.push({ start, end, members: [nameToken?.value || 'member'] });
+  });
+  return groups.map((group, position) => ({
+    kind: position === 0 ? 'class' : 'method',
+    name: `${description.name}.${group.members[0]}${group.members.length > 1 ? ` (+${group.members.length - 1})` : ''}`,
+    declares: position === 0 ? description.declares : [],
+    owner: description.name,
+    start: group.start,
+    end: group.end
+  }));
+}
+
+function isGroupable(unit) {
+  if (unit.kind === 'statement' || unit.kind === 'import') {
+    return true;
+  }
+  return unit.kind === 'variable' && unit.end - unit.start <= SMALL_DECLARATION_CHARS;
+}
+
+/**
+ * Chunks JavaScript along top-level declarations. Functions and classes are
+ * never split mid-body; runs of small variables, imports or statements are
+ * grouped. Offsets are relative to `source` plus `offset`.
+ */
+function chunkJs(source, { offset = 0, maxChunkChars = DEFAULT_MAX_CHUNK_CHARS } = {}) {
+  const tokens = tokenizeJs(source);
+  const units = [];
+  splitStatements(tokens).forEach((statementTokens) => {
+    const description = describeStatement(statementTokens);
+    const start = statementTokens[0].start;
+    const end = statementTokens.at(-1).end;
+    const references = collectReferences(statementTokens);
+    if (description.kind === 'class' && end - start > maxChunkChars) {
+      const parts = splitOversizedClass(statementTokens, description, maxChunkChars);
+      if (parts) {
+        parts.forEach((part) => {
+          const partTokens = statementTokens.filter((token) => token.start >= part.start && token.end <= part.end);
+          units.push({ ...part, references: collectReferences(partTokens) });
+        });
+        return;
+      }
+    }
+    units.push({ ...description, start, end, references });
+  });
+
+  const chunks = [];
+  units.forEach((unit) => {
+    const last = chunks.at(-1);
+    if (
+      last
+      && isGroupable(unit)
+      && last.groupable
+      && last.kind === unit.kind
+      && unit.end - last.start <= maxChunkChars
+    ) {
+      last.end = unit.end;
+      last.declares.push(...unit.declares);
+      last.names.push(unit.name);
+      unit.references.forEach((name) => last.references.add(name));
+      return;
+    }
+    chunks.push({
+      ...unit,
+      declares: [...unit.declares],
+      names: [unit.name],
+      references: new Set(unit.references),
+      groupable: isGroupable(unit)
+    });
+  });
+  return chunks.map(({ names, groupable, exported, ...chunk }) => ({
+    ...chunk,
+    name: names.length > 1 ? `${names[0]} (+${names.length - 1})` : names[0],
+    language: 'js',
+    start: chunk.start + offset,
+    end: chunk.end + offset
+  }));
+}
+
+function chunkCss(source, { offset = 0, maxChunkChars = DEFAULT_MAX_CHUNK_CHARS } = {}) {
+  const rules = [];
+  let depth = 0;
+  let ruleStart = null;
+  for (let cursor = 0; cursor < source.length; cursor += 1) {
+    const char = source[cursor];
+    if (char === '/' && source[cursor + 1] === '*') {
+      const end = source.indexOf('*/', cursor + 2);
+      if (ruleStart === null) ruleStart = cursor;
+      cursor = end === -1 ? source.length : end + 1;
+      continue;
+    }
+    if (char === '\'' || char === '"') {
+      cursor = skipQuoted(source, cursor) - 1;
+      continue;
+    }
+    if (ruleStart === null && !/\s/.test(char)) {
+      ruleStart = cursor;
+    }
+    if (char === '{') depth += 1;
+    if (char === '}') {
+      depth = Math.max(0, depth - 1);
+      if (depth === 0 && ruleStart !== null) {
+        rules.push({ start: ruleStart, end: cursor + 1 });
+        ruleStart = null;
+      }
+    }
+  }
+  if (ruleStart !== null && source.slice(ruleStart).trim()) {
+    rules.push({ start: ruleStart, end: source.trimEnd().length });
+  }
+  const chunks = [];
+  rules.forEach((rule) => {
+    const selector = source.slice(rule.start, rule.end)
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .split('{')[0]
+      .trim()
+      .replace(/\s+/g, ' ')
+      .slice(0, 60);
+    const last = chunks.at(-1);
+    if (last && rule.end - last.start <= maxChunkChars) {
+      last.end = rule.end;
+      last.names.push(selector);
+      return;
+    }
+    chunks.push({ start: rule.start, end: rule.end, names: [selector] });
+  });
+  return chunks.map((chunk) => ({
+    kind: 'style',
+    language: 'css',
+    name: chunk.names.length > 1 ? `${chunk.names[0]} (+${chunk.names.length - 1})` : chunk.names[0],
+    declares: [],
+    references: new Set(),
+    start: chunk.start + offset,
+    end: chunk.end + offset
+  }));
+}
+
+function chunkMarkup(source, { offset = 0, maxChunkChars = DEFAULT_MAX_CHUNK_CHARS } = {}) {
+  const chunks = [];
+  let current = null;
+  let cursor = 0;
+  source.split('\n').forEach((line) => {
+    const lineStart = cursor;
+    cursor += line.length + 1;
+    if (!line.trim()) {
+      return;
+    }
+    const lineEnd = lineStart + line.length;
+    if (current && lineEnd - current.start <= maxChunkChars) {
+      current.end = lineEnd;
+      return;
+    }
+    current = { start: lineStart, end: lineEnd };
+    chunks.push(current);
+  });
+  return chunks.map((chunk) => {
+    const content = source.slice(chunk.start, chunk.end);
+    const ids = [...content.matchAll(ELEMENT_ID)].map((match) => `#${match[1]}`);
+    const references = new Set();
+    [...content.matchAll(INLINE_HANDLER)].forEach((match) => {
+      collectReferences(tokenizeJs(match[2] ?? match[3] ?? '')).forEach((name) => references.add(name));
+    });
+    const firstTag = content.match(/<([a-z][\w-]*)/i)?.[1] || 'markup';
+    return {
+      kind: 'markup',
+      language: 'html',
+      name: ids.length ? `<${firstTag}> ${ids.slice(0, 3).join(' ')}${ids.length > 3 ? ` (+${ids.length - 3})` : ''}` : `<${firstTag}>`,
+      declares: ids,
+      references,
+      start: chunk.start + offset,
+      end: chunk.end + offset
+    };
+  });
+}
+
+function chunkHtml(source, options) {
+  const chunks = [];
+  let cursor = 0;
+  const pushMarkup = (from, to) => {
+    if (to > from && source.slice(from, to).trim()) {
+      chunks.push(...chunkMarkup(source.slice(from, to), { ...options, offset: from }));
+    }
+  };
+  for (const match of source.matchAll(EMBEDDED_BLOCK)) {
+    const [whole, tag, attributes, body] = match;
+    const bodyStart = match.index + whole.indexOf('>') + 1;
+    if (!body.trim() || (tag.toLowerCase() === 'script' && NON_JS_SCRIPT_TYPE.test(attributes))) {
+      continue;
+    }
+    pushMarkup(cursor, match.index);
+    const chunker = tag.toLowerCase() === 'style' ? chunkCss : chunkJs;
+    chunks.push(...chunker(body, { ...options, offset: bodyStart }));
+    cursor = bodyStart + body.length;
+  }
+  pushMarkup(cursor, source.length);
+  return chunks;
+}
+
+/**
+ * Splits an artifact into named chunks with character and line spans, the
+ * names each chunk declares, and the names it depends on that some other
+ * chunk declares. HTML documents are split into markup, inline `<style>` and
+ * inline `<script>` chunks; element ids are declared as `#id` so scripts that
+ * look them up depend on the markup that defines them.
+ */
+export function chunkSource(code = '', { maxChunkChars = DEFAULT_MAX_CHUNK_CHARS } = {}) {
+  const source = String(code ?? '').replace(/\r\n/g, '\n');
+  if (!source.trim()) {
+    return [];
+  }
+  const options = { maxChunkChars: Math.max(200, Number(maxChunkChars) || DEFAULT_MAX_CHUNK_CHARS) };
+  const rawChunks = HTML_HINT.test(source) ? chunkHtml(source, options) : chunkJs(source, options);
+
+  const declaredBy = new Map();
+  rawChunks.forEach((chunk) => {
+    chunk.declares.forEach((name) => {
+      if (!declaredBy.has(name)) {
+        declaredBy.set(name, chunk);
+      }
+    });
+  });
+  const lineStarts = [0];
+  for (let index = 0; index < source.length; index += 1) {
+    if (source[index] === '\n') lineStarts.push(index + 1);
+  }
+
+  return rawChunks.map((chunk) => {
+    const own = new Set(chunk.declares);
+    const dependencies = [...chunk.references]
+      .filter((name) => !own.has(name) && declaredBy.has(name) && declaredBy.get(name) !== chunk);
+    if (chunk.owner && !own.has(chunk.owner)) {
+      dependencies.unshift(chunk.owner);
+    }
+    return {
+      name: chunk.name,
+      kind: chunk.kind,
+      language: chunk.language,
+      start: chunk.start,
+      end: chunk.end,
+      startLine: lineAt(lineStarts, chunk.start),
+      endLine: lineAt(lineStarts, Math.max(chunk.start, chunk.end - 1)),
+      declares: [...new Set(chunk.declares)],
+      dependencies: [...new Set(dependencies)],
+      content: source.slice(chunk.start, chunk.end)
+    };
+  });
+}
+
+/**
+ * Adds the chunks that declare what `selected` depends on, breadth first,
+ * until `maxChunks` or `maxChars` would be exceeded. Returns chunks in source
+ * order.
+ */
+export function expandWithDependencies(selected = [], chunks = [], { maxChunks = Infinity, maxChars = Infinity } = {}) {
+  const declaredBy = new Map();
+  chunks.forEach((chunk) => {
+    chunk.declares.forEach((name) => {
+      if (!declaredBy.has(name)) declaredBy.set(name, chunk);
+    });
+  });
+  const included = new Set(selected);
+  let usedChars = selected.reduce((sum, chunk) => sum + chunk.content.length, 0);
+  const queue = [...selected];
+  while (queue.length && included.size < maxChunks) {
+    const chunk = queue.shift();
+    for (const name of chunk.dependencies) {
+      const dependency = declaredBy.get(name);
+      if (!dependency || included.has(dependency)) continue;
+      if (included.size >= maxChunks || usedChars + dependency.content.length > maxChars) continue;
+      included.add(dependency);
+      usedChars += dependency.content.length;
+      queue.push(dependency);
+    }
+  }
+  return chunks.filter((chunk) => included.has(chunk));
+}
+
+export function formatChunkLabel(chunk) {
+  return `${chunk.name} (${chunk.kind}, lines ${chunk.startLine}-${chunk.endLine})`;
+}
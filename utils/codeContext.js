@@ -1,10 +1,10 @@
 import { embedText } from './embeddings.js';
 import { cosineSimilarity } from './similarity.js';
+import { chunkSource } from './codeChunker.js';
 
 export function chunkCode(code = '') {
-  return String(code || '')
-    .split(/\n(?=function|class|export)/)
-    .map((chunk) => chunk.trim())
+  return chunkSource(code)
+    .map((chunk) => chunk.content.trim())
     .filter(Boolean);
 }
 
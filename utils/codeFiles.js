@@ -0,0 +1,147 @@
+const DEFAULT_CODE_FILE_PATH = 'index.html';
+const DEFAULT_MAX_CODE_FILES = 40;
+const MAX_SELECTION_CHARS = 4000;
+const PATH_SEGMENT = /^[\w@+-][\w@.+-]*$/;
+
+export function isValidCodeFilePath(path) {
+  const value = String(path ?? '');
+  if (!value || value.length > 240 || value.startsWith('/')) {
+    return false;
+  }
+  return value.split('/').every((segment) => PATH_SEGMENT.test(segment) && segment !== '..');
+}
+
+function toFileList(files) {
+  if (Array.isArray(files)) {
+    return files.map((entry) => ({ path: entry?.path, content: entry?.content }));
+  }
+  if (files && typeof files === 'object') {
+    return Object.entries(files).map(([path, content]) => ({ path, content }));
+  }
+  return [];
+}
+
+function countLines(content) {
+  return content ? content.split('\n').length : 0;
+}
+
+function normalizeSelection(selection, files, activePath) {
+  if (!selection || typeof selection !== 'object') {
+    return null;
+  }
+  const path = typeof selection.path === 'string' && selection.path ? selection.path : activePath;
+  const file = files.find((entry) => entry.path === path);
+  if (!file) {
+    return null;
+  }
+  const lines = file.content.split('\n');
+  const startLine = Math.min(lines.length, Math.max(1, Math.floor(Number(selection.startLine ?? selection.start_line) || 1)));
+  const endLine = Math.min(lines.length, Math.max(startLine, Math.floor(Number(selection.endLine ?? selection.end_line) || startLine)));
+  const text = typeof selection.text === 'string' && selection.text.trim()
+    ? selection.text
+    : lines.slice(startLine - 1, endLine).join('\n');
+  if (!text.trim()) {
+    return null;
+  }
+  return { path, startLine, endLine, text: text.slice(0, MAX_SELECTION_CHARS) };
+}
+
+/**
+ * Normalizes the code a chat request carries. `files` may be an array of
+ * `{ path, content }` or a path-to-content map; requests that only send the
+ * legacy `currentCode` string become a single file at `defaultPath`.
+ * `multiFile` is true whenever the client sent a file map, so replies can
+ * address edits by path even when the project has one file.
+ */
+export function normalizeCodeFiles({
+  files,
+  activePath,
+  selection,
+  currentCode,
+  defaultPath = DEFAULT_CODE_FILE_PATH,
+  maxFiles = DEFAULT_MAX_CODE_FILES
+} = {}) {
+  const errors = [];
+  const seen = new Set();
+  const normalized = [];
+  toFileList(files).forEach((entry) => {
+    if (!isValidCodeFilePath(entry.path)) {
+      errors.push(`Invalid file path: ${String(entry.path ?? '').slice(0, 80)}`);
+      return;
+    }
+    if (seen.has(entry.path)) {
+      errors.push(`Duplicate file path: ${entry.path}`);
+      return;
+    }
+    seen.add(entry.path);
+    normalized.push({ path: entry.path, content: typeof entry.content === 'string' ? entry.content : '' });
+  });
+  if (normalized.length > maxFiles) {
+    errors.push(`At most ${maxFiles} files can be sent`);
+  }
+
+  const multiFile = normalized.length > 0;
+  if (!multiFile && typeof currentCode === 'string' && currentCode) {
+    normalized.push({ path: isValidCodeFilePath(activePath) ? activePath : defaultPath, content: currentCode });
+  }
+  const resolvedActivePath = normalized.some((entry) => entry.path === activePath)
+    ? activePath
+    : (normalized[0]?.path || null);
+
+  return {
+    files: normalized,
+    activePath: resolvedActivePath,
+    selection: normalizeSelection(selection, normalized, resolvedActivePath),
+    multiFile,
+    errors
+  };
+}
+
+export function getActiveFileContent(codeFiles) {
+  return codeFiles?.files?.find((entry) => entry.path === codeFiles.activePath)?.content || '';
+}
+
+export function toFileContentMap(files = []) {
+  return Object.fromEntries(files.map((entry) => [entry.path, entry.content]));
+}
+
+export function getTotalCodeChars(files = []) {
+  return files.reduce((sum, entry) => sum + entry.content.length, 0);
+}
+
+/**
+ * Lists every file with its size so the model knows what exists even when
+ * only a few chunks of it fit in the context budget.
+ */
+export function buildCodeFileMap(files = [], activePath = null) {
+  if (!files.length) {
+    return '';
+  }
+  const lines = files.map((entry) => {
+    const flags = [`${countLines(entry.content)} lines`];
+    if (entry.path === activePath) {
+      flags.push('active');
+    }
+    return `- ${entry.path} (${flags.join(', ')})`;
+  });
+  return `Project files:\n${lines.join('\n')}`;
+}
+
+/**
+ * Turns normalized files into `buildTrimmedContext` code segments: the
+ * selection first and pinned, then one segment per file.
+ */
+export function buildCodeSegments({ files = [], activePath = null, selection = null } = {}) {
+  const segments = [];
+  if (selection) {
+    segments.push({
+      name: `selection ${selection.path}:${selection.startLine}-${selection.endLine}`,
+      content: selection.text,
+      pinned: true
+    });
+  }
+  files.forEach((entry) => {
+    segments.push({ name: entry.path, content: entry.content, active: entry.path === activePath });
+  });
+  return segments;
+}
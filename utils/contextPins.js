@@ -0,0 +1,48 @@
+export const CONTEXT_PIN_KINDS = ['instruction', 'message', 'code'];
+export const MAX_CONTEXT_PINS = 20;
+export const MAX_CONTEXT_PIN_CHARS = 8000;
+const MAX_LABEL_CHARS = 120;
+
+/**
+ * Validates a pin from the API. Returns `{ value }` with the cleaned fields
+ * or `{ error }`; with `partial` only the fields present are checked, for
+ * PATCH. `source` keeps where a pin came from (message id, file path and
+ * line range) so the UI can link back to it.
+ */
+export function normalizeContextPinInput(input = {}, { partial = false } = {}) {
+  const value = {};
+  if (!partial || input.kind !== undefined) {
+    const kind = String(input.kind || '').trim().toLowerCase();
+    if (!CONTEXT_PIN_KINDS.includes(kind)) {
+      return { error: `kind must be one of: ${CONTEXT_PIN_KINDS.join(', ')}.` };
+    }
+    value.kind = kind;
+  }
+  if (!partial || input.content !== undefined) {
+    const content = typeof input.content === 'string' ? input.content.trim() : '';
+    if (!content) {
+      return { error: 'content is required.' };
+    }
+    if (content.length > MAX_CONTEXT_PIN_CHARS) {
+      return { error: `content must be at most ${MAX_CONTEXT_PIN_CHARS} characters.` };
+    }
+    value.content = content;
+  }
+  if (input.label !== undefined || !partial) {
+    value.label = String(input.label || '').trim().slice(0, MAX_LABEL_CHARS);
+  }
+  if (input.source !== undefined || !partial) {
+    const source = input.source && typeof input.source === 'object' && !Array.isArray(input.source) ? input.source : {};
+    value.source = Object.fromEntries(Object.entries(source)
+      .filter(([, entry]) => ['string', 'number'].includes(typeof entry))
+      .map(([key, entry]) => [key, typeof entry === 'string' ? entry.slice(0, 200) : entry]));
+  }
+  if (input.position !== undefined) {
+    const position = Number(input.position);
+    if (!Number.isInteger(position) || position < 0) {
+      return { error: 'position must be a non-negative integer.' };
+    }
+    value.position = position;
+  }
+  return { value };
+}
@@ -0,0 +1,103 @@
+import { requireDbPool } from './queryLayer.js';
+
+function toIsoString(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  if (value instanceof Date) return value.toISOString();
+  return new Date(value).toISOString();
+}
+
+export function mapContextPinRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    artifact_id: row.artifact_id || null,
+    kind: row.kind,
+    label: row.label || '',
+    content: row.content,
+    source: row.source || {},
+    position: Number(row.position || 0),
+    created_at: toIsoString(row.created_at),
+    updated_at: toIsoString(row.updated_at)
+  };
+}
+
+/**
+ * Pins that apply to a chat: the user's global pins followed by the pins of
+ * `artifactId` when one is open. Order within each group is by position.
+ */
+export async function fetchContextPins({ userId, artifactId = null }) {
+  const pool = requireDbPool();
+  const result = await pool.query(
+    `SELECT *
+     FROM context_pins
+     WHERE user_id = $1
+     AND (artifact_id IS NULL OR artifact_id = $2)
+     ORDER BY (artifact_id IS NOT NULL), position, created_at`,
+    [userId, artifactId]
+  );
+  return result.rows.map(mapContextPinRow);
+}
+
+export async function countContextPins({ userId, artifactId = null }) {
+  const pool = requireDbPool();
+  const result = await pool.query(
+    `SELECT COUNT(*) AS total
+     FROM context_pins
+     WHERE user_id = $1
+     AND artifact_id IS NOT DISTINCT FROM $2`,
+    [userId, artifactId]
+  );
+  return Number(result.rows[0]?.total || 0);
+}
+
+export async function insertContextPin({ userId, artifactId = null, kind, label = '', content, source = {}, position }) {
+  const pool = requireDbPool();
+  const result = await pool.query(
+    `INSERT INTO context_pins
+      (user_id, artifact_id, kind, label, content, source, position)
+     VALUES
+      ($1, $2, $3, $4, $5, $6,
+       COALESCE($7, (SELECT COALESCE(MAX(position) + 1, 0)
+                     FROM context_pins
+                     WHERE user_id = $1 AND artifact_id IS NOT DISTINCT FROM $2)))
+     RETURNING *`,
+    [userId, artifactId, kind, label, content, JSON.stringify(source || {}), position ?? null]
+  );
+  return mapContextPinRow(result.rows[0]);
+}
+
+export async function updateContextPin({ userId, pinId, kind, label, content, source, position }) {
+  const pool = requireDbPool();
+  const result = await pool.query(
+    `UPDATE context_pins
+     SET kind = COALESCE($3, kind),
+         label = COALESCE($4, label),
+         content = COALESCE($5, content),
+         source = COALESCE($6, source),
+         position = COALESCE($7, position),
+         updated_at = NOW()
+     WHERE id = $1 AND user_id = $2
+     RETURNING *`,
+    [
+      pinId,
+      userId,
+      kind ?? null,
+      label ?? null,
+      content ?? null,
+      source === undefined ? null : JSON.stringify(source),
+      position ?? null
+    ]
+  );
+  return mapContextPinRow(result.rows[0]);
+}
+
+export async function deleteContextPin({ userId, pinId }) {
+  const pool = requireDbPool();
+  const result = await pool.query(
+    `DELETE FROM context_pins
+     WHERE id = $1 AND user_id = $2`,
+    [pinId, userId]
+  );
+  return result.rowCount > 0;
+}
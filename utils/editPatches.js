@@ -0,0 +1,321 @@
+const SEARCH_MARKER = /^<{5,9} ?SEARCH\s*$/;
+const DIVIDER_MARKER = /^={5,9}\s*$/;
+const REPLACE_MARKER = /^>{5,9} ?REPLACE\s*$/;
+const HUNK_HEADER = /^@@ -\d+(?:,\d+)? \+\d+(?:,\d+)? @@/;
+const FENCE_LINE = /^```[\w-]*\s*$/;
+const FILE_PATH_LINE = /^(?:#+\s*)?(?:(?:file|path)\s*:\s*)?[`*]*((?:[\w@+-][\w@.+-]*\/)*[\w@+-][\w@.+-]*\.\w+)[`*]*:?\s*$/i;
+const DIFF_TARGET_LINE = /^\+\+\+ (?:b\/)?(\S+)/;
+
+function splitLines(text) {
+  return String(text ?? '').replace(/\r\n/g, '\n').split('\n');
+}
+
+function dropWrappingFences(lines, start, end) {
+  const opensFence = start > 0 && FENCE_LINE.test(lines[start - 1].trim());
+  const closesFence = end < lines.length - 1 && FENCE_LINE.test(lines[end + 1].trim());
+  return {
+    start: opensFence ? start - 1 : start,
+    end: closesFence ? end + 1 : end
+  };
+}
+
+function parseSearchReplaceBlocks(lines) {
+  const hunks = [];
+  const consumed = [];
+  let index = 0;
+  while (index < lines.length) {
+    if (!SEARCH_MARKER.test(lines[index].trim())) {
+      index += 1;
+      continue;
+    }
+    const start = index;
+    const divider = lines.findIndex((line, i) => i > start && DIVIDER_MARKER.test(line.trim()));
+    const end = divider === -1
+      ? -1
+      : lines.findIndex((line, i) => i > divider && REPLACE_MARKER.test(line.trim()));
+    if (divider === -1 || end === -1) {
+      break;
+    }
+    const span = dropWrappingFences(lines, start, end);
+    const pathMatch = span.start > 0 ? FILE_PATH_LINE.exec(lines[span.start - 1].trim()) : null;
+    hunks.push({
+      search: lines.slice(start + 1, divider).join('\n'),
+      replace: lines.slice(divider + 1, end).join('\n'),
+      ...(pathMatch ? { path: pathMatch[1] } : {})
+    });
+    consumed.push(pathMatch ? { ...span, start: span.start - 1 } : span);
+    index = end + 1;
+  }
+  return { hunks, consumed };
+}
+
+function parseUnifiedDiff(lines) {
+  const hunks = [];
+  const consumed = [];
+  let index = 0;
+  let path = null;
+  while (index < lines.length) {
+    if (!HUNK_HEADER.test(lines[index])) {
+      index += 1;
+      continue;
+    }
+    let start = index;
+    while (start > 0 && /^(---|\+\+\+|diff |index )/.test(lines[start - 1])) {
+      start -= 1;
+      const target = DIFF_TARGET_LINE.exec(lines[start]);
+      if (target && target[1] !== '/dev/null') {
+        path = target[1];
+      }
+    }
+    const search = [];
+    const replace = [];
+    index += 1;
+    while (index < lines.length && /^[ +\-\\]/.test(lines[index]) && !HUNK_HEADER.test(lines[index])) {
+      const line = lines[index];
+      if (line.startsWith('\\')) {
+        index += 1;
+        continue;
+      }
+      if (/^(---|\+\+\+) /.test(line) && HUNK_HEADER.test(lines[index + 2] || '')) {
+        break;
+      }
+      const body = line.slice(1);
+      if (line[0] !== '+') search.push(body);
+      if (line[0] !== '-') replace.push(body);
+      index += 1;
+    }
+    hunks.push({ search: search.join('\n'), replace: replace.join('\n'), ...(path ? { path } : {}) });
+    consumed.push(dropWrappingFences(lines, start, index - 1));
+  }
+  return { hunks, consumed };
+}
+
+function stripConsumedLines(lines, consumed) {
+  const skip = new Set();
+  consumed.forEach(({ start, end }) => {
+    for (let i = start; i <= end; i += 1) skip.add(i);
+  });
+  return lines
+    .filter((_line, i) => !skip.has(i))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Extracts SEARCH/REPLACE blocks or unified diff hunks from a model reply.
+ * Returns the prose left once the edit blocks are removed alongside the hunks.
+ * A file path on the line above a SEARCH block (or a `+++ b/path` diff
+ * header) is kept as the hunk's `path`.
+ */
+export function parseEditBlocks(text) {
+  const lines = splitLines(text);
+  const searchReplace = parseSearchReplaceBlocks(lines);
+  if (searchReplace.hunks.length) {
+    return {
+      format: 'search_replace',
+      hunks: searchReplace.hunks.map((hunk, i) => ({ id: `hunk-${i + 1}`, ...hunk })),
+      text: stripConsumedLines(lines, searchReplace.consumed)
+    };
+  }
+  const unified = parseUnifiedDiff(lines);
+  if (unified.hunks.length) {
+    return {
+      format: 'unified_diff',
+      hunks: unified.hunks.map((hunk, i) => ({ id: `hunk-${i + 1}`, ...hunk })),
+      text: stripConsumedLines(lines, unified.consumed)
+    };
+  }
+  return { format: null, hunks: [], text: String(text ?? '').trim() };
+}
+
+export function hasEditBlocks(text) {
+  return parseEditBlocks(text).hunks.length > 0;
+}
+
+function lineNumberAt(code, offset) {
+  let line = 1;
+  for (let i = 0; i < offset; i += 1) {
+    if (code.charCodeAt(i) === 10) line += 1;
+  }
+  return line;
+}
+
+function findAll(code, search) {
+  const matches = [];
+  let from = code.indexOf(search);
+  while (from !== -1) {
+    matches.push(from);
+    from = code.indexOf(search, from + 1);
+  }
+  return matches;
+}
+
+function findByTrimmedLines(code, search) {
+  const codeLines = code.split('\n');
+  const searchLines = search.split('\n').map((line) => line.trimEnd());
+  const offsets = [];
+  let offset = 0;
+  const lineOffsets = codeLines.map((line) => {
+    const start = offset;
+    offset += line.length + 1;
+    return start;
+  });
+  for (let i = 0; i + searchLines.length <= codeLines.length; i += 1) {
+    const matches = searchLines.every((line, j) => codeLines[i + j].trimEnd() === line);
+    if (matches) {
+      const last = i + searchLines.length - 1;
+      offsets.push({ index: lineOffsets[i], length: lineOffsets[last] + codeLines[last].length - lineOffsets[i] });
+    }
+  }
+  return offsets;
+}
+
+/**
+ * Finds where a hunk's search text sits in the code. Exact matches win; a
+ * trailing-whitespace-insensitive line match is the fallback.
+ */
+export function locateHunk(code, hunk) {
+  const source = String(code ?? '');
+  const search = String(hunk?.search ?? '');
+  if (!search) {
+    return source
+      ? { status: 'not_found' }
+      : { status: 'ok', index: 0, length: 0 };
+  }
+  const exact = findAll(source, search);
+  const matches = exact.length
+    ? exact.map((index) => ({ index, length: search.length }))
+    : findByTrimmedLines(source, search);
+  if (!matches.length) {
+    return { status: 'not_found' };
+  }
+  if (matches.length > 1) {
+    return { status: 'ambiguous', matches: matches.length };
+  }
+  const [{ index, length }] = matches;
+  return {
+    status: 'ok',
+    index,
+    length,
+    startLine: lineNumberAt(source, index),
+    endLine: lineNumberAt(source, index + length)
+  };
+}
+
+/**
+ * Checks every hunk against the code. Overlapping hunks are marked as
+ * conflicts so they can never be applied together.
+ */
+export function validateEditHunks(code, hunks = []) {
+  const located = hunks.map((hunk) => ({ ...hunk, ...locateHunk(code, hunk) }));
+  const claimed = located
+    .filter((hunk) => hunk.status === 'ok')
+    .sort((a, b) => a.index - b.index);
+  for (let i = 1; i < claimed.length; i += 1) {
+    const previous = claimed[i - 1];
+    if (claimed[i].index < previous.index + previous.length) {
+      claimed[i].status = 'conflict';
+    }
+  }
+  const results = located.map(({ index: _index, length: _length, matches: _matches, ...hunk }) => hunk);
+  return {
+    valid: results.length > 0 && results.every((hunk) => hunk.status === 'ok'),
+    hunks: results
+  };
+}
+
+/**
+ * Applies the accepted hunks to the code, locating each one afresh so edits
+ * made elsewhere since validation are preserved.
+ */
+export function applyEditHunks(code, hunks = [], { acceptedIds = null } = {}) {
+  const source = String(code ?? '');
+  const accepted = acceptedIds ? new Set(acceptedIds) : null;
+  const selected = hunks.filter((hunk) => !accepted || accepted.has(hunk.id));
+  const { hunks: validated } = validateEditHunks(source, selected);
+  const locations = new Map(selected.map((hunk) => [hunk.id, locateHunk(source, hunk)]));
+  const applied = [];
+  const failed = [];
+  validated.forEach((hunk) => {
+    if (hunk.status === 'ok') {
+      applied.push({ ...hunk, ...locations.get(hunk.id) });
+    } else {
+      failed.push(hunk);
+    }
+  });
+  let next = source;
+  [...applied]
+    .sort((a, b) => b.index - a.index)
+    .forEach((hunk) => {
+      next = next.slice(0, hunk.index) + hunk.replace + next.slice(hunk.index + hunk.length);
+    });
+  return {
+    code: next,
+    applied: applied.map(({ index: _index, length: _length, ...hunk }) => hunk),
+    failed
+  };
+}
+
+function groupHunksByPath(hunks, defaultPath) {
+  const groups = new Map();
+  hunks.forEach((hunk) => {
+    const path = hunk.path || defaultPath;
+    if (!groups.has(path)) groups.set(path, []);
+    groups.get(path).push({ ...hunk, path });
+  });
+  return groups;
+}
+
+/**
+ * Multi-file counterpart of `validateEditHunks`. `files` maps paths to
+ * contents; hunks without a path target `defaultPath`. A hunk with an empty
+ * SEARCH section may create a file that does not exist yet; any other hunk
+ * aimed at an unknown path is reported as `unknown_file`.
+ */
+export function validateFileEditHunks(files = {}, hunks = [], { defaultPath = null } = {}) {
+  const results = new Map();
+  groupHunksByPath(hunks, defaultPath).forEach((group, path) => {
+    if (!Object.prototype.hasOwnProperty.call(files, path)) {
+      group.forEach((hunk, index) => {
+        const creates = !hunk.search && index === 0 && group.length === 1;
+        results.set(hunk.id, creates
+          ? { ...hunk, status: 'ok', create: true, startLine: 1, endLine: 1 }
+          : { ...hunk, status: 'unknown_file' });
+      });
+      return;
+    }
+    validateEditHunks(files[path], group).hunks.forEach((hunk) => results.set(hunk.id, hunk));
+  });
+  const ordered = hunks.map((hunk) => results.get(hunk.id));
+  return {
+    valid: ordered.length > 0 && ordered.every((hunk) => hunk.status === 'ok'),
+    hunks: ordered
+  };
+}
+
+/**
+ * Applies accepted hunks across files. Returns a new path-to-content map that
+ * includes any created files, plus the applied and failed hunks.
+ */
+export function applyFileEditHunks(files = {}, hunks = [], { acceptedIds = null, defaultPath = null } = {}) {
+  const accepted = acceptedIds ? new Set(acceptedIds) : null;
+  const selected = hunks.filter((hunk) => !accepted || accepted.has(hunk.id));
+  const next = { ...files };
+  const applied = [];
+  const failed = [];
+  groupHunksByPath(selected, defaultPath).forEach((group, path) => {
+    const exists = Object.prototype.hasOwnProperty.call(next, path);
+    if (!exists && !(group.length === 1 && !group[0].search)) {
+      failed.push(...group.map((hunk) => ({ ...hunk, status: 'unknown_file' })));
+      return;
+    }
+    const result = applyEditHunks(exists ? next[path] : '', group);
+    if (result.applied.length) {
+      next[path] = result.code;
+    }
+    applied.push(...result.applied.map((hunk) => (exists ? hunk : { ...hunk, create: true })));
+    failed.push(...result.failed);
+  });
+  return { files: next, applied, failed };
+}
@@ -0,0 +1,137 @@
+import crypto from 'node:crypto';
+import { logStructured } from './logger.js';
+
+const DEFAULT_MAX_ENTRIES = 2000;
+
+export function hashEmbeddingContent(text) {
+  return crypto.createHash('sha256').update(String(text ?? '')).digest('hex');
+}
+
+function buildKey({ contentHash, model, dimension }) {
+  return `${model}:${dimension}:${contentHash}`;
+}
+
+function isVectorOfDimension(vector, dimension) {
+  return Array.isArray(vector)
+    && vector.length === dimension
+    && vector.every((value) => Number.isFinite(value));
+}
+
+/**
+ * Two-tier embedding cache: a bounded LRU map in front of the
+ * `embedding_store` table. Entries are keyed by content hash, model and
+ * dimension, and vectors whose length does not match the requested dimension
+ * are rejected on both read and write, so fallback vectors can never be served
+ * for a real model lookup (or the reverse).
+ */
+export function createEmbeddingStore({
+  maxEntries = DEFAULT_MAX_ENTRIES,
+  getPool = () => null
+} = {}) {
+  const memory = new Map();
+  let persistent = false;
+  const resolvePool = async () => {
+    const pool = await getPool();
+    persistent = Boolean(pool);
+    return pool;
+  };
+  const stats = {
+    memoryHits: 0,
+    dbHits: 0,
+    misses: 0,
+    writes: 0,
+    evictions: 0,
+    rejected: 0,
+    dbErrors: 0
+  };
+
+  const remember = (key, vector) => {
+    memory.delete(key);
+    memory.set(key, vector);
+    while (memory.size > maxEntries) {
+      memory.delete(memory.keys().next().value);
+      stats.evictions += 1;
+    }
+  };
+
+  const reportDbError = (action, error) => {
+    stats.dbErrors += 1;
+    logStructured('warn', 'embedding_store_error', {
+      action,
+      error: String(error?.message || error)
+    });
+  };
+
+  return {
+    async get({ contentHash, model, dimension }) {
+      const key = buildKey({ contentHash, model, dimension });
+      if (memory.has(key)) {
+        const vector = memory.get(key);
+        remember(key, vector);
+        stats.memoryHits += 1;
+        return vector;
+      }
+      const pool = await resolvePool();
+      if (pool) {
+        try {
+          const result = await pool.query(
+            `UPDATE embedding_store
+             SET last_used_at = NOW()
+             WHERE content_hash = $1 AND model = $2 AND dimension = $3
+             RETURNING vector`,
+            [contentHash, model, dimension]
+          );
+          const vector = result.rows?.[0]?.vector?.map(Number);
+          if (isVectorOfDimension(vector, dimension)) {
+            remember(key, vector);
+            stats.dbHits += 1;
+            return vector;
+          }
+        } catch (error) {
+          reportDbError('read', error);
+        }
+      }
+      stats.misses += 1;
+      return null;
+    },
+    async set({ contentHash, model, dimension, vector }) {
+      if (!isVectorOfDimension(vector, dimension)) {
+        stats.rejected += 1;
+        return false;
+      }
+      remember(buildKey({ contentHash, model, dimension }), vector);
+      stats.writes += 1;
+      const pool = await resolvePool();
+      if (pool) {
+        try {
+          await pool.query(
+            `INSERT INTO embedding_store (content_hash, model, dimension, vector)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (content_hash, model, dimension)
+             DO UPDATE SET last_used_at = NOW()`,
+            [contentHash, model, dimension, vector]
+          );
+        } catch (error) {
+          reportDbError('write', error);
+        }
+      }
+      return true;
+    },
+    stats() {
+      const lookups = stats.memoryHits + stats.dbHits + stats.misses;
+      return {
+        ...stats,
+        size: memory.size,
+        maxEntries,
+        hitRate: lookups ? (stats.memoryHits + stats.dbHits) / lookups : 0,
+        persistent
+      };
+    },
+    clear() {
+      memory.clear();
+      Object.keys(stats).forEach((key) => {
+        stats[key] = 0;
+      });
+    }
+  };
+}
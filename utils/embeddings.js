@@ -1,9 +1,37 @@
+import { createEmbeddingStore, hashEmbeddingContent } from './embeddingStore.js';
+
 const EMBEDDING_MODEL = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
 const EMBEDDING_VECTOR_SIZE = 96;
-const embeddingCache = new Map();
+const FALLBACK_EMBEDDING_MODEL = `local-hash-${EMBEDDING_VECTOR_SIZE}`;
+const MODEL_DIMENSIONS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536
+};
+const EMBEDDING_DIMENSIONS = Number(process.env.OPENAI_EMBEDDING_DIMENSIONS) || MODEL_DIMENSIONS[EMBEDDING_MODEL] || null;
 
 let openaiClient = null;
 let openaiLoadAttempted = false;
+// Local hash vectors only capture token overlap; callers that need real
+// semantic similarity check for them with isFallbackEmbedding.
+const fallbackVectors = new WeakSet();
+
+async function getEmbeddingStorePool() {
+  if (!process.env.DATABASE_URL || process.env.EMBEDDING_STORE_PERSIST === '0') {
+    return null;
+  }
+  try {
+    const { getDbPool } = await import('./queryLayer.js');
+    return getDbPool();
+  } catch (_error) {
+    return null;
+  }
+}
+
+const embeddingStore = createEmbeddingStore({
+  maxEntries: Number(process.env.EMBEDDING_CACHE_MAX_ENTRIES) || undefined,
+  getPool: getEmbeddingStorePool
+});
 
 async function getOpenAiClient() {
   if (openaiClient || openaiLoadAttempted) {
@@ -64,45 +92,68 @@ function computeFallbackEmbedding(text) {
   return normalizeEmbedding(vector);
 }
 
+async function embedWithFallback(normalized, contentHash) {
+  const key = { contentHash, model: FALLBACK_EMBEDDING_MODEL, dimension: EMBEDDING_VECTOR_SIZE };
+  const cached = await embeddingStore.get(key);
+  if (cached) {
+    fallbackVectors.add(cached);
+    return cached;
+  }
+  const fallback = computeFallbackEmbedding(normalized);
+  await embeddingStore.set({ ...key, vector: fallback });
+  fallbackVectors.add(fallback);
+  return fallback;
+}
+
+export function isFallbackEmbedding(vector) {
+  return Boolean(vector) && typeof vector === 'object' && fallbackVectors.has(vector);
+}
+
 export async function embedText(text) {
   const normalized = String(text || '').trim();
   if (!normalized) {
-    return Array.from({ length: EMBEDDING_VECTOR_SIZE }, () => 0);
+    const empty = Array.from({ length: EMBEDDING_VECTOR_SIZE }, () => 0);
+    fallbackVectors.add(empty);
+    return empty;
   }
 
-  if (embeddingCache.has(normalized)) {
-    return embeddingCache.get(normalized);
+  const contentHash = hashEmbeddingContent(normalized);
+  const client = await getOpenAiClient();
+  if (!client || !EMBEDDING_DIMENSIONS) {
+    return embedWithFallback(normalized, contentHash);
   }
 
-  const client = await getOpenAiClient();
-  if (!client) {
-    const fallback = computeFallbackEmbedding(normalized);
-    embeddingCache.set(normalized, fallback);
-    return fallback;
+  const key = { contentHash, model: EMBEDDING_MODEL, dimension: EMBEDDING_DIMENSIONS };
+  const cached = await embeddingStore.get(key);
+  if (cached) {
+    return cached;
   }
 
   try {
     const response = await client.embeddings.create({
       model: EMBEDDING_MODEL,
-      input: normalized
+      input: normalized,
+      ...(process.env.OPENAI_EMBEDDING_DIMENSIONS ? { dimensions: EMBEDDING_DIMENSIONS } : {})
     });
     const embedding = response?.data?.[0]?.embedding;
     if (!Array.isArray(embedding)) {
       throw new Error('Embedding response did not include a numeric vector.');
     }
-    embeddingCache.set(normalized, embedding);
+    await embeddingStore.set({ ...key, vector: embedding });
     return embedding;
   } catch (_error) {
-    const fallback = computeFallbackEmbedding(normalized);
-    embeddingCache.set(normalized, fallback);
-    return fallback;
+    return embedWithFallback(normalized, contentHash);
   }
 }
 
 export function getEmbeddingCacheStats() {
-  return { size: embeddingCache.size };
+  return {
+    ...embeddingStore.stats(),
+    model: openaiClient && EMBEDDING_DIMENSIONS ? EMBEDDING_MODEL : FALLBACK_EMBEDDING_MODEL,
+    dimension: openaiClient && EMBEDDING_DIMENSIONS ? EMBEDDING_DIMENSIONS : EMBEDDING_VECTOR_SIZE
+  };
 }
 
 export function clearEmbeddingCache() {
-  embeddingCache.clear();
+  embeddingStore.clear();
 }
@@ -0,0 +1,176 @@
+import { requireDbPool } from './queryLayer.js';
+
+function toMillis(value) {
+  if (value == null) return null;
+  const ms = new Date(value).getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+export function mapGameModeJobRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    user_id: row.user_id || null,
+    mode: row.mode,
+    status: row.status,
+    payload: row.payload || {},
+    stage: row.stage || null,
+    checkpoint: row.checkpoint || {},
+    result: row.result || null,
+    last_event_id: Number(row.last_event_id || 0),
+    attempts: Number(row.attempts || 1),
+    owner_id: row.owner_id || null,
+    created_at: toMillis(row.created_at),
+    completed_at: toMillis(row.completed_at)
+  };
+}
+
+function mapArtifactRow(row) {
+  return {
+    id: row.id,
+    path: row.path,
+    role: row.role,
+    openOnComplete: row.open_on_complete === true,
+    createdAt: toMillis(row.created_at)
+  };
+}
+
+export async function insertGameModeJob({ id, userId = null, mode, status = 'running', payload = {}, ownerId }) {
+  const pool = requireDbPool();
+  const result = await pool.query(
+    `INSERT INTO game_mode_jobs (id, user_id, mode, status, payload, owner_id)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [id, userId, mode, status, JSON.stringify(payload || {}), ownerId]
+  );
+  return mapGameModeJobRow(result.rows[0]);
+}
+
+/**
+ * Writes the fields that changed; `undefined` leaves a column as it is.
+ * Moving to a terminal status stamps `completed_at`.
+ */
+export async function updateGameModeJob({ id, status, stage, checkpoint, result }) {
+  const pool = requireDbPool();
+  await pool.query(
+    `UPDATE game_mode_jobs
+     SET status = COALESCE($2, status),
+         stage = COALESCE($3, stage),
+         checkpoint = COALESCE($4, checkpoint),
+         result = COALESCE($5, result),
+         completed_at = CASE WHEN $2 IN ('success', 'error') THEN NOW() ELSE completed_at END,
+         updated_at = NOW(),
+         heartbeat_at = NOW()
+     WHERE id = $1`,
+    [
+      id,
+      status ?? null,
+      stage ?? null,
+      checkpoint === undefined ? null : JSON.stringify(checkpoint),
+      result === undefined ? null : JSON.stringify(result)
+    ]
+  );
+}
+
+export async function appendGameModeJobEvent({ jobId, id, event, data = {} }) {
+  const pool = requireDbPool();
+  await pool.query(
+    `WITH inserted AS (
+       INSERT INTO game_mode_job_events (job_id, id, event, data)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (job_id, id) DO NOTHING
+     )
+     UPDATE game_mode_jobs
+     SET last_event_id = GREATEST(last_event_id, $2),
+         updated_at = NOW()
+     WHERE id = $1`,
+    [jobId, id, event, JSON.stringify(data ?? {})]
+  );
+}
+
+export async function insertGameModeJobArtifact({ jobId, artifact }) {
+  const pool = requireDbPool();
+  await pool.query(
+    `INSERT INTO game_mode_job_artifacts (id, job_id, path, role, open_on_complete, created_at)
+     VALUES ($1, $2, $3, $4, $5, to_timestamp($6 / 1000.0))
+     ON CONFLICT (id) DO NOTHING`,
+    [artifact.id, jobId, artifact.path, artifact.role, artifact.openOnComplete === true, artifact.createdAt || Date.now()]
+  );
+}
+
+export async function fetchGameModeJob({ jobId }) {
+  const pool = requireDbPool();
+  const [jobResult, artifactResult] = await Promise.all([
+    pool.query('SELECT * FROM game_mode_jobs WHERE id = $1 LIMIT 1', [jobId]),
+    pool.query(
+      `SELECT *
+       FROM game_mode_job_artifacts
+       WHERE job_id = $1
+       ORDER BY created_at`,
+      [jobId]
+    )
+  ]);
+  const job = mapGameModeJobRow(jobResult.rows[0]);
+  return job ? { ...job, artifacts: artifactResult.rows.map(mapArtifactRow) } : null;
+}
+
+export async function fetchGameModeJobEvents({ jobId, afterId = 0 }) {
+  const pool = requireDbPool();
+  const result = await pool.query(
+    `SELECT id, event, data
+     FROM game_mode_job_events
+     WHERE job_id = $1 AND id > $2
+     ORDER BY id`,
+    [jobId, afterId]
+  );
+  return result.rows.map((row) => ({ id: Number(row.id), event: row.event, data: row.data || {} }));
+}
+
+export async function touchGameModeJobs({ ownerId }) {
+  const pool = requireDbPool();
+  await pool.query(
+    `UPDATE game_mode_jobs
+     SET heartbeat_at = NOW()
+     WHERE owner_id = $1 AND status IN ('queued', 'running')`,
+    [ownerId]
+  );
+}
+
+/**
+ * Takes over active jobs whose owner stopped sending heartbeats. Rows are
+ * locked with SKIP LOCKED so two processes never claim the same job.
+ */
+export async function claimStaleGameModeJobs({ ownerId, staleMs, limit = 10 }) {
+  const pool = requireDbPool();
+  const result = await pool.query(
+    `UPDATE game_mode_jobs
+     SET owner_id = $1,
+         attempts = attempts + 1,
+         heartbeat_at = NOW(),
+         updated_at = NOW()
+     WHERE id IN (
+       SELECT id
+       FROM game_mode_jobs
+       WHERE status IN ('queued', 'running')
+       AND owner_id IS DISTINCT FROM $1
+       AND heartbeat_at < NOW() - ($2::double precision * INTERVAL '1 millisecond')
+       ORDER BY created_at
+       LIMIT $3
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [ownerId, staleMs, limit]
+  );
+  return result.rows.map(mapGameModeJobRow);
+}
+
+export async function deleteExpiredGameModeJobs({ retentionMs }) {
+  const pool = requireDbPool();
+  const result = await pool.query(
+    `DELETE FROM game_mode_jobs
+     WHERE status IN ('success', 'error')
+     AND completed_at < NOW() - ($1::double precision * INTERVAL '1 millisecond')`,
+    [retentionMs]
+  );
+  return result.rowCount;
+}
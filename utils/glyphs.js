@@ -0,0 +1,379 @@
+export const GLYPH_SCHEMA_VERSION = 'glyph.v1';
+
+export const GLYPH_V1_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'https://dev.primarydesignco.com/schemas/glyph.v1.schema.json',
+  title: 'GlyphState',
+  type: 'object',
+  additionalProperties: false,
+  required: ['schema'],
+  properties: {
+    schema: { type: 'string', enum: ['glyph.v1'] },
+    intent: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        primary: { type: 'string', enum: ['code', 'text', 'mixed'] },
+        confidence: { type: 'number', minimum: 0, maximum: 1 }
+      }
+    },
+    state: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        mode: { type: 'string', enum: ['new', 'iterate', 'refactor', 'debug', 'extend'] },
+        artifact_bound: { type: 'boolean' }
+      }
+    },
+    scope: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        runtime: { type: 'string', enum: ['browser', 'node', 'python', 'unknown'] },
+        files: { type: 'string', enum: ['single', 'multi'] },
+        framework: { type: 'string', enum: ['none', 'react', 'vue', 'vanilla'] }
+      }
+    },
+    constraints: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        hard: { type: 'array', items: { type: 'string', pattern: '^[a-z0-9][a-z0-9+-]*$' } },
+        soft: { type: 'array', items: { type: 'string', pattern: '^[a-z0-9][a-z0-9+-]*$' } }
+      }
+    },
+    style: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        verbosity: { type: 'string', enum: ['none', 'low', 'normal', 'high'] },
+        tone: { type: 'string', enum: ['technical', 'neutral', 'explanatory'] },
+        comments: { type: 'string', enum: ['none', 'minimal', 'normal'] }
+      }
+    },
+    output: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        format: { type: 'string', enum: ['code', 'explanation', 'code+brief'] },
+        completeness: { type: 'string', enum: ['partial', 'full'] }
+      }
+    },
+    continuity: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        session_summary_hash: { type: 'string' },
+        code_version_id: { type: 'string' },
+        delta_from_previous: { type: 'boolean' }
+      }
+    },
+    routing: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        model_class: { type: 'string', enum: ['cheap', 'standard', 'premium'] },
+        latency_bias: { type: 'string', enum: ['low', 'balanced', 'quality'] }
+      }
+    }
+  }
+};
+
+const GLYPH_MAP = {
+  '⟁INTENT': 'intent.primary',
+  '⟲STATE': 'state.mode',
+  '⌬SCOPE': 'scope',
+  '∆HARD': 'constraints.hard',
+  '∆SOFT': 'constraints.soft',
+  'ψSTYLE': 'style',
+  'ΩOUT': 'output.format',
+  'λMODEL': 'routing.model_class',
+  'λLATENCY': 'routing.latency_bias'
+};
+
+const GLYPH_ORDER = Object.keys(GLYPH_MAP);
+// Payload of a constraint glyph whose list was emptied, so a cleared list
+// overrides the inherited one instead of being dropped from the delta.
+const EMPTY_LIST_TOKEN = 'NONE';
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function cloneState(value) {
+  return isPlainObject(value) || Array.isArray(value)
+    ? JSON.parse(JSON.stringify(value))
+    : {};
+}
+
+function getPath(obj, path) {
+  return path.split('.').reduce((current, key) => (isPlainObject(current) ? current[key] : undefined), obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  let current = obj;
+  for (let i = 0; i < keys.length - 1; i += 1) {
+    current[keys[i]] ??= {};
+    current = current[keys[i]];
+  }
+  current[keys.at(-1)] = value;
+}
+
+function deepMerge(target, source) {
+  for (const key of Object.keys(source)) {
+    if (isPlainObject(source[key])) {
+      target[key] = deepMerge(isPlainObject(target[key]) ? target[key] : {}, source[key]);
+    } else {
+      target[key] = source[key];
+    }
+  }
+  return target;
+}
+
+function splitPositional(payload, keys) {
+  const values = payload.split('|');
+  return keys.reduce((result, key, index) => {
+    const value = values[index]?.trim().toLowerCase();
+    if (value) {
+      result[key] = value;
+    }
+    return result;
+  }, {});
+}
+
+function normalizeOutput(value) {
+  return value
+    .toLowerCase()
+    .replace('_only', '')
+    .replace('_', '+');
+}
+
+function normalizeConstraint(value) {
+  return value.trim().toLowerCase().replace(/_/g, '-');
+}
+
+function buildGlyphPatch(symbol, payload) {
+  const patch = {};
+  switch (symbol) {
+    case '⌬SCOPE':
+      patch.scope = splitPositional(payload, ['runtime', 'files', 'framework']);
+      break;
+    case 'ψSTYLE':
+      patch.style = splitPositional(payload, ['tone', 'verbosity', 'comments']);
+      break;
+    case '∆HARD':
+    case '∆SOFT':
+      setPath(patch, GLYPH_MAP[symbol], payload.toUpperCase() === EMPTY_LIST_TOKEN
+        ? []
+        : payload.split(',').map(normalizeConstraint).filter(Boolean));
+      break;
+    case 'ΩOUT':
+      setPath(patch, GLYPH_MAP[symbol], normalizeOutput(payload));
+      break;
+    default:
+      setPath(patch, GLYPH_MAP[symbol], payload.toLowerCase());
+  }
+  return patch;
+}
+
+function describeType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function validateNode(value, schema, path, errors) {
+  const expected = schema.type;
+  const actual = describeType(value);
+  const typeMatches = expected === 'number'
+    ? actual === 'number' && Number.isFinite(value)
+    : actual === expected;
+  if (expected && !typeMatches) {
+    errors.push({ path, code: 'type', message: `${path || 'state'} must be ${expected}, got ${actual}` });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, code: 'enum', message: `${path} must be one of ${schema.enum.join(', ')}` });
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path, code: 'pattern', message: `${path} has an invalid value "${value}"` });
+  }
+  if (Number.isFinite(schema.minimum) && value < schema.minimum) {
+    errors.push({ path, code: 'minimum', message: `${path} must be >= ${schema.minimum}` });
+  }
+  if (Number.isFinite(schema.maximum) && value > schema.maximum) {
+    errors.push({ path, code: 'maximum', message: `${path} must be <= ${schema.maximum}` });
+  }
+  if (expected === 'array' && schema.items) {
+    value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, errors));
+  }
+  if (expected === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) {
+        errors.push({ path: path ? `${path}.${key}` : key, code: 'required', message: `${path ? `${path}.` : ''}${key} is required` });
+      }
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = path ? `${path}.${key}` : key;
+      const childSchema = schema.properties?.[key];
+      if (!childSchema) {
+        if (schema.additionalProperties === false) {
+          errors.push({ path: childPath, code: 'additional', message: `${childPath} is not part of ${GLYPH_SCHEMA_VERSION}` });
+        }
+        return;
+      }
+      validateNode(child, childSchema, childPath, errors);
+    });
+  }
+}
+
+/**
+ * Validates a glyph state object against the glyph.v1 schema. Returns one
+ * entry per violation with the JSON path that failed.
+ */
+export function validateGlyphState(state) {
+  const errors = [];
+  validateNode(state, GLYPH_V1_SCHEMA, '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Parses glyph surface text into a state patch. Unknown or malformed lines are
+ * reported as line-numbered diagnostics and left out of the patch, so a bad
+ * line never blocks the rest of the header.
+ */
+export function parseGlyphs(glyphText = '') {
+  const patch = {};
+  const diagnostics = [];
+  String(glyphText ?? '').split('\n').forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) {
+      return;
+    }
+    const lineNumber = index + 1;
+    const separator = line.indexOf(':');
+    const symbol = separator === -1 ? line : line.slice(0, separator).trim();
+    const payload = separator === -1 ? '' : line.slice(separator + 1).trim();
+    if (!(symbol in GLYPH_MAP)) {
+      diagnostics.push({ line: lineNumber, severity: 'warning', code: 'unknown_glyph', message: `Unknown glyph "${symbol}"` });
+      return;
+    }
+    if (!payload) {
+      diagnostics.push({ line: lineNumber, severity: 'error', code: 'missing_payload', message: `${symbol} needs a value` });
+      return;
+    }
+    const linePatch = buildGlyphPatch(symbol, payload);
+    const { errors } = validateGlyphState({ schema: GLYPH_SCHEMA_VERSION, ...linePatch });
+    if (errors.length) {
+      errors.forEach((error) => diagnostics.push({
+        line: lineNumber,
+        severity: 'error',
+        code: error.code,
+        path: error.path,
+        message: error.message
+      }));
+      return;
+    }
+    deepMerge(patch, linePatch);
+  });
+  return { patch, diagnostics };
+}
+
+/**
+ * Applies glyph text on top of the previous state. Deltas override the fields
+ * they name and everything else is inherited.
+ */
+export function compileGlyphsWithDiagnostics(glyphText = '', previousState = {}) {
+  const { patch, diagnostics } = parseGlyphs(glyphText);
+  const state = deepMerge(cloneState(previousState), patch);
+  state.schema = GLYPH_SCHEMA_VERSION;
+  return { state, diagnostics };
+}
+
+export function compileGlyphs(glyphText = '', previousState = {}) {
+  return compileGlyphsWithDiagnostics(glyphText, previousState).state;
+}
+
+function formatToken(value) {
+  return String(value).toUpperCase();
+}
+
+function formatPositional(values) {
+  const trimmed = [...values];
+  while (trimmed.length && !trimmed.at(-1)) {
+    trimmed.pop();
+  }
+  return trimmed.map((value) => (value ? formatToken(value) : '')).join('|');
+}
+
+function formatOutput(value) {
+  if (value === 'code') {
+    return 'CODE_ONLY';
+  }
+  return formatToken(value);
+}
+
+function encodeGlyph(symbol, state) {
+  const value = getPath(state, GLYPH_MAP[symbol]);
+  switch (symbol) {
+    case '⌬SCOPE':
+      return isPlainObject(value)
+        ? formatPositional([value.runtime, value.files, value.framework])
+        : '';
+    case 'ψSTYLE':
+      return isPlainObject(value)
+        ? formatPositional([value.tone, value.verbosity, value.comments])
+        : '';
+    case '∆HARD':
+    case '∆SOFT':
+      if (!Array.isArray(value)) {
+        return '';
+      }
+      return value.length
+        ? value.map((entry) => formatToken(String(entry).replace(/-/g, '_'))).join(',')
+        : EMPTY_LIST_TOKEN;
+    case 'ΩOUT':
+      return value ? formatOutput(value) : '';
+    default:
+      return value ? formatToken(value) : '';
+  }
+}
+
+/**
+ * Emits the smallest glyph header that turns `previousState` into `state`:
+ * one line per dimension whose projection changed. Dimensions that were
+ * removed cannot be expressed as glyphs and are left to the JSON layer, except
+ * constraint lists, whose emptying is sent as `NONE`.
+ */
+export function decompileGlyphs(state = {}, previousState = {}) {
+  return GLYPH_ORDER
+    .map((symbol) => {
+      const next = encodeGlyph(symbol, state);
+      const previous = encodeGlyph(symbol, previousState);
+      if (!next || next === previous || (next === EMPTY_LIST_TOKEN && !previous)) {
+        return null;
+      }
+      return `${symbol}:${next}`;
+    })
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Projects a resolved chat intent onto glyph.v1 dimensions for one turn. Code
+ * and fix turns carry the editor's hard constraints; every other turn sends
+ * an empty list so constraints from an earlier code turn do not carry over.
+ */
+export function buildTurnGlyphState(resolvedIntent, hasCode) {
+  const type = resolvedIntent?.type;
+  const isCode = type === 'code' || type === 'fix';
+  const primary = isCode ? 'code' : type === 'creative' ? 'mixed' : 'text';
+  return {
+    schema: GLYPH_SCHEMA_VERSION,
+    intent: { primary },
+    state: { mode: type === 'fix' ? 'debug' : hasCode ? 'iterate' : 'new' },
+    scope: { runtime: 'browser', files: 'single' },
+    constraints: { hard: isCode ? ['runnable', 'single-file'] : [] }
+  };
+}
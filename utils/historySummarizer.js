@@ -1,3 +1,4 @@
+import { createProxyProvider } from './llmProviders.js';
 import { estimateTokens } from './tokenEstimator.js';
 
 const DEFAULT_MODEL = process.env.OPENAI_MODEL || 'gpt-4.1-mini';
@@ -52,11 +53,13 @@ export function splitHistoryByThreshold({
 export async function summarizeHistoryWithModel({
   messages,
   llmProxyUrl,
+  llmProvider = null,
   model = process.env.SUMMARY_MODEL || 'gpt-4.1-nano',
   existingSummary = ''
 }) {
   const normalized = normalizeHistoryMessages(messages);
-  if (!llmProxyUrl || !normalized.length) {
+  const provider = llmProvider || (llmProxyUrl ? createProxyProvider({ url: llmProxyUrl }) : null);
+  if (!provider || !normalized.length) {
     return existingSummary ? String(existingSummary).trim() : '';
   }
   const transcript = normalized
@@ -69,31 +72,19 @@ export async function summarizeHistoryWithModel({
     : transcript;
 
   try {
-    const response = await fetch(llmProxyUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model,
-        messages: [
-          {
-            role: 'system',
-            content: 'Summarize prior chat context as concise bullet points preserving requirements, constraints, decisions, and pending tasks. Keep chronology where important. Max 220 words.'
-          },
-          { role: 'user', content: userPrompt }
-        ],
-        temperature: 0.1
-      })
+    const completion = await provider.complete({
+      model,
+      messages: [
+        {
+          role: 'system',
+          content: 'Summarize prior chat context as concise bullet points preserving requirements, constraints, decisions, and pending tasks. Keep chronology where important. Max 220 words.'
+        },
+        { role: 'user', content: userPrompt }
+      ],
+      temperature: 0.1,
+      label: 'SUMMARY'
     });
-    if (!response.ok) {
-      return existing;
-    }
-    const data = await response.json();
-    const summary = String(
-      data?.choices?.[0]?.message?.content
-      ?? data?.candidates?.[0]?.content
-      ?? data?.output_text
-      ?? ''
-    ).trim();
+    const summary = String(completion.content || '').trim();
     return summary || existing;
   } catch {
     return existing;
@@ -104,3 +95,188 @@ export function buildHistorySummarySystemMessage(summaryText = '') {
   const normalized = String(summaryText || '').trim();
   return normalized ? `Summary of earlier conversation:\n${normalized}` : '';
 }
+
+export const HISTORY_SUMMARY_CHUNK_SIZE = Number(process.env.HISTORY_SUMMARY_CHUNK_SIZE || 8);
+
+function normalizeSummaryChunk(chunk) {
+  if (!chunk || typeof chunk !== 'object' || !chunk.end_message_id) {
+    return null;
+  }
+  return {
+    start_message_id: chunk.start_message_id || chunk.end_message_id,
+    end_message_id: String(chunk.end_message_id),
+    message_count: Math.max(0, Number(chunk.message_count) || 0),
+    summary: String(chunk.summary || '').trim(),
+    edited: Boolean(chunk.edited),
+    updated_at: chunk.updated_at || null
+  };
+}
+
+/**
+ * Persisted summary shape: fixed-size chunk summaries in path order plus a
+ * running session summary folded from them. Each chunk names the first and
+ * last message it covers, so coverage can be checked against any branch.
+ */
+export function normalizeHistorySummaryState(raw = {}) {
+  const chunks = Array.isArray(raw?.chunks)
+    ? raw.chunks.map(normalizeSummaryChunk).filter(Boolean)
+    : [];
+  const session = raw?.session_summary && typeof raw.session_summary === 'object' ? raw.session_summary : {};
+  return {
+    chunks,
+    session_summary: {
+      text: String(session.text || '').trim(),
+      covered_through_message_id: chunks.at(-1)?.end_message_id || null,
+      message_count: chunks.reduce((sum, chunk) => sum + chunk.message_count, 0),
+      edited: Boolean(session.edited),
+      stale: Boolean(session.stale),
+      updated_at: session.updated_at || null
+    }
+  };
+}
+
+/**
+ * Drops chunks that are not on the current path. `pathMessages` is the active
+ * branch oldest first; a chunk whose last message is on it covers only
+ * ancestors, so every earlier chunk is on it too. When the path is truncated
+ * (its first message still has a parent) and no chunk end is visible, the
+ * coverage is unknown and `coveredIndex` is null.
+ */
+export function alignHistorySummaryToPath(state, pathMessages = []) {
+  const normalized = normalizeHistorySummaryState(state);
+  const positions = new Map(pathMessages.map((entry, index) => [entry.id, index]));
+  const lastOnPath = normalized.chunks.map((chunk) => positions.has(chunk.end_message_id)).lastIndexOf(true);
+  if (lastOnPath === -1) {
+    if (!normalized.chunks.length) {
+      return { state: normalized, coveredIndex: -1, pruned: false };
+    }
+    if (pathMessages[0]?.parent_id) {
+      return { state: normalized, coveredIndex: null, pruned: false };
+    }
+    return { state: normalizeHistorySummaryState({}), coveredIndex: -1, pruned: true };
+  }
+  const chunks = normalized.chunks.slice(0, lastOnPath + 1);
+  const pruned = chunks.length !== normalized.chunks.length;
+  return {
+    state: pruned
+      ? normalizeHistorySummaryState({ ...normalized, chunks, session_summary: { ...normalized.session_summary, stale: true } })
+      : normalized,
+    coveredIndex: positions.get(chunks.at(-1).end_message_id),
+    pruned
+  };
+}
+
+function chunkSummariesAsMessages(chunks) {
+  return chunks.filter((chunk) => chunk.summary).map((chunk) => ({ role: 'system', content: chunk.summary }));
+}
+
+/**
+ * Summarizes every full chunk of uncovered messages in `eligibleCount` (the
+ * older part of the path) and folds the new chunk summaries into the running
+ * session summary. A stale session summary (chunks were pruned or edited) is
+ * rebuilt from the chunks first. Returns `changed` when the state needs saving.
+ */
+export async function extendHistorySummary({
+  state,
+  pathMessages = [],
+  eligibleCount = pathMessages.length,
+  chunkSize = HISTORY_SUMMARY_CHUNK_SIZE,
+  summarize = summarizeHistoryWithModel,
+  summarizeOptions = {},
+  now = () => new Date().toISOString()
+}) {
+  const aligned = alignHistorySummaryToPath(state, pathMessages);
+  let next = aligned.state;
+  if (aligned.coveredIndex === null) {
+    return { state: next, changed: false, newChunks: [] };
+  }
+  let changed = aligned.pruned;
+  const session = { ...next.session_summary };
+  if (session.stale) {
+    const rebuilt = next.chunks.length
+      ? await summarize({ ...summarizeOptions, messages: chunkSummariesAsMessages(next.chunks), existingSummary: '' })
+      : '';
+    session.text = rebuilt || next.chunks.map((chunk) => chunk.summary).filter(Boolean).join('\n');
+    session.stale = false;
+    session.edited = false;
+    session.updated_at = now();
+    changed = true;
+  }
+
+  const safeChunkSize = Math.max(1, Number(chunkSize) || HISTORY_SUMMARY_CHUNK_SIZE);
+  const newChunks = [];
+  let cursor = aligned.coveredIndex + 1;
+  while (eligibleCount - cursor >= safeChunkSize) {
+    const slice = pathMessages.slice(cursor, cursor + safeChunkSize);
+    const summary = await summarize({ ...summarizeOptions, messages: slice, existingSummary: '' });
+    if (!summary) {
+      break;
+    }
+    newChunks.push({
+      start_message_id: slice[0].id,
+      end_message_id: slice.at(-1).id,
+      message_count: slice.length,
+      summary,
+      edited: false,
+      updated_at: now()
+    });
+    cursor += safeChunkSize;
+  }
+  if (newChunks.length) {
+    const folded = await summarize({
+      ...summarizeOptions,
+      messages: chunkSummariesAsMessages(newChunks),
+      existingSummary: session.text
+    });
+    session.text = folded || [session.text, ...newChunks.map((chunk) => chunk.summary)].filter(Boolean).join('\n');
+    session.edited = false;
+    session.updated_at = now();
+    changed = true;
+  }
+
+  next = normalizeHistorySummaryState({ chunks: [...next.chunks, ...newChunks], session_summary: session });
+  return { state: next, changed, newChunks };
+}
+
+/**
+ * Applies user edits. Editing a chunk marks the session summary stale so it is
+ * rebuilt on the next turn, unless the same edit also rewrites it.
+ */
+export function applyHistorySummaryEdits(state, edits = {}, now = () => new Date().toISOString()) {
+  const normalized = normalizeHistorySummaryState(state);
+  const errors = [];
+  const chunkEdits = Array.isArray(edits.chunks) ? edits.chunks : [];
+  const chunks = normalized.chunks.map((chunk) => ({ ...chunk }));
+  chunkEdits.forEach((edit, index) => {
+    const chunk = chunks.find((entry) => entry.end_message_id === edit?.end_message_id);
+    if (!chunk) {
+      errors.push(`chunks[${index}] does not match a summarized range`);
+      return;
+    }
+    if (typeof edit.summary !== 'string' || !edit.summary.trim()) {
+      errors.push(`chunks[${index}].summary must be a non-empty string`);
+      return;
+    }
+    chunk.summary = edit.summary.trim();
+    chunk.edited = true;
+    chunk.updated_at = now();
+  });
+  const session = { ...normalized.session_summary };
+  const sessionText = edits.session_summary?.text;
+  if (sessionText !== undefined) {
+    if (typeof sessionText !== 'string') {
+      errors.push('session_summary.text must be a string');
+    } else {
+      session.text = sessionText.trim();
+      session.edited = true;
+      session.stale = false;
+      session.updated_at = now();
+    }
+  } else if (chunkEdits.length) {
+    session.stale = true;
+  }
+  return {
+    errors,
+    state: normalizeHistorySummaryState({ chunks, session_summary: session })
+  };
+}
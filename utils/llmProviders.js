@@ -0,0 +1,663 @@
+import crypto from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { describeMessageContent, isImagePart } from './chatImages.js';
+import { createSseParser, parseSseData } from './sseParser.js';
+import { estimateTokens } from './tokenEstimator.js';
+
+const DEFAULT_MODEL = process.env.OPENAI_MODEL || 'gpt-4.1-mini';
+const DEFAULT_ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 4096;
+
+const FINISH_REASON_MAP = {
+  stop: 'stop',
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  STOP: 'stop',
+  length: 'length',
+  max_tokens: 'length',
+  MAX_TOKENS: 'length',
+  tool_calls: 'tool_calls',
+  tool_use: 'tool_calls',
+  function_call: 'tool_calls',
+  content_filter: 'content_filter',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter'
+};
+
+export function createLlmProviderError({
+  provider = 'unknown',
+  status = 502,
+  code = 'UPSTREAM_ERROR',
+  message = 'LLM request failed',
+  body = ''
+} = {}) {
+  const error = new Error(message);
+  error.name = 'LlmProviderError';
+  error.provider = provider;
+  error.status = status;
+  error.code = code;
+  error.body = body;
+  return error;
+}
+
+export function normalizeFinishReason(reason) {
+  if (!reason) {
+    return null;
+  }
+  return FINISH_REASON_MAP[reason] || FINISH_REASON_MAP[String(reason).toLowerCase()] || 'other';
+}
+
+function toFiniteOrNull(value) {
+  const number = Number(value);
+  return value !== null && value !== undefined && Number.isFinite(number) ? number : null;
+}
+
+export function normalizeUsage(usage = null) {
+  if (!usage || typeof usage !== 'object') {
+    return { inputTokens: null, outputTokens: null, totalTokens: null };
+  }
+  const inputTokens = toFiniteOrNull(usage.prompt_tokens ?? usage.input_tokens ?? usage.promptTokenCount);
+  const outputTokens = toFiniteOrNull(usage.completion_tokens ?? usage.output_tokens ?? usage.candidatesTokenCount);
+  const totalTokens = toFiniteOrNull(usage.total_tokens ?? usage.totalTokenCount)
+    ?? (inputTokens !== null && outputTokens !== null ? inputTokens + outputTokens : null);
+  return { inputTokens, outputTokens, totalTokens };
+}
+
+function joinTextParts(parts) {
+  if (!Array.isArray(parts)) {
+    return typeof parts === 'string' ? parts : '';
+  }
+  return parts
+    .map((part) => (typeof part === 'string' ? part : part?.text || ''))
+    .join('');
+}
+
+export function normalizeCompletionPayload(data, { provider = 'proxy' } = {}) {
+  if (!data || typeof data !== 'object') {
+    throw createLlmProviderError({
+      provider,
+      status: 502,
+      code: 'INVALID_RESPONSE',
+      message: 'Invalid LLM response'
+    });
+  }
+  const choice = data.choices?.[0];
+  const candidate = data.candidates?.[0];
+  let content = '';
+  let finishReason = null;
+  if (choice) {
+    content = choice.message?.content ?? choice.text ?? '';
+    finishReason = choice.finish_reason;
+  } else if (Array.isArray(data.content)) {
+    content = joinTextParts(data.content.filter((part) => part?.type === 'text' || typeof part === 'string'));
+    finishReason = data.stop_reason;
+  } else if (candidate) {
+    content = typeof candidate.content === 'string'
+      ? candidate.content
+      : joinTextParts(candidate.content?.parts);
+    finishReason = candidate.finishReason;
+  } else if (typeof data.output_text === 'string') {
+    content = data.output_text;
+    finishReason = data.status === 'incomplete' ? 'length' : 'stop';
+  }
+  return {
+    content: typeof content === 'string' ? content : joinTextParts(content),
+    finishReason: normalizeFinishReason(finishReason),
+    usage: normalizeUsage(data.usage || data.usageMetadata),
+    model: data.model || data.modelVersion || null,
+    provider,
+    raw: data
+  };
+}
+
+export function toChatCompletionPayload(completion) {
+  const usage = completion?.usage || {};
+  return {
+    id: completion?.raw?.id || `chatcmpl-${crypto.randomUUID()}`,
+    object: 'chat.completion',
+    model: completion?.model || null,
+    provider: completion?.provider || null,
+    choices: [
+      {
+        index: 0,
+        message: { role: 'assistant', content: completion?.content || '' },
+        finish_reason: completion?.finishReason || null
+      }
+    ],
+    usage: {
+      ...(usage.inputTokens !== null && usage.inputTokens !== undefined ? { prompt_tokens: usage.inputTokens } : {}),
+      ...(usage.outputTokens !== null && usage.outputTokens !== undefined ? { completion_tokens: usage.outputTokens } : {}),
+      ...(usage.totalTokens !== null && usage.totalTokens !== undefined ? { total_tokens: usage.totalTokens } : {})
+    }
+  };
+}
+
+export function normalizeStreamChunk(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return null;
+  }
+  const choice = payload.choices?.[0];
+  const candidate = payload.candidates?.[0];
+  const content = choice?.delta?.content
+    ?? choice?.message?.content
+    ?? payload.delta?.text
+    ?? (candidate ? joinTextParts(candidate.content?.parts) : null)
+    ?? payload.output_text_delta
+    ?? '';
+  const rawUsage = payload.usage || payload.usageMetadata || payload.message?.usage || null;
+  return {
+    content: typeof content === 'string' ? content : '',
+    usage: rawUsage,
+    model: payload.model || payload.message?.model || null,
+    finishReason: choice?.finish_reason || payload.delta?.stop_reason || candidate?.finishReason || null
+  };
+}
+
+/**
+ * Folds a stream chunk's raw usage into what earlier chunks reported.
+ * Anthropic sends input tokens in `message_start` and output tokens in
+ * `message_delta`, so later chunks must not drop earlier fields.
+ */
+export function mergeStreamUsage(current, next) {
+  if (!next || typeof next !== 'object') {
+    return current;
+  }
+  const merged = { ...(current || {}) };
+  for (const [key, value] of Object.entries(next)) {
+    if (value !== null && value !== undefined) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+async function readErrorBody(response) {
+  try {
+    return await response.text();
+  } catch {
+    return '';
+  }
+}
+
+async function postJson({ provider, url, headers = {}, body, signal, stream = false }) {
+  if (!url) {
+    throw createLlmProviderError({
+      provider,
+      status: 503,
+      code: 'PROVIDER_UNAVAILABLE',
+      message: `${provider} provider is not configured`
+    });
+  }
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(stream ? { Accept: 'text/event-stream' } : {}),
+        ...headers
+      },
+      body: JSON.stringify(body)
+    });
+  } catch (error) {
+    if (error?.name === 'AbortError') {
+      throw createLlmProviderError({ provider, status: 499, code: 'ABORTED', message: 'LLM request aborted' });
+    }
+    throw createLlmProviderError({
+      provider,
+      status: 502,
+      code: 'NETWORK_ERROR',
+      message: String(error?.message || 'LLM request failed')
+    });
+  }
+  if (!response.ok) {
+    const errorBody = await readErrorBody(response);
+    throw createLlmProviderError({
+      provider,
+      status: response.status,
+      code: response.status === 429 ? 'RATE_LIMITED' : 'UPSTREAM_ERROR',
+      message: `LLM request failed (${response.status})`,
+      body: errorBody
+    });
+  }
+  return response;
+}
+
+async function readJson(response, provider) {
+  if (typeof response.text !== 'function') {
+    return response.json();
+  }
+  const text = await response.text();
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    throw createLlmProviderError({
+      provider,
+      status: 502,
+      code: 'INVALID_RESPONSE',
+      message: 'Invalid LLM response',
+      body: text
+    });
+  }
+}
+
+async function* readSseChunks(response) {
+  if (!response?.body) {
+    return;
+  }
+  const parser = createSseParser();
+  const decoder = new TextDecoder();
+  const reader = response.body.getReader();
+  const toChunks = (events) => events
+    .map((event) => normalizeStreamChunk(parseSseData(event.data)))
+    .filter(Boolean);
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      for (const chunk of toChunks(parser.push(decoder.decode(value, { stream: true })))) {
+        yield chunk;
+      }
+    }
+    parser.push(decoder.decode());
+    for (const chunk of toChunks(parser.flush())) {
+      yield chunk;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+async function* streamOrComplete(response, provider) {
+  const contentType = String(response.headers?.get?.('content-type') || '').toLowerCase();
+  if (contentType.includes('text/event-stream')) {
+    yield* readSseChunks(response);
+    return;
+  }
+  const completion = normalizeCompletionPayload(await readJson(response, provider), { provider });
+  yield {
+    content: completion.content,
+    usage: completion.raw?.usage || completion.raw?.usageMetadata || null,
+    model: completion.model,
+    finishReason: completion.finishReason
+  };
+}
+
+function splitDataUrl(url) {
+  const match = String(url || '').match(/^data:([^;,]+);base64,(.*)$/);
+  return match ? { mimeType: match[1], data: match[2] } : null;
+}
+
+// Chat messages use OpenAI content parts; these map them to the native
+// shapes. Images that are not data URLs are passed to Anthropic by URL and
+// dropped for Gemini, which only takes inline bytes here.
+function toAnthropicContent(content) {
+  if (!Array.isArray(content)) {
+    return content;
+  }
+  return content.map((part) => {
+    if (isImagePart(part)) {
+      const inline = splitDataUrl(part.image_url.url);
+      return inline
+        ? { type: 'image', source: { type: 'base64', media_type: inline.mimeType, data: inline.data } }
+        : { type: 'image', source: { type: 'url', url: part.image_url.url } };
+    }
+    return part?.type === 'text' ? { type: 'text', text: String(part.text || '') } : { type: 'text', text: describeMessageContent([part]) };
+  });
+}
+
+function toGeminiParts(content) {
+  if (!Array.isArray(content)) {
+    return [{ text: typeof content === 'string' ? content : JSON.stringify(content ?? '') }];
+  }
+  return content.flatMap((part) => {
+    if (isImagePart(part)) {
+      const inline = splitDataUrl(part.image_url.url);
+      return inline ? [{ inline_data: { mime_type: inline.mimeType, data: inline.data } }] : [];
+    }
+    return [{ text: part?.type === 'text' ? String(part.text || '') : describeMessageContent([part]) }];
+  });
+}
+
+function splitSystemMessages(messages = []) {
+  const system = [];
+  const rest = [];
+  for (const message of Array.isArray(messages) ? messages : []) {
+    if (message?.role === 'system') {
+      system.push(typeof message.content === 'string' ? message.content : JSON.stringify(message.content ?? ''));
+    } else if (message) {
+      rest.push(message);
+    }
+  }
+  return { system: system.join('\n\n'), messages: rest };
+}
+
+/**
+ * Forwards the full request body to the Cloudflare LLM worker, which accepts
+ * OpenAI-shaped payloads and may answer with any of the supported shapes.
+ */
+export function createProxyProvider({ url } = {}) {
+  const name = 'proxy';
+  const buildBody = ({ model, messages, temperature, maxTokens, body = {} }) => ({
+    ...body,
+    model: model || body.model || DEFAULT_MODEL,
+    messages,
+    ...(temperature !== undefined ? { temperature } : {}),
+    ...(maxTokens !== undefined ? { max_tokens: maxTokens } : {})
+  });
+  return {
+    name,
+    async complete(request = {}) {
+      const response = await postJson({ provider: name, url, body: buildBody(request), signal: request.signal });
+      return normalizeCompletionPayload(await readJson(response, name), { provider: name });
+    },
+    async* stream(request = {}) {
+      const response = await postJson({
+        provider: name,
+        url,
+        body: { ...buildBody(request), stream: true },
+        signal: request.signal,
+        stream: true
+      });
+      yield* streamOrComplete(response, name);
+    }
+  };
+}
+
+export function createOpenAiChatProvider({
+  apiKey,
+  url = 'https://api.openai.com/v1/chat/completions'
+} = {}) {
+  const name = 'openai';
+  const buildBody = ({ model, messages, temperature, maxTokens }) => ({
+    model: model || DEFAULT_MODEL,
+    messages,
+    ...(temperature !== undefined ? { temperature } : {}),
+    ...(maxTokens !== undefined ? { max_tokens: maxTokens } : {})
+  });
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  return {
+    name,
+    async complete(request = {}) {
+      const response = await postJson({ provider: name, url, headers, body: buildBody(request), signal: request.signal });
+      return normalizeCompletionPayload(await readJson(response, name), { provider: name });
+    },
+    async* stream(request = {}) {
+      const response = await postJson({
+        provider: name,
+        url,
+        headers,
+        body: { ...buildBody(request), stream: true, stream_options: { include_usage: true } },
+        signal: request.signal,
+        stream: true
+      });
+      yield* streamOrComplete(response, name);
+    }
+  };
+}
+
+export function createAnthropicMessagesProvider({
+  apiKey,
+  url = 'https://api.anthropic.com/v1/messages',
+  version = DEFAULT_ANTHROPIC_VERSION
+} = {}) {
+  const name = 'anthropic';
+  const buildBody = ({ model, messages, temperature, maxTokens }) => {
+    const split = splitSystemMessages(messages);
+    return {
+      model: model || DEFAULT_MODEL,
+      max_tokens: maxTokens ?? DEFAULT_MAX_TOKENS,
+      ...(split.system ? { system: split.system } : {}),
+      messages: split.messages.map((message) => ({
+        role: message.role === 'assistant' ? 'assistant' : 'user',
+        content: toAnthropicContent(message.content)
+      })),
+      ...(temperature !== undefined ? { temperature } : {})
+    };
+  };
+  const headers = {
+    'anthropic-version': version,
+    ...(apiKey ? { 'x-api-key': apiKey } : {})
+  };
+  return {
+    name,
+    async complete(request = {}) {
+      const response = await postJson({ provider: name, url, headers, body: buildBody(request), signal: request.signal });
+      return normalizeCompletionPayload(await readJson(response, name), { provider: name });
+    },
+    async* stream(request = {}) {
+      const response = await postJson({
+        provider: name,
+        url,
+        headers,
+        body: { ...buildBody(request), stream: true },
+        signal: request.signal,
+        stream: true
+      });
+      yield* streamOrComplete(response, name);
+    }
+  };
+}
+
+export function createGeminiProvider({
+  apiKey,
+  baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models'
+} = {}) {
+  const name = 'gemini';
+  const buildBody = ({ messages, temperature, maxTokens }) => {
+    const split = splitSystemMessages(messages);
+    return {
+      ...(split.system ? { systemInstruction: { parts: [{ text: split.system }] } } : {}),
+      contents: split.messages.map((message) => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: toGeminiParts(message.content)
+      })),
+      generationConfig: {
+        ...(temperature !== undefined ? { temperature } : {}),
+        ...(maxTokens !== undefined ? { maxOutputTokens: maxTokens } : {})
+      }
+    };
+  };
+  const headers = apiKey ? { 'x-goog-api-key': apiKey } : {};
+  return {
+    name,
+    async complete(request = {}) {
+      const model = request.model || DEFAULT_MODEL;
+      const response = await postJson({
+        provider: name,
+        url: `${baseUrl}/${encodeURIComponent(model)}:generateContent`,
+        headers,
+        body: buildBody(request),
+        signal: request.signal
+      });
+      const completion = normalizeCompletionPayload(await readJson(response, name), { provider: name });
+      return { ...completion, model: completion.model || model };
+    },
+    async* stream(request = {}) {
+      const model = request.model || DEFAULT_MODEL;
+      const response = await postJson({
+        provider: name,
+        url: `${baseUrl}/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`,
+        headers,
+        body: buildBody(request),
+        signal: request.signal,
+        stream: true
+      });
+      yield* streamOrComplete(response, name);
+    }
+  };
+}
+
+export function hashLlmRequest({ model = '', messages = [] } = {}) {
+  const normalized = (Array.isArray(messages) ? messages : []).map((message) => ({
+    role: message?.role || 'user',
+    content: typeof message?.content === 'string' ? message.content : JSON.stringify(message?.content ?? '')
+  }));
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ model, messages: normalized }))
+    .digest('hex');
+}
+
+function lastUserContent(messages = []) {
+  const list = Array.isArray(messages) ? messages : [];
+  for (let index = list.length - 1; index >= 0; index -= 1) {
+    if (list[index]?.role === 'user') {
+      return typeof list[index].content === 'string' ? list[index].content : JSON.stringify(list[index].content ?? '');
+    }
+  }
+  return '';
+}
+
+function matchesFixture(fixture, request, requestHash) {
+  const match = fixture?.match || {};
+  if (match.hash && match.hash !== requestHash) return false;
+  if (match.label && match.label !== request.label) return false;
+  if (match.model && match.model !== request.model) return false;
+  if (match.contains && !lastUserContent(request.messages).includes(match.contains)) return false;
+  return Boolean(match.hash || match.label || match.model || match.contains);
+}
+
+export function loadLlmFixtures(filePath) {
+  if (!filePath) {
+    return [];
+  }
+  const parsed = JSON.parse(readFileSync(filePath, 'utf8'));
+  return Array.isArray(parsed) ? parsed : (Array.isArray(parsed?.fixtures) ? parsed.fixtures : []);
+}
+
+/**
+ * Deterministic offline provider. Replays recorded fixtures (matched by request
+ * hash, label, model or prompt substring) and otherwise returns a stable
+ * hash-derived reply so chat, game mode and summaries run without a network.
+ */
+export function createFakeProvider({ fixtures = [], fixturesPath = '', chunkSize = 24 } = {}) {
+  const name = 'fake';
+  const allFixtures = [...loadLlmFixtures(fixturesPath), ...(Array.isArray(fixtures) ? fixtures : [])];
+  const calls = [];
+
+  const resolve = (request = {}) => {
+    const model = request.model || DEFAULT_MODEL;
+    const requestHash = hashLlmRequest({ model, messages: request.messages });
+    calls.push({ label: request.label || null, model, hash: requestHash, messages: request.messages || [] });
+    const fixture = allFixtures.find((entry) => matchesFixture(entry, { ...request, model }, requestHash));
+    if (fixture?.error) {
+      throw createLlmProviderError({ provider: name, ...fixture.error });
+    }
+    const content = fixture?.response?.content ?? `Fake response ${requestHash.slice(0, 12)}`;
+    const inputTokens = (request.messages || []).reduce((sum, message) => {
+      return sum + estimateTokens(`${message?.role || 'user'}:\n${describeMessageContent(message?.content)}`, model);
+    }, 0);
+    const outputTokens = estimateTokens(content, model);
+    return {
+      content,
+      finishReason: normalizeFinishReason(fixture?.response?.finishReason || 'stop'),
+      usage: fixture?.response?.usage
+        ? normalizeUsage(fixture.response.usage)
+        : { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens },
+      model: fixture?.response?.model || model,
+      provider: name,
+      raw: fixture?.response || null
+    };
+  };
+
+  return {
+    name,
+    calls,
+    async complete(request = {}) {
+      return resolve(request);
+    },
+    async* stream(request = {}) {
+      const completion = resolve(request);
+      for (let index = 0; index < completion.content.length; index += chunkSize) {
+        yield { content: completion.content.slice(index, index + chunkSize), usage: null, model: completion.model, finishReason: null };
+      }
+      yield {
+        content: '',
+        usage: {
+          prompt_tokens: completion.usage.inputTokens,
+          completion_tokens: completion.usage.outputTokens,
+          total_tokens: completion.usage.totalTokens
+        },
+        model: completion.model,
+        finishReason: completion.finishReason
+      };
+    }
+  };
+}
+
+/**
+ * Wraps a provider and captures each request/response pair in the fixture
+ * format consumed by createFakeProvider.
+ */
+export function withFixtureRecording(provider, recorded = []) {
+  return {
+    ...provider,
+    name: provider.name,
+    recorded,
+    async complete(request = {}) {
+      const completion = await provider.complete(request);
+      recorded.push({
+        match: { hash: hashLlmRequest({ model: request.model || DEFAULT_MODEL, messages: request.messages }) },
+        response: {
+          content: completion.content,
+          finishReason: completion.finishReason,
+          model: completion.model,
+          usage: {
+            prompt_tokens: completion.usage.inputTokens,
+            completion_tokens: completion.usage.outputTokens,
+            total_tokens: completion.usage.totalTokens
+          }
+        }
+      });
+      return completion;
+    }
+  };
+}
+
+const providerFactories = new Map([
+  ['proxy', createProxyProvider],
+  ['openai', createOpenAiChatProvider],
+  ['anthropic', createAnthropicMessagesProvider],
+  ['gemini', createGeminiProvider],
+  ['fake', createFakeProvider]
+]);
+
+export function registerLlmProvider(name, factory) {
+  if (!name || typeof factory !== 'function') {
+    throw new Error('registerLlmProvider requires a name and factory');
+  }
+  providerFactories.set(String(name).toLowerCase(), factory);
+}
+
+export function listLlmProviders() {
+  return [...providerFactories.keys()];
+}
+
+export function createLlmProvider(name, options = {}) {
+  const factory = providerFactories.get(String(name || '').toLowerCase());
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  return factory(options);
+}
+
+export function resolveLlmProvider({ env = process.env, proxyUrl = '' } = {}) {
+  const name = String(env.LLM_PROVIDER || 'proxy').toLowerCase();
+  if (name === 'fake') {
+    return createLlmProvider('fake', { fixturesPath: env.LLM_FAKE_FIXTURES || '' });
+  }
+  if (name === 'openai') {
+    return createLlmProvider('openai', { apiKey: env.OPENAI_API_KEY, url: env.OPENAI_CHAT_URL || undefined });
+  }
+  if (name === 'anthropic') {
+    return createLlmProvider('anthropic', { apiKey: env.ANTHROPIC_API_KEY, url: env.ANTHROPIC_MESSAGES_URL || undefined });
+  }
+  if (name === 'gemini') {
+    return createLlmProvider('gemini', { apiKey: env.GEMINI_API_KEY, baseUrl: env.GEMINI_BASE_URL || undefined });
+  }
+  return createLlmProvider(name, { url: proxyUrl || env.LLM_PROXY_URL });
+}
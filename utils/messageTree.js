@@ -0,0 +1,144 @@
+function hasOwn(entry, key) {
+  return Object.prototype.hasOwnProperty.call(entry, key);
+}
+
+/**
+ * Normalizes chat messages into a parent-linked tree. Messages stored before
+ * branching existed have no `parent_id` and are chained in array order;
+ * dangling parents become roots and cycles are cut at the first repeat.
+ */
+export function normalizeMessageTree(messages = [], activeLeafId = null) {
+  const seen = new Set();
+  const entries = [];
+  let previousId = null;
+  (Array.isArray(messages) ? messages : []).forEach((entry) => {
+    if (!entry || typeof entry !== 'object' || !entry.id || seen.has(entry.id)) {
+      return;
+    }
+    seen.add(entry.id);
+    const parentId = hasOwn(entry, 'parent_id') ? entry.parent_id || null : previousId;
+    entries.push({ ...entry, parent_id: parentId });
+    previousId = entry.id;
+  });
+
+  const byId = new Map(entries.map((entry) => [entry.id, entry]));
+  entries.forEach((entry) => {
+    if (entry.parent_id && !byId.has(entry.parent_id)) {
+      entry.parent_id = null;
+    }
+  });
+  entries.forEach((entry) => {
+    const visited = new Set([entry.id]);
+    let cursor = entry;
+    while (cursor.parent_id) {
+      if (visited.has(cursor.parent_id)) {
+        cursor.parent_id = null;
+        break;
+      }
+      visited.add(cursor.parent_id);
+      cursor = byId.get(cursor.parent_id);
+    }
+  });
+
+  return {
+    messages: entries,
+    active_leaf_id: byId.has(activeLeafId) ? activeLeafId : (entries.at(-1)?.id || null)
+  };
+}
+
+export function getChildMessages(messages = [], parentId = null) {
+  return messages.filter((entry) => (entry.parent_id || null) === (parentId || null));
+}
+
+/**
+ * Returns the root-to-leaf path ending at `leafId`, oldest first.
+ */
+export function getActivePath(messages = [], leafId = null) {
+  const byId = new Map(messages.map((entry) => [entry.id, entry]));
+  const path = [];
+  const visited = new Set();
+  let cursor = byId.get(leafId);
+  while (cursor && !visited.has(cursor.id)) {
+    visited.add(cursor.id);
+    path.unshift(cursor);
+    cursor = cursor.parent_id ? byId.get(cursor.parent_id) : null;
+  }
+  return path;
+}
+
+export function getMessageSiblings(messages = [], messageId) {
+  const message = messages.find((entry) => entry.id === messageId);
+  if (!message) {
+    return { siblings: [], index: -1 };
+  }
+  const siblings = getChildMessages(messages, message.parent_id)
+    .filter((entry) => entry.role === message.role);
+  return { siblings, index: siblings.findIndex((entry) => entry.id === messageId) };
+}
+
+/**
+ * Follows the most recent child from `messageId` down to a leaf, which is the
+ * branch a user expects to land on when switching to a sibling.
+ */
+export function findLatestLeaf(messages = [], messageId) {
+  let leafId = messageId;
+  const visited = new Set();
+  while (leafId && !visited.has(leafId)) {
+    visited.add(leafId);
+    const children = getChildMessages(messages, leafId);
+    if (!children.length) {
+      break;
+    }
+    leafId = children.at(-1).id;
+  }
+  return leafId;
+}
+
+/**
+ * Picks the code version a branch should show: the newest version produced by
+ * a message on the path, or else the newest version not produced by any chat
+ * message that predates the first version produced off the path.
+ */
+export function selectBranchCodeVersion(versions = [], messages = [], leafId = null) {
+  const pathIds = new Set(getActivePath(messages, leafId).map((entry) => entry.id));
+  const treeIds = new Set(messages.map((entry) => entry.id));
+  const linked = versions.filter((version) => pathIds.has(version.message_id));
+  if (linked.length) {
+    return linked.at(-1);
+  }
+  const offPathTimes = versions
+    .filter((version) => treeIds.has(version.message_id))
+    .map((version) => Date.parse(version.created_at))
+    .filter(Number.isFinite);
+  const cutoff = offPathTimes.length ? Math.min(...offPathTimes) : Infinity;
+  const shared = versions.filter((version) => !treeIds.has(version.message_id)
+    && !(Date.parse(version.created_at) >= cutoff));
+  return shared.at(-1) || null;
+}
+
+/**
+ * Prepends stored tree messages the request did not carry, after any leading
+ * system messages, so the server sees the full branch even when the client
+ * only sends its most recent turns. Stored entries use `content_text`.
+ */
+export function mergeStoredMessages(requestMessages = [], storedMessages = []) {
+  const incoming = Array.isArray(requestMessages) ? requestMessages : [];
+  const carriedIds = new Set(incoming.map((entry) => entry?.id).filter(Boolean));
+  const stored = (Array.isArray(storedMessages) ? storedMessages : [])
+    .filter((entry) => entry?.id && !carriedIds.has(entry.id) && (entry.role === 'user' || entry.role === 'assistant'))
+    .map((entry) => ({
+      id: entry.id,
+      parent_id: entry.parent_id ?? null,
+      role: entry.role,
+      content: typeof entry.content === 'string' ? entry.content : String(entry.content_text || '')
+    }))
+    .filter((entry) => entry.content.trim());
+  if (!stored.length) {
+    return incoming;
+  }
+  let leading = 0;
+  while (leading < incoming.length && !incoming[leading]?.id && incoming[leading]?.role === 'system') {
+    leading += 1;
+  }
+  return [...incoming.slice(0, leading), ...stored, ...incoming.slice(leading)];
+}
@@ -0,0 +1,176 @@
+import crypto from 'node:crypto';
+
+const Z_95 = 1.96;
+const EXPERIMENT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{1,63}$/;
+const EXPERIMENT_STATUSES = ['draft', 'running', 'stopped'];
+
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+function round(value, digits = 4) {
+  if (!Number.isFinite(value)) {
+    return null;
+  }
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Validates an admin-supplied experiment definition. A variant with a null
+ * model is a control arm: the request keeps whatever the policy routed to.
+ */
+export function normalizeExperimentDefinition(input = {}) {
+  const errors = [];
+  const id = String(input.id || '').trim().toLowerCase();
+  if (!EXPERIMENT_ID_PATTERN.test(id)) {
+    errors.push('id must be 2-64 lowercase letters, digits, "-" or "_"');
+  }
+  const status = input.status || 'draft';
+  if (!EXPERIMENT_STATUSES.includes(status)) {
+    errors.push(`status must be one of ${EXPERIMENT_STATUSES.join(', ')}`);
+  }
+  const plans = Array.isArray(input.plans)
+    ? [...new Set(input.plans.map((plan) => String(plan).trim()).filter(Boolean))]
+    : [];
+  const variants = Array.isArray(input.variants) ? input.variants : [];
+  const seen = new Set();
+  const normalizedVariants = variants.map((variant, index) => {
+    const variantId = String(variant?.id || '').trim();
+    const weight = Number(variant?.weight);
+    if (!variantId) {
+      errors.push(`variants[${index}].id is required`);
+    } else if (seen.has(variantId)) {
+      errors.push(`variants[${index}].id "${variantId}" is duplicated`);
+    }
+    seen.add(variantId);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      errors.push(`variants[${index}].weight must be a positive number`);
+    }
+    return {
+      id: variantId,
+      model: variant?.model ? String(variant.model) : null,
+      weight
+    };
+  });
+  if (normalizedVariants.length < 2) {
+    errors.push('at least two variants are required');
+  }
+  return {
+    errors,
+    experiment: {
+      id,
+      description: input.description ? String(input.description) : '',
+      intent: input.intent ? String(input.intent) : 'any',
+      plans,
+      variants: normalizedVariants,
+      status
+    }
+  };
+}
+
+export function experimentMatches(experiment, { intentType, plan }) {
+  if (!experiment || experiment.status !== 'running') {
+    return false;
+  }
+  const intentMatches = !experiment.intent || experiment.intent === 'any' || experiment.intent === intentType;
+  const planMatches = !experiment.plans?.length || experiment.plans.includes(plan);
+  return intentMatches && planMatches;
+}
+
+/**
+ * Maps (experiment, user) onto [0, 1). The experiment id is part of the hash
+ * so a user's arm in one experiment says nothing about their arm in another.
+ */
+export function assignmentBucket(experimentId, userId) {
+  const digest = crypto.createHash('sha256').update(`${experimentId}:${userId}`).digest();
+  return digest.readUInt32BE(0) / 0x100000000;
+}
+
+export function assignExperimentVariant(experiment, userId) {
+  const variants = (experiment?.variants || []).filter((variant) => toNumber(variant.weight) > 0);
+  if (!variants.length || !userId) {
+    return null;
+  }
+  const totalWeight = variants.reduce((sum, variant) => sum + toNumber(variant.weight), 0);
+  const target = assignmentBucket(experiment.id, userId) * totalWeight;
+  let cumulative = 0;
+  for (const variant of variants) {
+    cumulative += toNumber(variant.weight);
+    if (target < cumulative) {
+      return variant;
+    }
+  }
+  return variants[variants.length - 1];
+}
+
+/**
+ * Picks the first running experiment that targets this intent and plan and
+ * returns the user's sticky variant in it.
+ */
+export function selectExperimentAssignment(experiments, { userId, intentType, plan }) {
+  const experiment = (experiments || []).find((candidate) => experimentMatches(candidate, { intentType, plan }));
+  if (!experiment) {
+    return null;
+  }
+  const variant = assignExperimentVariant(experiment, userId);
+  if (!variant) {
+    return null;
+  }
+  return {
+    experiment_id: experiment.id,
+    variant_id: variant.id,
+    model: variant.model || null
+  };
+}
+
+export function wilsonInterval(successes, total, z = Z_95) {
+  const n = toNumber(total);
+  if (n <= 0) {
+    return { rate: null, low: null, high: null };
+  }
+  const p = toNumber(successes) / n;
+  const denominator = 1 + (z * z) / n;
+  const centre = (p + (z * z) / (2 * n)) / denominator;
+  const margin = (z * Math.sqrt((p * (1 - p)) / n + (z * z) / (4 * n * n))) / denominator;
+  return {
+    rate: round(p),
+    low: round(Math.max(0, centre - margin)),
+    high: round(Math.min(1, centre + margin))
+  };
+}
+
+export function meanInterval({ mean, sd, n }, z = Z_95) {
+  const count = toNumber(n);
+  if (count <= 0 || mean === null || mean === undefined) {
+    return { mean: null, low: null, high: null, n: count };
+  }
+  const average = toNumber(mean);
+  const margin = count > 1 ? (z * toNumber(sd)) / Math.sqrt(count) : 0;
+  return {
+    mean: round(average),
+    low: round(average - margin),
+    high: round(average + margin),
+    n: count
+  };
+}
+
+/**
+ * Turns per-variant aggregate rows (counts, means and sample standard
+ * deviations from SQL) into rates and 95% confidence intervals.
+ */
+export function summarizeExperimentVariants(rows = []) {
+  return rows.map((row) => ({
+    variant_id: row.variant_id,
+    models: Array.isArray(row.models) ? row.models : [row.model].filter(Boolean),
+    exposures: toNumber(row.exposures),
+    users: toNumber(row.users),
+    completed: toNumber(row.completed),
+    latency_ms: meanInterval({ mean: row.latency_mean, sd: row.latency_sd, n: row.latency_n }),
+    cost_usd: meanInterval({ mean: row.cost_mean, sd: row.cost_sd, n: row.cost_n }),
+    credits: meanInterval({ mean: row.credits_mean, sd: row.credits_sd, n: row.credits_n }),
+    retry_rate: wilsonInterval(row.retries, row.exposures),
+    keep_rate: { ...wilsonInterval(row.kept, row.kept_n), n: toNumber(row.kept_n) }
+  }));
+}
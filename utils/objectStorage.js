@@ -144,6 +144,64 @@ async function uploadToS3({ key, contentType, body }) {
   return buildObjectUrl(key);
 }
 
+// RFC 3986 encoding, as SigV4 canonical query strings require.
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function presignS3GetUrl({ key, expiresSeconds }) {
+  const bucket = process.env.OBJECT_STORAGE_BUCKET || '';
+  const region = process.env.OBJECT_STORAGE_REGION || 'us-east-1';
+  const accessKeyId = process.env.OBJECT_STORAGE_ACCESS_KEY_ID || '';
+  const secretAccessKey = process.env.OBJECT_STORAGE_SECRET_ACCESS_KEY || '';
+  const endpoint = resolveS3Endpoint();
+  const forcePathStyle = process.env.OBJECT_STORAGE_FORCE_PATH_STYLE === 'true';
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 downloads require OBJECT_STORAGE_BUCKET and access credentials.');
+  }
+
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const credentialScope = `${dateStamp}/${region}/s3/aws4_request`;
+  const host = resolveS3Host({ bucket, endpoint, forcePathStyle });
+  const canonicalUri = forcePathStyle ? `/${bucket}/${key}` : `/${key}`;
+  const params = {
+    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+    'X-Amz-Credential': `${accessKeyId}/${credentialScope}`,
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': String(expiresSeconds),
+    'X-Amz-SignedHeaders': 'host'
+  };
+  const canonicalQuery = Object.keys(params)
+    .sort()
+    .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(params[name])}`)
+    .join('&');
+  const canonicalRequest = [
+    'GET',
+    canonicalUri,
+    canonicalQuery,
+    `host:${host}\n`,
+    'host',
+    'UNSIGNED-PAYLOAD'
+  ].join('\n');
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    credentialScope,
+    sha256Hex(canonicalRequest)
+  ].join('\n');
+  const signature = hmac(getSigningKey(secretAccessKey, dateStamp, region, 's3'), stringToSign, 'hex');
+  const url = resolveS3Url({ bucket, key, endpoint: endpoint || 'https://s3.amazonaws.com', forcePathStyle });
+  return `${url}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+}
+
+const CHAT_IMAGE_FILENAME = /^[0-9a-f]{16}-[0-9a-f]{32}\.png$/;
+const CHAT_IMAGE_URL_TTL_SECONDS = 300;
+
+function chatImageOwnerTag(userId) {
+  return sha256Hex(`${userId}:`).slice(0, 16);
+}
+
 function buildLocalUrl(kind, filename) {
   return `/uploads/${kind}/${filename}`;
 }
@@ -155,7 +213,7 @@ async function uploadToLocal({ dir, filename, body }) {
   return filePath;
 }
 
-export function createObjectStorageAdapter({ artifactUploadsDir, profileUploadsDir }) {
+export function createObjectStorageAdapter({ artifactUploadsDir, profileUploadsDir, chatUploadsDir }) {
   const mode = resolveStorageMode();
 
   return {
@@ -181,6 +239,47 @@ export function createObjectStorageAdapter({ artifactUploadsDir, profileUploadsD
       return buildLocalUrl('artifacts', filename);
     },
 
+    // Chat attachments are content-addressed per user, so resending the same
+    // capture reuses the stored object.
+    async saveChatImage(dataUrl, userId) {
+      if (!dataUrl || typeof dataUrl !== 'string') {
+        return '';
+      }
+      const match = dataUrl.match(/^data:image\/png;base64,(.*)$/);
+      if (!match) {
+        return '';
+      }
+      const buffer = Buffer.from(match[1], 'base64');
+      const filename = `${chatImageOwnerTag(userId)}-${sha256Hex(buffer).slice(0, 32)}.png`;
+      const key = `chat/${filename}`;
+      // Both drivers hand out the app route, never a direct object URL:
+      // chat images are private and only their owner may read them.
+      if (mode === 's3') {
+        await uploadToS3({ key, contentType: 'image/png', body: buffer });
+      } else {
+        await uploadToLocal({
+          dir: chatUploadsDir,
+          filename,
+          body: buffer
+        });
+      }
+      return buildLocalUrl('chat', filename);
+    },
+
+    // Resolves a chat image for `userId`: null unless the file name carries
+    // the user's owner tag, else the local file path or, on S3, a signed URL
+    // that expires after a few minutes.
+    resolveChatImage(filename, userId) {
+      const name = String(filename || '');
+      if (!userId || !CHAT_IMAGE_FILENAME.test(name) || !name.startsWith(`${chatImageOwnerTag(userId)}-`)) {
+        return null;
+      }
+      if (mode === 's3') {
+        return { url: presignS3GetUrl({ key: `chat/${name}`, expiresSeconds: CHAT_IMAGE_URL_TTL_SECONDS }) };
+      }
+      return { filePath: path.join(chatUploadsDir, name) };
+    },
+
     async saveProfileAvatar(file, userId) {
       if (!file?.data || !file?.contentType) {
         return '';
@@ -0,0 +1,417 @@
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9._-]{1,63}$/;
+const VARIABLE_PATTERN = /^[a-z_][a-z0-9_]*$/i;
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_][a-z0-9_]*)\s*\}\}/gi;
+const TEMPLATE_SURFACES = ['server', 'client'];
+const MAX_TEMPLATE_BODY_CHARS = 20000;
+
+const STUDIO_SYSTEM_BASE = `You are PDCo Dev Studio.
+
+Generate correct, runnable outputs with minimal verbosity.
+Prefer code over explanation unless asked.
+Avoid narrative, personality, or filler.
+Modify existing code when context implies iteration.
+Ask questions only if required to proceed.
+
+Output must be concise, technical, and executable.`;
+const STUDIO_PREAMBLE = `Compact glyph headers may describe intent, constraints, or style.
+Treat glyph headers as authoritative.
+Do not restate or explain glyphs unless asked.`;
+const STUDIO_PRECISION_RULES = `Disable conversational tone.
+
+Prioritize precision over friendliness.`;
+
+/**
+ * Version 1 of every prompt the app sends. Later versions are created by
+ * admins at runtime and may only use the variables declared here, since those
+ * are the only values callers supply.
+ */
+export const DEFAULT_PROMPT_TEMPLATES = [
+  {
+    id: 'chat.system',
+    version: 1,
+    owner: 'chat-platform',
+    surface: 'server',
+    description: 'Server system prompt for /api/chat turns.',
+    variables: [],
+    body: `You are a serious, capable engineering assistant.
+Be concise, direct, and practical.
+Avoid whimsical, playful, or anthropomorphic language.
+Demonstrate capability through action (code, structure), not tone.
+
+Default behavior:
+- Be proactive and demonstrate capability when possible.
+- If the user input is underspecified, choose a reasonable, concrete task and execute it.
+- Prefer generating working code, UI components, or functional examples over discussion.
+
+Assume the user is evaluating capability unless stated otherwise.
+
+You MUST respond with valid JSON only. Do not wrap in markdown or code fences.
+Return ONLY the following schema with no extra top-level keys:
+
+{
+  "assistant": { "text": "string" },
+  "ui": {
+    "html": "string",
+    "css": "string",
+    "js": "string"
+  }
+}
+
+The "ui.html", "ui.css", and "ui.js" fields are optional but MUST be present as
+empty strings when not provided. If the user asks a question, respond with
+assistant.text. If the user asks to modify or generate UI, include ui.html/css/js.`
+  },
+  {
+    id: 'studio.system.chat',
+    version: 1,
+    owner: 'studio-client',
+    surface: 'client',
+    description: 'Editor system prompt for conversational turns.',
+    variables: ['constraint_line'],
+    body: `${STUDIO_SYSTEM_BASE}
+
+${STUDIO_PREAMBLE}
+
+Output rules:
+- Never output JSON, YAML, or code fences.
+- If you return HTML, the FIRST line must be:
+  <!--CHAT: <a short conversational message for the user> -->
+  Then output a complete HTML document.
+- If no HTML is needed, output plain conversational text only.
+- If a visual is requested as part of a technical discussion, prioritize correctness and demonstration over expressiveness or celebration.{{constraint_line}}`
+  },
+  {
+    id: 'studio.system.execution',
+    version: 1,
+    owner: 'studio-client',
+    surface: 'client',
+    description: 'Editor system prompt for code and fix turns.',
+    variables: ['constraint_line'],
+    body: `${STUDIO_SYSTEM_BASE}
+
+${STUDIO_PREAMBLE}
+
+Respond with correct, production-quality code.
+Do not explain unless asked.
+Do not use conversational language.
+No metaphors. No encouragement. No emojis. No hedging language.
+Avoid: “Here’s”, “Let’s”, “You can”, “This helps”, “In this example”, “We”.
+
+Output rules:
+- Never output JSON, YAML, or code fences.
+- If you return HTML, the FIRST line must be:
+  <!--CHAT: <a short neutral status message> -->
+  Then output a complete HTML document.
+- If no HTML is needed, output plain text only.
+
+${STUDIO_PRECISION_RULES}{{constraint_line}}`
+  },
+  {
+    id: 'artifact.metadata.chat_code',
+    version: 1,
+    owner: 'gallery',
+    surface: 'server',
+    description: 'Infers an artifact title and description from chat and code.',
+    variables: ['chat', 'code'],
+    body: `You are generating metadata for a saved code artifact.
+
+Use BOTH the user chat context and the code.
+
+Return:
+- A short, concrete title (max 60 chars)
+- A one-sentence description (max 160 chars)
+
+Chat:
+{{chat}}
+
+Code:
+{{code}}
+
+Output JSON ONLY:
+{
+  "title": "...",
+  "description": "..."
+}`
+  },
+  {
+    id: 'artifact.metadata.code_only',
+    version: 1,
+    owner: 'gallery',
+    surface: 'server',
+    description: 'Infers an artifact title and description from code alone.',
+    variables: ['language', 'code'],
+    body: `You are generating metadata for a saved code artifact.
+
+There is NO chat context.
+Infer intent and functionality from the code alone.
+
+Code language: {{language}}
+
+Code:
+{{code}}
+
+Return JSON ONLY:
+{
+  "title": "...",
+  "description": "..."
+}`
+  },
+  {
+    id: 'playable.game_design',
+    version: 1,
+    owner: 'game-mode',
+    surface: 'server',
+    description: 'Turns a prompt into a playable game design brief.',
+    variables: ['prompt', 'code'],
+    body: `You are an AI game designer and rapid gameplay prototyper.
+Transform the user request into a practical interactive game experience that can be implemented immediately.
+
+Execution goals:
+1. Identify a clear objective (win condition), a failure condition, and a core gameplay loop.
+2. Define progression with escalating challenge (difficulty curve, levels, waves, or unlocks).
+3. Specify mechanics and controls with explicit keyboard and/or mouse inputs.
+4. Add feedback loops (visual/audio/state updates) so each player action has an observable result.
+5. Include reward systems such as points, multipliers, resources, combo chains, or risk/reward tradeoffs.
+6. Keep the design scope tight enough to be runnable in a single-session prototype.
+
+Output contract:
+- Provide implementation-ready instructions and concrete behavior details.
+- Prioritize deterministic rules, concrete variables, and event flow over vague ideas.
+- Mention objective, mechanics, controls, progression, and feedback by name in the response.
+- If relevant code context is provided, adapt and extend it instead of replacing everything blindly.
+- If the request is ambiguous, do not ask follow-up questions; choose sensible defaults and state assumptions briefly.
+- End with a short "Design rationale" section explaining major game decisions.
+
+User prompt:
+{{prompt}}
+
+Relevant code context:
+{{code}}
+`
+  },
+  {
+    id: 'chat.retry',
+    version: 1,
+    owner: 'chat-platform',
+    surface: 'server',
+    description: 'Asks for a different, improved answer after a retry.',
+    variables: ['original_prompt', 'previous_response'],
+    body: `
+The previous response did not fully satisfy the user's intent.
+
+Without asking the user for clarification,
+generate a significantly improved alternative response.
+
+Requirements:
+- Avoid repeating structure or phrasing of previous response.
+- Take a different approach or perspective.
+- Improve clarity, usefulness, and completeness.
+- Preserve the original goal.
+- Use a different structural approach.
+- If previous response was explanatory, make it more practical.
+- If previous response was minimal, make it more thorough.
+- If previous response was code-only, include commentary.
+- If previous response was commentary-heavy, be more concise.
+
+Original user request:
+{{original_prompt}}
+
+Previous response (trimmed for efficiency):
+{{previous_response}}
+
+Now generate a better version.
+`
+  }
+];
+
+export function extractTemplateVariables(body = '') {
+  return [...new Set([...String(body).matchAll(PLACEHOLDER_PATTERN)].map((match) => match[1]))];
+}
+
+/**
+ * Replaces `{{name}}` placeholders. Missing values render as empty strings so
+ * a template that drops or reorders variables never leaks placeholder text.
+ */
+export function renderPromptTemplate(body = '', values = {}) {
+  return String(body).replace(PLACEHOLDER_PATTERN, (_match, name) => {
+    const value = values[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * Validates a template version. `contractVariables` is the variable set of
+ * the template's first version; later versions may use a subset of it.
+ */
+export function normalizePromptTemplateDefinition(input = {}, { contractVariables = null } = {}) {
+  const errors = [];
+  const id = String(input.id || '').trim();
+  if (!TEMPLATE_ID_PATTERN.test(id)) {
+    errors.push('id must be 2-64 lowercase letters, digits, ".", "-" or "_"');
+  }
+  const version = Number(input.version);
+  if (!Number.isInteger(version) || version < 1) {
+    errors.push('version must be a positive integer');
+  }
+  const owner = String(input.owner || '').trim();
+  if (!owner || owner.length > 64) {
+    errors.push('owner is required (max 64 characters)');
+  }
+  const surface = input.surface || 'server';
+  if (!TEMPLATE_SURFACES.includes(surface)) {
+    errors.push(`surface must be one of ${TEMPLATE_SURFACES.join(', ')}`);
+  }
+  const body = typeof input.body === 'string' ? input.body : '';
+  if (!body.trim() || body.length > MAX_TEMPLATE_BODY_CHARS) {
+    errors.push(`body is required (max ${MAX_TEMPLATE_BODY_CHARS} characters)`);
+  }
+  const variables = Array.isArray(input.variables)
+    ? [...new Set(input.variables.map((name) => String(name).trim()))]
+    : extractTemplateVariables(body);
+  variables.filter((name) => !VARIABLE_PATTERN.test(name)).forEach((name) => {
+    errors.push(`variable "${name}" is not a valid identifier`);
+  });
+  extractTemplateVariables(body).filter((name) => !variables.includes(name)).forEach((name) => {
+    errors.push(`body uses undeclared variable "${name}"`);
+  });
+  if (contractVariables) {
+    variables.filter((name) => !contractVariables.includes(name)).forEach((name) => {
+      errors.push(`variable "${name}" is not supplied by callers of ${id}`);
+    });
+  }
+  return {
+    template: {
+      id,
+      version,
+      owner,
+      surface,
+      description: String(input.description || '').trim().slice(0, 280),
+      variables,
+      body,
+      created_at: input.created_at || null
+    },
+    errors
+  };
+}
+
+/**
+ * Holds every known version of each template plus the active version per id.
+ * Admin rollouts register a new version and/or move the active pointer;
+ * `load` applies versions and release pointers persisted elsewhere.
+ */
+export function createPromptTemplateRegistry(definitions = DEFAULT_PROMPT_TEMPLATES) {
+  const records = new Map();
+
+  // Checks a definition against the registry without changing it, so callers
+  // can persist a version before it is registered or activated.
+  function validate(definition = {}) {
+    const record = records.get(definition.id);
+    const { template, errors } = normalizePromptTemplateDefinition(
+      record
+        ? { owner: record.owner, description: record.description, variables: record.variables, ...definition, surface: record.surface }
+        : definition,
+      { contractVariables: record?.variables || null }
+    );
+    if (!errors.length && record?.versions.has(template.version)) {
+      errors.push(`version ${template.version} of ${template.id} already exists`);
+    }
+    return errors.length ? { template: null, errors } : { template, errors };
+  }
+
+  function register(definition = {}, { activate = false } = {}) {
+    const { template, errors } = validate(definition);
+    if (errors.length) {
+      return { template: null, errors };
+    }
+    const record = records.get(template.id);
+    if (!record) {
+      records.set(template.id, {
+        id: template.id,
+        owner: template.owner,
+        surface: template.surface,
+        description: template.description,
+        variables: template.variables,
+        versions: new Map([[template.version, template]]),
+        activeVersion: template.version
+      });
+      return { template, errors };
+    }
+    record.versions.set(template.version, template);
+    if (activate) {
+      record.activeVersion = template.version;
+    }
+    return { template, errors };
+  }
+
+  function activate(id, version) {
+    const template = records.get(id)?.versions.get(Number(version));
+    if (!template) {
+      return { template: null, errors: [`version ${version} of ${id} does not exist`] };
+    }
+    records.get(id).activeVersion = template.version;
+    return { template, errors: [] };
+  }
+
+  function get(id, version = null) {
+    const record = records.get(id);
+    if (!record) {
+      return null;
+    }
+    return record.versions.get(version === null ? record.activeVersion : Number(version)) || null;
+  }
+
+  definitions.forEach((definition) => register(definition));
+
+  return {
+    validate,
+    register,
+    activate,
+    get,
+    has: (id, version) => Boolean(get(id, version)),
+    nextVersion: (id) => Math.max(0, ...(records.get(id)?.versions.keys() || [])) + 1,
+    describe(id) {
+      const template = get(id);
+      return template ? { id: template.id, version: template.version } : null;
+    },
+    render(id, values = {}, { version = null } = {}) {
+      const template = get(id, version);
+      if (!template) {
+        throw new Error(`Unknown prompt template: ${id}`);
+      }
+      return { id: template.id, version: template.version, text: renderPromptTemplate(template.body, values) };
+    },
+    list({ surface = null } = {}) {
+      return [...records.values()]
+        .filter((record) => !surface || record.surface === surface)
+        .map((record) => ({
+          id: record.id,
+          owner: record.owner,
+          surface: record.surface,
+          description: record.description,
+          variables: record.variables,
+          active_version: record.activeVersion,
+          versions: [...record.versions.values()].map((template) => ({
+            version: template.version,
+            owner: template.owner,
+            description: template.description,
+            created_at: template.created_at
+          }))
+        }));
+    },
+    load({ versions = [], releases = [] } = {}) {
+      const errors = [];
+      [...versions].sort((a, b) => Number(a.version) - Number(b.version)).forEach((definition) => {
+        if (get(definition.id, definition.version)) {
+          return;
+        }
+        errors.push(...register(definition).errors.map((error) => `${definition.id}@${definition.version}: ${error}`));
+      });
+      releases.forEach((release) => {
+        errors.push(...activate(release.template_id, release.active_version).errors);
+      });
+      return { errors };
+    }
+  };
+}
+
+export const promptTemplateRegistry = createPromptTemplateRegistry();
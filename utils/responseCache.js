@@ -0,0 +1,150 @@
+import crypto from 'node:crypto';
+import { embedText, isFallbackEmbedding } from './embeddings.js';
+import { cosineSimilarity } from './similarity.js';
+
+const DEFAULT_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_SIMILARITY_THRESHOLD = 0.97;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value ?? '')).digest('hex');
+}
+
+export function normalizeCachePrompt(prompt) {
+  return String(prompt ?? '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[.!?\s]+$/, '')
+    .trim();
+}
+
+/**
+ * Cached responses are only reusable for the same user, intent, routed model,
+ * byte-identical editor contents and conversation context (history, pins,
+ * glyph state, context mode); the prompt is matched within that scope.
+ */
+export function buildResponseCacheScope({ userId, intentType, model, code, context = '' }) {
+  return [userId || 'anonymous', intentType || 'chat', model || '', sha256(code), sha256(context)].join(':');
+}
+
+export function createResponseCache({
+  ttlMs = DEFAULT_TTL_MS,
+  maxEntries = DEFAULT_MAX_ENTRIES,
+  similarityThreshold = DEFAULT_SIMILARITY_THRESHOLD,
+  embed = embedText,
+  // Prompts only match semantically on real embeddings; the local fallback
+  // vectors are too coarse and would serve answers to different questions.
+  isSemanticEmbedding = (vector) => !isFallbackEmbedding(vector),
+  now = () => Date.now()
+} = {}) {
+  const entries = new Map();
+  const stats = {
+    exactHits: 0,
+    semanticHits: 0,
+    misses: 0,
+    writes: 0,
+    expired: 0,
+    evictions: 0
+  };
+
+  const remember = (key, entry) => {
+    entries.delete(key);
+    entries.set(key, entry);
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      stats.evictions += 1;
+    }
+  };
+
+  const isExpired = (key, entry) => {
+    if (entry.expiresAt > now()) {
+      return false;
+    }
+    entries.delete(key);
+    stats.expired += 1;
+    return true;
+  };
+
+  const toHit = (key, entry, match, similarity) => {
+    remember(key, entry);
+    return {
+      match,
+      similarity,
+      age_ms: now() - entry.createdAt,
+      response: entry.response
+    };
+  };
+
+  return {
+    async lookup({ userId, intentType, model, code, context, prompt }) {
+      const scope = buildResponseCacheScope({ userId, intentType, model, code, context });
+      const normalizedPrompt = normalizeCachePrompt(prompt);
+      if (!normalizedPrompt) {
+        stats.misses += 1;
+        return null;
+      }
+      const exactKey = `${scope}:${sha256(normalizedPrompt)}`;
+      const exact = entries.get(exactKey);
+      if (exact && !isExpired(exactKey, exact)) {
+        stats.exactHits += 1;
+        return toHit(exactKey, exact, 'exact', 1);
+      }
+      if (similarityThreshold < 1) {
+        const candidates = [...entries].filter(([key, entry]) => (
+          entry.scope === scope && !isExpired(key, entry) && entry.embedding
+        ));
+        const embedding = candidates.length ? await embed(normalizedPrompt) : null;
+        if (embedding && isSemanticEmbedding(embedding)) {
+          let best = null;
+          candidates.forEach(([key, entry]) => {
+            const similarity = cosineSimilarity(embedding, entry.embedding);
+            if (similarity >= similarityThreshold && (!best || similarity > best.similarity)) {
+              best = { key, entry, similarity };
+            }
+          });
+          if (best) {
+            stats.semanticHits += 1;
+            return toHit(best.key, best.entry, 'semantic', best.similarity);
+          }
+        }
+      }
+      stats.misses += 1;
+      return null;
+    },
+    async store({ userId, intentType, model, code, context, prompt, response }) {
+      const normalizedPrompt = normalizeCachePrompt(prompt);
+      if (!normalizedPrompt || !response?.content) {
+        return false;
+      }
+      const scope = buildResponseCacheScope({ userId, intentType, model, code, context });
+      const embedding = similarityThreshold < 1 ? await embed(normalizedPrompt) : null;
+      const createdAt = now();
+      remember(`${scope}:${sha256(normalizedPrompt)}`, {
+        scope,
+        embedding: embedding && isSemanticEmbedding(embedding) ? embedding : null,
+        response,
+        createdAt,
+        expiresAt: createdAt + ttlMs
+      });
+      stats.writes += 1;
+      return true;
+    },
+    stats() {
+      const lookups = stats.exactHits + stats.semanticHits + stats.misses;
+      return {
+        ...stats,
+        size: entries.size,
+        maxEntries,
+        ttlMs,
+        similarityThreshold,
+        hitRate: lookups ? (stats.exactHits + stats.semanticHits) / lookups : 0
+      };
+    },
+    clear() {
+      entries.clear();
+      Object.keys(stats).forEach((key) => {
+        stats[key] = 0;
+      });
+    }
+  };
+}
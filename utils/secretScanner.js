@@ -0,0 +1,302 @@
+const SCAN_ACTIONS = ['allow', 'warn', 'redact', 'block'];
+const SCAN_CATEGORIES = ['secret', 'pii'];
+const SCAN_CHUNK_CHARS = 400000;
+// Longer than any secret token, so one that starts too close to a chunk's
+// end to match there is seen whole by the next chunk.
+const SCAN_CHUNK_OVERLAP = 16384;
+const MAX_FINDINGS = 200;
+
+/**
+ * Ordered so that more specific formats claim a span before a broader rule
+ * (the `sk-ant-` keys would otherwise also match the OpenAI pattern).
+ */
+export const SECRET_SCAN_RULES = [
+  { id: 'private_key', category: 'secret', label: 'Private key', pattern: /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY-----[\s\S]*?(?:-----END (?:[A-Z]+ )*PRIVATE KEY-----|$)/g },
+  { id: 'aws_access_key', category: 'secret', label: 'AWS access key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { id: 'github_token', category: 'secret', label: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{60,255})\b/g },
+  { id: 'anthropic_key', category: 'secret', label: 'Anthropic API key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { id: 'openai_key', category: 'secret', label: 'OpenAI API key', pattern: /\bsk-(?:proj-|svcacct-)?[A-Za-z0-9_-]{20,}/g },
+  { id: 'stripe_key', category: 'secret', label: 'Stripe key', pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b/g },
+  { id: 'google_api_key', category: 'secret', label: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { id: 'slack_token', category: 'secret', label: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+  { id: 'jwt', category: 'secret', label: 'JSON Web Token', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+  { id: 'email', category: 'pii', label: 'Email address', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g },
+  { id: 'phone', category: 'pii', label: 'Phone number', pattern: /(?<![\w.#-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)\s?|\d{3}[\s.-])\d{3}[\s.-]\d{4}(?![\w.-])/g }
+];
+
+// Quoted or assigned values are the only places a pasted key usually lives;
+// scanning every bare token would flag minified code and data URIs.
+const HIGH_ENTROPY_CANDIDATE = /(?:["'`]|[:=]\s*)([A-Za-z0-9+/_-]{20,120}={0,2})(?=["'`]|[\s;,]|$)/g;
+const HIGH_ENTROPY_THRESHOLD = 4;
+
+/**
+ * Default action per surface and category. `chat` is what leaves for the LLM,
+ * `artifact` is what gets stored and `publish` is what becomes public.
+ */
+export const DEFAULT_SECRET_SCAN_POLICY = {
+  chat: { secret: 'redact', pii: 'warn' },
+  artifact: { secret: 'warn', pii: 'warn' },
+  publish: { secret: 'block', pii: 'warn' }
+};
+
+export function shannonEntropy(value) {
+  const text = String(value ?? '');
+  if (!text) {
+    return 0;
+  }
+  const counts = new Map();
+  for (const char of text) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+  let entropy = 0;
+  counts.forEach((count) => {
+    const probability = count / text.length;
+    entropy -= probability * Math.log2(probability);
+  });
+  return entropy;
+}
+
+function maskValue(value) {
+  const text = String(value);
+  if (text.length <= 8) {
+    return '*'.repeat(text.length);
+  }
+  const visible = Math.min(4, Math.floor(text.length / 6));
+  return `${text.slice(0, visible)}${'*'.repeat(Math.min(text.length - visible * 2, 16))}${text.slice(-visible)}`;
+}
+
+function buildLineStarts(text) {
+  const starts = [0];
+  for (let index = 0; index < text.length; index += 1) {
+    if (text[index] === '\n') {
+      starts.push(index + 1);
+    }
+  }
+  return starts;
+}
+
+function locate(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (lineStarts[mid] <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return { line: low + 1, column: offset - lineStarts[low] + 1 };
+}
+
+function overlaps(claimed, start, end) {
+  return claimed.some((span) => start < span.end && end > span.start);
+}
+
+function isHighEntropyToken(token, text, start) {
+  if (!/[A-Za-z]/.test(token) || !/\d/.test(token)) {
+    return false;
+  }
+  if (/base64,$/.test(text.slice(Math.max(0, start - 8), start))) {
+    return false;
+  }
+  return shannonEntropy(token) >= HIGH_ENTROPY_THRESHOLD;
+}
+
+/**
+ * Finds secrets and PII in `text`. Findings carry a masked preview and the
+ * span (1-based line/column, exclusive end column) but never the raw value.
+ * Long text is scanned in overlapping chunks, so nothing is left unscanned.
+ */
+export function scanText(text, { path = null, highEntropy = true } = {}) {
+  const source = String(text ?? '');
+  if (!source) {
+    return [];
+  }
+  const lineStarts = buildLineStarts(source);
+  const claimed = [];
+  const findings = [];
+
+  const record = (rule, start, end) => {
+    if (findings.length >= MAX_FINDINGS || end <= start || overlaps(claimed, start, end)) {
+      return;
+    }
+    claimed.push({ start, end });
+    const from = locate(lineStarts, start);
+    const to = locate(lineStarts, end);
+    findings.push({
+      rule: rule.id,
+      category: rule.category,
+      label: rule.label,
+      line: from.line,
+      column: from.column,
+      endLine: to.line,
+      endColumn: to.column,
+      index: start,
+      length: end - start,
+      preview: maskValue(source.slice(start, end)),
+      path
+    });
+  };
+
+  for (let offset = 0; offset < source.length; offset += SCAN_CHUNK_CHARS - SCAN_CHUNK_OVERLAP) {
+    const chunkEnd = Math.min(source.length, offset + SCAN_CHUNK_CHARS);
+    const chunk = source.slice(offset, chunkEnd);
+    const last = chunkEnd === source.length;
+    // A match that runs into the chunk's end may continue past it: rule
+    // matches are taken again from the full text, high-entropy tokens (short
+    // by construction) are left to the next chunk.
+    const recordInChunk = (rule, start, end) => {
+      if (last || offset + end < chunkEnd) {
+        record(rule, offset + start, offset + end);
+        return;
+      }
+      if (rule.pattern) {
+        const sticky = new RegExp(rule.pattern.source, `${rule.pattern.flags.replace('g', '')}y`);
+        sticky.lastIndex = offset + start;
+        const match = sticky.exec(source);
+        if (match) {
+          record(rule, offset + start, offset + start + match[0].length);
+        }
+      }
+    };
+
+    SECRET_SCAN_RULES.forEach((rule) => {
+      for (const match of chunk.matchAll(rule.pattern)) {
+        recordInChunk(rule, match.index, match.index + match[0].length);
+      }
+    });
+
+    if (highEntropy) {
+      const rule = { id: 'high_entropy', category: 'secret', label: 'High-entropy string' };
+      for (const match of chunk.matchAll(HIGH_ENTROPY_CANDIDATE)) {
+        const token = match[1];
+        const start = match.index + match[0].indexOf(token);
+        if (isHighEntropyToken(token, chunk, start)) {
+          recordInChunk(rule, start, start + token.length);
+        }
+      }
+    }
+    if (last) {
+      break;
+    }
+  }
+
+  return findings.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Replaces each finding's span with `[REDACTED:<rule>]`. Findings must come
+ * from scanning the same text.
+ */
+export function redactText(text, findings = []) {
+  const source = String(text ?? '');
+  return [...findings]
+    .sort((a, b) => b.index - a.index)
+    .reduce(
+      (result, finding) => `${result.slice(0, finding.index)}[REDACTED:${finding.rule}]${result.slice(finding.index + finding.length)}`,
+      source
+    );
+}
+
+/**
+ * Whether text carries a placeholder written by `redactText`, e.g. model
+ * output that quotes redacted code back.
+ */
+export function containsRedaction(text) {
+  return /\[REDACTED:[a-z0-9_-]+\]/i.test(String(text ?? ''));
+}
+
+function normalizeAction(value, fallback) {
+  const action = String(value || '').toLowerCase();
+  return SCAN_ACTIONS.includes(action) ? action : fallback;
+}
+
+/**
+ * Resolves the per-category actions for a surface. `overrides` has the shape
+ * of DEFAULT_SECRET_SCAN_POLICY (the server reads it from SECRET_SCAN_POLICY)
+ * and may give one action for every category, e.g. `{ "chat": "block" }`.
+ */
+export function resolveSecretScanPolicy(surface, overrides = null) {
+  const defaults = DEFAULT_SECRET_SCAN_POLICY[surface] || { secret: 'warn', pii: 'allow' };
+  const override = overrides && typeof overrides === 'object' ? overrides[surface] : null;
+  return Object.fromEntries(SCAN_CATEGORIES.map((category) => {
+    const value = typeof override === 'string' ? override : override?.[category];
+    return [category, normalizeAction(value, defaults[category])];
+  }));
+}
+
+/**
+ * Combines policies by taking the strictest action per category, for writes
+ * that hit two surfaces at once (an artifact created as public).
+ */
+export function mergeSecretScanPolicies(...policies) {
+  return Object.fromEntries(SCAN_CATEGORIES.map((category) => [
+    category,
+    policies.reduce((strictest, policy) => {
+      const action = normalizeAction(policy?.[category], 'allow');
+      return SCAN_ACTIONS.indexOf(action) > SCAN_ACTIONS.indexOf(strictest) ? action : strictest;
+    }, 'allow')
+  ]));
+}
+
+export function parseSecretScanPolicy(raw) {
+  if (!raw) {
+    return null;
+  }
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Scans named fields and applies the policy. `fields` is a list of
+ * `{ path, text }`; the result has one action for the whole request (the
+ * strictest action of any finding), the findings with their action, and the
+ * redacted text per path when anything was redacted.
+ */
+export function applySecretScanPolicy(fields, policy) {
+  const findings = [];
+  const redacted = {};
+  fields.forEach(({ path, text }) => {
+    if (typeof text !== 'string' || !text) {
+      return;
+    }
+    const fieldFindings = scanText(text, { path }).map((finding) => ({
+      ...finding,
+      action: policy[finding.category] || 'allow'
+    })).filter((finding) => finding.action !== 'allow');
+    const toRedact = fieldFindings.filter((finding) => finding.action === 'redact');
+    if (toRedact.length) {
+      redacted[path] = redactText(text, toRedact);
+    }
+    findings.push(...fieldFindings);
+  });
+  const action = findings.reduce(
+    (strictest, finding) => (SCAN_ACTIONS.indexOf(finding.action) > SCAN_ACTIONS.indexOf(strictest) ? finding.action : strictest),
+    'allow'
+  );
+  return { action, findings, redacted };
+}
+
+/**
+ * Compact form for API responses: counts per rule plus the findings without
+ * the internal offsets.
+ */
+export function summarizeSecretScan(result) {
+  if (!result || !result.findings.length) {
+    return null;
+  }
+  const rules = {};
+  result.findings.forEach((finding) => {
+    rules[finding.rule] = (rules[finding.rule] || 0) + 1;
+  });
+  return {
+    action: result.action,
+    rules,
+    findings: result.findings.map(({ index, length, ...finding }) => finding)
+  };
+}
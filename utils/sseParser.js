@@ -0,0 +1,86 @@
+export function formatSseEvent({ event = '', data = null, id = '' } = {}) {
+  const lines = [];
+  if (id !== '' && id !== null && id !== undefined) {
+    lines.push(`id: ${id}`);
+  }
+  if (event) {
+    lines.push(`event: ${event}`);
+  }
+  const payload = typeof data === 'string' ? data : JSON.stringify(data ?? {});
+  payload.split('\n').forEach((line) => {
+    lines.push(`data: ${line}`);
+  });
+  return `${lines.join('\n')}\n\n`;
+}
+
+function parseSseBlock(block) {
+  let event = '';
+  let id = '';
+  const dataLines = [];
+  for (const rawLine of block.split('\n')) {
+    const line = rawLine.endsWith('\r') ? rawLine.slice(0, -1) : rawLine;
+    if (!line || line.startsWith(':')) {
+      continue;
+    }
+    const separatorIndex = line.indexOf(':');
+    const field = separatorIndex === -1 ? line : line.slice(0, separatorIndex);
+    let value = separatorIndex === -1 ? '' : line.slice(separatorIndex + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+    if (field === 'event') {
+      event = value;
+    } else if (field === 'data') {
+      dataLines.push(value);
+    } else if (field === 'id') {
+      id = value;
+    }
+  }
+  if (!dataLines.length && !event) {
+    return null;
+  }
+  return {
+    event: event || 'message',
+    id,
+    data: dataLines.join('\n')
+  };
+}
+
+export function createSseParser() {
+  let buffer = '';
+
+  const drain = (flushAll) => {
+    const events = [];
+    const normalized = buffer.replace(/\r\n/g, '\n');
+    const blocks = normalized.split('\n\n');
+    buffer = flushAll ? '' : blocks.pop();
+    for (const block of blocks) {
+      const parsed = parseSseBlock(block);
+      if (parsed) {
+        events.push(parsed);
+      }
+    }
+    return events;
+  };
+
+  return {
+    push(text = '') {
+      buffer += String(text || '');
+      return drain(false);
+    },
+    flush() {
+      return drain(true);
+    }
+  };
+}
+
+export function parseSseData(data) {
+  if (typeof data !== 'string' || !data || data === '[DONE]') {
+    return null;
+  }
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+}
@@ -1,6 +1,8 @@
-import { estimateTokens, isTokenizerAccurate } from './tokenEstimator.js';
+import { estimateMessageTokens as countMessageTokens, estimateTokens, isTokenizerAccurate } from './tokenEstimator.js';
 import { buildContext, selectRelevantMessages as selectRelevantMessageSet } from './contextSelector.js';
 import { chunkCode as splitCodeIntoChunks, selectRelevantCodeChunks as selectTopCodeChunks } from './codeContext.js';
+import { chunkSource, expandWithDependencies, formatChunkLabel } from './codeChunker.js';
+import { buildCodeFileMap } from './codeFiles.js';
 import {
   clearEmbeddingCache as clearSharedEmbeddingCache,
   embedText,
@@ -11,9 +13,12 @@ import { packMessagesToBudget } from './tokenBudget.js';
 import {
   buildHistorySummarySystemMessage,
   DEFAULT_HISTORY_SUMMARY_THRESHOLD_TOKENS,
+  extendHistorySummary,
+  normalizeHistorySummaryState,
   splitHistoryByThreshold,
   summarizeHistoryWithModel
 } from './historySummarizer.js';
+import { getActivePath, normalizeMessageTree } from './messageTree.js';
 
 const DEFAULT_MODEL = process.env.OPENAI_MODEL || 'gpt-4.1-mini';
 const messageEmbeddingStore = new WeakMap();
@@ -52,8 +57,8 @@ export function applyUsageAwareReduction({ contextBudget, recentUsage = 0, month
 }
 
 
-export function hasAccurateTokenizer() {
-  return isTokenizerAccurate();
+export function hasAccurateTokenizer(model = DEFAULT_MODEL) {
+  return isTokenizerAccurate(model);
 }
 
 export function estimateTokensWithTokenizer(text, model = DEFAULT_MODEL) {
@@ -61,16 +66,7 @@ export function estimateTokensWithTokenizer(text, model = DEFAULT_MODEL) {
 }
 
 export function estimateMessageTokens(messages = [], model = DEFAULT_MODEL) {
-  if (!Array.isArray(messages) || messages.length === 0) {
-    return 0;
-  }
-  return messages.reduce((sum, message) => {
-    const role = message?.role ? String(message.role) : 'user';
-    const content = typeof message?.content === 'string'
-      ? message.content
-      : JSON.stringify(message?.content ?? '');
-    return sum + estimateTokensWithTokenizer(`${role}:\n${content}`, model);
-  }, 0);
+  return countMessageTokens(messages, model);
 }
 
 export function resolveContextMode(mode) {
@@ -168,6 +164,20 @@ function normalizeMessageForScoring(message) {
   };
 }
 
+/**
+ * Keeps only the messages on the active branch when the caller sends a
+ * message tree (entries with `parent_id`). Entries without an id, such as the
+ * system prompt and the turn being sent, are always kept.
+ */
+export function selectActivePathMessages(messages = [], activeLeafId = null) {
+  if (!Array.isArray(messages) || !messages.some((entry) => entry && typeof entry === 'object' && 'parent_id' in entry)) {
+    return messages;
+  }
+  const tree = normalizeMessageTree(messages.filter((entry) => entry?.id), activeLeafId);
+  const pathIds = new Set(getActivePath(tree.messages, tree.active_leaf_id).map((entry) => entry.id));
+  return messages.filter((entry) => !entry?.id || pathIds.has(entry.id));
+}
+
 export async function selectRelevantMessages(query, messages, topK = 5) {
   if (!Array.isArray(messages) || messages.length === 0 || topK <= 0) {
     return [];
@@ -208,20 +218,144 @@ export function chunkCode(code = '') {
   return splitCodeIntoChunks(code);
 }
 
-export async function selectRelevantCodeChunks({ currentQuery, code, maxChunks = 4, maxCharsPerChunk = 1500 }) {
-  const codeChunks = splitCodeIntoChunks(code).map((content) => ({ content }));
-  if (!codeChunks.length || maxChunks <= 0) {
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function scoreNameMentions(query, chunk) {
+  const names = [chunk.name, ...chunk.declares]
+    .map((name) => String(name || '').replace(/^#/, ''))
+    .filter((name) => name.length > 2);
+  const mentioned = new Set(names.filter((name) => new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i').test(query)));
+  return Math.min(0.5, mentioned.size * 0.25);
+}
+
+const ACTIVE_FILE_BOOST = 0.1;
+const PATH_MENTION_BOOST = 0.3;
+
+function mentionsPath(query, path) {
+  const fileName = String(path || '').split('/').pop();
+  return Boolean(fileName) && new RegExp(`(^|[^\\w.])${escapeRegExp(fileName)}\\b`, 'i').test(query);
+}
+
+/**
+ * Ranks declaration-level chunks from every file against the query, then
+ * pulls in the chunks that declare what the best matches reference so a
+ * selected function arrives with the helpers, constants and markup it uses.
+ * Chunks from the active file and from files the query names rank higher.
+ * Half of `maxChunks` goes to direct matches; dependencies and then the
+ * next-best matches fill the rest. Results are grouped by file in input
+ * order and by position within each file.
+ */
+export async function selectRelevantFileChunks({
+  currentQuery,
+  files = [],
+  activePath = null,
+  maxChunks = 4,
+  maxCharsPerChunk = 1500
+}) {
+  const chunked = files.map((file) => ({
+    path: file.path,
+    chunks: chunkSource(file.content, { maxChunkChars: maxCharsPerChunk })
+  }));
+  const entries = chunked.flatMap((file) => file.chunks.map((chunk) => ({ file, chunk })));
+  if (!entries.length || maxChunks <= 0) {
     return [];
   }
-  const selected = await selectTopCodeChunks(currentQuery, codeChunks, {
-    maxResults: maxChunks,
+  const query = String(currentQuery || '');
+  const scored = await selectTopCodeChunks(query, entries.map((entry) => entry.chunk), {
+    maxResults: entries.length,
     embedFn: embedCached
   });
-  return selected.map((chunk) => String(chunk.content || '').slice(0, maxCharsPerChunk));
+  const ranked = entries
+    .map((entry, index) => ({
+      ...entry,
+      score: scored[index].score
+        + scoreNameMentions(query, entry.chunk)
+        + (files.length > 1 && entry.file.path === activePath ? ACTIVE_FILE_BOOST : 0)
+        + (files.length > 1 && mentionsPath(query, entry.file.path) ? PATH_MENTION_BOOST : 0)
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const included = new Set();
+  ranked.slice(0, Math.max(1, Math.ceil(maxChunks / 2))).forEach(({ file, chunk }) => {
+    if (included.size >= maxChunks) {
+      return;
+    }
+    included.add(chunk);
+    expandWithDependencies([chunk], file.chunks, {
+      maxChunks: 1 + maxChunks - included.size,
+      maxChars: maxChunks * maxCharsPerChunk
+    }).forEach((dependency) => {
+      if (included.size < maxChunks) {
+        included.add(dependency);
+      }
+    });
+  });
+  ranked.forEach(({ chunk }) => {
+    if (included.size < maxChunks) {
+      included.add(chunk);
+    }
+  });
+
+  return chunked.flatMap((file) => file.chunks
+    .filter((chunk) => included.has(chunk))
+    .map((chunk) => ({
+      ...chunk,
+      path: file.path,
+      label: formatChunkLabel(chunk),
+      content: chunk.content.trim().slice(0, maxCharsPerChunk)
+    })));
+}
+
+export async function selectRelevantCodeChunks({
+  currentQuery,
+  code,
+  maxChunks = 4,
+  maxCharsPerChunk = 1500,
+  withMetadata = false
+}) {
+  const chunks = await selectRelevantFileChunks({
+    currentQuery,
+    files: [{ path: 'code', content: String(code || '') }],
+    maxChunks,
+    maxCharsPerChunk
+  });
+  return withMetadata
+    ? chunks.map(({ path: _path, ...chunk }) => chunk)
+    : chunks.map((chunk) => chunk.content);
+}
+
+/**
+ * Turns pinned items into system blocks. Instructions merge into one
+ * "Project instructions" block that leads; pinned messages and code excerpts
+ * follow one block each, in pin order.
+ */
+export function buildPinnedContextBlocks(pinnedItems = []) {
+  const items = Array.isArray(pinnedItems)
+    ? pinnedItems.filter((item) => item && typeof item === 'object' && String(item.content || '').trim())
+    : [];
+  const instructions = items.filter((item) => item.kind === 'instruction');
+  const blocks = [];
+  if (instructions.length) {
+    blocks.push({
+      ids: instructions.map((item) => item.id ?? null),
+      content: `Project instructions (always follow):\n${instructions.map((item) => `- ${String(item.content).trim()}`).join('\n')}`
+    });
+  }
+  items.filter((item) => item.kind !== 'instruction').forEach((item) => {
+    const label = String(item.label || '').trim();
+    const heading = item.kind === 'code'
+      ? `Pinned code${label ? ` (${label})` : ''}`
+      : `Pinned message${label ? ` (${label})` : ''}`;
+    blocks.push({ ids: [item.id ?? null], content: `${heading}:\n${String(item.content).trim()}` });
+  });
+  return blocks;
 }
 
 export async function buildTrimmedContext({
   systemPrompt = '',
+  pinnedItems = [],
   messages = [],
   codeSegments = [],
   maxTokens = 6000,
@@ -235,21 +369,29 @@ export async function buildTrimmedContext({
   historySummary = '',
   maxCodeChars = 3000,
   llmProxyUrl,
-  summarizeHistory = summarizeHistoryWithModel
+  llmProvider = null,
+  summarizeHistory = summarizeHistoryWithModel,
+  activeLeafId = null,
+  historySummaryStore = null
 }) {
-  const normalizedMessages = Array.isArray(messages)
-    ? messages
+  const branchMessages = selectActivePathMessages(messages, activeLeafId);
+  const pinnedBlocks = buildPinnedContextBlocks(pinnedItems);
+  const scorableMessages = Array.isArray(branchMessages)
+    ? branchMessages
       .filter((entry) => entry && typeof entry === 'object')
-      .map((entry) => normalizeMessageForScoring(entry))
-      .filter((entry) => entry.content.trim())
+      .map((entry) => ({ entry, normalized: normalizeMessageForScoring(entry) }))
+      .filter(({ normalized }) => normalized.content.trim())
     : [];
+  const normalizedMessages = scorableMessages.map(({ normalized }) => normalized);
 
   const normalizedSegments = Array.isArray(codeSegments)
     ? codeSegments
       .filter((segment) => segment && typeof segment === 'object')
       .map((segment) => ({
         name: String(segment.name || segment.module || 'code'),
-        content: String(segment.content || '')
+        content: String(segment.content || ''),
+        pinned: Boolean(segment.pinned),
+        active: Boolean(segment.active)
       }))
       .filter((segment) => segment.content)
     : [];
@@ -260,7 +402,9 @@ export async function buildTrimmedContext({
   const effectiveSummaryTrigger = Math.floor(Math.min(summaryTriggerTokens, maxTokens * modeConfig.summaryThresholdRatio));
 
   const systemTokens = estimateTokensWithTokenizer(systemPrompt, model);
+  const pinnedBlockTokens = pinnedBlocks.map((block) => estimateTokensWithTokenizer(block.content, model));
   const naiveTokens = systemTokens
+    + pinnedBlockTokens.reduce((sum, tokens) => sum + tokens, 0)
     + estimateMessageTokens(normalizedMessages, model)
     + normalizedSegments.reduce((sum, segment) => {
       return sum + estimateTokensWithTokenizer(`[${segment.name}]\n${segment.content.slice(0, maxCodeChars)}`, model);
@@ -291,10 +435,40 @@ export async function buildTrimmedContext({
 
   let summaryText = String(historySummary || '').trim();
   let summarized = false;
-  if (relevantPool.length && (historySplit.shouldSummarize || olderTokens > effectiveSummaryTrigger)) {
+  let summaryState = null;
+  const summaryDue = relevantPool.length > 0 && (historySplit.shouldSummarize || olderTokens > effectiveSummaryTrigger);
+  if (historySummaryStore) {
+    // Stored summaries are keyed by message id, so only id-bearing messages
+    // (the persisted tree) take part; the older pool is the eligible prefix.
+    const pathMessages = scorableMessages
+      .filter(({ entry }) => entry.id)
+      .map(({ entry, normalized }) => ({
+        id: entry.id,
+        parent_id: entry.parent_id ?? null,
+        role: normalized.role,
+        content: normalized.content
+      }));
+    const eligibleCount = summaryDue
+      ? scorableMessages.slice(0, relevantPool.length).filter(({ entry }) => entry.id).length
+      : 0;
+    const extended = await extendHistorySummary({
+      state: normalizeHistorySummaryState(await historySummaryStore.load()),
+      pathMessages,
+      eligibleCount,
+      summarize: summarizeHistory,
+      summarizeOptions: { llmProxyUrl, llmProvider, model }
+    });
+    summaryState = extended.state;
+    if (extended.changed) {
+      await historySummaryStore.save(summaryState);
+    }
+    summaryText = summaryState.session_summary.text || summaryText;
+    summarized = extended.newChunks.length > 0;
+  } else if (summaryDue) {
     summaryText = await summarizeHistory({
       messages: relevantPool,
       llmProxyUrl,
+      llmProvider,
       model,
       existingSummary: summaryText
     });
@@ -309,6 +483,21 @@ export async function buildTrimmedContext({
     usedTokens += systemTokens;
   }
 
+  // Pins are charged first so relevance selection only gets what is left.
+  // A pin that does not fit is skipped; later, smaller ones may still fit.
+  let pinnedTokens = 0;
+  let pinnedDropped = 0;
+  pinnedBlocks.forEach((block, index) => {
+    const blockTokens = pinnedBlockTokens[index];
+    if (usedTokens + blockTokens > maxTokens) {
+      pinnedDropped += block.ids.length;
+      return;
+    }
+    built.push({ role: 'system', content: block.content });
+    usedTokens += blockTokens;
+    pinnedTokens += blockTokens;
+  });
+
   if (summaryText) {
     const summaryMessage = buildHistorySummarySystemMessage(summaryText);
     const summaryTokens = estimateTokensWithTokenizer(summaryMessage, model);
@@ -325,20 +514,43 @@ export async function buildTrimmedContext({
     usedTokens += messageTokens;
   }
 
-  const selectedCode = [];
-  for (const segment of normalizedSegments) {
-    const chunks = await selectRelevantCodeChunks({
-      currentQuery: query || recentMessages[recentMessages.length - 1]?.content || '',
-      code: segment.content,
-      maxChunks: modeConfig.codeChunkLimit,
+  // A selection is sent verbatim; the remaining files share one chunk budget
+  // ranked by relevance, with a file map so unselected files stay visible.
+  const selectedCode = normalizedSegments
+    .filter((segment) => segment.pinned)
+    .map((segment) => ({ name: segment.name, content: segment.content.slice(0, maxCodeChars) }));
+  const fileSegments = normalizedSegments.filter((segment) => !segment.pinned);
+  const codeQuery = query || recentMessages[recentMessages.length - 1]?.content || '';
+  if (fileSegments.length > 1) {
+    const files = fileSegments.map((segment) => ({ path: segment.name, content: segment.content }));
+    const activePath = fileSegments.find((segment) => segment.active)?.name || null;
+    selectedCode.push({ name: 'file map', content: buildCodeFileMap(files, activePath) });
+    const chunks = await selectRelevantFileChunks({
+      currentQuery: codeQuery,
+      files,
+      activePath,
+      maxChunks: modeConfig.codeChunkLimit * Math.min(fileSegments.length, 3),
       maxCharsPerChunk: Math.min(maxCodeChars, 2000)
     });
-    chunks.forEach((chunk, index) => {
-      selectedCode.push({
-        name: `${segment.name}#${index + 1}`,
-        content: chunk
-      });
+    chunks.forEach((chunk) => {
+      selectedCode.push({ name: `${chunk.path}: ${chunk.label}`, content: chunk.content });
     });
+  } else {
+    for (const segment of fileSegments) {
+      const chunks = await selectRelevantCodeChunks({
+        currentQuery: codeQuery,
+        code: segment.content,
+        maxChunks: modeConfig.codeChunkLimit,
+        maxCharsPerChunk: Math.min(maxCodeChars, 2000),
+        withMetadata: true
+      });
+      chunks.forEach((chunk) => {
+        selectedCode.push({
+          name: `${segment.name}: ${chunk.label}`,
+          content: chunk.content
+        });
+      });
+    }
   }
 
   for (const segment of selectedCode) {
@@ -357,6 +569,7 @@ export async function buildTrimmedContext({
     naiveTokenCount: naiveTokens,
     savedTokens: Math.max(0, naiveTokens - usedTokens),
     summaryText,
+    historySummaryState: summaryState,
     metrics: {
       totalTokensBeforeTrim: naiveTokens,
       totalTokensAfterTrim: usedTokens,
@@ -365,9 +578,13 @@ export async function buildTrimmedContext({
       summarized,
       historySummaryRetained: Boolean(summaryText),
       historySummaryThresholdTokens,
+      historySummaryChunks: summaryState?.chunks.length ?? 0,
       contextMode: modeConfig.mode,
       recentSelectedCount: recentMessages.length,
-      codeChunkCount: selectedCode.length
+      codeChunkCount: selectedCode.length,
+      pinnedCount: pinnedBlocks.reduce((sum, block) => sum + block.ids.length, 0) - pinnedDropped,
+      pinnedTokens,
+      pinnedDropped
     }
   };
 }
@@ -1,8 +1,8 @@
 import { createRequire } from 'node:module';
+import { TOKENIZER_FAMILIES, tokenizerRegistry } from './tokenizers.js';
 
 const DEFAULT_MODEL = process.env.OPENAI_MODEL || 'gpt-4.1-mini';
 const require = createRequire(import.meta.url);
-const encoderCache = new Map();
 
 let tiktokenModule = null;
 try {
@@ -11,50 +11,28 @@ try {
   tiktokenModule = null;
 }
 
-function fallbackEstimate(text) {
-  const tokens = String(text || '').match(/[A-Za-z0-9_]+|\s+|[^\sA-Za-z0-9_]/g);
-  return tokens ? tokens.length : 0;
-}
-
-function resolveEncoder(model = DEFAULT_MODEL) {
-  if (!tiktokenModule) {
-    return null;
-  }
-
-  const normalizedModel = typeof model === 'string' && model.trim() ? model.trim() : DEFAULT_MODEL;
-  if (encoderCache.has(normalizedModel)) {
-    return encoderCache.get(normalizedModel);
-  }
-
-  let encoder;
-  try {
-    encoder = tiktokenModule.encoding_for_model(normalizedModel);
-  } catch {
-    encoder = tiktokenModule.get_encoding('cl100k_base');
-  }
-
-  encoderCache.set(normalizedModel, encoder);
-  return encoder;
+// The browser shares the registry but has no encoder, so it always counts by
+// the calibrated ratio; the server plugs tiktoken in for the OpenAI encodings.
+if (tiktokenModule) {
+  const encodings = new Set(Object.values(TOKENIZER_FAMILIES).map((family) => family.encoding).filter(Boolean));
+  encodings.forEach((encoding) => {
+    try {
+      const encoder = tiktokenModule.get_encoding(encoding);
+      tokenizerRegistry.registerEncoder(encoding, (text) => encoder.encode(text).length);
+    } catch {
+      // Older tiktoken builds lack o200k_base; that family falls back to the ratio.
+    }
+  });
 }
 
 export function estimateTokens(text, model = DEFAULT_MODEL) {
-  if (text === null || text === undefined) {
-    return 0;
-  }
-
-  const value = typeof text === 'string' ? text : JSON.stringify(text);
-  if (!value) {
-    return 0;
-  }
-
-  const encoder = resolveEncoder(model);
-  if (!encoder) {
-    return fallbackEstimate(value);
-  }
+  return tokenizerRegistry.countTextTokens(text, model || DEFAULT_MODEL);
+}
 
-  return encoder.encode(value).length;
+export function estimateMessageTokens(messages = [], model = DEFAULT_MODEL) {
+  return tokenizerRegistry.countMessageTokens(messages, model || DEFAULT_MODEL);
 }
 
-export function isTokenizerAccurate() {
-  return Boolean(tiktokenModule);
+export function isTokenizerAccurate(model = DEFAULT_MODEL) {
+  return tokenizerRegistry.isAccurate(model || DEFAULT_MODEL);
 }
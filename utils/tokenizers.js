@@ -0,0 +1,253 @@
+import { getImagePartDimensions, isImagePart } from './chatImages.js';
+
+export const TOKENS_PER_CREDIT = 250;
+const NON_CODE_CREDIT_MULTIPLIER = 0.6;
+const MIN_CHARS_PER_TOKEN = 1.5;
+const MAX_CHARS_PER_TOKEN = 8;
+const DEFAULT_MIN_CALIBRATION_SAMPLES = 50;
+
+/**
+ * Model families that share an encoding and chat framing. `encoding` names
+ * the BPE table an encoder may be registered for (tiktoken on the server);
+ * without one, text is counted as `chars / charsPerToken`, where the ratio
+ * comes from calibration when enough usage has been recorded. Families
+ * without a public encoding only ever use the ratio.
+ *
+ * `messageOverhead` follows the OpenAI chat format: `perMessage` tokens wrap
+ * every message, `perName` is added when a message carries a name and
+ * `reply` primes the assistant turn once per request.
+ *
+ * `image` is how the provider bills an image part: `tiles` (OpenAI: a base
+ * cost plus a cost per 512px tile after scaling), `pixels` (Anthropic:
+ * width × height / 750 after scaling the long edge down) or `fixedTiles`
+ * (Gemini: a flat cost per 768px tile).
+ */
+export const TOKENIZER_FAMILIES = {
+  'openai-o200k': {
+    encoding: 'o200k_base',
+    charsPerToken: 4,
+    messageOverhead: { perMessage: 3, perName: 1, reply: 3 },
+    image: { method: 'tiles', base: 85, perTile: 170 },
+    models: [/^gpt-4o/, /^chatgpt-4o/, /^gpt-4\.1/, /^gpt-4\.5/, /^gpt-5/, /^o\d/]
+  },
+  'openai-cl100k': {
+    encoding: 'cl100k_base',
+    charsPerToken: 4,
+    messageOverhead: { perMessage: 3, perName: 1, reply: 3 },
+    image: { method: 'tiles', base: 85, perTile: 170 },
+    models: [/^gpt-4/, /^gpt-3\.5/, /^text-embedding-3/, /^text-embedding-ada/]
+  },
+  claude: {
+    encoding: null,
+    charsPerToken: 3.5,
+    messageOverhead: { perMessage: 4, perName: 0, reply: 2 },
+    image: { method: 'pixels', pixelsPerToken: 750, maxEdge: 1568 },
+    models: [/^claude/, /^anthropic\//]
+  },
+  gemini: {
+    encoding: null,
+    charsPerToken: 4,
+    messageOverhead: { perMessage: 4, perName: 0, reply: 2 },
+    image: { method: 'fixedTiles', perTile: 258, tileSize: 768 },
+    models: [/^gemini/, /^google\//]
+  },
+  default: {
+    encoding: 'cl100k_base',
+    charsPerToken: 4,
+    messageOverhead: { perMessage: 3, perName: 1, reply: 3 },
+    image: { method: 'tiles', base: 85, perTile: 170 },
+    models: []
+  }
+};
+
+function toText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+const DEFAULT_IMAGE_SIZE = { width: 1024, height: 1024 };
+
+function scaleToFit(width, height, maxWidth, maxHeight) {
+  const ratio = Math.min(1, maxWidth / width, maxHeight / height);
+  return { width: Math.round(width * ratio), height: Math.round(height * ratio) };
+}
+
+function imageTokensFor(image, { width, height, detail }) {
+  if (image.method === 'pixels') {
+    const scaled = scaleToFit(width, height, image.maxEdge, image.maxEdge);
+    return Math.ceil((scaled.width * scaled.height) / image.pixelsPerToken);
+  }
+  if (image.method === 'fixedTiles') {
+    return Math.ceil(width / image.tileSize) * Math.ceil(height / image.tileSize) * image.perTile;
+  }
+  if (detail === 'low') {
+    return image.base;
+  }
+  const fitted = scaleToFit(width, height, 2048, 2048);
+  const scale = Math.min(1, 768 / Math.min(fitted.width, fitted.height));
+  return image.base
+    + image.perTile * Math.ceil((fitted.width * scale) / 512) * Math.ceil((fitted.height * scale) / 512);
+}
+
+function clampRatio(value) {
+  return Math.min(MAX_CHARS_PER_TOKEN, Math.max(MIN_CHARS_PER_TOKEN, value));
+}
+
+export function resolveTokenizerFamily(model, families = TOKENIZER_FAMILIES) {
+  const normalized = String(model || '').trim().toLowerCase();
+  const match = Object.entries(families).find(([, family]) => family.models.some((pattern) => pattern.test(normalized)));
+  return match ? match[0] : 'default';
+}
+
+/**
+ * Turns per-model totals from usage_events (`{ model, chars, tokens,
+ * samples }`, tokens as reported by the provider) into a chars-per-token
+ * ratio per family. Families with fewer than `minSamples` requests keep their
+ * built-in ratio.
+ */
+export function calibrateCharsPerToken(rows = [], { families = TOKENIZER_FAMILIES, minSamples = DEFAULT_MIN_CALIBRATION_SAMPLES } = {}) {
+  const totals = new Map();
+  rows.forEach((row) => {
+    const chars = Number(row?.chars);
+    const tokens = Number(row?.tokens);
+    if (!(chars > 0) || !(tokens > 0)) {
+      return;
+    }
+    const family = resolveTokenizerFamily(row.model, families);
+    const entry = totals.get(family) || { chars: 0, tokens: 0, samples: 0 };
+    entry.chars += chars;
+    entry.tokens += tokens;
+    entry.samples += Number(row.samples) || 0;
+    totals.set(family, entry);
+  });
+  const calibration = {};
+  totals.forEach((entry, family) => {
+    if (entry.samples >= minSamples) {
+      calibration[family] = {
+        chars_per_token: Number(clampRatio(entry.chars / entry.tokens).toFixed(3)),
+        samples: entry.samples
+      };
+    }
+  });
+  return calibration;
+}
+
+export function createTokenizerRegistry({ families = TOKENIZER_FAMILIES } = {}) {
+  const encoders = new Map();
+  let calibration = {};
+
+  const describe = (model) => {
+    const family = resolveTokenizerFamily(model, families);
+    const definition = families[family];
+    const encoder = definition.encoding ? encoders.get(definition.encoding) : null;
+    const calibrated = calibration[family];
+    return {
+      family,
+      encoding: definition.encoding,
+      method: encoder ? 'encoder' : 'ratio',
+      chars_per_token: calibrated?.chars_per_token || definition.charsPerToken,
+      calibration_samples: calibrated?.samples || 0,
+      message_overhead: { ...definition.messageOverhead }
+    };
+  };
+
+  const countTextTokens = (text, model) => {
+    const value = toText(text);
+    if (!value) {
+      return 0;
+    }
+    const family = families[resolveTokenizerFamily(model, families)];
+    const encoder = family.encoding ? encoders.get(family.encoding) : null;
+    if (encoder) {
+      return encoder(value);
+    }
+    return Math.ceil(value.length / describe(model).chars_per_token);
+  };
+
+  /**
+   * Tokens a provider bills for one image. Without known dimensions the
+   * image is assumed to be 1024×1024.
+   */
+  const countImageTokens = ({ width, height, detail = 'high' } = {}, model) => {
+    const size = Number(width) > 0 && Number(height) > 0
+      ? { width: Number(width), height: Number(height) }
+      : DEFAULT_IMAGE_SIZE;
+    return imageTokensFor(families[resolveTokenizerFamily(model, families)].image, { ...size, detail });
+  };
+
+  // Multi-part content counts text parts as text and image parts by size,
+  // never the base64 payload.
+  const countContentTokens = (content, model) => {
+    if (!Array.isArray(content)) {
+      return countTextTokens(content ?? '', model);
+    }
+    return content.reduce((sum, part) => {
+      if (isImagePart(part)) {
+        return sum + countImageTokens({ ...getImagePartDimensions(part), detail: part.image_url.detail }, model);
+      }
+      return sum + countTextTokens(part?.type === 'text' ? part.text : part, model);
+    }, 0);
+  };
+
+  /**
+   * Prompt tokens for a chat request: content plus the family's framing for
+   * each message and the assistant reply. Matches what providers report as
+   * prompt/input tokens, which is what credits are charged on.
+   */
+  const countMessageTokens = (messages = [], model) => {
+    if (!Array.isArray(messages) || !messages.length) {
+      return 0;
+    }
+    const { perMessage, perName, reply } = families[resolveTokenizerFamily(model, families)].messageOverhead;
+    return messages.reduce((sum, message) => (
+      sum
+      + perMessage
+      + countTextTokens(message?.role ? String(message.role) : 'user', model)
+      + countContentTokens(message?.content, model)
+      + (message?.name ? perName + countTextTokens(message.name, model) : 0)
+    ), reply);
+  };
+
+  return {
+    describe,
+    countTextTokens,
+    countImageTokens,
+    countMessageTokens,
+    registerEncoder(encoding, count) {
+      if (typeof count === 'function') {
+        encoders.set(encoding, count);
+      }
+    },
+    isAccurate(model) {
+      return describe(model).method === 'encoder';
+    },
+    setCalibration(next = {}) {
+      calibration = Object.fromEntries(Object.entries(next || {})
+        .filter(([family, entry]) => families[family] && Number(entry?.chars_per_token) > 0)
+        .map(([family, entry]) => [family, {
+          chars_per_token: clampRatio(Number(entry.chars_per_token)),
+          samples: Number(entry.samples) || 0
+        }]));
+    },
+    getCalibration() {
+      return { ...calibration };
+    }
+  };
+}
+
+/**
+ * Credits for a request. Provider totals are charged as-is; otherwise
+ * non-code turns get the lighter multiplier.
+ */
+export function creditsForTokens({ inputTokens = 0, outputTokens = 0, totalTokens, intentType } = {}) {
+  if (Number.isFinite(totalTokens)) {
+    return Math.ceil(totalTokens / TOKENS_PER_CREDIT);
+  }
+  const multiplier = intentType === 'code' ? 1.0 : NON_CODE_CREDIT_MULTIPLIER;
+  const adjustedTokens = Math.ceil(((Number(inputTokens) || 0) + (Number(outputTokens) || 0)) * multiplier);
+  return Math.ceil(adjustedTokens / TOKENS_PER_CREDIT);
+}
+
+export const tokenizerRegistry = createTokenizerRegistry();
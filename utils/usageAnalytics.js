@@ -33,15 +33,22 @@ export async function insertUsageEvent({
   success,
   status,
   timestamp,
-  sourceHash
+  sourceHash,
+  promptTemplateId = null,
+  promptTemplateVersion = null,
+  inputChars = null,
+  outputChars = null,
+  tokenSource = null,
+  imageTokens = 0
 }) {
   const normalizedStatus = status || (success ? 'success' : 'error');
   const result = await queryUsageAnalytics(
     `INSERT INTO usage_events
       (user_id, session_id, intent, model, input_tokens, output_tokens, tokens_requested, tokens_used,
-       credits_used, credit_norm_factor, model_cost_usd, cost, latency_ms, success, status, event_timestamp, source_hash)
+       credits_used, credit_norm_factor, model_cost_usd, cost, latency_ms, success, status, event_timestamp, source_hash,
+       prompt_template_id, prompt_template_version, input_chars, output_chars, token_source, image_tokens)
      VALUES
-      ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+      ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23)
      ON CONFLICT (source_hash)
      DO NOTHING`,
     [
@@ -61,7 +68,13 @@ export async function insertUsageEvent({
       success,
       normalizedStatus,
       timestamp || new Date(),
-      sourceHash || null
+      sourceHash || null,
+      promptTemplateId,
+      promptTemplateVersion,
+      Number.isFinite(Number(inputChars)) ? Number(inputChars) : null,
+      Number.isFinite(Number(outputChars)) ? Number(outputChars) : null,
+      tokenSource === 'provider' || tokenSource === 'estimate' ? tokenSource : null,
+      Math.max(0, Math.round(Number(imageTokens) || 0))
     ]
   );
   return result;
@@ -102,14 +115,16 @@ export async function insertLlmTurnLog({
   promptTokens,
   completionTokens,
   creditsCharged,
-  latencyMs
+  latencyMs,
+  promptTemplateId = null,
+  promptTemplateVersion = null
 }) {
   const result = await queryUsageAnalytics(
     `INSERT INTO llm_turn_logs
       (user_id, session_id, turn_index, intent, model, glyph_surface, glyph_json, prompt_text,
-       prompt_tokens, completion_tokens, credits_charged, latency_ms)
+       prompt_tokens, completion_tokens, credits_charged, latency_ms, prompt_template_id, prompt_template_version)
      VALUES
-      ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
     [
       userId,
       sessionId,
@@ -122,7 +137,9 @@ export async function insertLlmTurnLog({
       promptTokens,
       completionTokens,
       creditsCharged ?? null,
-      latencyMs ?? null
+      latencyMs ?? null,
+      promptTemplateId,
+      promptTemplateVersion
     ]
   );
   return result;
@@ -239,6 +256,23 @@ export async function fetchFirstNonPremiumModel(models) {
   return result?.rows?.[0]?.model || null;
 }
 
+export async function fetchFirstPremiumModel(models) {
+  if (!Array.isArray(models) || models.length === 0) {
+    return null;
+  }
+  const result = await queryUsageAnalytics(
+    `SELECT model
+     FROM model_pricing
+     WHERE model = ANY($1)
+       AND is_premium = true
+       AND active = true
+     ORDER BY array_position($1, model)
+     LIMIT 1`,
+    [models]
+  );
+  return result?.rows?.[0]?.model || null;
+}
+
 export async function insertRouteDecision({
   userId,
   sessionId,
@@ -265,6 +299,189 @@ export async function insertRouteDecision({
   );
 }
 
+export async function fetchRunningModelExperiments() {
+  const result = await queryUsageAnalytics(
+    `SELECT id, intent, plans, variants, status
+     FROM model_experiments
+     WHERE status = 'running'
+     ORDER BY created_at ASC`,
+    []
+  );
+  return result?.rows || [];
+}
+
+export async function fetchModelExperiments() {
+  const result = await queryUsageAnalytics(
+    `SELECT id, description, intent, plans, variants, status, created_at, updated_at
+     FROM model_experiments
+     ORDER BY created_at DESC`,
+    []
+  );
+  return result?.rows || [];
+}
+
+export async function upsertModelExperiment({ id, description, intent, plans, variants, status }) {
+  const result = await queryUsageAnalytics(
+    `INSERT INTO model_experiments (id, description, intent, plans, variants, status)
+     VALUES ($1, $2, $3, $4, $5::jsonb, $6)
+     ON CONFLICT (id)
+     DO UPDATE SET
+       description = EXCLUDED.description,
+       intent = EXCLUDED.intent,
+       plans = EXCLUDED.plans,
+       variants = EXCLUDED.variants,
+       status = EXCLUDED.status,
+       updated_at = NOW()
+     RETURNING id, description, intent, plans, variants, status, created_at, updated_at`,
+    [id, description || null, intent, plans, JSON.stringify(variants), status]
+  );
+  return result?.rows?.[0] || null;
+}
+
+export async function fetchPromptTemplateVersions() {
+  const result = await queryUsageAnalytics(
+    `SELECT template_id AS id, version, owner, description, variables, body, created_at
+     FROM prompt_template_versions
+     ORDER BY template_id, version`,
+    []
+  );
+  return result?.rows || [];
+}
+
+export async function fetchPromptTemplateReleases() {
+  const result = await queryUsageAnalytics(
+    `SELECT template_id, active_version, updated_at
+     FROM prompt_template_releases`,
+    []
+  );
+  return result?.rows || [];
+}
+
+// Character and token totals per model from provider-reported usage, the
+// input to calibrateCharsPerToken in utils/tokenizers.js. Image tokens have
+// no characters, so they are taken out.
+export async function fetchTokenizerCalibrationTotals({ days = 30 } = {}) {
+  const result = await queryUsageAnalytics(
+    `SELECT
+       model,
+       SUM(input_chars + COALESCE(output_chars, 0))::bigint AS chars,
+       SUM(input_tokens - image_tokens + output_tokens)::bigint AS tokens,
+       COUNT(*)::int AS samples
+     FROM usage_events
+     WHERE token_source = 'provider'
+       AND success = true
+       AND input_chars > 0
+       AND input_tokens > image_tokens
+       AND event_timestamp >= NOW() - ($1::int * INTERVAL '1 day')
+     GROUP BY model`,
+    [days]
+  );
+  return result?.rows || [];
+}
+
+export async function insertPromptTemplateVersion({ id, version, owner, description, variables, body, createdBy }) {
+  const result = await queryUsageAnalytics(
+    `INSERT INTO prompt_template_versions (template_id, version, owner, description, variables, body, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING template_id AS id, version, owner, description, variables, body, created_at`,
+    [id, version, owner, description || null, variables, body, createdBy || null]
+  );
+  return result?.rows?.[0] || null;
+}
+
+export async function upsertPromptTemplateRelease({ templateId, activeVersion, updatedBy }) {
+  const result = await queryUsageAnalytics(
+    `INSERT INTO prompt_template_releases (template_id, active_version, updated_by)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (template_id)
+     DO UPDATE SET
+       previous_version = prompt_template_releases.active_version,
+       active_version = EXCLUDED.active_version,
+       updated_by = EXCLUDED.updated_by,
+       updated_at = NOW()
+     RETURNING template_id, active_version, previous_version, updated_at`,
+    [templateId, activeVersion, updatedBy || null]
+  );
+  return result?.rows?.[0] || null;
+}
+
+export async function insertExperimentExposure({
+  experimentId,
+  variantId,
+  userId,
+  sessionId,
+  requestId,
+  usageSourceHash,
+  intentType,
+  plan,
+  model,
+  isRetry
+}) {
+  await queryUsageAnalytics(
+    `INSERT INTO model_experiment_exposures
+      (experiment_id, variant_id, user_id, session_id, request_id, usage_source_hash, intent, plan, model, is_retry)
+     VALUES
+      ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     ON CONFLICT (experiment_id, request_id)
+     DO NOTHING`,
+    [
+      experimentId,
+      variantId,
+      userId,
+      sessionId || null,
+      requestId,
+      usageSourceHash || null,
+      intentType || null,
+      plan,
+      model,
+      Boolean(isRetry)
+    ]
+  );
+}
+
+export async function recordExperimentOutcome({ userId, requestId, kept, codeVersionId }) {
+  const result = await queryUsageAnalytics(
+    `UPDATE model_experiment_exposures
+     SET kept = $3,
+         code_version_id = COALESCE($4, code_version_id),
+         outcome_at = NOW()
+     WHERE user_id = $1 AND request_id = $2`,
+    [userId, requestId, Boolean(kept), codeVersionId || null]
+  );
+  return result?.rowCount || 0;
+}
+
+export async function fetchExperimentVariantStats({ experimentId }) {
+  const result = await queryUsageAnalytics(
+    `SELECT
+      e.variant_id,
+      ARRAY_AGG(DISTINCT e.model) AS models,
+      COUNT(*) AS exposures,
+      COUNT(DISTINCT e.user_id) AS users,
+      COUNT(u.id) AS completed,
+      AVG(u.latency_ms) AS latency_mean,
+      STDDEV_SAMP(u.latency_ms) AS latency_sd,
+      COUNT(u.latency_ms) AS latency_n,
+      AVG(u.model_cost_usd) AS cost_mean,
+      STDDEV_SAMP(u.model_cost_usd) AS cost_sd,
+      COUNT(u.model_cost_usd) AS cost_n,
+      AVG(u.credits_used) AS credits_mean,
+      STDDEV_SAMP(u.credits_used) AS credits_sd,
+      COUNT(u.credits_used) AS credits_n,
+      SUM(CASE WHEN e.is_retry THEN 1 ELSE 0 END) AS retries,
+      COUNT(e.kept) AS kept_n,
+      SUM(CASE WHEN e.kept THEN 1 ELSE 0 END) AS kept
+     FROM model_experiment_exposures e
+     LEFT JOIN usage_events u
+       ON u.source_hash = e.usage_source_hash
+     WHERE e.experiment_id = $1
+     GROUP BY e.variant_id
+     ORDER BY e.variant_id`,
+    [experimentId]
+  );
+  return result?.rows || [];
+}
+
 export async function fetchUsageOverview({ userId }) {
   const result = await queryUsageAnalytics(
     `SELECT
@@ -965,9 +965,10 @@ export async function applyCreditDeduction({
       await client.query(
         `INSERT INTO usage_events
           (user_id, session_id, intent, model, input_tokens, output_tokens, tokens_requested, tokens_used,
-           credits_used, credit_norm_factor, model_cost_usd, cost, latency_ms, success, status, event_timestamp, source_hash)
+           credits_used, credit_norm_factor, model_cost_usd, cost, latency_ms, success, status, event_timestamp, source_hash,
+           prompt_template_id, prompt_template_version, input_chars, output_chars, token_source, image_tokens)
          VALUES
-          ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $11, $12, $13, $14, $15, $16)
+          ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
          ON CONFLICT (source_hash) DO NOTHING`,
         [
           userId,
@@ -985,7 +986,13 @@ export async function applyCreditDeduction({
           usageStatus === 'success',
           usageStatus,
           usageEvent.timestamp || new Date(),
-          usageEvent.sourceHash || null
+          usageEvent.sourceHash || null,
+          usageEvent.promptTemplate?.id || null,
+          usageEvent.promptTemplate?.version || null,
+          Number.isFinite(Number(usageEvent.inputChars)) ? Number(usageEvent.inputChars) : null,
+          Number.isFinite(Number(usageEvent.outputChars)) ? Number(usageEvent.outputChars) : null,
+          usageEvent.tokenSource || null,
+          Math.max(0, Math.round(Number(usageEvent.imageTokens) || 0))
         ]
       );
     }
@@ -1032,3 +1039,103 @@ export async function applyCreditDeduction({
     client.release();
   }
 }
+
+export async function applyCreditRefund({
+  userId,
+  sessionId,
+  turnId,
+  creditsToRefund,
+  metadata,
+  reason = 'llm_refund',
+  pool
+}) {
+  if (!Number.isFinite(creditsToRefund) || creditsToRefund <= 0) {
+    const user = await getUserById(userId, { pool });
+    return { nextBalance: Number(user?.credits_balance ?? 0), alreadyRefunded: false };
+  }
+
+  const activePool = pool || getUserDbPool();
+  const client = await activePool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const creditsResult = await client.query(
+      `SELECT balance, daily_used
+       FROM credits
+       WHERE user_id = $1
+       FOR UPDATE`,
+      [userId]
+    );
+    const creditsRow = creditsResult.rows[0];
+    if (!creditsRow) {
+      throw new Error(`Credits row missing for user ${userId}`);
+    }
+    const currentBalance = Number(creditsRow.balance ?? 0);
+
+    if (turnId) {
+      const ledgerResult = await client.query(
+        `SELECT balance_after
+         FROM credit_ledger
+         WHERE user_id = $1 AND turn_id = $2 AND reason = $3
+         LIMIT 1`,
+        [userId, turnId, reason]
+      );
+      const existing = ledgerResult.rows[0];
+      if (existing) {
+        await client.query('COMMIT');
+        logCreditEvent('info', 'credit_refund_duplicate', {
+          user_id: userId,
+          session_id: sessionId || '',
+          request_id: turnId || '',
+          reason,
+          credits_to_refund: creditsToRefund,
+          balance_after: Number(existing.balance_after),
+          outcome: 'duplicate'
+        });
+        return { nextBalance: Number(existing.balance_after), alreadyRefunded: true };
+      }
+    }
+
+    const nextBalance = currentBalance + creditsToRefund;
+    const nextDailyUsed = Math.max(0, Number(creditsRow.daily_used ?? 0) - creditsToRefund);
+    await client.query(
+      `UPDATE credits
+       SET balance = $1,
+           daily_used = $2
+       WHERE user_id = $3`,
+      [nextBalance, nextDailyUsed, userId]
+    );
+    await client.query(
+      `INSERT INTO credit_ledger
+        (user_id, session_id, turn_id, delta, balance_after, reason, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        userId,
+        sessionId || '',
+        turnId || '',
+        creditsToRefund,
+        nextBalance,
+        reason,
+        metadata || ''
+      ]
+    );
+
+    await client.query('COMMIT');
+    logCreditEvent('info', 'credit_refund_applied', {
+      user_id: userId,
+      session_id: sessionId || '',
+      request_id: turnId || '',
+      reason,
+      credits_to_refund: creditsToRefund,
+      balance_before: currentBalance,
+      balance_after: nextBalance,
+      outcome: 'applied'
+    });
+    return { nextBalance, alreadyRefunded: false };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}